@@ -1,6 +1,6 @@
 /* eslint-env node */
 /* eslint-disable no-unused-vars */
-const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, powerMonitor } = require('electron');
 /* eslint-enable no-unused-vars */
 
 // Comment out the sandbox enabling - it conflicts with our module requirements
@@ -15,6 +15,9 @@ const errorHandler = require('../utils/error-handler'); // Updated path
 const urlValidator = require('../utils/url-validator'); // Updated path
 const screenSecurity = require('../utils/screen-security'); // Updated path
 const webcamPermissions = require('../utils/webcam-permissions'); // Add webcam permissions module
+const trustedClock = require('../utils/trusted-clock'); // Trusted time for exam scheduling
+const reportExport = require('../utils/report-export'); // Save dialogs for exported reports
+const proctoringAlerts = require('../utils/proctoring-alerts'); // Teachers' live-monitoring alerts
 const config = require('../utils/config'); // Import the config file
 
 // Extract constants from config
@@ -108,6 +111,21 @@ function createWindow() {
     console.log('Setting up webcam permission handlers...');
     webcamPermissions.setupWebcamPermissionHandlers(ipcMain);
     console.log('Webcam permission handlers set up successfully');
+
+    // Set up the trusted clock used for quiz timers and schedule windows
+    console.log('Setting up trusted clock...');
+    trustedClock.setupTrustedClock(ipcMain, powerMonitor);
+    console.log('Trusted clock set up successfully');
+
+    // Set up save dialogs for integrity reports and CSV exports
+    console.log('Setting up report export...');
+    reportExport.setupReportExport(ipcMain);
+    console.log('Report export set up successfully');
+
+    // Deliver teachers' warnings and force-end alerts to the quiz window
+    console.log('Setting up proctoring alerts...');
+    proctoringAlerts.setupProctoringAlerts(ipcMain);
+    console.log('Proctoring alerts set up successfully');
     
     // Register an IPC channel for checking recording status
     // This is already registered in screen-security.js, so we don't need to register it again
@@ -32,6 +32,8 @@ contextBridge.exposeInMainWorld('electron', {
       const validChannels = [
         'ping',
         'dialog:open',
+        'dialog:save', // Save an exported report (HTML/CSV) through a save dialog
+        'dialog:save-pdf', // Print a report to PDF and save it through a save dialog
         'webcam:getDevices',
         'webcam:check-permission', // Add permission check channel
         'webcam:request-permission', // Add permission request channel
@@ -40,9 +42,12 @@ contextBridge.exposeInMainWorld('electron', {
         'auth:getToken', // New method to get token
         'auth:validateToken', // New method to validate token
         'quiz:getData',
+        'clock:now', // Trusted time for quiz timers and schedule windows
         'screen:check-recording', // Check if screen recording is detected
         'security:force-check-recording', // Manually trigger screen recording check
-        'security:toggle-alt-tab' // Toggle alt-tab prevention
+        'security:toggle-alt-tab', // Toggle alt-tab prevention
+        'security:apply-proctoring-settings', // Apply a paper's Alt+Tab lock and recording policy
+        'proctoring:send-alert' // Deliver a teacher's alert to the quiz window (sent back on proctoring:alert)
       ];
       if (validChannels.includes(channel)) {
         return await ipcRenderer.invoke(channel, data);
@@ -13,6 +13,9 @@ exports.VERBOSE_LOGGING = true;
 // Set security policy level (strict, moderate, permissive)
 exports.SECURITY_POLICY_LEVEL = 'strict';
 
+// Server whose HTTP Date header anchors the trusted clock (the API server by default)
+exports.TIME_SERVER_URL = process.env.QUIZSECURE_TIME_URL || process.env.VITE_API_URL || 'http://localhost:5000/api';
+
 // Development mode detection
 exports.isDev = require('electron-is-dev');
 
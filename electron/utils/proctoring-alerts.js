@@ -0,0 +1,75 @@
+/**
+ * Proctoring Alerts Utility
+ * Delivers teachers' live-monitoring alerts to the quiz window.
+ *
+ * The renderer collects alerts for the current attempt with its monitoring
+ * heartbeat and hands them here; they are sent back on the `proctoring:alert`
+ * channel after the main process has brought the quiz window to the front,
+ * so a student who switched away still sees the warning (or that the attempt
+ * was ended).
+ */
+
+const { BrowserWindow } = require('electron');
+const config = require('./config');
+const { VERBOSE_LOGGING } = config;
+
+const ALERT_TYPES = ['warning', 'force-end'];
+const MAX_MESSAGE_LENGTH = 500;
+
+/**
+ * Check and copy an alert received from the renderer
+ * @param {Object} alert - { id, type, attemptId, message, sentBy, sentAt }
+ * @returns {Object|null} The alert to deliver, or null if it is malformed
+ */
+function sanitizeAlert(alert) {
+  if (!alert || typeof alert !== 'object') return null;
+  if (!ALERT_TYPES.includes(alert.type) || typeof alert.attemptId !== 'string') return null;
+
+  return {
+    id: String(alert.id || ''),
+    type: alert.type,
+    attemptId: alert.attemptId,
+    message: String(alert.message || '').slice(0, MAX_MESSAGE_LENGTH),
+    sentBy: alert.sentBy && typeof alert.sentBy === 'object'
+      ? { id: String(alert.sentBy.id || ''), name: String(alert.sentBy.name || '') }
+      : null,
+    sentAt: String(alert.sentAt || new Date().toISOString())
+  };
+}
+
+/**
+ * Register the alert delivery IPC handler
+ * @param {Electron.IpcMain} ipcMain - The ipcMain module
+ */
+function setupProctoringAlerts(ipcMain) {
+  // createWindow can run more than once (e.g. macOS activate); keep a single handler
+  ipcMain.removeHandler('proctoring:send-alert');
+
+  ipcMain.handle('proctoring:send-alert', (event, alert) => {
+    const sanitized = sanitizeAlert(alert);
+    if (!sanitized) {
+      return { success: false, error: 'Invalid alert' };
+    }
+
+    const window = BrowserWindow.fromWebContents(event.sender);
+    if (!window || window.isDestroyed()) {
+      return { success: false, error: 'Quiz window is not available' };
+    }
+
+    if (window.isMinimized()) window.restore();
+    window.focus();
+    window.flashFrame(true);
+    window.webContents.send('proctoring:alert', sanitized);
+
+    if (VERBOSE_LOGGING) console.log(`Proctoring alert (${sanitized.type}) delivered for attempt ${sanitized.attemptId}`);
+    return { success: true };
+  });
+
+  if (VERBOSE_LOGGING) {
+    console.log('Proctoring alert handler registered');
+  }
+}
+
+module.exports = {
+  setupProctoringAlerts
+};
@@ -0,0 +1,119 @@
+/**
+ * Report Export Utility
+ * Saves reports built by the renderer (integrity reports, CSV exports) to disk.
+ *
+ * The renderer cannot touch the file system, so it sends the finished document
+ * and the main process asks the user where to save it with a native save
+ * dialog. PDFs are printed from the report HTML in a hidden window with
+ * JavaScript disabled, so the report content cannot run code.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dialog, BrowserWindow } = require('electron');
+const config = require('./config');
+const { VERBOSE_LOGGING } = config;
+
+const FILE_FILTERS = {
+  html: [{ name: 'HTML Report', extensions: ['html'] }],
+  pdf: [{ name: 'PDF Report', extensions: ['pdf'] }],
+  csv: [{ name: 'CSV (Comma-separated values)', extensions: ['csv'] }]
+};
+
+/**
+ * Ask the user where to save a file
+ * @param {Electron.BrowserWindow|null} window - Parent window for the dialog
+ * @param {string} format - One of the FILE_FILTERS keys
+ * @param {string} [defaultPath] - Suggested file name
+ * @returns {Promise<string|null>} The chosen path, or null when canceled
+ */
+async function chooseSavePath(window, format, defaultPath) {
+  const options = {
+    defaultPath: path.basename(defaultPath || `report.${format}`),
+    filters: FILE_FILTERS[format]
+  };
+  const { canceled, filePath } = window
+    ? await dialog.showSaveDialog(window, options)
+    : await dialog.showSaveDialog(options);
+  return canceled || !filePath ? null : filePath;
+}
+
+/**
+ * Render HTML to a PDF buffer in a hidden window
+ * @param {string} html - Self-contained HTML document
+ * @returns {Promise<Buffer>}
+ */
+async function renderPdf(html) {
+  const printWindow = new BrowserWindow({
+    show: false,
+    webPreferences: {
+      javascript: false,
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true
+    }
+  });
+
+  try {
+    await printWindow.loadURL(`data:text/html;charset=utf-8;base64,${Buffer.from(html, 'utf8').toString('base64')}`);
+    return await printWindow.webContents.printToPDF({ printBackground: true, pageSize: 'A4' });
+  } finally {
+    printWindow.destroy();
+  }
+}
+
+/**
+ * Register the save dialog IPC handlers
+ * @param {Electron.IpcMain} ipcMain - The ipcMain module
+ */
+function setupReportExport(ipcMain) {
+  // createWindow can run more than once (e.g. macOS activate); keep a single handler
+  ipcMain.removeHandler('dialog:save');
+  ipcMain.removeHandler('dialog:save-pdf');
+
+  // Save text content (HTML or CSV) chosen by the user
+  ipcMain.handle('dialog:save', async (event, { content, format, defaultPath } = {}) => {
+    if (typeof content !== 'string' || !['html', 'csv'].includes(format)) {
+      return { success: false, error: 'Invalid export request' };
+    }
+
+    try {
+      const filePath = await chooseSavePath(BrowserWindow.fromWebContents(event.sender), format, defaultPath);
+      if (!filePath) return { success: false, canceled: true };
+
+      await fs.promises.writeFile(filePath, content, 'utf8');
+      if (VERBOSE_LOGGING) console.log(`Report saved to ${filePath}`);
+      return { success: true, filePath };
+    } catch (error) {
+      console.error('Failed to save report:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Print an HTML report to PDF and save it
+  ipcMain.handle('dialog:save-pdf', async (event, { html, defaultPath } = {}) => {
+    if (typeof html !== 'string') {
+      return { success: false, error: 'Invalid export request' };
+    }
+
+    try {
+      const filePath = await chooseSavePath(BrowserWindow.fromWebContents(event.sender), 'pdf', defaultPath);
+      if (!filePath) return { success: false, canceled: true };
+
+      await fs.promises.writeFile(filePath, await renderPdf(html));
+      if (VERBOSE_LOGGING) console.log(`PDF report saved to ${filePath}`);
+      return { success: true, filePath };
+    } catch (error) {
+      console.error('Failed to save PDF report:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  if (VERBOSE_LOGGING) {
+    console.log('Report export handlers registered');
+  }
+}
+
+module.exports = {
+  setupReportExport
+};
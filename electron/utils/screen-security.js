@@ -12,6 +12,13 @@ const SCREENSHOT_INTERVAL_MS = 5000; // 5 seconds
 let screenshotInterval = null;
 let altTabDisabled = false;
 
+// Proctoring settings of the paper being taken, applied by the renderer when an
+// attempt opens and reset when it closes (see security:apply-proctoring-settings)
+const RECORDING_POLICIES = ['off', 'log', 'warn', 'end'];
+const DEFAULT_PROCTORING_SETTINGS = { lockAltTab: false, recordingPolicy: 'warn' };
+let proctoringSettings = { ...DEFAULT_PROCTORING_SETTINGS };
+let altTabLockedBySettings = false;
+
 /**
  * Initialize screen security monitoring
  * @param {BrowserWindow} mainWindow - Main application window
@@ -49,6 +56,12 @@ function setupIpcHandlers(mainWindow) {
     }
   });
   
+  // Apply (or with null, reset) the current paper's proctoring settings
+  ipcMain.removeHandler('security:apply-proctoring-settings');
+  ipcMain.handle('security:apply-proctoring-settings', (event, settings) => {
+    return { success: true, settings: applyProctoringSettings(settings) };
+  });
+
   // Handle direct check of screen recording status
   ipcMain.handle('security:force-check-recording', async () => {
     // Force a recording check and return the result
@@ -57,6 +70,54 @@ function setupIpcHandlers(mainWindow) {
   });
 }
 
+/**
+ * Apply a paper's proctoring settings: lock Alt+Tab if the paper asks for it
+ * and choose how detected screen recording is reported
+ * @param {Object|null} settings - { lockAltTab, recordingPolicy }, or null for the defaults
+ * @returns {Object} The settings now in effect
+ */
+function applyProctoringSettings(settings) {
+  const next = { ...DEFAULT_PROCTORING_SETTINGS };
+  if (settings && typeof settings === 'object') {
+    next.lockAltTab = settings.lockAltTab === true;
+    if (RECORDING_POLICIES.includes(settings.recordingPolicy)) {
+      next.recordingPolicy = settings.recordingPolicy;
+    }
+  }
+  proctoringSettings = next;
+
+  if (next.lockAltTab) {
+    preventAltTab();
+    altTabLockedBySettings = true;
+  } else if (altTabLockedBySettings) {
+    // Only undo a lock the settings turned on, not one toggled from the menu
+    allowAltTab();
+    altTabLockedBySettings = false;
+  }
+
+  console.log('Proctoring settings applied:', proctoringSettings);
+  return { ...proctoringSettings };
+}
+
+/**
+ * Tell the renderer about detected screen recording, unless the paper's
+ * recording policy is 'off'
+ * @param {BrowserWindow} mainWindow - Main application window
+ * @param {Object} detection - Confidence, type and any details of the detection
+ */
+function notifyRecordingDetected(mainWindow, detection) {
+  if (proctoringSettings.recordingPolicy === 'off') return;
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('screen:recording-detected', {
+      detected: true,
+      timestamp: Date.now(),
+      ...detection,
+      policy: proctoringSettings.recordingPolicy
+    });
+  }
+}
+
 /**
  * Prevent Alt+Tab from switching away from the application
  */
@@ -205,15 +266,11 @@ async function forceScreenRecordingDetection(mainWindow) {
       console.log('Screen recording detected:', recordingSoftware.map(s => s.name));
       
       // Notify renderer
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('screen:recording-detected', {
-          detected: true,
-          timestamp: Date.now(),
-          confidence: 'high',
-          type: 'software',
-          software: recordingSoftware.map(s => s.name)
-        });
-      }
+      notifyRecordingDetected(mainWindow, {
+        confidence: 'high',
+        type: 'software',
+        software: recordingSoftware.map(s => s.name)
+      });
       
       return true;
     }
@@ -233,15 +290,11 @@ async function forceScreenRecordingDetection(mainWindow) {
         if (output && output.length > 2) { // More than just empty brackets []
           console.log('Screen recording process detected through PowerShell check');
           
-          if (mainWindow && !mainWindow.isDestroyed()) {
-            mainWindow.webContents.send('screen:recording-detected', {
-              detected: true,
-              timestamp: Date.now(),
-              confidence: 'medium',
-              type: 'process',
-              details: 'Recording process detected'
-            });
-          }
+          notifyRecordingDetected(mainWindow, {
+            confidence: 'medium',
+            type: 'process',
+            details: 'Recording process detected'
+          });
           
           return true;
         }
@@ -280,6 +333,9 @@ function startScreenshotMonitoring(mainWindow) {
         return;
       }
       
+      // The current paper does not check for screen recording
+      if (proctoringSettings.recordingPolicy === 'off') return;
+      
       // Take screenshot of primary display
       const primaryDisplay = screen.getPrimaryDisplay();
       const { id, bounds } = primaryDisplay;
@@ -352,14 +408,10 @@ function detectConsistentChanges(mainWindow) {
   
   if (potentialRecording) {
     // Alert the renderer process about potential recording
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('screen:recording-detected', {
-        detected: true,
-        timestamp: Date.now(),
-        confidence: potentialRecording.confidence,
-        type: potentialRecording.type
-      });
-    }
+    notifyRecordingDetected(mainWindow, {
+      confidence: potentialRecording.confidence,
+      type: potentialRecording.type
+    });
   }
 }
 
@@ -547,5 +599,6 @@ module.exports = {
   initScreenSecurity,
   preventAltTab,
   allowAltTab,
+  applyProctoringSettings,
   forceScreenRecordingDetection
 }; 
\ No newline at end of file
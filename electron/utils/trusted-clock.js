@@ -0,0 +1,151 @@
+/**
+ * Trusted Clock Utility
+ * Provides the time used for exam scheduling and timers to the renderer.
+ *
+ * The clock is anchored once and then advanced with the process' monotonic
+ * timer, so changing the system clock (or tampering with Date in the renderer)
+ * while the app is running has no effect.
+ *
+ * Where the anchor comes from decides what the clock can resist:
+ * - When the API server answers, the clock is anchored to the time in its HTTP
+ *   `Date` header, at launch and again after every sleep. A wrong system
+ *   clock then makes no difference.
+ * - Offline, the clock starts from the system clock. A clock set wrong before
+ *   launching is trusted as it is.
+ *
+ * Monotonic time stops while the machine sleeps. On resume the clock keeps the
+ * difference it had from the wall clock before sleep and only adds the time
+ * slept, so a system clock changed while awake stays ignored. The time slept
+ * can only be measured with the wall clock, though: offline, a clock moved
+ * forward while asleep moves the trusted clock forward by as much. A clock
+ * moved back is ignored, since the trusted clock never goes backwards.
+ */
+
+const config = require('./config');
+const { VERBOSE_LOGGING, TIME_SERVER_URL } = config;
+
+// Give up on the time server after this long (ms)
+const SERVER_TIMEOUT = 5000;
+
+let anchorTime = Date.now();
+let anchorMonotonic = process.hrtime.bigint();
+let source = 'system'; // 'server' once anchored to the time server
+// The trusted and wall time when last read; the starting point after a sleep
+let checkpoint = { trusted: anchorTime, wall: anchorTime };
+
+const monotonicMs = () => Number(process.hrtime.bigint() / 1000000n);
+
+/**
+ * Anchor the clock to a trusted time
+ * @param {number} time - Milliseconds since the epoch
+ * @param {bigint} [monotonic] - hrtime at which that time was read
+ */
+function anchor(time, monotonic = process.hrtime.bigint()) {
+  anchorTime = time;
+  anchorMonotonic = monotonic;
+}
+
+/**
+ * Get the trusted current time
+ * @returns {number} Milliseconds since the epoch
+ */
+function now() {
+  const elapsedMs = Number((process.hrtime.bigint() - anchorMonotonic) / 1000000n);
+  const time = anchorTime + elapsedMs;
+  checkpoint = { trusted: time, wall: Date.now() };
+  return time;
+}
+
+/**
+ * Record the clock before the machine sleeps
+ */
+function handleSuspend() {
+  now();
+}
+
+/**
+ * Re-anchor the clock after the machine wakes: the clock before sleep plus the
+ * time slept on the wall clock (never less than nothing)
+ */
+function reanchor() {
+  const slept = Math.max(0, Date.now() - checkpoint.wall);
+  anchor(checkpoint.trusted + slept);
+  checkpoint = { trusted: checkpoint.trusted + slept, wall: Date.now() };
+}
+
+/**
+ * Anchor the clock to the time server's HTTP Date header
+ * @param {string} [url] - Server to ask; defaults to TIME_SERVER_URL
+ * @param {Function} [fetchImpl] - fetch implementation
+ * @returns {Promise<boolean>} Whether the clock was anchored to the server
+ */
+async function syncWithServer(url = TIME_SERVER_URL, fetchImpl = globalThis.fetch) {
+  if (!url || typeof fetchImpl !== 'function') return false;
+
+  try {
+    const requestedAt = monotonicMs();
+    const response = await fetchImpl(url, { method: 'HEAD', cache: 'no-store', signal: AbortSignal.timeout(SERVER_TIMEOUT) });
+    const receivedAt = monotonicMs();
+    const serverTime = Date.parse(response.headers.get('date'));
+    if (!Number.isFinite(serverTime)) {
+      console.warn('Trusted clock: time server sent no usable Date header');
+      return false;
+    }
+
+    // The header is in whole seconds, and the reply was produced about halfway through the round trip
+    const midpoint = BigInt(Math.round((requestedAt + (receivedAt - requestedAt) / 2) * 1000000));
+    anchor(serverTime + 500, midpoint);
+    source = 'server';
+    now();
+    if (VERBOSE_LOGGING) {
+      console.log('Trusted clock anchored to the time server');
+    }
+    return true;
+  } catch (error) {
+    console.warn('Trusted clock: time server unreachable, keeping the current anchor:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Handle the machine waking from sleep
+ * @returns {Promise<boolean>} Whether the clock was re-anchored to the time server
+ */
+function handleResume() {
+  reanchor();
+  return syncWithServer();
+}
+
+/**
+ * Register the clock IPC handler and power event hooks
+ * @param {Electron.IpcMain} ipcMain - The ipcMain module
+ * @param {Electron.PowerMonitor} [powerMonitor] - Electron powerMonitor (available after app ready)
+ */
+function setupTrustedClock(ipcMain, powerMonitor) {
+  // createWindow can run more than once (e.g. macOS activate); keep a single handler
+  ipcMain.removeHandler('clock:now');
+  ipcMain.handle('clock:now', () => ({
+    now: now(),
+    source
+  }));
+
+  if (powerMonitor) {
+    powerMonitor.removeListener('suspend', handleSuspend);
+    powerMonitor.removeListener('resume', handleResume);
+    powerMonitor.on('suspend', handleSuspend);
+    powerMonitor.on('resume', handleResume);
+  }
+
+  syncWithServer();
+
+  if (VERBOSE_LOGGING) {
+    console.log('Trusted clock handler registered');
+  }
+}
+
+module.exports = {
+  now,
+  reanchor,
+  syncWithServer,
+  setupTrustedClock
+};
@@ -6,6 +6,7 @@ import DisclaimerPage from "./pages/student/DisclaimerPage";
 import FaceScanPage from "./pages/student/FaceScanPage";
 import QuizPage from "./pages/student/QuizPage";
 import ScoreSummaryPage from "./pages/student/ScoreSummaryPage";
+import AttemptReviewPage from "./pages/student/AttemptReviewPage";
 import FaceDetectionBenchmarkPage from "./pages/student/FaceDetectionBenchmarkPage";
 import TeacherDashboard from "./pages/teacher/TeacherDashboard";
 import CreateQuizPage from "./pages/teacher/CreateQuizPage";
@@ -14,6 +15,8 @@ import StudentLogsPage from './pages/teacher/StudentLogsPage';
 import QuestionManagementLandingPage from './pages/teacher/QuestionManagementLandingPage';
 import StudentLogTimeLinePage from './pages/teacher/StudentLogTimeLinePage';
 import ViolationSummaryPage from './pages/teacher/ViolationSummaryPage';
+import ItemAnalyticsPage from './pages/teacher/ItemAnalyticsPage';
+import GradingQueuePage from './pages/teacher/GradingQueuePage';
 import LoginPage from './pages/login/LoginPage';
 import IPCDemo from './components/utilities/IPCDemo';
 import SecurityTest from './pages/SecurityTest';
@@ -160,6 +163,14 @@ function App() {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/results/:attemptId" 
+            element={
+              <ProtectedRoute requiredRoles="student">
+                <AttemptReviewPage />
+              </ProtectedRoute>
+            } 
+          />
           
           {/* Development routes */}
           <Route path="/ipc-demo" element={<IPCDemo />} />
@@ -194,6 +205,14 @@ function App() {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/teacher/edit-quiz/:quizId" 
+            element={
+              <ProtectedRoute requiredRoles="teacher">
+                <CreateQuizPage />
+              </ProtectedRoute>
+            } 
+          />
           <Route 
             path="/teacher/questions/:paperCode" 
             element={
@@ -234,6 +253,22 @@ function App() {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/teacher/analytics/:paperCode" 
+            element={
+              <ProtectedRoute requiredRoles="teacher">
+                <ItemAnalyticsPage />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/teacher/grading/:paperCode" 
+            element={
+              <ProtectedRoute requiredRoles="teacher">
+                <GradingQueuePage />
+              </ProtectedRoute>
+            } 
+          />
           
           {/* 404 - Redirect to login */}
           <Route path="*" element={<Navigate to="/login" replace />} />
@@ -0,0 +1,97 @@
+// src/components/quiz/EssayEditor.jsx
+
+import React, { useRef, useState } from 'react';
+import { gradingService } from '../../services/gradingService';
+
+const LIST_MARKER = /^(•|\d+\.) /;
+
+/**
+ * Plain-text editor for essay answers: a word counter that stops the answer
+ * growing past the question's maximum, simple bulleted and numbered lists,
+ * and the time the draft was last saved (QuizPage checkpoints every change).
+ *
+ * The answer is the typed text.
+ */
+const EssayEditor = ({ question, answer, onAnswer, disabled, savedAt }) => {
+  const textareaRef = useRef(null);
+  const [limitReached, setLimitReached] = useState(false);
+
+  const text = answer ?? '';
+  const wordCount = gradingService.countWords(text);
+  const minWords = Number(question.minWords) || null;
+  const maxWords = Number(question.maxWords) || null;
+
+  // ✅ Edits that would take the answer past the word limit are refused
+  const handleChange = (value) => {
+    const words = gradingService.countWords(value);
+    if (maxWords && words > maxWords && words > wordCount) {
+      setLimitReached(true);
+      return;
+    }
+    setLimitReached(false);
+    onAnswer(value);
+  };
+
+  // Turn the lines touched by the selection into a list (or back into plain lines)
+  const toggleList = (numbered) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+
+    const start = text.lastIndexOf('\n', textarea.selectionStart - 1) + 1;
+    const lineEnd = text.indexOf('\n', textarea.selectionEnd);
+    const end = lineEnd === -1 ? text.length : lineEnd;
+    const lines = text.slice(start, end).split('\n');
+    const isList = lines.every(line => (numbered ? /^\d+\. / : /^• /).test(line));
+
+    const updated = lines.map((line, index) => {
+      const plain = line.replace(LIST_MARKER, '');
+      if (isList) return plain;
+      return `${numbered ? `${index + 1}.` : '•'} ${plain}`;
+    });
+
+    handleChange(text.slice(0, start) + updated.join('\n') + text.slice(end));
+    textarea.focus();
+  };
+
+  const limitText = minWords && maxWords
+    ? `${minWords}–${maxWords} words`
+    : maxWords
+    ? `up to ${maxWords} words`
+    : minWords
+    ? `at least ${minWords} words`
+    : null;
+
+  return (
+    <div className="essay-editor">
+      <div className="essay-toolbar" role="toolbar" aria-label="Formatting">
+        <button type="button" onClick={() => toggleList(false)} disabled={disabled}>• List</button>
+        <button type="button" onClick={() => toggleList(true)} disabled={disabled}>1. List</button>
+      </div>
+      <textarea
+        ref={textareaRef}
+        className="essay-input"
+        value={text}
+        onChange={(e) => handleChange(e.target.value)}
+        placeholder="Write your answer"
+        rows={12}
+        spellCheck
+        disabled={disabled}
+        aria-describedby={`essay-status-${question.id}`}
+      />
+      <div className="essay-status" id={`essay-status-${question.id}`}>
+        <span className={limitReached || (minWords && wordCount < minWords) ? 'word-count word-count-warning' : 'word-count'}>
+          {wordCount} {wordCount === 1 ? 'word' : 'words'}
+          {limitText && ` (${limitText})`}
+          {limitReached && ' — word limit reached'}
+        </span>
+        {savedAt && text && (
+          <span className="essay-saved" aria-live="polite">
+            ✓ Draft saved {new Date(savedAt).toLocaleTimeString()}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EssayEditor;
@@ -0,0 +1,84 @@
+// src/components/quiz/OrderingList.jsx
+
+import React, { useState } from 'react';
+
+/**
+ * Items the student puts in order, by dragging them or with the Move up /
+ * Move down buttons (keyboard users tab to the buttons). Each move is
+ * announced to screen readers.
+ *
+ * The answer is the option indices in the student's order, or null until
+ * they move something or accept the order shown.
+ */
+const OrderingList = ({ question, answer, onAnswer, disabled }) => {
+  const items = question.choices || [];
+  const [draggedPosition, setDraggedPosition] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+
+  const order = Array.isArray(answer) && answer.length === items.length
+    ? answer
+    : items.map((_, index) => index);
+
+  const moveItem = (from, to) => {
+    if (disabled || to < 0 || to >= order.length || from === to) return;
+    const updated = [...order];
+    const [moved] = updated.splice(from, 1);
+    updated.splice(to, 0, moved);
+    onAnswer(updated);
+    setAnnouncement(`${items[moved]} moved to position ${to + 1} of ${order.length}.`);
+  };
+
+  const handleDrop = (event, position) => {
+    event.preventDefault();
+    if (draggedPosition !== null) moveItem(draggedPosition, position);
+    setDraggedPosition(null);
+  };
+
+  return (
+    <div className="ordering">
+      <p className="select-all-hint" id={`ordering-hint-${question.id}`}>
+        Drag the items into the correct order, or use the arrow buttons.
+      </p>
+      <ol className="ordering-list" aria-describedby={`ordering-hint-${question.id}`}>
+        {order.map((index, position) => (
+          <li
+            key={index}
+            className={`ordering-item ${draggedPosition === position ? 'dragging' : ''}`}
+            draggable={!disabled}
+            onDragStart={() => setDraggedPosition(position)}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => handleDrop(e, position)}
+            onDragEnd={() => setDraggedPosition(null)}
+          >
+            <span className="ordering-position">{position + 1}.</span>
+            <span className="ordering-text">{items[index]}</span>
+            <button
+              type="button"
+              onClick={() => moveItem(position, position - 1)}
+              disabled={disabled || position === 0}
+              aria-label={`Move ${items[index]} up`}
+            >
+              ▲
+            </button>
+            <button
+              type="button"
+              onClick={() => moveItem(position, position + 1)}
+              disabled={disabled || position === order.length - 1}
+              aria-label={`Move ${items[index]} down`}
+            >
+              ▼
+            </button>
+          </li>
+        ))}
+      </ol>
+      {!Array.isArray(answer) && (
+        <button type="button" className="ordering-keep" onClick={() => onAnswer(order)} disabled={disabled}>
+          Keep this order
+        </button>
+      )}
+      <p className="ordering-announcement" aria-live="polite">{announcement}</p>
+    </div>
+  );
+};
+
+export default OrderingList;
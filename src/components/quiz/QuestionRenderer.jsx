@@ -0,0 +1,215 @@
+// src/components/quiz/QuestionRenderer.jsx
+
+import React from 'react';
+import EssayEditor from './EssayEditor';
+import OrderingList from './OrderingList';
+import { BLANK_MARKER, countBlanks } from '../../services/questionValidation';
+
+/**
+ * Renders a single authored question (the shape AddQuestionForm saves)
+ * and reports the student's answer back to the parent.
+ *
+ * Answer formats per type:
+ * - multiple-choice: index of the selected choice
+ * - multiple-response: indices of the ticked choices in ascending order (null when none)
+ * - true-false: 'true' | 'false'
+ * - fill-in-the-blank: the typed string, or with several blanks (marked ___ in the text)
+ *   the typed strings in blank order (null while all are empty)
+ * - numeric: the typed string, unit included (gradingService parses it)
+ * - matching: per term (question.prompts), the index of the chosen match or null
+ *   (the whole answer is null when no match is chosen)
+ * - ordering: the choice indices in the student's order (see OrderingList)
+ * - essay: the typed text (savedAt is when the draft was last saved)
+ */
+const QuestionRenderer = ({ question, answer, onAnswer, disabled, savedAt }) => {
+  if (!question) return null;
+
+  const hasSeveralBlanks = question.type === 'fill-in-the-blank' && countBlanks(question.text) > 1;
+
+  const renderMultipleChoice = () => (
+    <div className="choices">
+      {(question.choices || []).map((choice, index) => (
+        <button
+          key={index}
+          className={`choice-btn ${answer === index ? 'selected' : ''}`}
+          onClick={() => onAnswer(index)}
+          disabled={disabled}
+        >
+          {choice}
+        </button>
+      ))}
+    </div>
+  );
+
+  // Ticking or unticking a box toggles its index in the answer
+  const toggleChoice = (index) => {
+    const selected = Array.isArray(answer) ? answer : [];
+    const updated = selected.includes(index)
+      ? selected.filter(i => i !== index)
+      : [...selected, index].sort((a, b) => a - b);
+    onAnswer(updated.length > 0 ? updated : null);
+  };
+
+  const renderMultipleResponse = () => (
+    <fieldset className="choices multiple-response">
+      <legend className="select-all-hint">Select all that apply</legend>
+      {(question.choices || []).map((choice, index) => {
+        const checked = Array.isArray(answer) && answer.includes(index);
+        return (
+          <label key={index} className={`choice-btn choice-checkbox ${checked ? 'selected' : ''}`}>
+            <input
+              type="checkbox"
+              checked={checked}
+              onChange={() => toggleChoice(index)}
+              disabled={disabled}
+            />
+            {choice}
+          </label>
+        );
+      })}
+    </fieldset>
+  );
+
+  const renderTrueFalse = () => (
+    <div className="choices">
+      {['true', 'false'].map((value) => (
+        <button
+          key={value}
+          className={`choice-btn ${answer === value ? 'selected' : ''}`}
+          onClick={() => onAnswer(value)}
+          disabled={disabled}
+        >
+          {value === 'true' ? 'True' : 'False'}
+        </button>
+      ))}
+    </div>
+  );
+
+  // Several blanks are typed into the question text itself
+  const fillBlank = (blank, value) => {
+    const current = Array.isArray(answer) ? answer : [];
+    const updated = Array.from({ length: countBlanks(question.text) }, (_, i) => (i === blank ? value : current[i] ?? ''));
+    onAnswer(updated.some(text => text.trim() !== '') ? updated : null);
+  };
+
+  const renderBlankSentence = () => {
+    const blankCount = countBlanks(question.text);
+    return question.text.split(BLANK_MARKER).map((segment, blank) => (
+      <React.Fragment key={blank}>
+        {segment}
+        {blank < blankCount && (
+          <input
+            type="text"
+            className="blank-input"
+            value={Array.isArray(answer) ? answer[blank] ?? '' : ''}
+            onChange={(e) => fillBlank(blank, e.target.value)}
+            aria-label={`Blank ${blank + 1} of ${blankCount}`}
+            disabled={disabled}
+          />
+        )}
+      </React.Fragment>
+    ));
+  };
+
+  const renderFillInTheBlank = () => (
+    <div className="choices">
+      <input
+        type="text"
+        className="fill-in-input"
+        value={answer ?? ''}
+        onChange={(e) => onAnswer(e.target.value)}
+        placeholder="Type your answer"
+        disabled={disabled}
+      />
+    </div>
+  );
+
+  // One dropdown per term; clearing every one leaves the question unanswered
+  const chooseMatch = (term, value) => {
+    const current = Array.isArray(answer) ? answer : [];
+    const updated = (question.prompts || []).map((_, i) => (i === term ? value : current[i] ?? null));
+    onAnswer(updated.some(index => index !== null) ? updated : null);
+  };
+
+  const renderMatching = () => (
+    <div className="choices matching">
+      {(question.prompts || []).map((prompt, term) => (
+        <div className="matching-row" key={term}>
+          <label htmlFor={`match-${question.id}-${term}`} className="matching-term">{prompt}</label>
+          <select
+            id={`match-${question.id}-${term}`}
+            className="matching-select"
+            value={Array.isArray(answer) && answer[term] !== null && answer[term] !== undefined ? answer[term] : ''}
+            onChange={(e) => chooseMatch(term, e.target.value === '' ? null : Number(e.target.value))}
+            disabled={disabled}
+          >
+            <option value="">Choose a match…</option>
+            {(question.choices || []).map((choice, index) => (
+              <option key={index} value={index}>{choice}</option>
+            ))}
+          </select>
+        </div>
+      ))}
+    </div>
+  );
+
+  // Typed as text so decimal commas, exponents and units can be entered
+  const renderNumeric = () => {
+    const units = question.units || [];
+    return (
+      <div className="choices">
+        <input
+          type="text"
+          inputMode="decimal"
+          className="fill-in-input numeric-input"
+          value={answer ?? ''}
+          onChange={(e) => onAnswer(e.target.value)}
+          placeholder={units.length > 0 ? `Type a number, e.g. 12.5 ${units[0]}` : 'Type a number'}
+          disabled={disabled}
+          aria-describedby={units.length > 0 ? `numeric-units-${question.id}` : undefined}
+        />
+        {units.length > 0 && (
+          <p className="numeric-hint" id={`numeric-units-${question.id}`}>
+            {question.unitRequired ? 'Include the unit' : 'Unit (optional)'}: {units.join(', ')}
+          </p>
+        )}
+        {question.sigFigs && (
+          <p className="numeric-hint">Give your answer to {question.sigFigs} significant figures.</p>
+        )}
+      </div>
+    );
+  };
+
+  const renderAnswerArea = () => {
+    switch (question.type) {
+      case 'multiple-response':
+        return renderMultipleResponse();
+      case 'true-false':
+        return renderTrueFalse();
+      case 'fill-in-the-blank':
+        return hasSeveralBlanks ? null : renderFillInTheBlank();
+      case 'numeric':
+        return renderNumeric();
+      case 'matching':
+        return renderMatching();
+      case 'ordering':
+        return <OrderingList question={question} answer={answer} onAnswer={onAnswer} disabled={disabled} />;
+      case 'essay':
+        return (
+          <EssayEditor question={question} answer={answer} onAnswer={onAnswer} disabled={disabled} savedAt={savedAt} />
+        );
+      case 'multiple-choice':
+      default:
+        return renderMultipleChoice();
+    }
+  };
+
+  return (
+    <div className="question-box">
+      <h2>{hasSeveralBlanks ? renderBlankSentence() : question.text}</h2>
+      {renderAnswerArea()}
+    </div>
+  );
+};
+
+export default QuestionRenderer;
@@ -0,0 +1,72 @@
+// src/components/review/AttemptOutcomeForm.jsx
+
+import React, { useState, useEffect } from 'react';
+import { ATTEMPT_OUTCOMES, OUTCOME_LABELS } from '../../services/reviewService';
+import './review.css';
+
+/**
+ * Sets an attempt's final outcome (accepted, score withheld, invalidated)
+ * with a note for the student. Until an outcome is saved, the outcome
+ * suggested by the violation reviews is preselected.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.current - The attempt's saved review ({ outcome, note, reviewer, decidedAt })
+ * @param {string} props.suggested - Suggested outcome (see reviewService.suggestOutcome)
+ * @param {{ total: number, reviewed: number }} props.progress - Violation review progress
+ * @param {Function} props.onSave - Called with ({ outcome, note }); may return a promise
+ */
+const AttemptOutcomeForm = ({ current, suggested, progress, onSave }) => {
+  const [outcome, setOutcome] = useState(current?.outcome || suggested);
+  const [note, setNote] = useState(current?.note || '');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setOutcome(current?.outcome || suggested);
+    setNote(current?.note || '');
+  }, [current, suggested]);
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await onSave({ outcome, note });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="attempt-outcome">
+      <h4>Attempt outcome</h4>
+      <p className="review-progress">
+        {progress.reviewed} of {progress.total} violations reviewed
+      </p>
+      {current && (
+        <p className={`review-status outcome-${current.outcome}`}>
+          {OUTCOME_LABELS[current.outcome]} by {current.reviewer?.name} · {new Date(current.decidedAt).toLocaleString()}
+        </p>
+      )}
+      <div className="outcome-fields">
+        <select value={outcome} onChange={(e) => setOutcome(e.target.value)} aria-label="Attempt outcome">
+          {Object.values(ATTEMPT_OUTCOMES).map((value) => (
+            <option key={value} value={value}>
+              {OUTCOME_LABELS[value]}{value === suggested ? ' (suggested)' : ''}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          className="review-note"
+          placeholder="Note for the student (optional)"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          aria-label="Outcome note"
+        />
+        <button className="review-btn save-outcome" onClick={save} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Outcome'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AttemptOutcomeForm;
@@ -0,0 +1,64 @@
+// src/components/review/EventReviewForm.jsx
+
+import React, { useState, useEffect } from 'react';
+import { REVIEW_DECISIONS, DECISION_LABELS } from '../../services/reviewService';
+import './review.css';
+
+/**
+ * Lets a teacher mark one violation as a false positive, confirmed or
+ * escalated, with a note. Shows the current decision and who made it.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.review - Current review of the event, if any
+ * @param {Function} props.onDecide - Called with ({ decision, note }); may return a promise
+ * @param {boolean} [props.compact] - Single-line layout for tables
+ */
+const EventReviewForm = ({ review, onDecide, compact = false }) => {
+  const [note, setNote] = useState(review?.note || '');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setNote(review?.note || '');
+  }, [review]);
+
+  const decide = async (decision) => {
+    setSaving(true);
+    try {
+      await onDecide({ decision, note });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className={`event-review ${compact ? 'compact' : ''}`}>
+      {review && (
+        <p className={`review-status decision-${review.decision}`}>
+          {DECISION_LABELS[review.decision]} by {review.reviewer?.name} · {new Date(review.reviewedAt).toLocaleString()}
+        </p>
+      )}
+      <input
+        type="text"
+        className="review-note"
+        placeholder="Note (optional)"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        aria-label="Review note"
+      />
+      <div className="review-actions">
+        {Object.values(REVIEW_DECISIONS).map((decision) => (
+          <button
+            key={decision}
+            className={`review-btn decision-${decision} ${review?.decision === decision ? 'active' : ''}`}
+            onClick={() => decide(decision)}
+            disabled={saving}
+          >
+            {DECISION_LABELS[decision]}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default EventReviewForm;
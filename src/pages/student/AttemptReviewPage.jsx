@@ -0,0 +1,90 @@
+// src/pages/student/AttemptReviewPage.jsx
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../../services/authContext';
+import { resultsService } from '../../services/resultsService';
+import './review.css';
+
+const AttemptReviewPage = () => {
+  const { attemptId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const studentId = user?.id || user?.username || localStorage.getItem('username') || 'anonymous';
+  const [review, setReview] = useState(null); // { summary, items }
+  const [loadError, setLoadError] = useState(null);
+
+  // ✅ Only released reviews of the student's own attempts are returned
+  useEffect(() => {
+    resultsService.getAttemptReview(attemptId, studentId)
+      .then(setReview)
+      .catch((error) => {
+        console.error('[AttemptReviewPage] Failed to load review:', error);
+        setLoadError(error.message);
+      });
+  }, [attemptId, studentId]);
+
+  return (
+    <div className="review-wrapper">
+      <button className="back-btn" onClick={() => navigate('/')}>← Back to Dashboard</button>
+
+      {loadError ? (
+        <p className="review-error">⚠️ {loadError}</p>
+      ) : !review ? (
+        <p className="review-loading">Loading your answers...</p>
+      ) : (
+        <>
+          <h2>{review.summary.quizTitle}</h2>
+          <p className="review-score">
+            {review.summary.earnedPoints} / {review.summary.possiblePoints} ({review.summary.percentage}%)
+            {' — '}
+            <span className={review.summary.passed ? 'result-passed' : 'result-failed'}>
+              {review.summary.passed ? 'Passed' : 'Not Passed'}
+            </span>
+            {' '}(pass mark {review.summary.passPercentage}%)
+          </p>
+
+          <ol className="review-list">
+            {review.items.map(item => (
+              <li key={item.questionId} className={`review-item ${item.correct ? 'item-correct' : 'item-incorrect'}`}>
+                <div className="review-item-header">
+                  <span className="review-question">{item.number}. {item.text}</span>
+                  <span className="review-points">{item.earnedPoints} / {item.possiblePoints} pt</span>
+                </div>
+                {item.type === 'essay' ? (
+                  <>
+                    <p><strong>Your answer:</strong></p>
+                    {item.answer === null ? <p><em>No answer</em></p> : <p className="review-essay">{item.answer}</p>}
+                    {item.rubricScores && (
+                      <ul className="review-rubric">
+                        {item.rubricScores.map(score => (
+                          <li key={score.criterion}>{score.criterion}: {score.earnedPoints} / {score.points}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </>
+                ) : (
+                  <>
+                    <p>
+                      <strong>Your answer:</strong>{' '}
+                      {item.answer === null ? <em>No answer</em> : item.answer}
+                      {' '}{item.correct ? '✔' : '✘'}
+                    </p>
+                    {!item.correct && (
+                      <p><strong>Correct answer:</strong> {item.correctAnswer ?? '—'}</p>
+                    )}
+                  </>
+                )}
+                {item.comment && (
+                  <p className="review-comment"><strong>Teacher's comment:</strong> {item.comment}</p>
+                )}
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AttemptReviewPage;
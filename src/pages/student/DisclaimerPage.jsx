@@ -1,18 +1,20 @@
 // src/pages/student/DisclaimerPage.jsx
 
 import React, { useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useLocation, Navigate } from "react-router-dom";
 import "./disclaimer.css";
 import logo from "../../assets/quizsecure-logo.png";
 
 function DisclaimerPage() {
   const [accepted, setAccepted] = useState(false);
   const navigate = useNavigate();
+  const location = useLocation();
+  const paper = location.state; // { quizId, paperCode, quizTitle } from the redeemed code
 
-  // ✅ If checkbox is checked, proceed to Face Scan Page
+  // ✅ If checkbox is checked, proceed to Face Scan Page (keeping the redeemed paper)
   const handleAccept = () => {
     if (accepted) {
-      navigate("/face-scan"); // Navigate to Face Scan step
+      navigate("/face-scan", { state: paper }); // Navigate to Face Scan step
     }
   };
 
@@ -26,6 +28,11 @@ function DisclaimerPage() {
     navigate("/");
   };
 
+  // 🚫 No redeemed paper: start again from the dashboard
+  if (!paper?.quizId) {
+    return <Navigate to="/" replace />;
+  }
+
   return (
     <div className="disclaimer-container">
       <aside className="disclaimer-sidebar">
@@ -41,6 +48,9 @@ function DisclaimerPage() {
       <main className="disclaimer-main">
         <div className="disclaimer-card">
           <h1>Disclaimer</h1>
+          {paper.quizTitle && (
+            <p className="paper-info">📌 {paper.quizTitle} ({paper.paperCode})</p>
+          )}
 
           {/* 📌 Placeholder disclaimer text — replace with real policy */}
           <p className="placeholder-text">
@@ -1,7 +1,7 @@
 // src/pages/student/FaceScanPage.jsx
 
 import React, { useEffect, useRef, useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useLocation, Navigate } from "react-router-dom";
 import { FaceMesh } from "@mediapipe/face_mesh";
 import logo from "../../assets/quizsecure-logo.png";
 import * as webcamService from "../../services/webcamService";
@@ -18,6 +18,8 @@ function FaceScanPage() {
   const videoRef = useRef(null);
   const faceMeshRef = useRef(null);
   const navigate = useNavigate();
+  const location = useLocation();
+  const paper = location.state; // redeemed paper carried from the dashboard
   const previousDetectionStateRef = useRef(null); // { faceCount: 0 } or similar
 
   // Initialize face detection
@@ -289,6 +291,11 @@ function FaceScanPage() {
     setSelectedDeviceId(e.target.value);
   };
 
+  // 🚫 No redeemed paper: start again from the dashboard
+  if (!paper?.quizId) {
+    return <Navigate to="/" replace />;
+  }
+
   return (
     <div className="facescan-container">
       {/* Sidebar */}
@@ -348,11 +355,11 @@ function FaceScanPage() {
              faceDetected ? "Face Detected" : "Face Not Detected"}
           </p>
           <div className="button-section">
-            <button onClick={() => navigate("/disclaimer")} className="back-btn">
+            <button onClick={() => navigate("/disclaimer", { state: paper })} className="back-btn">
               Back
             </button>
             <button
-              onClick={() => navigate("/quiz")}
+              onClick={() => navigate("/quiz", { state: paper })}
               className="proceed-btn"
               disabled={!permissionGranted || !isStreaming || !faceDetected}
             >
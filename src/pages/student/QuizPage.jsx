@@ -1,21 +1,78 @@
 // src/pages/student/QuizPage.jsx
 
 import React, { useState, useEffect, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
 import { FaceMesh } from '@mediapipe/face_mesh';
 import * as webcamService from '../../services/webcamService';
+import { quizService } from '../../services/quizService';
+import { paperGenerator } from '../../services/paperGenerator';
+import { attemptCheckpointService } from '../../services/attemptCheckpointService';
+import { submissionService } from '../../services/submissionService';
+import { gradingService } from '../../services/gradingService';
+import { trustedClockService } from '../../services/trustedClockService';
+import { quizScheduleService, SCHEDULE_STATUS } from '../../services/quizScheduleService';
+import { attemptService } from '../../services/attemptService';
+import { proctoringEventService, EVENT_TYPES } from '../../services/proctoringEventService';
+import { snapshotService } from '../../services/snapshotService';
+import { proctoringSettings, RECORDING_POLICIES } from '../../services/proctoringSettings';
+import { liveMonitorService, ALERT_TYPES, FACE_STATUS } from '../../services/liveMonitorService';
+import { LIVE_MONITORING } from '../../services/config';
+import { useAuth } from '../../services/authContext';
+import QuestionRenderer from '../../components/quiz/QuestionRenderer';
 import './quiz.css';
 
+// Fallback duration (seconds) when a quiz definition has no timer
+const DEFAULT_QUIZ_DURATION = 3600;
+// Typing in a text answer is logged once it pauses for this long (ms)
+const ANSWER_LOG_DELAY = 1500;
+// Question types answered by typing, whose answer logs wait for a pause
+const TYPED_ANSWER_TYPES = ['fill-in-the-blank', 'numeric', 'essay'];
+
+// Why an attempt was submitted automatically: logged reason and what the student is told
+const AUTO_SUBMIT_REASONS = {
+  timer: { logReason: 'time-expired', message: '⏰ Time is up. Your answers were submitted automatically.' },
+  window: { logReason: 'window-closed', message: '⏰ The quiz window has closed. Your answers were submitted automatically.' },
+  'tab-limit': {
+    logReason: 'tab-switch-limit',
+    message: '🚫 You left the quiz more often than allowed. Your answers were submitted automatically.'
+  },
+  recording: {
+    logReason: 'screen-recording',
+    message: '🚫 Screen recording is not allowed during this quiz. Your answers were submitted automatically.'
+  },
+  teacher: {
+    logReason: 'ended-by-teacher',
+    message: '🛑 Your teacher ended this attempt. Your answers were submitted.'
+  }
+};
+
 const QuizPage = () => {
-  const [questions, setQuestions] = useState([]); // ✅ To be filled by backend
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { quizId, paperCode } = location.state || {};
+  const { user } = useAuth();
+  const studentId = user?.id || user?.username || localStorage.getItem('username') || 'anonymous';
+  const studentName = user?.name || studentId;
+
+  const [quiz, setQuiz] = useState(null);
+  const [paper, setPaper] = useState(null);
+  const [attempt, setAttempt] = useState(null);
+  const [questions, setQuestions] = useState([]);
+  const [loadError, setLoadError] = useState(null);
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
   const [textSize, setTextSize] = useState('medium');
   const [showProgressViewer, setShowProgressViewer] = useState(false);
   const [answeredQuestions, setAnsweredQuestions] = useState([]);
   const [answers, setAnswers] = useState([]);
-  const [timer, setTimer] = useState(3600); // ✅ Adjust default from backend
+  const [timer, setTimer] = useState(DEFAULT_QUIZ_DURATION);
   const [isWindowFocused, setIsWindowFocused] = useState(true);
   const [isFaceDetected, setIsFaceDetected] = useState(false);
   const [quizPaused, setQuizPaused] = useState(true);
+  const [resumeInfo, setResumeInfo] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [clockNow, setClockNow] = useState(null); // trusted time (ms), refreshed every tick
+  const [answersSavedAt, setAnswersSavedAt] = useState(null); // last checkpoint of changed answers
   
   // Webcam-related states
   const [permissionGranted, setPermissionGranted] = useState(false);
@@ -24,7 +81,19 @@ const QuizPage = () => {
   const [isStreaming, setIsStreaming] = useState(false);
   const [error, setError] = useState(null);
 
-  const forwardOnly = true; // ✅ Replace with backend config later
+  // ✅ Navigation mode and duration come from the quiz definition
+  const forwardOnly = quiz?.forwardOnly ?? true;
+  const quizDuration = quiz?.timer ? quiz.timer * 60 : DEFAULT_QUIZ_DURATION;
+
+  // ✅ Per-paper proctoring rules (face checks, tab-switch limit, recording policy)
+  const proctoring = proctoringSettings.resolveProctoringSettings(quiz);
+
+  // ✅ Time left is the attempt timer, cut short by the end of the scheduled window
+  const { secondsLeft, reason: timeLeftReason } = quiz && clockNow !== null
+    ? quizScheduleService.getTimeLeft(timer, quiz, clockNow)
+    : { secondsLeft: timer, reason: 'timer' };
+  const warningThresholds = quizScheduleService.getWarningThresholds(quiz);
+  const isTimeLow = !!quiz && warningThresholds.length > 0 && secondsLeft <= warningThresholds[0] * 60;
 
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
@@ -32,30 +101,129 @@ const QuizPage = () => {
   const animationFrameRef = useRef(null);
   const previousDetectionStateRef = useRef(null);
   const proctoringLogRef = useRef([]);
+  const eventContextRef = useRef({ studentId }); // attempt the proctoring events belong to
+  const furthestQuestionIndexRef = useRef(0);
+  const checkpointReadyRef = useRef(false);
+  const checkpointedAnswersRef = useRef(null);
+  const lastTickRef = useRef(Date.now());
+  const pausedSecondsRef = useRef(0); // timer paused (face out of view), given back on resume
+  const shownWarningsRef = useRef(new Set());
+  const autoSubmittedRef = useRef(false);
+  const submitQuizRef = useRef(null);
+  const pendingAnswerLogRef = useRef(null); // { timer, questionIndex, log } while typing
+  const proctoringRef = useRef(proctoring); // read by long-lived handlers (FaceMesh, blur, IPC)
+  proctoringRef.current = proctoring;
+  const faceStatusRef = useRef(FACE_STATUS.UNKNOWN); // for the live monitor heartbeat
+  const liveStatusRef = useRef({});
+  const handledAlertIdsRef = useRef(new Set());
+  const storageWarnedRef = useRef(false);
 
-  // ✅ Placeholder: Load questions from backend when component mounts
+  // ✅ Load the quiz for the redeemed paper (route state) through quizService
   useEffect(() => {
-    // TODO: Backend - Fetch quiz questions by paperCode or token
-    // fetch('/api/quiz/questions?paperCode=XYZ&studentId=123')
-    //   .then(res => res.json())
-    //   .then(data => setQuestions(data));
-    
-    // Mock questions for development
-    setQuestions([
-      {
-        question: 'What is the capital of France?',
-        choices: ['London', 'Paris', 'Berlin', 'Madrid']
-      },
-      {
-        question: 'Which planet is known as the Red Planet?',
-        choices: ['Earth', 'Mars', 'Jupiter', 'Venus']
-      },
-      {
-        question: 'What is 2 + 2?',
-        choices: ['3', '4', '5', '22']
+    let cancelled = false;
+
+    const loadQuiz = async () => {
+      if (!quizId && !paperCode) {
+        setLoadError('No quiz selected. Please redeem a paper code from your dashboard.');
+        return;
       }
-    ]);
-  }, []);
+
+      try {
+        const quizData = quizId
+          ? await quizService.getQuizById(quizId)
+          : await quizService.getQuizByPaperCode(paperCode);
+        if (cancelled) return;
+
+        if (!quizData || !Array.isArray(quizData.questions) || quizData.questions.length === 0) {
+          setLoadError('This quiz could not be found or has no questions yet.');
+          return;
+        }
+
+        const now = await trustedClockService.getTrustedNow();
+        if (cancelled) return;
+
+        // 🎲 Draw this student's paper (pools + shuffling, seeded per student)
+        const generatedPaper = paperGenerator.generatePaper(quizData, studentId);
+
+        // 💾 A checkpoint means the app crashed or was closed mid-attempt
+        const checkpoint = attemptCheckpointService.loadCheckpoint(quizData.id, studentId);
+        const resumable = !!attemptCheckpointService.planResume(checkpoint, generatedPaper.questionIds);
+
+        // ⏰ Refuse entry outside the scheduled window (checked against the main-process clock).
+        // An attempt cut off by the window closing is let in so its saved answers are submitted.
+        const entry = quizScheduleService.checkEntry(quizData, now);
+        const closedMidAttempt = entry.status === SCHEDULE_STATUS.CLOSED && resumable;
+        if (!entry.allowed && !closedMidAttempt) {
+          setLoadError(entry.message);
+          return;
+        }
+        setClockNow(now);
+
+        // 🎟️ Start (or continue) an attempt; refused once the attempt limit is used up
+        let currentAttempt;
+        try {
+          currentAttempt = await attemptService.startAttempt(quizData, studentId, { studentName });
+        } catch (err) {
+          if (!cancelled) setLoadError(err.message);
+          return;
+        }
+        if (cancelled) return;
+        setAttempt(currentAttempt);
+        eventContextRef.current = {
+          attemptId: currentAttempt.id,
+          quizId: quizData.id,
+          paperCode: quizData.paperCode,
+          studentId
+        };
+
+        const durationSeconds = quizData.timer ? quizData.timer * 60 : DEFAULT_QUIZ_DURATION;
+        setQuiz(quizData);
+        setPaper(generatedPaper);
+        setQuestions(generatedPaper.questions);
+        setTimer(durationSeconds);
+        setLoadError(null);
+
+        // 💾 Resume from the checkpoint; time kept running since the attempt started. When it
+        // has run out (or the window closed), the auto-submit below submits the saved answers.
+        const resume = attemptCheckpointService.planResume(checkpoint, generatedPaper.questionIds, {
+          forwardOnly: quizData.forwardOnly ?? true,
+          now: new Date(now),
+          startedAt: currentAttempt.startedAt,
+          durationSeconds
+        });
+
+        if (resume) {
+          setAnswers(resume.answers);
+          setAnsweredQuestions(resume.answeredQuestions);
+          setCurrentQuestionIndex(resume.currentQuestionIndex);
+          setTimer(resume.timeRemaining);
+          pausedSecondsRef.current = resume.pausedSeconds;
+          furthestQuestionIndexRef.current = resume.furthestQuestionIndex;
+          proctoringLogRef.current = resume.proctoringLog;
+          setResumeInfo(resume);
+          logEvent(EVENT_TYPES.ATTEMPT_RESUMED, {
+            interruptedAt: resume.interruptedAt,
+            resumedAt: resume.resumedAt,
+            gapSeconds: resume.gapSeconds
+          });
+        } else if (checkpoint) {
+          console.warn('[QuizPage] Discarding checkpoint that no longer matches this paper');
+          attemptCheckpointService.clearCheckpoint(quizData.id, studentId);
+        }
+
+        checkpointReadyRef.current = true;
+      } catch (err) {
+        console.error('[QuizPage] Failed to load quiz:', err);
+        if (!cancelled) setLoadError(`Failed to load quiz: ${err.message}`);
+      }
+    };
+
+    loadQuiz();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [quizId, paperCode, studentId, studentName]);
 
   // ✅ Initialize FaceMesh
   useEffect(() => {
@@ -99,18 +267,24 @@ const QuizPage = () => {
       currentFaceCount = results.multiFaceLandmarks.length;
     }
 
-    const faceVisible = currentFaceCount === 1;
+    // Registered once with FaceMesh, so the paper's rules are read from the ref
+    const { maxFaces, requireFaceCheck } = proctoringRef.current;
+    const isAllowedCount = (count) => count >= 1 && count <= maxFaces;
+    const faceVisible = isAllowedCount(currentFaceCount);
+    faceStatusRef.current = currentFaceCount === 0
+      ? FACE_STATUS.MISSING
+      : faceVisible ? FACE_STATUS.OK : FACE_STATUS.MULTIPLE;
     setIsFaceDetected(faceVisible);
-    setQuizPaused(!faceVisible || !isStreaming);
+    setQuizPaused(!webcamService.isStreaming() || (requireFaceCheck && !faceVisible));
 
     const previousState = previousDetectionStateRef.current;
     const previousFaceCount = previousState ? previousState.faceCount : 0;
 
-    if (currentFaceCount === 1 && previousFaceCount !== 1) {
-      window.dispatchEvent(new CustomEvent('quizsecure:facedetected', { detail: { timestamp: currentTime, faceCount: 1 } }));
+    if (faceVisible && !isAllowedCount(previousFaceCount)) {
+      window.dispatchEvent(new CustomEvent('quizsecure:facedetected', { detail: { timestamp: currentTime, faceCount: currentFaceCount } }));
     } else if (currentFaceCount === 0 && previousFaceCount > 0) {
       window.dispatchEvent(new CustomEvent('quizsecure:facelost', { detail: { timestamp: currentTime } }));
-    } else if (currentFaceCount > 1 && previousFaceCount !== currentFaceCount) {
+    } else if (currentFaceCount > maxFaces && previousFaceCount !== currentFaceCount) {
       window.dispatchEvent(new CustomEvent('quizsecure:multiplefaces', { detail: { timestamp: currentTime, faceCount: currentFaceCount } }));
     }
     
@@ -304,20 +478,119 @@ const QuizPage = () => {
 
   // ✅ Countdown timer
   useEffect(() => {
+    lastTickRef.current = Date.now();
     const countdown = setInterval(() => {
+      // A long pause between ticks means the machine slept or the app froze
+      const now = Date.now();
+      const gapSeconds = Math.round((now - lastTickRef.current) / 1000);
+      lastTickRef.current = now;
+      if (gapSeconds >= attemptCheckpointService.INTERRUPTION_THRESHOLD_SECONDS) {
+        logEvent(EVENT_TYPES.SESSION_GAP, {
+          interruptedAt: new Date(now - gapSeconds * 1000).toISOString(),
+          resumedAt: new Date(now).toISOString(),
+          gapSeconds
+        });
+      }
+
       if (!quizPaused) {
         setTimer(prev => (prev > 0 ? prev - 1 : 0));
+      } else {
+        pausedSecondsRef.current += 1;
       }
+
+      // The schedule window keeps closing even while the timer is paused
+      trustedClockService.getTrustedNow().then(setClockNow);
     }, 1000);
     return () => clearInterval(countdown);
   }, [quizPaused]);
 
+  // ⏰ Warn as the end approaches (thresholds configurable per quiz)
+  useEffect(() => {
+    if (!quiz || submitting) return;
+
+    const { threshold, crossed } = quizScheduleService.getDueWarning(
+      secondsLeft,
+      quizScheduleService.getWarningThresholds(quiz),
+      shownWarningsRef.current
+    );
+    crossed.forEach(t => shownWarningsRef.current.add(t));
+
+    if (threshold !== null && secondsLeft > 0) {
+      const ending = timeLeftReason === 'window' ? 'The quiz window closes' : 'Time runs out';
+      toast.warning(`⏰ ${ending} in ${threshold} minute${threshold === 1 ? '' : 's'}. Your quiz will be submitted automatically.`);
+    }
+  }, [quiz, submitting, secondsLeft, timeLeftReason]);
+
+  // ⏰ Auto-submit when the timer runs out or the window closes
+  useEffect(() => {
+    if (!quiz || questions.length === 0 || secondsLeft > 0 || autoSubmittedRef.current) return;
+
+    autoSubmittedRef.current = true;
+    submitQuizRef.current?.({ auto: true, reason: timeLeftReason });
+  }, [quiz, questions.length, secondsLeft, timeLeftReason]);
+
+  // ✅ Track the furthest question reached (forward-only resume position)
+  useEffect(() => {
+    furthestQuestionIndexRef.current = Math.max(furthestQuestionIndexRef.current, currentQuestionIndex);
+  }, [currentQuestionIndex]);
+
+  // 💾 Checkpoint the attempt to encrypted storage on every change
+  useEffect(() => {
+    if (!checkpointReadyRef.current || !quiz || !paper) return;
+
+    const saved = attemptCheckpointService.saveCheckpoint({
+      quizId: quiz.id,
+      studentId,
+      questionIds: paper.questionIds,
+      answers,
+      answeredQuestions,
+      currentQuestionIndex,
+      furthestQuestionIndex: furthestQuestionIndexRef.current,
+      timeRemaining: timer,
+      pausedSeconds: pausedSecondsRef.current,
+      proctoringLog: proctoringLogRef.current
+    });
+
+    // Essays show when their draft was last saved
+    if (saved && checkpointedAnswersRef.current !== answers) {
+      checkpointedAnswersRef.current = answers;
+      setAnswersSavedAt(Date.now());
+    }
+  }, [quiz, paper, studentId, answers, answeredQuestions, currentQuestionIndex, timer]);
+
   // ✅ Detect tab switching
   useEffect(() => {
-    const handleFocus = () => setIsWindowFocused(true);
+    let awaySince = null;
+
+    // Papers can limit tab switches; going over the limit submits the attempt
+    const enforceTabSwitchLimit = () => {
+      const { allowedTabSwitches } = proctoringRef.current;
+      if (allowedTabSwitches === null || !eventContextRef.current.attemptId) return;
+
+      const switches = proctoringLogRef.current.filter(entry => entry.type === EVENT_TYPES.TAB_SWITCH).length;
+      const remaining = allowedTabSwitches - switches;
+      if (remaining < 0) {
+        submitQuizRef.current?.({ auto: true, reason: 'tab-limit' });
+      } else {
+        toast.warning(remaining === 0
+          ? '⚠️ You have used all your allowed tab switches. Leaving the quiz again will submit it.'
+          : `⚠️ Tab switch recorded. ${remaining} more allowed before your quiz is submitted.`);
+      }
+    };
+
+    const handleFocus = () => {
+      setIsWindowFocused(true);
+      if (awaySince !== null) {
+        // The return closes the tab switch, so teachers can see how long it lasted
+        logEvent(EVENT_TYPES.TAB_RETURN, { awaySeconds: Math.round((Date.now() - awaySince) / 1000) });
+        awaySince = null;
+      }
+    };
     const handleBlur = () => {
       setIsWindowFocused(false);
-      logEvent('TAB_SWITCH');
+      awaySince = Date.now();
+      logEvent(EVENT_TYPES.TAB_SWITCH);
+      enforceTabSwitchLimit();
     };
 
     window.addEventListener('focus', handleFocus);
@@ -328,27 +601,39 @@ const QuizPage = () => {
     };
   }, []);
 
-  // ✅ Logging violations to backend (Face lost, tab switch)
+  // ✅ Record proctoring events (face lost, tab switch, ...) for this attempt
   const logEvent = (type, eventData = {}) => {
-    const logEntry = {
-      type,
-      timestamp: new Date().toISOString(),
-      ...eventData
-    };
-    console.log(`[QUIZ LOG EVENT] Type: ${type}, Details:`, eventData);
-    // TODO: Backend - POST this log to backend server
-    // fetch('/api/logs', {
-    //   method: 'POST',
-    //   headers: { 'Content-Type': 'application/json' },
-    //   body: JSON.stringify({
-    //     eventType: type,
-    //     paperCode: 'XYZ',
-    //     studentId: '123',
-    //     timestamp: new Date().toISOString(),
-    //   })
-    // });
+    let logEntry;
+    try {
+      logEntry = proctoringEventService.recordEvent(type, eventContextRef.current, eventData);
+    } catch (error) {
+      // ✅ Storage is full: the event stays with the attempt's own log; warn the student once
+      logEntry = error.event;
+      if (!storageWarnedRef.current) {
+        storageWarnedRef.current = true;
+        toast.warning('⚠️ This device is out of storage space. Stay online so your attempt can be saved.', { autoClose: false });
+      }
+    }
+    proctoringLogRef.current = [...proctoringLogRef.current, logEntry];
+
+    // 📸 Keep the webcam frame as evidence for violations
+    if (logEntry.violation) {
+      snapshotService.captureForEvent(logEntry);
+    }
   };
 
+  // ✅ Record question navigation for the teacher's timeline
+  useEffect(() => {
+    if (!paper) return;
+    logEvent(EVENT_TYPES.QUESTION_VIEWED, {
+      questionIndex: currentQuestionIndex,
+      questionId: paper.questionIds[currentQuestionIndex]
+    });
+  }, [paper, currentQuestionIndex]);
+
+  // Drop a pending answer log timer when leaving the page
+  useEffect(() => () => clearTimeout(pendingAnswerLogRef.current?.timer), []);
+
   // Request webcam permission if not granted
   const requestPermission = async () => {
     try {
@@ -401,15 +686,50 @@ const QuizPage = () => {
 
   const currentQuestion = questions[currentQuestionIndex];
 
+  // Log a text answer still waiting for typing to pause
+  const flushPendingAnswerLog = () => {
+    const pending = pendingAnswerLogRef.current;
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pendingAnswerLogRef.current = null;
+    pending.log();
+  };
+
   // ✅ Save answer locally
-  const handleAnswer = (choice) => {
+  const handleAnswer = (answer) => {
     const updatedAnswers = [...answers];
-    updatedAnswers[currentQuestionIndex] = choice;
+    updatedAnswers[currentQuestionIndex] = answer;
     setAnswers(updatedAnswers);
 
+    // Clearing a text answer or unticking every box leaves the question unanswered
     const updatedAnswered = [...answeredQuestions];
-    updatedAnswered[currentQuestionIndex] = true;
+    updatedAnswered[currentQuestionIndex] = answer !== null && !(typeof answer === 'string' && answer.trim() === '');
     setAnsweredQuestions(updatedAnswered);
+
+    // Log the change; keystrokes in text answers are logged once typing pauses.
+    // Essays are logged by length rather than copied into the log on every pause.
+    const questionIndex = currentQuestionIndex;
+    const isEssay = currentQuestion?.type === 'essay';
+    const logAnswerChange = () => logEvent(EVENT_TYPES.ANSWER_CHANGED, {
+      questionIndex,
+      questionId: paper?.questionIds[questionIndex],
+      ...(isEssay ? { wordCount: gradingService.countWords(answer) } : { answer })
+    });
+    if (pendingAnswerLogRef.current?.questionIndex === questionIndex) {
+      clearTimeout(pendingAnswerLogRef.current.timer);
+      pendingAnswerLogRef.current = null;
+    }
+    flushPendingAnswerLog();
+
+    if (TYPED_ANSWER_TYPES.includes(currentQuestion?.type)) {
+      const timer = setTimeout(() => {
+        pendingAnswerLogRef.current = null;
+        logAnswerChange();
+      }, ANSWER_LOG_DELAY);
+      pendingAnswerLogRef.current = { timer, questionIndex, log: logAnswerChange };
+    } else {
+      logAnswerChange();
+    }
   };
 
   const nextQuestion = () => {
@@ -430,42 +750,77 @@ const QuizPage = () => {
     }
   };
 
-  // ✅ Submit handler — prepare for backend integration
-  const submitQuiz = () => {
-    // TODO: Backend - POST student answers to backend
-    // fetch('/api/quiz/submit', {
-    //   method: 'POST',
-    //   headers: { 'Content-Type': 'application/json' },
-    //   body: JSON.stringify({
-    //     studentId: '123',
-    //     paperCode: 'XYZ',
-    //     answers,
-    //     timeSpent: 3600 - timer,
-    //   }),
-    // });
-    console.log('Quiz submitted:', { answers, timeSpent: 3600 - timer });
+  // ✅ Submit once through the submission pipeline, then show the summary
+  const submitQuiz = async ({ auto = false, reason = null } = {}) => {
+    if (!quiz || submitting) return;
+
+    setSubmitting(true);
+    flushPendingAnswerLog();
+    const timeSpent = quizDuration - timer;
+
+    if (auto) {
+      const { logReason, message } = AUTO_SUBMIT_REASONS[reason] || AUTO_SUBMIT_REASONS.timer;
+      logEvent(EVENT_TYPES.AUTO_SUBMIT, { reason: logReason });
+      toast.info(message);
+    }
+
+    try {
+      const submission = await submissionService.submitAttempt({
+        attemptId: attempt?.id,
+        quizId: quiz.id,
+        studentId,
+        answers,
+        paper,
+        proctoringLog: proctoringLogRef.current,
+        timeSpent
+      });
+
+      checkpointReadyRef.current = false;
+      attemptCheckpointService.clearCheckpoint(quiz.id, studentId);
+      if (attempt) {
+        await attemptService.completeAttempt(attempt.id, {
+          submittedAt: submission.submittedAt,
+          receiptId: submission.receipt?.receiptId,
+          result: submission.result
+        });
+      }
+      if (submission.queued) {
+        toast.info(submission.message);
+      }
+
+      navigate('/quiz-summary', {
+        state: {
+          result: submission.result,
+          timeSpent,
+          receipt: submission.receipt,
+          queued: submission.queued,
+          quizTitle: quiz.title,
+          paperCode: quiz.paperCode,
+          attemptId: attempt?.id
+        }
+      });
+    } catch (err) {
+      // The checkpoint is kept, so the student can simply try again
+      console.error('[QuizPage] Failed to submit quiz:', err);
+      toast.error(`⚠️ Failed to submit quiz: ${err.message}. Your answers are saved — please try again.`);
+      setSubmitting(false);
+    }
   };
+  submitQuizRef.current = submitQuiz;
 
   // ✅ New useEffect for Listening to Custom Proctoring Events
   useEffect(() => {
     const handleFaceDetected = (event) => {
-      console.log('[PROCTORING EVENT] Face Detected:', event.detail);
-      // Here, you would add logic for proctoring rules, e.g., update UI, log warning
-      // For now, we just log to console
-      proctoringLogRef.current = [...proctoringLogRef.current, { type: 'faceDetected', ...event.detail }];
+      logEvent(EVENT_TYPES.FACE_DETECTED, event.detail);
     };
 
     const handleFaceLost = (event) => {
-      console.log('[PROCTORING EVENT] Face Lost:', event.detail);
-      // Add proctoring logic
-      proctoringLogRef.current = [...proctoringLogRef.current, { type: 'faceLost', ...event.detail }];
+      logEvent(EVENT_TYPES.FACE_LOST, event.detail);
       // Potentially pause quiz or show a more prominent warning via state
     };
 
     const handleMultipleFaces = (event) => {
-      console.log('[PROCTORING EVENT] Multiple Faces Detected:', event.detail);
-      // Add proctoring logic
-      proctoringLogRef.current = [...proctoringLogRef.current, { type: 'multipleFaces', ...event.detail }];
+      logEvent(EVENT_TYPES.MULTIPLE_FACES, event.detail);
       // Potentially pause quiz or show a prominent warning
     };
 
@@ -480,12 +835,103 @@ const QuizPage = () => {
     };
   }, []);
 
+  // ✅ Record screen recording and display changes reported by the main process
+  useEffect(() => {
+    const ipc = window.electron?.ipc;
+    if (!ipc?.on) return;
+
+    const unsubscribeRecording = ipc.on('screen:recording-detected', (data) => {
+      const { recordingPolicy } = proctoringRef.current;
+      if (data?.detected === false || recordingPolicy === RECORDING_POLICIES.OFF) return;
+
+      logEvent(EVENT_TYPES.SCREEN_RECORDING, data);
+      if (recordingPolicy === RECORDING_POLICIES.END) {
+        submitQuizRef.current?.({ auto: true, reason: 'recording' });
+      } else if (recordingPolicy === RECORDING_POLICIES.WARN) {
+        toast.warning('⚠️ Screen recording was detected. This has been logged.');
+      }
+    });
+    const unsubscribeDisplay = ipc.on('screen:display-change', (data) => {
+      logEvent(EVENT_TYPES.DISPLAY_CHANGE, data);
+      toast.warning('⚠️ A display change was detected. This has been logged.');
+    });
+
+    return () => {
+      if (unsubscribeRecording) unsubscribeRecording();
+      if (unsubscribeDisplay) unsubscribeDisplay();
+    };
+  }, []);
+
+  // ✅ Report live status to the teacher's monitor; the reply carries any alerts for this attempt
+  liveStatusRef.current = {
+    currentQuestion: currentQuestionIndex + 1,
+    totalQuestions: questions.length,
+    secondsLeft
+  };
+
+  useEffect(() => {
+    if (!attempt) return;
+
+    const sendHeartbeat = () => liveMonitorService.publishStatus({
+      attemptId: attempt.id,
+      quizId: attempt.quizId,
+      ...liveStatusRef.current,
+      faceStatus: faceStatusRef.current
+    })
+      .then(alerts => liveMonitorService.deliverAlerts(alerts))
+      .catch(err => console.warn('[QuizPage] Live status heartbeat failed:', err));
+
+    sendHeartbeat();
+    const interval = setInterval(sendHeartbeat, LIVE_MONITORING.heartbeatSeconds * 1000);
+    return () => clearInterval(interval);
+  }, [attempt]);
+
+  // ✅ Act on a teacher's warning or force-end (delivered on proctoring:alert)
+  useEffect(() => {
+    const unsubscribe = liveMonitorService.onAlert((alert) => {
+      if (!alert || alert.attemptId !== eventContextRef.current.attemptId) return;
+      if (handledAlertIdsRef.current.has(alert.id)) return;
+      handledAlertIdsRef.current.add(alert.id);
+
+      if (alert.type === ALERT_TYPES.FORCE_END) {
+        if (alert.message) toast.warning(`📢 Your teacher: ${alert.message}`, { autoClose: false });
+        submitQuizRef.current?.({ auto: true, reason: 'teacher' });
+      } else {
+        logEvent(EVENT_TYPES.TEACHER_WARNING, { message: alert.message, sentBy: alert.sentBy?.name || null });
+        toast.warning(`📢 Your teacher: ${alert.message}`, { autoClose: false });
+      }
+    });
+
+    return () => {
+      if (unsubscribe) unsubscribe();
+    };
+  }, []);
+
+  // ✅ The main process enforces the Alt+Tab lock and recording checks while the attempt is open
+  useEffect(() => {
+    if (!quiz) return;
+
+    proctoringSettings.applyToMainProcess(proctoringSettings.resolveProctoringSettings(quiz));
+    return () => {
+      proctoringSettings.applyToMainProcess(null);
+    };
+  }, [quiz]);
+
   return (
     <div className={`quiz-wrapper ${quizPaused ? 'quiz-paused' : ''}`}>
       {!isWindowFocused && <div className="warning-overlay">⚠️ Please stay on the quiz tab!</div>}
+
+      {/* Restored after a crash or close */}
+      {resumeInfo && (
+        <div className="resume-banner">
+          💾 Your attempt was restored after an interruption of {formatTime(resumeInfo.gapSeconds)}.
+          Your answers and remaining time were recovered.
+          <button onClick={() => setResumeInfo(null)} aria-label="Dismiss">✖</button>
+        </div>
+      )}
       
       {/* Face not detected warning */}
-      {isStreaming && !isFaceDetected && <div className="pause-overlay">🚫 Face Not Detected. Quiz is Paused.</div>}
+      {isStreaming && proctoring.requireFaceCheck && !isFaceDetected && <div className="pause-overlay">🚫 Face Not Detected. Quiz is Paused.</div>}
       
       {/* Permission denied warning */}
       {!permissionGranted && (
@@ -511,7 +957,12 @@ const QuizPage = () => {
           <button onClick={() => changeTextSize('medium')}>A</button>
           <button onClick={() => changeTextSize('large')}>A+</button>
         </div>
-        <div className="timer">⏰ {formatTime(timer)}</div>
+        <div
+          className={`timer ${isTimeLow ? 'timer-warning' : ''}`}
+          title={timeLeftReason === 'window' ? 'Limited by the end of the quiz window' : undefined}
+        >
+          ⏰ {formatTime(secondsLeft)}
+        </div>
         
         {/* Camera selector (only show if multiple devices available) */}
         {permissionGranted && availableDevices.length > 1 && (
@@ -545,24 +996,19 @@ const QuizPage = () => {
       )}
 
       <div className={`quiz-content ${textSize}`}>
-        {questions.length === 0 ? (
+        {loadError ? (
+          <div className="loading-state">⚠️ {loadError}</div>
+        ) : questions.length === 0 ? (
           <div className="loading-state">⏳ Waiting for quiz data...</div>
         ) : (
-          <div className="question-box">
-            <h2>{currentQuestion?.question}</h2>
-            <div className="choices">
-              {currentQuestion?.choices?.map((choice, index) => (
-                <button
-                  key={index}
-                  className="choice-btn"
-                  onClick={() => handleAnswer(choice)}
-                  disabled={quizPaused}
-                >
-                  {choice}
-                </button>
-              ))}
-            </div>
-          </div>
+          <QuestionRenderer
+            key={currentQuestion?.id ?? currentQuestionIndex}
+            question={currentQuestion}
+            answer={answers[currentQuestionIndex]}
+            onAnswer={handleAnswer}
+            disabled={quizPaused}
+            savedAt={answersSavedAt}
+          />
         )}
       </div>
 
@@ -577,10 +1023,10 @@ const QuizPage = () => {
         {questions.length > 0 && (
           <button 
             className="submit-quiz-btn" 
-            onClick={submitQuiz}
-            disabled={quizPaused}
+            onClick={() => submitQuiz()}
+            disabled={quizPaused || submitting}
           >
-            Submit Quiz
+            {submitting ? 'Submitting...' : 'Submit Quiz'}
           </button>
         )}
       </div>
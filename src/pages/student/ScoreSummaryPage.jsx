@@ -1,24 +1,74 @@
 // src/pages/student/ScoreSummaryPage.jsx
 
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import './summary.css';
 import { useNavigate, useLocation } from 'react-router-dom';
+import { attemptService } from '../../services/attemptService';
+import { quizService } from '../../services/quizService';
+import { trustedClockService } from '../../services/trustedClockService';
+import { ATTEMPT_OUTCOMES } from '../../services/reviewService';
+import { resultSettings } from '../../services/resultSettings';
+import { resultsService } from '../../services/resultsService';
 
 const ScoreSummaryPage = () => {
   const navigate = useNavigate();
   const location = useLocation();
 
-  // ✅ Backend-ready: Replace all fallbacks below with real location.state values
-  // These values will be passed by the quiz submission route upon quiz completion
+  // ✅ Values passed by the quiz submission route upon quiz completion.
+  // `submittedResult` is the gradingService output (earned/possible points, per-question results)
+  const submittedResult = location.state?.result || null;
+  const timeSpent = location.state?.timeSpent ?? 0;
+  const receipt = location.state?.receipt || null;
+  const queued = !!location.state?.queued;
+  const attemptId = location.state?.attemptId || null;
 
-  const totalQuestions = location.state?.totalQuestions || 50; // ✅ Required: total # of questions
-  const answeredQuestions = location.state?.answered || 45;    // ✅ Optional: for analytics or logs
-  const rawScore = location.state?.score || 50;                // ✅ Required: raw score received
-  const timeSpent = location.state?.timeSpent || 773;          // ✅ Required: total time taken (in seconds)
+  // ✅ Teacher's review outcome for this attempt, if one has been recorded,
+  // and the paper's pass mark and answer review release
+  const [review, setReview] = useState(null);
+  const [quiz, setQuiz] = useState(null);
+  const [answerReview, setAnswerReview] = useState(null); // { available, message }
+  const [savedResult, setSavedResult] = useState(null); // includes any grades added since
 
-  const minPassingScore = 0.7; // ✅ This could later come from backend configuration
-  const isPassed = (rawScore / totalQuestions) >= minPassingScore;
-  const scorePercent = (rawScore / totalQuestions) * 100;
+  useEffect(() => {
+    if (!attemptId) return;
+
+    const loadAttempt = async () => {
+      try {
+        const attempt = await attemptService.getAttempt(attemptId);
+        if (!attempt) return;
+        setReview(attempt.review || null);
+        setSavedResult(attempt.result || null);
+
+        const [paper, now] = await Promise.all([
+          quizService.getQuizById(attempt.quizId),
+          trustedClockService.getTrustedNow()
+        ]);
+        setQuiz(paper);
+        setAnswerReview(resultsService.getReviewAvailability(paper, attempt, now));
+      } catch (error) {
+        console.error('[ScoreSummaryPage] Failed to load attempt review:', error);
+      }
+    };
+
+    loadAttempt();
+  }, [attemptId]);
+
+  const result = savedResult || submittedResult;
+
+  // A withheld or invalidated score is not shown to the student
+  const scoreHidden = review?.outcome === ATTEMPT_OUTCOMES.SCORE_WITHHELD ||
+    review?.outcome === ATTEMPT_OUTCOMES.INVALIDATED;
+
+  // ✅ Essays are graded by the teacher; the score waits until they all are
+  const pendingGradingCount = result?.pendingGradingCount ?? 0;
+
+  const earnedPoints = result?.earnedPoints ?? 0;
+  const possiblePoints = result?.possiblePoints ?? 0;
+  const scorePercent = result?.percentage ?? 0;
+
+  // ✅ Pass mark set per paper (RESULTS_DEFAULTS until the paper has loaded)
+  const { passPercentage } = resultSettings.resolveResultSettings(quiz);
+  const isPassed = resultSettings.isPassed(result, quiz);
 
   // ✅ Dynamically determine performance label based on score %
   const getPerformanceLabel = () => {
@@ -40,6 +90,26 @@ const ScoreSummaryPage = () => {
       <button className="logout-btn" onClick={() => navigate('/login')}>Log Out</button>
 
       <div className="summary-card">
+        {scoreHidden ? (
+          <div className={`review-outcome outcome-${review.outcome}`}>
+            <h3>{review.outcome === ATTEMPT_OUTCOMES.INVALIDATED ? 'Attempt Invalidated' : 'Score Withheld'}</h3>
+            <p>
+              {review.outcome === ATTEMPT_OUTCOMES.INVALIDATED
+                ? 'Your teacher has invalidated this attempt after reviewing its proctoring record.'
+                : 'Your teacher is withholding this score after reviewing its proctoring record.'}
+            </p>
+            {review.note && <p className="review-note">“{review.note}”</p>}
+          </div>
+        ) : pendingGradingCount > 0 ? (
+          <div className="grading-pending">
+            <h3>Awaiting Grading</h3>
+            <p>
+              Your teacher still has to grade {pendingGradingCount === 1 ? '1 of your answers' : `${pendingGradingCount} of your answers`}.
+              Your score will appear under My Results once grading is finished.
+            </p>
+          </div>
+        ) : (
+        <>
         {/* ✅ Half-circle score meter */}
         <svg viewBox="0 0 36 18" className="gauge">
           <path
@@ -63,20 +133,52 @@ const ScoreSummaryPage = () => {
           <h3 className={isPassed ? 'passed' : 'failed'}>
             {isPassed ? 'Passed' : 'Not Passed'}
           </h3>
-          <p className="score-value">{rawScore} / {totalQuestions}</p>
-          <p className="label">{getPerformanceLabel()}</p>
+          <p className="score-value">{earnedPoints} / {possiblePoints}</p>
+          <p className="label">{result ? getPerformanceLabel() : 'No result available'}</p>
         </div>
 
         {/* ✅ Additional quiz info */}
         <div className="summary-info">
+          {result && (
+            <p><strong>Correct Answers:</strong> {result.correctCount} of {result.totalQuestions} ({scorePercent}%)</p>
+          )}
           <p><strong>Time Spent:</strong> {formatTimeSpent(timeSpent)}</p>
-          <p><strong>Min. Passing Score:</strong> 70%</p>
+          <p><strong>Min. Passing Score:</strong> {passPercentage}%</p>
+          {review?.outcome === ATTEMPT_OUTCOMES.ACCEPTED && (
+            <p className="review-accepted">✔ Reviewed and accepted by your teacher</p>
+          )}
         </div>
+        </>
+        )}
+
+        {/* ✅ Submission receipt (proof of what was submitted and when) */}
+        {receipt && (
+          <div className="receipt-box">
+            <h4>Submission Receipt</h4>
+            <p><strong>Receipt ID:</strong> <span className="receipt-id">{receipt.receiptId}</span></p>
+            <p><strong>Submitted:</strong> {new Date(receipt.submittedAt).toLocaleString()}</p>
+            <p><strong>Answered:</strong> {receipt.answeredCount} of {receipt.questionCount}</p>
+            <p className="receipt-hash" title={`${receipt.algorithm} of your submission`}>
+              {receipt.algorithm}: {receipt.hash}
+            </p>
+            {queued && (
+              <p className="receipt-note">
+                You are offline. Your submission is saved and will be sent automatically when you reconnect.
+              </p>
+            )}
+          </div>
+        )}
 
         {/* ✅ Return to Student Dashboard */}
         <div className="summary-buttons">
+          {answerReview?.available && (
+            <button onClick={() => navigate(`/results/${attemptId}`)}>Review Answers</button>
+          )}
           <button onClick={() => navigate('/')}>Return to Dashboard</button>
         </div>
+        {answerReview && !answerReview.available && !scoreHidden && pendingGradingCount === 0 && (
+          <p className="review-unavailable">{answerReview.message}</p>
+        )}
       </div>
     </div>
   );
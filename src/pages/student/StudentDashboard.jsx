@@ -1,6 +1,9 @@
 import React, { useState, useRef, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../../services/authContext";
+import { attemptService } from "../../services/attemptService";
+import { resultsService } from "../../services/resultsService";
+import { ATTEMPT_OUTCOMES } from "../../services/reviewService";
 import "./dashboard.css";
 import logo from "../../assets/quizsecure-logo.png";
 
@@ -8,11 +11,15 @@ function StudentDashboard() {
   const [quizData, setQuizData] = useState(null);
   const [codeInput, setCodeInput] = useState("");
   const [message, setMessage] = useState("");
+  const [redeeming, setRedeeming] = useState(false);
   const [username, setUsername] = useState("Student"); // Placeholder
+  const [results, setResults] = useState(null); // null = loading
   const topRef = useRef(null);
   const redeemSectionRef = useRef(null);
+  const resultsSectionRef = useRef(null);
   const navigate = useNavigate();
   const { logout, user } = useAuth();
+  const studentId = user?.id || user?.username || localStorage.getItem("username") || "anonymous";
 
   useEffect(() => {
     // Use user from auth context if available
@@ -28,6 +35,16 @@ function StudentDashboard() {
     }
   }, [user]);
 
+  // ✅ Past submitted attempts for "My Results"
+  useEffect(() => {
+    resultsService.getStudentResults(studentId)
+      .then(setResults)
+      .catch((error) => {
+        console.error("Failed to load results:", error);
+        setResults([]);
+      });
+  }, [studentId]);
+
   const handleSignOut = async () => {
     try {
       await logout();
@@ -37,23 +54,41 @@ function StudentDashboard() {
     }
   };
 
-  const handleRedeem = () => {
-    if (codeInput === "12345") {
-      setQuizData({
-        title: "Sample Quiz",
-        startTime: "10:00 AM",
-        endTime: "11:00 AM",
-      });
-      setMessage("");
-    } else {
-      setMessage("Invalid or already used code.");
-      setQuizData(null);
+  // ✅ Validate the code (exists, schedule window, attempt limits) through attemptService
+  const handleRedeem = async () => {
+    setRedeeming(true);
+    try {
+      const redemption = await attemptService.redeemPaperCode(codeInput, studentId);
+
+      if (redemption.success) {
+        setQuizData({
+          ...redemption.quiz,
+          attemptsUsed: redemption.attemptsUsed,
+          attemptsAllowed: redemption.attemptsAllowed,
+          resuming: redemption.resuming,
+        });
+        setMessage("");
+      } else {
+        setMessage(redemption.message);
+        setQuizData(null);
+      }
+    } finally {
+      setRedeeming(false);
     }
   };
 
+  const formatScheduleTime = (value) => (value ? new Date(value).toLocaleString() : "Any time");
+
   const handleJoinQuiz = () => {
-    // Navigate to the disclaimer page to start the quiz process
-    navigate("/disclaimer");
+    // Navigate to the disclaimer page to start the quiz process,
+    // carrying the redeemed paper through Disclaimer → Face Scan → Quiz
+    navigate("/disclaimer", {
+      state: {
+        quizId: quizData.id,
+        paperCode: quizData.paperCode,
+        quizTitle: quizData.title,
+      },
+    });
   };
 
   const scrollToRedeem = () => {
@@ -62,6 +97,21 @@ function StudentDashboard() {
     }
   };
 
+  const scrollToResults = () => {
+    if (resultsSectionRef.current) {
+      resultsSectionRef.current.scrollIntoView({ behavior: "smooth" });
+    }
+  };
+
+  // A withheld or invalidated score is not shown to the student
+  const formatScore = (row) => {
+    if (row.outcome === ATTEMPT_OUTCOMES.INVALIDATED) return "Invalidated";
+    if (row.scoreHidden) return "Withheld";
+    if (row.gradingPending) return "Awaiting grading";
+    if (row.percentage === null) return "—";
+    return `${row.earnedPoints} / ${row.possiblePoints} (${row.percentage}%)`;
+  };
+
   const scrollToTop = () => {
     if (topRef.current) {
       topRef.current.scrollIntoView({ behavior: "smooth" });
@@ -84,6 +134,7 @@ function StudentDashboard() {
         <nav>
           <ul>
             <li><button onClick={scrollToRedeem}>Redeem Code</button></li>
+            <li><button onClick={scrollToResults}>My Results</button></li>
             <li><button onClick={handleSignOut}>Sign Out</button></li>
           </ul>
         </nav>
@@ -102,18 +153,71 @@ function StudentDashboard() {
             placeholder="Enter Code Here"
             value={codeInput}
             onChange={(e) => setCodeInput(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && !redeeming && handleRedeem()}
           />
-          <button onClick={handleRedeem}>Submit</button>
+          <button onClick={handleRedeem} disabled={redeeming}>
+            {redeeming ? "Checking..." : "Submit"}
+          </button>
           {message && <p className="message">{message}</p>}
         </div>
 
         {quizData && (
           <div className="quiz-card">
             <p className="quiz-title">📌 <strong>{quizData.title}</strong></p>
-            <p>Start: {quizData.startTime} | End: {quizData.endTime}</p>
-            <button className="join-btn" onClick={handleJoinQuiz}>Join Now</button>
+            <p>Start: {formatScheduleTime(quizData.startTime)} | End: {formatScheduleTime(quizData.endTime)}</p>
+            {quizData.timer && <p>Time Limit: {quizData.timer} minutes</p>}
+            <p>Attempts Used: {quizData.attemptsUsed} of {quizData.attemptsAllowed}</p>
+            <button className="join-btn" onClick={handleJoinQuiz}>
+              {quizData.resuming ? "Resume Attempt" : "Join Now"}
+            </button>
           </div>
         )}
+
+        <section ref={resultsSectionRef} className="results-section">
+          <h2 className="results-title">My Results</h2>
+          {results === null ? (
+            <p className="results-empty">Loading your results...</p>
+          ) : results.length === 0 ? (
+            <p className="results-empty">You have not submitted any quizzes yet.</p>
+          ) : (
+            <table className="results-table">
+              <thead>
+                <tr>
+                  <th>Paper</th>
+                  <th>Submitted</th>
+                  <th>Score</th>
+                  <th>Result</th>
+                  <th>Answers</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((row) => (
+                  <tr key={row.attemptId}>
+                    <td>{row.quizTitle}</td>
+                    <td>{row.submittedAt ? new Date(row.submittedAt).toLocaleString() : "—"}</td>
+                    <td>{formatScore(row)}</td>
+                    <td>
+                      {row.passed === null ? "—" : (
+                        <span className={row.passed ? "result-passed" : "result-failed"}>
+                          {row.passed ? "Passed" : "Not Passed"}
+                        </span>
+                      )}
+                    </td>
+                    <td>
+                      {row.reviewAvailable ? (
+                        <button className="review-btn" onClick={() => navigate(`/results/${row.attemptId}`)}>
+                          Review
+                        </button>
+                      ) : (
+                        <span className="review-locked" title={row.reviewMessage}>Not released</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
       </main>
     </div>
   );
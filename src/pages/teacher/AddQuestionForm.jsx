@@ -3,16 +3,78 @@
 import React, { useEffect, useState } from 'react';
 import './addquestion.css';
 import { toast } from 'react-toastify';
+import {
+  validateQuestion,
+  MAX_CHOICES,
+  MAX_POINTS,
+  MIN_MATCH_ITEMS,
+  MAX_MATCH_ITEMS,
+  MAX_ESSAY_POINTS,
+  MULTIPLE_RESPONSE_SCORING,
+  MULTIPLE_RESPONSE_SCORING_LABELS,
+  NUMERIC_TOLERANCE,
+  NUMERIC_TOLERANCE_LABELS,
+  FILL_IN_MATCH_MODES,
+  FILL_IN_MATCH_MODE_LABELS,
+  countBlanks,
+  getAcceptedAnswers,
+  toFillInAnswerKey
+} from '../../services/questionValidation';
+import { gradingService } from '../../services/gradingService';
+
+const hasChoices = (type) => type === 'multiple-choice' || type === 'multiple-response';
+const toWordLimit = (value) => (value === '' ? undefined : Number(value));
+
+// Numbers are typed the way students type them ("9,81" works too); anything else is NaN
+const toNumber = (text) => {
+  const parsed = gradingService.parseNumericAnswer(text);
+  return parsed && !parsed.unit && parsed.readings.length === 1 ? parsed.readings[0].value : NaN;
+};
+const toUnitList = (text) => text.split(',').map(unit => unit.trim()).filter(Boolean);
+
+const emptyPairs = () => [{ prompt: '', match: '' }, { prompt: '', match: '' }];
+
+// Pairs that share a match text share one option; extra matches are offered too
+const toMatchingFields = (pairs, extraMatches) => {
+  const matches = [];
+  pairs.forEach(pair => {
+    if (!matches.includes(pair.match.trim())) matches.push(pair.match.trim());
+  });
+  return {
+    prompts: pairs.map(pair => pair.prompt.trim()),
+    choices: [...matches, ...extraMatches.map(match => match.trim())],
+    correctAnswer: pairs.map(pair => matches.indexOf(pair.match.trim()))
+  };
+};
 
 const AddQuestionForm = ({ onSave, question }) => {
   const [questionType, setQuestionType] = useState('multiple-choice');
   const [questionText, setQuestionText] = useState('');
   const [choices, setChoices] = useState(['', '', '', '']);
   const [correctAnswer, setCorrectAnswer] = useState(null);
+  const [correctAnswers, setCorrectAnswers] = useState([]); // multiple-response
+  const [scoring, setScoring] = useState(MULTIPLE_RESPONSE_SCORING.ALL_OR_NOTHING);
   const [caseSensitive, setCaseSensitive] = useState(false);
-  const [fillInAnswer, setFillInAnswer] = useState('');
+  const [blankAnswers, setBlankAnswers] = useState([['']]); // fill-in: accepted answers per blank
+  const [matchMode, setMatchMode] = useState(FILL_IN_MATCH_MODES.TEXT);
+  const [ignoreWhitespace, setIgnoreWhitespace] = useState(false);
+  const [ignorePunctuation, setIgnorePunctuation] = useState(false);
+  const [ignoreDiacritics, setIgnoreDiacritics] = useState(false);
   const [trueFalseAnswer, setTrueFalseAnswer] = useState('true');
+  const [numericAnswer, setNumericAnswer] = useState(''); // numeric
+  const [tolerance, setTolerance] = useState(''); // numeric
+  const [toleranceType, setToleranceType] = useState(NUMERIC_TOLERANCE.ABSOLUTE);
+  const [units, setUnits] = useState(''); // numeric: comma-separated
+  const [unitRequired, setUnitRequired] = useState(false);
+  const [sigFigs, setSigFigs] = useState(''); // numeric
+  const [pairs, setPairs] = useState(emptyPairs()); // matching: [{ prompt, match }]
+  const [extraMatches, setExtraMatches] = useState([]); // matching: options that match no term
+  const [orderItems, setOrderItems] = useState(['', '', '']); // ordering, in the correct order
+  const [minWords, setMinWords] = useState(''); // essay
+  const [maxWords, setMaxWords] = useState(''); // essay
+  const [rubric, setRubric] = useState([]); // essay: [{ criterion, points }]
   const [points, setPoints] = useState(1);
+  const [pool, setPool] = useState('');
   const [showPreview, setShowPreview] = useState(false);
 
   // Load existing question (Edit mode)
@@ -21,16 +83,43 @@ const AddQuestionForm = ({ onSave, question }) => {
       setQuestionType(question.type || 'multiple-choice');
       setQuestionText(question.text || '');
       setChoices(question.choices || ['', '', '', '']);
-      setCorrectAnswer(question.correctAnswer ?? null);
-      setFillInAnswer(question.correctAnswer || '');
-      setTrueFalseAnswer(question.correctAnswer || 'true');
+      setCorrectAnswer(question.type === 'multiple-choice' ? question.correctAnswer ?? null : null);
+      setCorrectAnswers(question.type === 'multiple-response' && Array.isArray(question.correctAnswer) ? question.correctAnswer : []);
+      setScoring(question.scoring || MULTIPLE_RESPONSE_SCORING.ALL_OR_NOTHING);
+      setBlankAnswers(question.type === 'fill-in-the-blank'
+        ? getAcceptedAnswers(question).map(answers => answers.map(answer => answer ?? ''))
+        : [['']]);
+      setMatchMode(question.matchMode || FILL_IN_MATCH_MODES.TEXT);
+      setIgnoreWhitespace(question.ignoreWhitespace || false);
+      setIgnorePunctuation(question.ignorePunctuation || false);
+      setIgnoreDiacritics(question.ignoreDiacritics || false);
+      setTrueFalseAnswer(question.type === 'true-false' && question.correctAnswer ? question.correctAnswer : 'true');
       setCaseSensitive(question.caseSensitive || false);
+      setNumericAnswer(question.type === 'numeric' ? String(question.correctAnswer ?? '') : '');
+      setTolerance(question.tolerance ? String(question.tolerance) : '');
+      setToleranceType(question.toleranceType || NUMERIC_TOLERANCE.ABSOLUTE);
+      setUnits((question.units || []).join(', '));
+      setUnitRequired(question.unitRequired || false);
+      setSigFigs(question.sigFigs ? String(question.sigFigs) : '');
+      if (question.type === 'matching') {
+        const key = question.correctAnswer || [];
+        setPairs((question.prompts || []).map((prompt, i) => ({ prompt, match: question.choices?.[key[i]] ?? '' })));
+        setExtraMatches((question.choices || []).filter((_, index) => !key.includes(index)));
+      } else {
+        setPairs(emptyPairs());
+        setExtraMatches([]);
+      }
+      setOrderItems(question.type === 'ordering' ? question.choices || [] : ['', '', '']);
+      setMinWords(question.minWords ?? '');
+      setMaxWords(question.maxWords ?? '');
+      setRubric(question.rubric || []);
       setPoints(question.points || 1);
+      setPool(question.pool || '');
     }
   }, [question]);
 
   const handleAddChoice = () => {
-    if (choices.length < 6) {
+    if (choices.length < MAX_CHOICES) {
       setChoices([...choices, '']);
     }
   };
@@ -39,9 +128,75 @@ const AddQuestionForm = ({ onSave, question }) => {
     const newChoices = [...choices];
     newChoices.splice(index, 1);
     setChoices(newChoices);
+    // Later choices move up one place, and so do their correct marks
     if (correctAnswer === index) {
       setCorrectAnswer(null);
+    } else if (correctAnswer > index) {
+      setCorrectAnswer(correctAnswer - 1);
     }
+    setCorrectAnswers(correctAnswers.filter(i => i !== index).map(i => (i > index ? i - 1 : i)));
+  };
+
+  // ✅ Multiple-response questions can have several correct choices
+  const handleMarkCorrect = (index) => {
+    if (questionType !== 'multiple-response') {
+      setCorrectAnswer(index);
+      return;
+    }
+    setCorrectAnswers(correctAnswers.includes(index)
+      ? correctAnswers.filter(i => i !== index)
+      : [...correctAnswers, index].sort((a, b) => a - b));
+  };
+
+  const isMarkedCorrect = (index) => (
+    questionType === 'multiple-response' ? correctAnswers.includes(index) : correctAnswer === index
+  );
+
+  // ✅ Essay rubric: the question is worth the sum of its criteria
+  const rubricPoints = rubric.reduce((sum, item) => sum + (Number(item.points) || 0), 0);
+
+  const handleAddCriterion = () => {
+    setRubric([...rubric, { criterion: '', points: 1 }]);
+  };
+
+  const handleCriterionChange = (index, field, value) => {
+    setRubric(rubric.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+  };
+
+  const handleRemoveCriterion = (index) => {
+    setRubric(rubric.filter((_, i) => i !== index));
+  };
+
+  // ✅ Fill in the blanks: accepted answers for each ___ in the question text
+  const blankCount = countBlanks(questionText);
+  const blankRows = Array.from({ length: blankCount }, (_, blank) => blankAnswers[blank] || ['']);
+  // Regular expressions are matched against the answer as typed
+  const canIgnore = matchMode !== FILL_IN_MATCH_MODES.REGEX;
+
+  const updateBlank = (blank, answers) => {
+    setBlankAnswers(blankRows.map((current, i) => (i === blank ? answers : current)));
+  };
+
+  // ✅ Matching: term → match pairs, plus extra matches that fit no term
+  const handlePairChange = (index, field, value) => {
+    setPairs(pairs.map((pair, i) => (i === index ? { ...pair, [field]: value } : pair)));
+  };
+
+  const handleExtraMatchChange = (index, value) => {
+    setExtraMatches(extraMatches.map((match, i) => (i === index ? value : match)));
+  };
+
+  // ✅ Ordering: items are listed in the correct order; students see them shuffled
+  const handleOrderItemChange = (index, value) => {
+    setOrderItems(orderItems.map((item, i) => (i === index ? value : item)));
+  };
+
+  const handleMoveOrderItem = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= orderItems.length) return;
+    const updated = [...orderItems];
+    [updated[index], updated[target]] = [updated[target], updated[index]];
+    setOrderItems(updated);
   };
 
   const handleChoiceChange = (index, value) => {
@@ -51,48 +206,64 @@ const AddQuestionForm = ({ onSave, question }) => {
   };
 
   const handleSave = () => {
-    // 🧠 Validations
-    if (!questionText.trim()) {
-      toast.error("⚠️ Question text is required.");
-      return;
-    }
-
-    if (questionType === 'multiple-choice') {
-      if (choices.length < 2) {
-        toast.error("⚠️ At least 2 choices are required.");
-        return;
-      }
-      if (correctAnswer === null || !choices[correctAnswer]?.trim()) {
-        toast.error("⚠️ You must select a valid correct answer.");
-        return;
-      }
-    }
-
-    if (questionType === 'fill-in-the-blank' && !fillInAnswer.trim()) {
-      toast.error("⚠️ Please provide the correct answer for Fill in the Blanks.");
-      return;
-    }
-
-    if (questionType === 'true-false' && !trueFalseAnswer) {
-      toast.error("⚠️ Please select True or False.");
-      return;
-    }
-
     // ✅ Final payload
+    const isEssay = questionType === 'essay';
+    const isNumeric = questionType === 'numeric';
+    const isFillIn = questionType === 'fill-in-the-blank';
+    const matching = questionType === 'matching' ? toMatchingFields(pairs, extraMatches) : null;
     const payload = {
       type: questionType,
       text: questionText.trim(),
-      points,
+      points: isEssay && rubric.length > 0 ? rubricPoints : points,
       correctAnswer:
-        questionType === 'fill-in-the-blank'
-          ? fillInAnswer.trim()
+        isEssay || questionType === 'ordering'
+          ? undefined
+          : matching
+          ? matching.correctAnswer
+          : questionType === 'fill-in-the-blank'
+          ? toFillInAnswerKey(blankRows.map(answers => answers.map(answer => answer.trim()).filter(Boolean)))
           : questionType === 'true-false'
           ? trueFalseAnswer
+          : isNumeric
+          ? toNumber(numericAnswer)
+          : questionType === 'multiple-response'
+          ? correctAnswers
           : correctAnswer,
-      caseSensitive: questionType === 'fill-in-the-blank' ? caseSensitive : undefined,
-      choices: questionType === 'multiple-choice' ? choices : undefined,
+      caseSensitive: isFillIn ? caseSensitive : undefined,
+      // Only the options that differ from the defaults are saved
+      matchMode: isFillIn && matchMode !== FILL_IN_MATCH_MODES.TEXT ? matchMode : undefined,
+      ignoreWhitespace: isFillIn && canIgnore && ignoreWhitespace ? true : undefined,
+      ignorePunctuation: isFillIn && canIgnore && ignorePunctuation ? true : undefined,
+      ignoreDiacritics: isFillIn && canIgnore && ignoreDiacritics ? true : undefined,
+      choices: hasChoices(questionType)
+        ? choices
+        : matching
+        ? matching.choices
+        : questionType === 'ordering'
+        ? orderItems.map(item => item.trim())
+        : undefined,
+      prompts: matching ? matching.prompts : undefined,
+      scoring: questionType === 'multiple-response' ? scoring : undefined,
+      tolerance: isNumeric ? (tolerance.trim() === '' ? 0 : toNumber(tolerance)) : undefined,
+      toleranceType: isNumeric ? toleranceType : undefined,
+      units: isNumeric && toUnitList(units).length > 0 ? toUnitList(units) : undefined,
+      unitRequired: isNumeric ? unitRequired : undefined,
+      sigFigs: isNumeric && sigFigs !== '' ? Number(sigFigs) : undefined,
+      minWords: isEssay ? toWordLimit(minWords) : undefined,
+      maxWords: isEssay ? toWordLimit(maxWords) : undefined,
+      rubric: isEssay && rubric.length > 0
+        ? rubric.map(item => ({ criterion: item.criterion.trim(), points: Number(item.points) }))
+        : undefined,
+      pool: pool.trim() || undefined,
     };
 
+    // 🧠 Validations (shared with bulk import)
+    const errors = validateQuestion(payload);
+    if (errors.length > 0) {
+      toast.error(`⚠️ ${errors[0]}`);
+      return;
+    }
+
     if (onSave) onSave(payload);
 
     toast.success("✅ Question saved!");
@@ -102,10 +273,29 @@ const AddQuestionForm = ({ onSave, question }) => {
     setQuestionText('');
     setChoices(['', '', '', '']);
     setCorrectAnswer(null);
+    setCorrectAnswers([]);
+    setScoring(MULTIPLE_RESPONSE_SCORING.ALL_OR_NOTHING);
     setCaseSensitive(false);
-    setFillInAnswer('');
+    setBlankAnswers([['']]);
+    setMatchMode(FILL_IN_MATCH_MODES.TEXT);
+    setIgnoreWhitespace(false);
+    setIgnorePunctuation(false);
+    setIgnoreDiacritics(false);
     setTrueFalseAnswer('true');
+    setNumericAnswer('');
+    setTolerance('');
+    setToleranceType(NUMERIC_TOLERANCE.ABSOLUTE);
+    setUnits('');
+    setUnitRequired(false);
+    setSigFigs('');
+    setPairs(emptyPairs());
+    setExtraMatches([]);
+    setOrderItems(['', '', '']);
+    setMinWords('');
+    setMaxWords('');
+    setRubric([]);
     setPoints(1);
+    setPool('');
     setShowPreview(false);
   };
 
@@ -117,8 +307,13 @@ const AddQuestionForm = ({ onSave, question }) => {
         <label>Question Type</label>
         <select value={questionType} onChange={(e) => setQuestionType(e.target.value)}>
           <option value="multiple-choice">Multiple Choice</option>
+          <option value="multiple-response">Multiple Response (select all that apply)</option>
           <option value="true-false">True or False</option>
           <option value="fill-in-the-blank">Fill in the Blanks</option>
+          <option value="numeric">Numeric</option>
+          <option value="matching">Matching</option>
+          <option value="ordering">Ordering</option>
+          <option value="essay">Essay (graded by hand)</option>
         </select>
       </div>
 
@@ -131,9 +326,9 @@ const AddQuestionForm = ({ onSave, question }) => {
         />
       </div>
 
-      {questionType === 'multiple-choice' && (
+      {hasChoices(questionType) && (
         <div className="form-group">
-          <label>Choices</label>
+          <label>Choices{questionType === 'multiple-response' ? ' (mark every correct one)' : ''}</label>
           {choices.map((choice, index) => (
             <div className="choice-row" key={index}>
               <input
@@ -143,8 +338,10 @@ const AddQuestionForm = ({ onSave, question }) => {
                 placeholder={`Choice ${index + 1}`}
               />
               <button
-                onClick={() => setCorrectAnswer(index)}
-                className={`mark-btn ${correctAnswer === index ? 'active' : ''}`}
+                onClick={() => handleMarkCorrect(index)}
+                className={`mark-btn ${isMarkedCorrect(index) ? 'active' : ''}`}
+                aria-pressed={isMarkedCorrect(index)}
+                aria-label={`Mark choice ${index + 1} as correct`}
               >
                 ✔
               </button>
@@ -153,12 +350,23 @@ const AddQuestionForm = ({ onSave, question }) => {
               )}
             </div>
           ))}
-          {choices.length < 6 && (
+          {choices.length < MAX_CHOICES && (
             <button onClick={handleAddChoice} className="add-choice-btn">+ Add Choice</button>
           )}
         </div>
       )}
 
+      {questionType === 'multiple-response' && (
+        <div className="form-group">
+          <label>Scoring</label>
+          <select value={scoring} onChange={(e) => setScoring(e.target.value)}>
+            {Object.entries(MULTIPLE_RESPONSE_SCORING_LABELS).map(([mode, label]) => (
+              <option key={mode} value={mode}>{label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
       {questionType === 'true-false' && (
         <div className="form-group">
           <label>Correct Answer</label>
@@ -171,14 +379,33 @@ const AddQuestionForm = ({ onSave, question }) => {
 
       {questionType === 'fill-in-the-blank' && (
         <>
+          <p className="form-hint">Mark each blank in the question text with ___ to ask for several answers.</p>
+          {blankRows.map((answers, blank) => (
+            <div className="form-group" key={blank}>
+              <label>{blankCount > 1 ? `Blank ${blank + 1}: Accepted Answers` : 'Accepted Answers'}</label>
+              {answers.map((accepted, index) => (
+                <div className="choice-row" key={index}>
+                  <input
+                    type="text"
+                    value={accepted}
+                    onChange={(e) => updateBlank(blank, answers.map((a, i) => (i === index ? e.target.value : a)))}
+                    placeholder={index === 0 ? 'Expected answer' : 'Another accepted answer'}
+                  />
+                  {answers.length > 1 && (
+                    <button onClick={() => updateBlank(blank, answers.filter((_, i) => i !== index))} className="delete-btn">✖</button>
+                  )}
+                </div>
+              ))}
+              <button onClick={() => updateBlank(blank, [...answers, ''])} className="add-choice-btn">+ Add Accepted Answer</button>
+            </div>
+          ))}
           <div className="form-group">
-            <label>Correct Answer</label>
-            <input
-              type="text"
-              value={fillInAnswer}
-              onChange={(e) => setFillInAnswer(e.target.value)}
-              placeholder="Expected answer"
-            />
+            <label>Answers Are</label>
+            <select value={matchMode} onChange={(e) => setMatchMode(e.target.value)}>
+              {Object.entries(FILL_IN_MATCH_MODE_LABELS).map(([mode, label]) => (
+                <option key={mode} value={mode}>{label}</option>
+              ))}
+            </select>
           </div>
           <div className="form-group checkbox-group">
             <input
@@ -188,17 +415,258 @@ const AddQuestionForm = ({ onSave, question }) => {
             />
             <label>Case Sensitive</label>
           </div>
+          {canIgnore && (
+            <>
+              <div className="form-group checkbox-group">
+                <input
+                  type="checkbox"
+                  checked={ignoreWhitespace}
+                  onChange={() => setIgnoreWhitespace(!ignoreWhitespace)}
+                />
+                <label>Ignore Spaces</label>
+              </div>
+              <div className="form-group checkbox-group">
+                <input
+                  type="checkbox"
+                  checked={ignorePunctuation}
+                  onChange={() => setIgnorePunctuation(!ignorePunctuation)}
+                />
+                <label>Ignore Punctuation</label>
+              </div>
+              <div className="form-group checkbox-group">
+                <input
+                  type="checkbox"
+                  checked={ignoreDiacritics}
+                  onChange={() => setIgnoreDiacritics(!ignoreDiacritics)}
+                />
+                <label>Ignore Accents (é = e)</label>
+              </div>
+            </>
+          )}
+        </>
+      )}
+
+      {questionType === 'matching' && (
+        <>
+          <div className="form-group">
+            <label>Pairs (term → its match)</label>
+            {pairs.map((pair, index) => (
+              <div className="choice-row pair-row" key={index}>
+                <input
+                  type="text"
+                  value={pair.prompt}
+                  onChange={(e) => handlePairChange(index, 'prompt', e.target.value)}
+                  placeholder={`Term ${index + 1}`}
+                />
+                <span className="pair-arrow">→</span>
+                <input
+                  type="text"
+                  value={pair.match}
+                  onChange={(e) => handlePairChange(index, 'match', e.target.value)}
+                  placeholder={`Match ${index + 1}`}
+                />
+                {pairs.length > MIN_MATCH_ITEMS && (
+                  <button onClick={() => setPairs(pairs.filter((_, i) => i !== index))} className="delete-btn">✖</button>
+                )}
+              </div>
+            ))}
+            {pairs.length < MAX_MATCH_ITEMS && (
+              <button onClick={() => setPairs([...pairs, { prompt: '', match: '' }])} className="add-choice-btn">+ Add Pair</button>
+            )}
+          </div>
+          <div className="form-group">
+            <label>Extra Matches (optional, match no term)</label>
+            {extraMatches.map((match, index) => (
+              <div className="choice-row" key={index}>
+                <input
+                  type="text"
+                  value={match}
+                  onChange={(e) => handleExtraMatchChange(index, e.target.value)}
+                  placeholder={`Extra match ${index + 1}`}
+                />
+                <button onClick={() => setExtraMatches(extraMatches.filter((_, i) => i !== index))} className="delete-btn">✖</button>
+              </div>
+            ))}
+            <button onClick={() => setExtraMatches([...extraMatches, ''])} className="add-choice-btn">+ Add Extra Match</button>
+          </div>
         </>
       )}
 
+      {questionType === 'ordering' && (
+        <div className="form-group">
+          <label>Items in the correct order (students see them shuffled)</label>
+          {orderItems.map((item, index) => (
+            <div className="choice-row" key={index}>
+              <span className="order-number">{index + 1}.</span>
+              <input
+                type="text"
+                value={item}
+                onChange={(e) => handleOrderItemChange(index, e.target.value)}
+                placeholder={`Item ${index + 1}`}
+              />
+              <button
+                onClick={() => handleMoveOrderItem(index, -1)}
+                className="mark-btn"
+                disabled={index === 0}
+                aria-label={`Move item ${index + 1} up`}
+              >
+                ▲
+              </button>
+              <button
+                onClick={() => handleMoveOrderItem(index, 1)}
+                className="mark-btn"
+                disabled={index === orderItems.length - 1}
+                aria-label={`Move item ${index + 1} down`}
+              >
+                ▼
+              </button>
+              {orderItems.length > MIN_MATCH_ITEMS && (
+                <button onClick={() => setOrderItems(orderItems.filter((_, i) => i !== index))} className="delete-btn">✖</button>
+              )}
+            </div>
+          ))}
+          {orderItems.length < MAX_MATCH_ITEMS && (
+            <button onClick={() => setOrderItems([...orderItems, ''])} className="add-choice-btn">+ Add Item</button>
+          )}
+        </div>
+      )}
+
+      {questionType === 'numeric' && (
+        <>
+          <div className="form-group">
+            <label>Correct Value</label>
+            <input
+              type="text"
+              inputMode="decimal"
+              value={numericAnswer}
+              onChange={(e) => setNumericAnswer(e.target.value)}
+              placeholder="e.g. 9.81"
+            />
+          </div>
+          <div className="form-group">
+            <label>Tolerance (optional)</label>
+            <div className="tolerance-row">
+              <input
+                type="text"
+                inputMode="decimal"
+                value={tolerance}
+                onChange={(e) => setTolerance(e.target.value)}
+                placeholder="0 (exact)"
+                aria-label="Tolerance"
+              />
+              <select value={toleranceType} onChange={(e) => setToleranceType(e.target.value)} aria-label="Tolerance type">
+                {Object.entries(NUMERIC_TOLERANCE_LABELS).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Accepted Units (optional, comma-separated)</label>
+            <input
+              type="text"
+              value={units}
+              onChange={(e) => setUnits(e.target.value)}
+              placeholder="e.g. m/s², m s^-2"
+            />
+          </div>
+          <div className="form-group checkbox-group">
+            <input
+              type="checkbox"
+              checked={unitRequired}
+              onChange={() => setUnitRequired(!unitRequired)}
+            />
+            <label>Unit Required</label>
+          </div>
+          <div className="form-group">
+            <label>Significant Figures (optional)</label>
+            <input
+              type="number"
+              min={1}
+              value={sigFigs}
+              onChange={(e) => setSigFigs(e.target.value)}
+              placeholder="Any"
+            />
+          </div>
+        </>
+      )}
+
+      {questionType === 'essay' && (
+        <>
+          <div className="form-group word-limits">
+            <label>Word Limit (optional)</label>
+            <div className="word-limit-row">
+              <input
+                type="number"
+                min={1}
+                value={minWords}
+                onChange={(e) => setMinWords(e.target.value)}
+                placeholder="Minimum"
+                aria-label="Minimum words"
+              />
+              <span>to</span>
+              <input
+                type="number"
+                min={1}
+                value={maxWords}
+                onChange={(e) => setMaxWords(e.target.value)}
+                placeholder="Maximum"
+                aria-label="Maximum words"
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Rubric (optional)</label>
+            {rubric.map((item, index) => (
+              <div className="choice-row rubric-row" key={index}>
+                <input
+                  type="text"
+                  value={item.criterion}
+                  onChange={(e) => handleCriterionChange(index, 'criterion', e.target.value)}
+                  placeholder={`Criterion ${index + 1}, e.g. Clear argument`}
+                />
+                <input
+                  type="number"
+                  min={1}
+                  className="rubric-points"
+                  value={item.points}
+                  onChange={(e) => handleCriterionChange(index, 'points', e.target.value)}
+                  aria-label={`Points for criterion ${index + 1}`}
+                />
+                <button onClick={() => handleRemoveCriterion(index)} className="delete-btn">✖</button>
+              </div>
+            ))}
+            <button onClick={handleAddCriterion} className="add-choice-btn">+ Add Criterion</button>
+          </div>
+        </>
+      )}
+
+      {questionType === 'essay' && rubric.length > 0 ? (
+        <div className="form-group">
+          <label>Points</label>
+          <p className="rubric-total">{rubricPoints} (total of the rubric)</p>
+        </div>
+      ) : (
+        <div className="form-group">
+          <label>Points (1–{questionType === 'essay' ? MAX_ESSAY_POINTS : MAX_POINTS})</label>
+          <input
+            type="number"
+            min={1}
+            max={questionType === 'essay' ? MAX_ESSAY_POINTS : MAX_POINTS}
+            value={points}
+            onChange={(e) => setPoints(parseInt(e.target.value))}
+          />
+        </div>
+      )}
+
       <div className="form-group">
-        <label>Points (1–5)</label>
+        <label>Question Pool (optional)</label>
         <input
-          type="number"
-          min={1}
-          max={5}
-          value={points}
-          onChange={(e) => setPoints(parseInt(e.target.value))}
+          type="text"
+          value={pool}
+          onChange={(e) => setPool(e.target.value)}
+          placeholder="e.g. Chapter 1 — students draw a set number from each pool"
         />
       </div>
 
@@ -213,20 +681,71 @@ const AddQuestionForm = ({ onSave, question }) => {
         <div className="preview-box">
           <h4>Preview</h4>
           <p>{questionText}</p>
-          {questionType === 'multiple-choice' && (
+          {hasChoices(questionType) && (
             <ul>
               {choices.map((c, i) => (
-                <li key={i}>{c} {correctAnswer === i ? '(Correct)' : ''}</li>
+                <li key={i}>{c} {isMarkedCorrect(i) ? '(Correct)' : ''}</li>
               ))}
             </ul>
           )}
+          {questionType === 'multiple-response' && <p>Scoring: {MULTIPLE_RESPONSE_SCORING_LABELS[scoring]}</p>}
           {questionType === 'true-false' && <p>Correct Answer: {trueFalseAnswer}</p>}
           {questionType === 'fill-in-the-blank' && (
+            <>
+              {blankRows.map((answers, blank) => (
+                <p key={blank}>
+                  {blankCount > 1 ? `Blank ${blank + 1}` : 'Correct Answer'}: {answers.filter(Boolean).join(' or ')}
+                </p>
+              ))}
+              <p>
+                {FILL_IN_MATCH_MODE_LABELS[matchMode]}
+                {caseSensitive ? ', case sensitive' : ''}
+                {canIgnore && ignoreWhitespace ? ', ignoring spaces' : ''}
+                {canIgnore && ignorePunctuation ? ', ignoring punctuation' : ''}
+                {canIgnore && ignoreDiacritics ? ', ignoring accents' : ''}
+              </p>
+            </>
+          )}
+          {questionType === 'matching' && (
+            <ul>
+              {pairs.map((pair, i) => (
+                <li key={i}>{pair.prompt} → {pair.match}</li>
+              ))}
+              {extraMatches.map((match, i) => (
+                <li key={`extra-${i}`}>(extra) {match}</li>
+              ))}
+            </ul>
+          )}
+          {questionType === 'ordering' && (
+            <ol>
+              {orderItems.map((item, i) => (
+                <li key={i}>{item}</li>
+              ))}
+            </ol>
+          )}
+          {questionType === 'numeric' && (
             <p>
-              Correct Answer: {fillInAnswer} {caseSensitive ? '(Case Sensitive)' : ''}
+              Correct Answer: {gradingService.describeNumericAnswer({
+                correctAnswer: numericAnswer,
+                tolerance: toNumber(tolerance) || 0,
+                toleranceType,
+                units: toUnitList(units),
+                sigFigs
+              })}
+              {unitRequired ? ' (unit required)' : ''}
             </p>
           )}
-          <p>Points: {points}</p>
+          {questionType === 'essay' && (minWords || maxWords) && (
+            <p>Word Limit: {minWords || 'no minimum'} – {maxWords || 'no maximum'}</p>
+          )}
+          {questionType === 'essay' && rubric.length > 0 && (
+            <ul>
+              {rubric.map((item, i) => (
+                <li key={i}>{item.criterion} ({item.points} pt)</li>
+              ))}
+            </ul>
+          )}
+          <p>Points: {questionType === 'essay' && rubric.length > 0 ? rubricPoints : points}</p>
         </div>
       )}
     </div>
@@ -1,34 +1,216 @@
 // src/pages/teacher/CreateQuizPage.jsx
 
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { quizService } from '../../services/quizService';
+import { CODE_USAGE } from '../../services/attemptService';
+import { TIME_WARNING_THRESHOLDS, PROCTORING_DEFAULTS, RESULTS_DEFAULTS } from '../../services/config';
+import { validateQuiz } from '../../services/quizValidation';
+import { RECORDING_POLICY_LABELS, MAX_FACES_LIMIT } from '../../services/proctoringSettings';
+import { REVIEW_RELEASE_LABELS } from '../../services/resultSettings';
 import './createquiz.css';
 
+// ISO timestamp → value for a datetime-local input (local time, minutes precision)
+const toLocalInputValue = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Proctoring settings as form values (an empty tab-switch limit means no limit)
+const toProctoringForm = (proctoring) => {
+  const settings = { ...PROCTORING_DEFAULTS, ...proctoring };
+  return {
+    ...settings,
+    maxFaces: String(settings.maxFaces),
+    allowedTabSwitches: settings.allowedTabSwitches === null ? '' : String(settings.allowedTabSwitches)
+  };
+};
+
+// Result settings as form values
+const toResultsForm = (results) => {
+  const settings = { ...RESULTS_DEFAULTS, ...results };
+  return { ...settings, passPercentage: String(settings.passPercentage) };
+};
+
+const FieldError = ({ message }) => (message ? <p className="field-error" role="alert">{message}</p> : null);
+
 const CreateQuizPage = () => {
+  // ✅ With a quizId in the route the same form edits an existing paper
+  const { quizId } = useParams();
+  const isEditing = !!quizId;
+  const [loading, setLoading] = useState(isEditing);
   const [title, setTitle] = useState('');
   const [startTime, setStartTime] = useState('');
   const [endTime, setEndTime] = useState('');
   const [forwardOnly, setForwardOnly] = useState(false);
   const [timer, setTimer] = useState('');
-  const [isSaved, setIsSaved] = useState(false);
+  const [codeUsage, setCodeUsage] = useState(CODE_USAGE.PER_STUDENT);
+  const [maxAttempts, setMaxAttempts] = useState(1);
+  const [warningThresholds, setWarningThresholds] = useState(TIME_WARNING_THRESHOLDS.join(', '));
+  const [savedQuiz, setSavedQuiz] = useState(null);
+  const [saving, setSaving] = useState(false);
   const [paperCode, setPaperCode] = useState('');
+  const [generatingCode, setGeneratingCode] = useState(false);
+  const [proctoring, setProctoring] = useState(() => toProctoringForm());
+  const [results, setResults] = useState(() => toResultsForm());
+  const [errors, setErrors] = useState({});
   const navigate = useNavigate();
+  // A quiz created offline has no ID until the queued request syncs
+  const awaitingSync = !!savedQuiz && !savedQuiz.id;
+
+  // ✅ Load the paper being edited into the form
+  useEffect(() => {
+    if (!quizId) return;
 
-  const handleSave = () => {
-    // Placeholder: Send quiz data to backend
-    setIsSaved(true);
+    const loadQuiz = async () => {
+      try {
+        const quiz = await quizService.getQuizById(quizId);
+        if (!quiz) {
+          toast.error('⚠️ This quiz no longer exists.');
+          navigate('/teacher');
+          return;
+        }
+
+        setTitle(quiz.title || '');
+        setStartTime(toLocalInputValue(quiz.startTime));
+        setEndTime(toLocalInputValue(quiz.endTime));
+        setTimer(quiz.timer ? String(quiz.timer) : '');
+        setForwardOnly(!!quiz.forwardOnly);
+        setCodeUsage(quiz.codeUsage || CODE_USAGE.PER_STUDENT);
+        setMaxAttempts(quiz.maxAttempts || 1);
+        setWarningThresholds((quiz.warningThresholds?.length ? quiz.warningThresholds : TIME_WARNING_THRESHOLDS).join(', '));
+        setPaperCode(quiz.paperCode || '');
+        setProctoring(toProctoringForm(quiz.proctoring));
+        setResults(toResultsForm(quiz.results));
+        setSavedQuiz(quiz);
+      } catch (error) {
+        console.error('[CreateQuizPage] Failed to load quiz:', error);
+        toast.error(`⚠️ Failed to load quiz: ${error.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadQuiz();
+  }, [quizId, navigate]);
+
+  const updateProctoring = (setting, value) => {
+    setProctoring(prev => ({ ...prev, [setting]: value }));
+  };
+
+  const updateResults = (setting, value) => {
+    setResults(prev => ({ ...prev, [setting]: value }));
   };
 
-  const handleCodeSubmit = () => {
-    // Placeholder: Save paper code to backend
-    // Navigate to Question Management
-    navigate(`/teacher/questions/${paperCode}`);
+  // ✅ Suggest an unused, easy-to-read paper code
+  const handleGenerateCode = async (quizTitle = title) => {
+    setGeneratingCode(true);
+    try {
+      setPaperCode(await quizService.generatePaperCode(quizTitle));
+      setErrors(prev => ({ ...prev, paperCode: undefined }));
+    } catch (error) {
+      toast.error(`⚠️ ${error.message}`);
+    } finally {
+      setGeneratingCode(false);
+    }
   };
 
+  // ✅ Save the quiz through quizService
+  const handleSave = async () => {
+    const quizData = {
+      title: title.trim(),
+      startTime: startTime ? new Date(startTime).toISOString() : null,
+      endTime: endTime ? new Date(endTime).toISOString() : null,
+      timer: timer ? Number(timer) : null,
+      forwardOnly,
+      codeUsage,
+      maxAttempts: codeUsage === CODE_USAGE.SINGLE_USE ? 1 : Number(maxAttempts) || 1,
+      warningThresholds: warningThresholds
+        .split(',')
+        .map(value => Number(value.trim()))
+        .filter(value => Number.isFinite(value) && value > 0),
+      proctoring: {
+        requireFaceCheck: proctoring.requireFaceCheck,
+        maxFaces: Number(proctoring.maxFaces),
+        allowedTabSwitches: proctoring.allowedTabSwitches === '' ? null : Number(proctoring.allowedTabSwitches),
+        lockAltTab: proctoring.lockAltTab,
+        recordingPolicy: proctoring.recordingPolicy
+      },
+      results: {
+        passPercentage: results.passPercentage === '' ? '' : Number(results.passPercentage),
+        reviewRelease: results.reviewRelease
+      },
+    };
+
+    if (awaitingSync) {
+      toast.info('⏳ This quiz is waiting to sync. Reload it from your papers once you are back online to make more changes.');
+      return;
+    }
+
+    // ✅ Same rules quizService enforces, shown next to each field
+    const { valid, errors: validationErrors } = validateQuiz(quizData);
+    setErrors(validationErrors);
+    if (!valid) {
+      toast.error('⚠️ Please fix the highlighted fields.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = savedQuiz
+        ? await quizService.updateQuiz(savedQuiz.id, quizData)
+        : await quizService.createQuiz(quizData);
+      const id = savedQuiz?.id || response?.id || null;
+      setSavedQuiz({ ...savedQuiz, ...quizData, id });
+      if (response?.queued) toast.info(response.message);
+      if (!id) return;
+
+      toast.success(isEditing
+        ? '✅ Quiz updated.'
+        : '✅ Quiz saved. Now set the paper code students will redeem.');
+      if (!paperCode) handleGenerateCode(quizData.title);
+    } catch (error) {
+      console.error('[CreateQuizPage] Failed to save quiz:', error);
+      if (error.fieldErrors) setErrors(error.fieldErrors);
+      toast.error(`⚠️ Failed to save quiz: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ✅ Store the paper code (must be unique), then go to Question Management
+  const handleCodeSubmit = async () => {
+    if (!savedQuiz?.id) return;
+
+    try {
+      const response = await quizService.assignPaperCode(savedQuiz.id, paperCode);
+      const normalizedCode = paperCode.trim().toUpperCase();
+      if (response?.queued) toast.info(response.message);
+      navigate(`/teacher/questions/${normalizedCode}`);
+    } catch (error) {
+      setErrors(prev => ({ ...prev, paperCode: error.message }));
+      toast.error(`⚠️ ${error.message}`);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="createquiz-wrapper">
+        <div className="createquiz-card">Loading quiz...</div>
+      </div>
+    );
+  }
+
   return (
     <div className="createquiz-wrapper">
       <div className="createquiz-card">
-        <h2>Create New Quiz</h2>
+        {isEditing && (
+          <button className="back-btn" onClick={() => navigate('/teacher')}>← Back to Papers</button>
+        )}
+        <h2>{isEditing ? 'Edit Quiz' : 'Create New Quiz'}</h2>
 
         <div className="form-group">
           <label>Quiz Title</label>
@@ -38,6 +220,7 @@ const CreateQuizPage = () => {
             onChange={(e) => setTitle(e.target.value)}
             placeholder="Enter quiz title"
           />
+          <FieldError message={errors.title} />
         </div>
 
         <div className="form-group">
@@ -47,6 +230,7 @@ const CreateQuizPage = () => {
             value={startTime}
             onChange={(e) => setStartTime(e.target.value)}
           />
+          <FieldError message={errors.startTime} />
         </div>
 
         <div className="form-group">
@@ -56,6 +240,7 @@ const CreateQuizPage = () => {
             value={endTime}
             onChange={(e) => setEndTime(e.target.value)}
           />
+          <FieldError message={errors.endTime} />
         </div>
 
         <div className="form-group">
@@ -67,6 +252,7 @@ const CreateQuizPage = () => {
             onChange={(e) => setTimer(e.target.value)}
             placeholder="e.g., 30"
           />
+          <FieldError message={errors.timer} />
         </div>
 
         <div className="form-group toggle-group">
@@ -78,18 +264,169 @@ const CreateQuizPage = () => {
           />
         </div>
 
-        <button className="save-btn" onClick={handleSave}>Save Quiz</button>
+        <div className="form-group">
+          <label>Paper Code Usage</label>
+          <select value={codeUsage} onChange={(e) => setCodeUsage(e.target.value)}>
+            <option value={CODE_USAGE.PER_STUDENT}>Each student can use the code</option>
+            <option value={CODE_USAGE.SINGLE_USE}>Single use (one attempt in total)</option>
+          </select>
+        </div>
 
-        {isSaved && (
-          <div className="paper-code-section">
-            <label>Enter Paper Code</label>
+        {codeUsage === CODE_USAGE.PER_STUDENT && (
+          <div className="form-group">
+            <label>Attempts per Student</label>
+            <input
+              type="number"
+              min={1}
+              value={maxAttempts}
+              onChange={(e) => setMaxAttempts(e.target.value)}
+            />
+            <FieldError message={errors.maxAttempts} />
+          </div>
+        )}
+
+        <div className="form-group">
+          <label>Time Warnings (minutes before end)</label>
+          <input
+            type="text"
+            value={warningThresholds}
+            onChange={(e) => setWarningThresholds(e.target.value)}
+            placeholder="e.g., 5, 1"
+          />
+          <FieldError message={errors.warningThresholds} />
+        </div>
+
+        <fieldset className="proctoring-settings">
+          <legend>Proctoring</legend>
+
+          <div className="form-group toggle-group">
+            <label htmlFor="require-face-check">Pause when no face is visible</label>
+            <input
+              id="require-face-check"
+              type="checkbox"
+              checked={proctoring.requireFaceCheck}
+              onChange={() => updateProctoring('requireFaceCheck', !proctoring.requireFaceCheck)}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="max-faces">Faces Allowed in View</label>
             <input
-              type="text"
-              value={paperCode}
-              onChange={(e) => setPaperCode(e.target.value)}
-              placeholder="e.g., QUIZ2024"
+              id="max-faces"
+              type="number"
+              min={1}
+              max={MAX_FACES_LIMIT}
+              value={proctoring.maxFaces}
+              onChange={(e) => updateProctoring('maxFaces', e.target.value)}
             />
-            <button className="code-btn" onClick={handleCodeSubmit}>Submit Code</button>
+            <FieldError message={errors['proctoring.maxFaces']} />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="allowed-tab-switches">Allowed Tab Switches</label>
+            <input
+              id="allowed-tab-switches"
+              type="number"
+              min={0}
+              value={proctoring.allowedTabSwitches}
+              onChange={(e) => updateProctoring('allowedTabSwitches', e.target.value)}
+              placeholder="No limit"
+            />
+            <p className="field-hint">Going over the limit submits the attempt. Leave empty for no limit.</p>
+            <FieldError message={errors['proctoring.allowedTabSwitches']} />
+          </div>
+
+          <div className="form-group toggle-group">
+            <label htmlFor="lock-alt-tab">Block Alt+Tab (desktop app)</label>
+            <input
+              id="lock-alt-tab"
+              type="checkbox"
+              checked={proctoring.lockAltTab}
+              onChange={() => updateProctoring('lockAltTab', !proctoring.lockAltTab)}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="recording-policy">When Screen Recording Is Detected</label>
+            <select
+              id="recording-policy"
+              value={proctoring.recordingPolicy}
+              onChange={(e) => updateProctoring('recordingPolicy', e.target.value)}
+            >
+              {Object.entries(RECORDING_POLICY_LABELS).map(([policy, label]) => (
+                <option key={policy} value={policy}>{label}</option>
+              ))}
+            </select>
+            <FieldError message={errors['proctoring.recordingPolicy']} />
+          </div>
+        </fieldset>
+
+        <fieldset className="results-settings">
+          <legend>Results</legend>
+
+          <div className="form-group">
+            <label htmlFor="pass-percentage">Pass Mark (%)</label>
+            <input
+              id="pass-percentage"
+              type="number"
+              min={0}
+              max={100}
+              value={results.passPercentage}
+              onChange={(e) => updateResults('passPercentage', e.target.value)}
+            />
+            <FieldError message={errors['results.passPercentage']} />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="review-release">Students Can Review Their Answers</label>
+            <select
+              id="review-release"
+              value={results.reviewRelease}
+              onChange={(e) => updateResults('reviewRelease', e.target.value)}
+            >
+              {Object.entries(REVIEW_RELEASE_LABELS).map(([release, label]) => (
+                <option key={release} value={release}>{label}</option>
+              ))}
+            </select>
+            <p className="field-hint">The review shows each question, the student's answer, the correct answer and the points earned.</p>
+            <FieldError message={errors['results.reviewRelease']} />
+          </div>
+        </fieldset>
+
+        <button className="save-btn" onClick={handleSave} disabled={saving || awaitingSync}>
+          {saving ? 'Saving...' : awaitingSync ? 'Waiting to Sync' : savedQuiz ? 'Update Quiz' : 'Save Quiz'}
+        </button>
+
+        {awaitingSync && (
+          <p className="field-hint">
+            ⏳ The quiz will be created when you are back online. Set its paper code and make further changes from
+            your papers once it has synced.
+          </p>
+        )}
+
+        {savedQuiz?.id && (
+          <div className="paper-code-section">
+            <label>Enter Paper Code</label>
+            <div className="code-input-row">
+              <input
+                type="text"
+                value={paperCode}
+                onChange={(e) => setPaperCode(e.target.value)}
+                placeholder="e.g., QUIZ2024"
+              />
+              <button
+                className="generate-code-btn"
+                onClick={() => handleGenerateCode()}
+                disabled={generatingCode}
+                title="Generate an unused code"
+              >
+                {generatingCode ? '…' : '🎲 Generate'}
+              </button>
+            </div>
+            <FieldError message={errors.paperCode} />
+            <button className="code-btn" onClick={handleCodeSubmit}>
+              {isEditing ? 'Save Code & Edit Questions' : 'Submit Code'}
+            </button>
           </div>
         )}
       </div>
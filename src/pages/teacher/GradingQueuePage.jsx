@@ -0,0 +1,221 @@
+// src/pages/teacher/GradingQueuePage.jsx
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { manualGradingService } from '../../services/manualGradingService';
+import { reviewService } from '../../services/reviewService';
+import { useAuth } from '../../services/authContext';
+import './grading.css';
+
+const responseKey = (item) => `${item.attemptId}:${item.questionId}`;
+
+// Marks start from the saved grade when regrading
+const toDraft = (item) => ({
+  criterionScores: item.rubric.map((_, index) => (item.grade?.criterionScores?.[index] ?? '').toString()),
+  points: item.grade && item.rubric.length === 0 ? String(item.grade.points) : '',
+  comment: item.grade?.comment || ''
+});
+
+const describeLength = (item) => {
+  if (item.maxWords && item.wordCount > item.maxWords) return `over the ${item.maxWords}-word limit`;
+  if (item.minWords && item.wordCount < item.minWords) return `under the ${item.minWords}-word minimum`;
+  return null;
+};
+
+const GradingQueuePage = () => {
+  const { paperCode } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [queue, setQueue] = useState(null); // { quiz, items, pendingCount }
+  const [loadError, setLoadError] = useState(null);
+  const [showGraded, setShowGraded] = useState(false);
+  const [drafts, setDrafts] = useState({});
+  const [savingKey, setSavingKey] = useState(null);
+
+  // ✅ Every answered essay of the paper's submitted attempts
+  const loadQueue = useCallback(async () => {
+    try {
+      const result = await manualGradingService.getGradingQueue(paperCode);
+      if (!result) {
+        setLoadError(`No quiz found for paper code "${paperCode}".`);
+        return;
+      }
+      setQueue(result);
+      setDrafts(Object.fromEntries(result.items.map(item => [responseKey(item), toDraft(item)])));
+    } catch (error) {
+      console.error('[GradingQueuePage] Failed to load grading queue:', error);
+      setLoadError(`Failed to load the grading queue: ${error.message}`);
+    }
+  }, [paperCode]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const updateDraft = (key, changes) => {
+    setDrafts(previous => ({ ...previous, [key]: { ...previous[key], ...changes } }));
+  };
+
+  const updateCriterion = (key, index, value) => {
+    const criterionScores = [...drafts[key].criterionScores];
+    criterionScores[index] = value;
+    updateDraft(key, { criterionScores });
+  };
+
+  // ✅ Save the grade; the student's score is released once their last essay is graded
+  const saveGrade = async (item) => {
+    const key = responseKey(item);
+    const draft = drafts[key];
+    setSavingKey(key);
+    try {
+      await manualGradingService.gradeResponse(item.attemptId, item.questionId, {
+        criterionScores: draft.criterionScores,
+        points: draft.points,
+        comment: draft.comment,
+        grader: reviewService.getReviewer(user)
+      });
+      toast.success(`✅ Graded ${item.studentName}'s answer to question ${item.questionNumber}.`);
+      await loadQueue();
+    } catch (error) {
+      console.error('[GradingQueuePage] Failed to save grade:', error);
+      toast.error(`⚠️ ${error.message}`);
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  if (loadError) {
+    return (
+      <div className="grading-wrapper">
+        <button className="back-btn" onClick={() => navigate('/teacher')}>← Back to Papers</button>
+        <p className="grading-error">⚠️ {loadError}</p>
+      </div>
+    );
+  }
+
+  if (!queue) {
+    return <div className="grading-wrapper"><p className="status-msg">Loading responses…</p></div>;
+  }
+
+  const visibleItems = showGraded ? queue.items : queue.items.filter(item => item.pending);
+
+  return (
+    <div className="grading-wrapper">
+      <button className="back-btn" onClick={() => navigate('/teacher')}>← Back to Papers</button>
+      <h2>📝 Grading: {queue.quiz.title} ({queue.quiz.paperCode})</h2>
+
+      <div className="grading-toolbar">
+        <p>
+          <strong>{queue.pendingCount}</strong> of {queue.items.length} responses still to grade.
+          Students see their score once all of their answers are graded.
+        </p>
+        <label className="show-graded">
+          <input type="checkbox" checked={showGraded} onChange={() => setShowGraded(!showGraded)} />
+          Show graded responses
+        </label>
+      </div>
+
+      {visibleItems.length === 0 ? (
+        <p className="status-msg">
+          {queue.items.length === 0 ? 'No essay answers have been submitted yet.' : '🎉 Everything has been graded.'}
+        </p>
+      ) : (
+        visibleItems.map(item => {
+          const key = responseKey(item);
+          const draft = drafts[key] || toDraft(item);
+          const lengthNote = describeLength(item);
+          const rubricTotal = draft.criterionScores.reduce((sum, score) => sum + (Number(score) || 0), 0);
+
+          return (
+            <section key={key} className={`grading-card ${item.pending ? 'card-pending' : 'card-graded'}`}>
+              <header className="grading-card-header">
+                <span className="grading-student">{item.studentName}</span>
+                <span>Question {item.questionNumber} · {item.possiblePoints} pt</span>
+                <span className="grading-submitted">Submitted {new Date(item.submittedAt).toLocaleString()}</span>
+              </header>
+              <p className="grading-question">{item.questionText}</p>
+              <p className="grading-answer">{item.answer}</p>
+              <p className="grading-words">
+                {item.wordCount} words
+                {lengthNote && <span className="length-warning"> ({lengthNote})</span>}
+              </p>
+
+              {item.rubric.length > 0 ? (
+                <table className="rubric-table">
+                  <thead>
+                    <tr>
+                      <th>Criterion</th>
+                      <th>Score</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {item.rubric.map((criterion, index) => (
+                      <tr key={criterion.criterion}>
+                        <td>{criterion.criterion}</td>
+                        <td>
+                          <input
+                            type="number"
+                            min={0}
+                            max={criterion.points}
+                            step="0.5"
+                            value={draft.criterionScores[index]}
+                            onChange={(e) => updateCriterion(key, index, e.target.value)}
+                            aria-label={`${criterion.criterion} score`}
+                          />
+                          {' '}/ {criterion.points}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    <tr>
+                      <td>Total</td>
+                      <td>{rubricTotal} / {item.possiblePoints}</td>
+                    </tr>
+                  </tfoot>
+                </table>
+              ) : (
+                <label className="grading-points">
+                  Points{' '}
+                  <input
+                    type="number"
+                    min={0}
+                    max={item.possiblePoints}
+                    step="0.5"
+                    value={draft.points}
+                    onChange={(e) => updateDraft(key, { points: e.target.value })}
+                  />
+                  {' '}/ {item.possiblePoints}
+                </label>
+              )}
+
+              <label className="grading-comment">
+                Comment for the student (optional)
+                <textarea
+                  value={draft.comment}
+                  onChange={(e) => updateDraft(key, { comment: e.target.value })}
+                  rows={3}
+                />
+              </label>
+
+              <div className="grading-actions">
+                {item.grade && (
+                  <span className="graded-by">
+                    Graded {item.grade.points} / {item.possiblePoints} by {item.grade.grader?.name} on{' '}
+                    {new Date(item.grade.gradedAt).toLocaleString()}
+                  </span>
+                )}
+                <button onClick={() => saveGrade(item)} disabled={savingKey === key}>
+                  {savingKey === key ? 'Saving…' : item.grade ? 'Update Grade' : 'Save Grade'}
+                </button>
+              </div>
+            </section>
+          );
+        })
+      )}
+    </div>
+  );
+};
+
+export default GradingQueuePage;
@@ -0,0 +1,232 @@
+// src/pages/teacher/ItemAnalyticsPage.jsx
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { itemAnalysisService, ITEM_FLAG_LABELS } from '../../services/itemAnalysisService';
+import { quizScheduleService, PAPER_STATUS } from '../../services/quizScheduleService';
+import { trustedClockService } from '../../services/trustedClockService';
+import './itemanalytics.css';
+
+const TYPE_LABELS = {
+  'multiple-choice': 'Multiple choice',
+  'multiple-response': 'Multiple response',
+  'true-false': 'True / False',
+  'fill-in-the-blank': 'Fill in the blank',
+  'numeric': 'Numeric',
+  'matching': 'Matching',
+  'ordering': 'Ordering',
+  'essay': 'Essay'
+};
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
+const formatNumber = (value) => (value === null || value === undefined ? '—' : value.toFixed(2));
+
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return '—';
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+// Bars scaled to the largest bin
+const Histogram = ({ bins, label }) => {
+  const max = Math.max(1, ...bins.map(bin => bin.count));
+  return (
+    <div className="histogram" role="img" aria-label={label}>
+      {bins.map(bin => (
+        <div key={bin.label} className="histogram-column" title={`${bin.label}: ${bin.count}`}>
+          <span className="histogram-count">{bin.count}</span>
+          <div className="histogram-bar" style={{ height: `${(bin.count / max) * 100}%` }} />
+          <span className="histogram-label">{bin.label}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const ItemAnalyticsPage = () => {
+  const { paperCode } = useParams();
+  const navigate = useNavigate();
+  const [data, setData] = useState(null); // { quiz, analysis }
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  // ✅ Analyse every graded submission for the paper
+  useEffect(() => {
+    const loadAnalysis = async () => {
+      try {
+        const [result, now] = await Promise.all([
+          itemAnalysisService.getPaperAnalysis(paperCode),
+          trustedClockService.getTrustedNow()
+        ]);
+        if (!result) {
+          setLoadError(`No quiz found for paper code "${paperCode}".`);
+          return;
+        }
+        setData(result);
+        setStatus(quizScheduleService.getPaperStatus(result.quiz, now));
+      } catch (error) {
+        console.error('[ItemAnalyticsPage] Failed to load analytics:', error);
+        setLoadError(`Failed to load analytics: ${error.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadAnalysis();
+  }, [paperCode]);
+
+  if (loading) {
+    return <div className="analytics-wrapper"><p className="status-msg">Analysing submissions…</p></div>;
+  }
+
+  if (loadError) {
+    return (
+      <div className="analytics-wrapper">
+        <button className="back-btn" onClick={() => navigate('/teacher')}>← Back to Papers</button>
+        <p className="analytics-error">⚠️ {loadError}</p>
+      </div>
+    );
+  }
+
+  const { quiz, analysis } = data;
+  const scoreBins = analysis.scoreHistogram.map(bin => ({
+    label: `${bin.from}–${bin.to}%`,
+    count: bin.count
+  }));
+
+  return (
+    <div className="analytics-wrapper">
+      <button className="back-btn" onClick={() => navigate('/teacher')}>← Back to Papers</button>
+      <h2>📊 Question Analytics: {quiz.title} ({quiz.paperCode})</h2>
+
+      {status === PAPER_STATUS.LIVE && (
+        <p className="analytics-note">This paper is still live, so these figures will change as more students submit.</p>
+      )}
+
+      {analysis.attemptCount === 0 ? (
+        <p className="status-msg">No graded submissions yet.</p>
+      ) : (
+        <>
+          <div className="analytics-summary">
+            <div className="summary-card">
+              <span className="summary-value">{analysis.attemptCount}</span>
+              <span className="summary-label">Graded submissions</span>
+            </div>
+            <div className="summary-card">
+              <span className="summary-value">{analysis.averagePercentage}%</span>
+              <span className="summary-label">Average score</span>
+            </div>
+            <div className="summary-card">
+              <span className="summary-value">{analysis.items.filter(item => item.flags.length > 0).length}</span>
+              <span className="summary-label">Questions to review</span>
+            </div>
+          </div>
+
+          <section className="analytics-section">
+            <h3>Score Distribution</h3>
+            <Histogram bins={scoreBins} label="Number of students by total score" />
+          </section>
+
+          <section className="analytics-section">
+            <h3>Questions</h3>
+            <p className="analytics-help">
+              <strong>Difficulty</strong> is the share of the points students earned (higher is easier).{' '}
+              <strong>Discrimination</strong> is how well the question separates strong from weak students
+              (point-biserial against the rest of the paper; below 0.2 is weak, negative suggests a wrong answer key).
+            </p>
+            <table className="analytics-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Question</th>
+                  <th>Type</th>
+                  <th>Students</th>
+                  <th>Difficulty</th>
+                  <th>Discrimination</th>
+                  <th>Avg. Time</th>
+                  <th>Flags</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {analysis.items.map((item, index) => (
+                  <React.Fragment key={item.questionId}>
+                    <tr className={item.flags.length > 0 ? 'item-flagged' : ''}>
+                      <td>{index + 1}</td>
+                      <td className="item-text">
+                        {item.text}
+                        {item.pool && <span className="item-pool">{item.pool}</span>}
+                      </td>
+                      <td>{TYPE_LABELS[item.type] || item.type}</td>
+                      <td>{item.responseCount}</td>
+                      <td>{formatPercent(item.pValue)}</td>
+                      <td>{formatNumber(item.discrimination)}</td>
+                      <td>{formatDuration(item.averageSeconds)}</td>
+                      <td>
+                        {item.flags.map(flag => (
+                          <span key={flag} className={`item-flag flag-${flag}`}>{ITEM_FLAG_LABELS[flag]}</span>
+                        ))}
+                      </td>
+                      <td>
+                        <button
+                          className="details-btn"
+                          onClick={() => setExpandedId(expandedId === item.questionId ? null : item.questionId)}
+                          aria-expanded={expandedId === item.questionId}
+                        >
+                          {expandedId === item.questionId ? 'Hide' : 'Details'}
+                        </button>
+                      </td>
+                    </tr>
+                    {expandedId === item.questionId && (
+                      <tr className="item-details-row">
+                        <td colSpan={9}>
+                          <div className="item-details">
+                            <div>
+                              <h4>Points Earned</h4>
+                              <Histogram
+                                bins={item.scoreDistribution.map(({ points, count }) => ({ label: `${points} pt`, count }))}
+                                label="Number of students by points earned on this question"
+                              />
+                            </div>
+                            {item.distractors && (
+                              <div>
+                                <h4>Options</h4>
+                                <table className="distractor-table">
+                                  <thead>
+                                    <tr>
+                                      <th>Option</th>
+                                      <th>Chosen</th>
+                                      <th>Top 27%</th>
+                                      <th>Bottom 27%</th>
+                                    </tr>
+                                  </thead>
+                                  <tbody>
+                                    {item.distractors.map(option => (
+                                      <tr key={option.index ?? 'omitted'} className={option.correct ? 'option-correct' : ''}>
+                                        <td>{option.correct ? '✔ ' : ''}{option.text}</td>
+                                        <td>{option.count} ({formatPercent(option.rate)})</td>
+                                        <td>{formatPercent(option.upperRate)}</td>
+                                        <td>{formatPercent(option.lowerRate)}</td>
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                              </div>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ItemAnalyticsPage;
@@ -0,0 +1,247 @@
+// src/pages/teacher/LiveMonitorPage.jsx
+
+import React, { useState, useEffect, useRef } from 'react';
+import { toast } from 'react-toastify';
+import { quizService } from '../../services/quizService';
+import { quizScheduleService, PAPER_STATUS } from '../../services/quizScheduleService';
+import { trustedClockService } from '../../services/trustedClockService';
+import { liveMonitorService, ALERT_TYPES, FACE_STATUS, MAX_ALERT_MESSAGE_LENGTH } from '../../services/liveMonitorService';
+import { reviewService } from '../../services/reviewService';
+import { useAuth } from '../../services/authContext';
+import './livemonitor.css';
+
+const FACE_STATUS_LABELS = {
+  [FACE_STATUS.OK]: '🙂 OK',
+  [FACE_STATUS.MISSING]: '🚫 No face',
+  [FACE_STATUS.MULTIPLE]: '👥 Multiple faces',
+  [FACE_STATUS.UNKNOWN]: '— Unknown'
+};
+
+const formatSeconds = (seconds) => {
+  if (seconds === null || seconds === undefined) return '—';
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleTimeString() : '—');
+
+/**
+ * Live view of a paper's in-progress attempts.
+ * @param {Object} props
+ * @param {Function} [props.createTransport] - (quizId) => transport; polls by default
+ */
+const LiveMonitorPage = ({ createTransport = liveMonitorService.createPollingTransport }) => {
+  const [livePapers, setLivePapers] = useState(null); // null = loading
+  const [quizId, setQuizId] = useState('');
+  const [rows, setRows] = useState(null);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [feedError, setFeedError] = useState(null);
+  const [warningFor, setWarningFor] = useState(null); // attemptId with the message box open
+  const [warningText, setWarningText] = useState('');
+  const [sendingId, setSendingId] = useState(null);
+  const transportRef = useRef(null);
+  const { user } = useAuth();
+
+  // ✅ Only papers inside their schedule window can have students taking them
+  useEffect(() => {
+    const loadPapers = async () => {
+      try {
+        const [quizzes, now] = await Promise.all([
+          quizService.getAllQuizzes(),
+          trustedClockService.getTrustedNow()
+        ]);
+        const live = (quizzes || []).filter(quiz => quizScheduleService.getPaperStatus(quiz, now) === PAPER_STATUS.LIVE);
+        setLivePapers(live);
+        setQuizId(live[0]?.id || '');
+      } catch (error) {
+        console.error('[LiveMonitorPage] Failed to load papers:', error);
+        setFeedError(`Failed to load papers: ${error.message}`);
+        setLivePapers([]);
+      }
+    };
+
+    loadPapers();
+  }, []);
+
+  // ✅ Subscribe to the selected paper's live feed
+  useEffect(() => {
+    if (!quizId) return;
+
+    setRows(null);
+    setFeedError(null);
+    const transport = createTransport(quizId);
+    transportRef.current = transport;
+    const unsubscribe = transport.subscribe(
+      (attempts) => {
+        setRows([...attempts].sort((a, b) => (a.studentName || '').localeCompare(b.studentName || '')));
+        setLastUpdated(Date.now());
+        setFeedError(null);
+      },
+      (error) => {
+        console.error('[LiveMonitorPage] Live feed failed:', error);
+        setFeedError(error.message);
+      }
+    );
+
+    return () => {
+      unsubscribe();
+      transportRef.current = null;
+    };
+  }, [quizId, createTransport]);
+
+  // Sends one alert through the current transport
+  const sendAlert = async (row, type, message, successMessage) => {
+    setSendingId(row.attemptId);
+    try {
+      const alert = liveMonitorService.createAlert(type, row.attemptId, {
+        message,
+        sentBy: reviewService.getReviewer(user)
+      });
+      const sent = await transportRef.current.sendAlert(alert);
+      toast.success(successMessage);
+      if (sent?.queued) toast.info('You are offline. The alert will be sent when you reconnect.');
+      return true;
+    } catch (error) {
+      console.error('[LiveMonitorPage] Failed to send alert:', error);
+      toast.error(`⚠️ ${error.message}`);
+      return false;
+    } finally {
+      setSendingId(null);
+    }
+  };
+
+  const handleSendWarning = async (row) => {
+    const sent = await sendAlert(
+      row,
+      ALERT_TYPES.WARNING,
+      warningText,
+      `📢 Warning sent to ${row.studentName}. They will see it within a few seconds.`
+    );
+    if (sent) {
+      setWarningFor(null);
+      setWarningText('');
+    }
+  };
+
+  // ✅ Ending an attempt submits the student's answers, so always ask first
+  const handleForceEnd = (row) => {
+    if (!window.confirm(`End ${row.studentName}'s attempt now? Their answers so far will be submitted.`)) return;
+
+    sendAlert(row, ALERT_TYPES.FORCE_END, '', `🛑 ${row.studentName}'s attempt will be ended.`);
+  };
+
+  const toggleWarning = (attemptId) => {
+    setWarningFor(prev => (prev === attemptId ? null : attemptId));
+    setWarningText('');
+  };
+
+  return (
+    <div className="live-monitor-wrapper">
+      <div className="live-monitor-header">
+        <h2>🔴 Live Monitor</h2>
+        {livePapers?.length > 0 && (
+          <select value={quizId} onChange={(e) => setQuizId(e.target.value)} aria-label="Live paper">
+            {livePapers.map(paper => (
+              <option key={paper.id} value={paper.id}>
+                {paper.title} ({paper.paperCode})
+              </option>
+            ))}
+          </select>
+        )}
+        {lastUpdated && <span className="live-updated">Updated {new Date(lastUpdated).toLocaleTimeString()}</span>}
+      </div>
+
+      {feedError && <p className="live-error">⚠️ {feedError}</p>}
+
+      {livePapers === null ? (
+        <p className="status-msg">Loading papers…</p>
+      ) : livePapers.length === 0 ? (
+        <p className="status-msg">No papers are live right now.</p>
+      ) : rows === null ? (
+        <p className="status-msg">Connecting to the live feed…</p>
+      ) : rows.length === 0 ? (
+        <p className="status-msg">No students are taking this paper right now.</p>
+      ) : (
+        <table className="live-table">
+          <thead>
+            <tr>
+              <th>Student</th>
+              <th>Question</th>
+              <th>Time Left</th>
+              <th>Face</th>
+              <th>Connection</th>
+              <th>Latest Violation</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <React.Fragment key={row.attemptId}>
+                <tr className={row.connected ? '' : 'live-row-disconnected'}>
+                  <td>{row.studentName}</td>
+                  <td>{row.currentQuestion ? `${row.currentQuestion} / ${row.totalQuestions}` : '—'}</td>
+                  <td>{formatSeconds(row.secondsLeft)}</td>
+                  <td><span className={`face-badge face-${row.faceStatus}`}>{FACE_STATUS_LABELS[row.faceStatus]}</span></td>
+                  <td>
+                    {row.connected
+                      ? <span className="connection-live">● Live</span>
+                      : <span className="connection-lost">Disconnected (last seen {formatTime(row.lastSeenAt)})</span>}
+                  </td>
+                  <td>
+                    {row.latestViolation
+                      ? `${row.latestViolation.label} at ${formatTime(row.latestViolation.timestamp)} (${row.violationCount} total)`
+                      : 'None'}
+                  </td>
+                  <td className="live-actions">
+                    <button
+                      className="warn-btn"
+                      onClick={() => toggleWarning(row.attemptId)}
+                      disabled={sendingId === row.attemptId}
+                    >
+                      📢 Warn
+                    </button>
+                    <button
+                      className="end-btn"
+                      onClick={() => handleForceEnd(row)}
+                      disabled={sendingId === row.attemptId}
+                    >
+                      🛑 End Attempt
+                    </button>
+                  </td>
+                </tr>
+                {warningFor === row.attemptId && (
+                  <tr className="warning-row">
+                    <td colSpan={7}>
+                      <input
+                        type="text"
+                        value={warningText}
+                        maxLength={MAX_ALERT_MESSAGE_LENGTH}
+                        onChange={(e) => setWarningText(e.target.value)}
+                        onKeyDown={(e) => { if (e.key === 'Enter') handleSendWarning(row); }}
+                        placeholder={`Message to ${row.studentName}, e.g. "Please keep your face in view."`}
+                        aria-label={`Warning message to ${row.studentName}`}
+                        autoFocus
+                      />
+                      <button
+                        className="send-warning-btn"
+                        onClick={() => handleSendWarning(row)}
+                        disabled={sendingId === row.attemptId || !warningText.trim()}
+                      >
+                        Send
+                      </button>
+                      <button className="cancel-warning-btn" onClick={() => toggleWarning(row.attemptId)}>
+                        Cancel
+                      </button>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default LiveMonitorPage;
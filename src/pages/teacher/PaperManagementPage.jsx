@@ -1,12 +1,124 @@
 // src/pages/teacher/PaperManagementPage.jsx
 
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { quizService } from '../../services/quizService';
+import { attemptService } from '../../services/attemptService';
+import { manualGradingService } from '../../services/manualGradingService';
+import { quizScheduleService, PAPER_STATUS } from '../../services/quizScheduleService';
+import { trustedClockService } from '../../services/trustedClockService';
 import './paper.css';
 
+// Statuses move on by themselves as schedule windows open and close
+const STATUS_REFRESH_INTERVAL = 30 * 1000;
+
+const STATUS_LABELS = {
+  [PAPER_STATUS.DRAFT]: 'Draft',
+  [PAPER_STATUS.SCHEDULED]: 'Scheduled',
+  [PAPER_STATUS.LIVE]: 'Live',
+  [PAPER_STATUS.CLOSED]: 'Closed',
+  [PAPER_STATUS.ARCHIVED]: 'Archived'
+};
+
+// "All" hides archived papers; they have their own tab
+const STATUS_FILTERS = ['all', ...Object.values(PAPER_STATUS)];
+
+const formatSchedule = (value) => (value ? new Date(value).toLocaleString() : '—');
+
 const PaperManagementPage = () => {
   const navigate = useNavigate();
-  const papers = []; // 🔁 Will be replaced with real backend data
+  const [papers, setPapers] = useState(null); // null = loading
+  const [attemptCounts, setAttemptCounts] = useState({});
+  const [gradingCounts, setGradingCounts] = useState({}); // essay responses: { total, pending }
+  const [now, setNow] = useState(() => trustedClockService.now());
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [busyId, setBusyId] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+
+  // ✅ Load the teacher's papers, how many attempts each one has and how many essays await grading
+  const loadPapers = async () => {
+    try {
+      const [quizzes, trustedNow] = await Promise.all([
+        quizService.getAllQuizzes(),
+        trustedClockService.getTrustedNow()
+      ]);
+      const attemptsByQuiz = await Promise.all((quizzes || []).map(async (quiz) =>
+        [quiz.id, await attemptService.getAttempts({ quizId: quiz.id })]
+      ));
+
+      setNow(trustedNow);
+      setAttemptCounts(Object.fromEntries(attemptsByQuiz.map(([id, attempts]) => [id, attempts.length])));
+      setGradingCounts(Object.fromEntries(
+        attemptsByQuiz.map(([id, attempts]) => [id, manualGradingService.countResponses(attempts)])
+      ));
+      setPapers([...(quizzes || [])]);
+      setLoadError(null);
+    } catch (error) {
+      console.error('[PaperManagementPage] Failed to load papers:', error);
+      setLoadError(`Failed to load papers: ${error.message}`);
+      setPapers([]);
+    }
+  };
+
+  useEffect(() => {
+    loadPapers();
+    const interval = setInterval(() => setNow(trustedClockService.now()), STATUS_REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  const statusOf = (paper) => quizScheduleService.getPaperStatus(paper, now);
+
+  // Runs one action on a paper, then reloads the list
+  const runAction = async (paper, action, successMessage) => {
+    setBusyId(paper.id);
+    try {
+      const response = await action();
+      toast.success(successMessage);
+      if (response?.queued) toast.info(response.message);
+      await loadPapers();
+    } catch (error) {
+      console.error('[PaperManagementPage] Action failed:', error);
+      toast.error(`⚠️ ${error.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDuplicate = (paper) =>
+    runAction(paper, () => quizService.duplicateQuiz(paper.id), `📄 Created a draft copy of "${paper.title}".`);
+
+  const handleArchive = (paper, archived) =>
+    runAction(
+      paper,
+      () => quizService.updateQuiz(paper.id, { archived }),
+      archived ? `🗄️ "${paper.title}" archived.` : `"${paper.title}" restored.`
+    );
+
+  // ✅ Deleting cannot be undone, so always ask first
+  const handleDelete = (paper) => {
+    const attempts = attemptCounts[paper.id] || 0;
+    const warning = attempts > 0
+      ? `\n\n${attempts} attempt(s) have been recorded for this paper. Consider archiving it instead to keep it with its results.`
+      : '';
+    if (!window.confirm(`Delete "${paper.title}"? This cannot be undone.${warning}`)) return;
+
+    runAction(paper, () => quizService.deleteQuiz(paper.id), `🗑️ "${paper.title}" deleted.`);
+  };
+
+  const statusCounts = (papers || []).reduce((counts, paper) => {
+    const status = statusOf(paper);
+    return { ...counts, [status]: (counts[status] || 0) + 1 };
+  }, {});
+
+  const visiblePapers = (papers || []).filter((paper) => {
+    const status = statusOf(paper);
+    return statusFilter === 'all' ? status !== PAPER_STATUS.ARCHIVED : status === statusFilter;
+  });
+
+  const countFor = (filter) => (filter === 'all'
+    ? (papers || []).length - (statusCounts[PAPER_STATUS.ARCHIVED] || 0)
+    : statusCounts[filter] || 0);
 
   return (
     <div className="paper-wrapper">
@@ -17,32 +129,104 @@ const PaperManagementPage = () => {
         </button>
       </div>
 
-      {papers.length === 0 ? (
-        <div className="empty-state">No quizzes available. Waiting for data…</div>
+      {loadError && <p className="paper-error">⚠️ {loadError}</p>}
+
+      <div className="status-tabs" role="tablist">
+        {STATUS_FILTERS.map((filter) => (
+          <button
+            key={filter}
+            role="tab"
+            aria-selected={statusFilter === filter}
+            className={`status-tab ${statusFilter === filter ? 'active' : ''}`}
+            onClick={() => setStatusFilter(filter)}
+          >
+            {filter === 'all' ? 'All' : STATUS_LABELS[filter]} ({countFor(filter)})
+          </button>
+        ))}
+      </div>
+
+      {papers === null ? (
+        <div className="empty-state">Loading papers…</div>
+      ) : visiblePapers.length === 0 ? (
+        <div className="empty-state">
+          {papers.length === 0 ? 'No quizzes yet. Create one to get started.' : 'No papers with this status.'}
+        </div>
       ) : (
         <table className="paper-table">
           <thead>
             <tr>
               <th>Title</th>
+              <th>Paper Code</th>
+              <th>Questions</th>
               <th>Start Time</th>
               <th>End Time</th>
               <th>Status</th>
+              <th>Attempts</th>
               <th>Actions</th>
             </tr>
           </thead>
           <tbody>
-            {papers.map((paper, index) => (
-              <tr key={index}>
-                <td>{paper.title}</td>
-                <td>{paper.startTime}</td>
-                <td>{paper.endTime}</td>
-                <td>{paper.status}</td>
-                <td>
-                  <button className="edit-btn">✏️ Edit</button>
-                  <button className="delete-btn">🗑️ Delete</button>
-                </td>
-              </tr>
-            ))}
+            {visiblePapers.map((paper) => {
+              const status = statusOf(paper);
+              const isLive = status === PAPER_STATUS.LIVE;
+              const busy = busyId === paper.id;
+              return (
+                <tr key={paper.id}>
+                  <td>{paper.title}</td>
+                  <td>{paper.paperCode || '—'}</td>
+                  <td>{paper.questionCount ?? '—'}</td>
+                  <td>{formatSchedule(paper.startTime)}</td>
+                  <td>{formatSchedule(paper.endTime)}</td>
+                  <td><span className={`status-badge status-${status}`}>{STATUS_LABELS[status]}</span></td>
+                  <td>{attemptCounts[paper.id] || 0}</td>
+                  <td className="paper-actions">
+                    <button className="edit-btn" onClick={() => navigate(`/teacher/edit-quiz/${paper.id}`)} disabled={busy}>
+                      ✏️ Edit
+                    </button>
+                    {paper.paperCode && (
+                      <button className="questions-btn" onClick={() => navigate(`/teacher/questions/${paper.paperCode}`)} disabled={busy}>
+                        ❓ Questions
+                      </button>
+                    )}
+                    {paper.paperCode && attemptCounts[paper.id] > 0 && (
+                      <button className="analytics-btn" onClick={() => navigate(`/teacher/analytics/${paper.paperCode}`)} disabled={busy}>
+                        📊 Analytics
+                      </button>
+                    )}
+                    {paper.paperCode && gradingCounts[paper.id]?.total > 0 && (
+                      <button className="grading-btn" onClick={() => navigate(`/teacher/grading/${paper.paperCode}`)} disabled={busy}>
+                        📝 Grade{gradingCounts[paper.id].pending > 0 ? ` (${gradingCounts[paper.id].pending})` : ''}
+                      </button>
+                    )}
+                    <button className="duplicate-btn" onClick={() => handleDuplicate(paper)} disabled={busy}>
+                      📄 Duplicate
+                    </button>
+                    {status === PAPER_STATUS.ARCHIVED ? (
+                      <button className="archive-btn" onClick={() => handleArchive(paper, false)} disabled={busy}>
+                        ↩️ Restore
+                      </button>
+                    ) : (
+                      <button
+                        className="archive-btn"
+                        onClick={() => handleArchive(paper, true)}
+                        disabled={busy || isLive}
+                        title={isLive ? 'A live paper cannot be archived' : undefined}
+                      >
+                        🗄️ Archive
+                      </button>
+                    )}
+                    <button
+                      className="delete-btn"
+                      onClick={() => handleDelete(paper)}
+                      disabled={busy || isLive}
+                      title={isLive ? 'A live paper cannot be deleted' : undefined}
+                    >
+                      🗑️ Delete
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
           </tbody>
         </table>
       )}
@@ -0,0 +1,127 @@
+// src/pages/teacher/PaperRandomizationSettings.jsx
+
+import React, { useEffect, useState } from 'react';
+
+/**
+ * Per-paper randomization: how many questions each student draws from every
+ * pool, and whether question and option order are shuffled per student.
+ */
+const PaperRandomizationSettings = ({ quiz, questions, onSave }) => {
+  const [pools, setPools] = useState({});
+  const [shuffleQuestions, setShuffleQuestions] = useState(false);
+  const [shuffleOptions, setShuffleOptions] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setPools(quiz?.pools || {});
+    setShuffleQuestions(!!quiz?.shuffleQuestions);
+    setShuffleOptions(!!quiz?.shuffleOptions);
+  }, [quiz]);
+
+  // 🎲 Pool sizes come from the questions currently on the paper
+  const poolSizes = questions.reduce((sizes, q) => {
+    if (q.pool) sizes[q.pool] = (sizes[q.pool] || 0) + 1;
+    return sizes;
+  }, {});
+
+  const handleDrawCountChange = (poolName, value) => {
+    setPools(prev => {
+      const next = { ...prev };
+      if (value === '') {
+        delete next[poolName];
+      } else {
+        next[poolName] = Math.max(1, Math.min(poolSizes[poolName], parseInt(value, 10) || 1));
+      }
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    // Only keep draw counts for pools that still exist
+    const activePools = Object.fromEntries(
+      Object.entries(pools).filter(([poolName]) => poolSizes[poolName])
+    );
+
+    setSaving(true);
+    try {
+      await onSave({ pools: activePools, shuffleQuestions, shuffleOptions });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const unpooledCount = questions.filter(q => !q.pool).length;
+  const questionsPerStudent = unpooledCount + Object.entries(poolSizes)
+    .reduce((sum, [poolName, size]) => sum + (pools[poolName] || size), 0);
+
+  return (
+    <div className="question-form-wrapper randomization-settings">
+      <h3>Randomization</h3>
+
+      <div className="form-group checkbox-group">
+        <input
+          type="checkbox"
+          checked={shuffleQuestions}
+          onChange={() => setShuffleQuestions(!shuffleQuestions)}
+        />
+        <label>Shuffle question order for each student</label>
+      </div>
+
+      <div className="form-group checkbox-group">
+        <input
+          type="checkbox"
+          checked={shuffleOptions}
+          onChange={() => setShuffleOptions(!shuffleOptions)}
+        />
+        <label>Shuffle multiple choice options for each student</label>
+      </div>
+
+      <div className="form-group">
+        <label>Question Pools</label>
+        {Object.keys(poolSizes).length === 0 ? (
+          <p className="import-note">
+            No pools yet. Give questions a pool name to draw a subset of them for each student.
+          </p>
+        ) : (
+          <table className="question-table pool-table">
+            <thead>
+              <tr>
+                <th>Pool</th>
+                <th>Questions</th>
+                <th>Draw per Student</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(poolSizes).map(([poolName, size]) => (
+                <tr key={poolName}>
+                  <td>{poolName}</td>
+                  <td>{size}</td>
+                  <td>
+                    <input
+                      type="number"
+                      min={1}
+                      max={size}
+                      value={pools[poolName] ?? ''}
+                      placeholder={`All (${size})`}
+                      onChange={(e) => handleDrawCountChange(poolName, e.target.value)}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <p className="import-note">Each student answers {questionsPerStudent} question(s).</p>
+
+      <div className="form-actions">
+        <button className="save-btn" onClick={handleSave} disabled={saving || !quiz}>
+          {saving ? 'Saving...' : 'Save Randomization'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PaperRandomizationSettings;
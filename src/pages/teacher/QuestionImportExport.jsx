@@ -0,0 +1,171 @@
+// src/pages/teacher/QuestionImportExport.jsx
+
+import React, { useRef, useState } from 'react';
+import { toast } from 'react-toastify';
+import { questionBankIO, IMPORT_FORMATS } from '../../services/questionBankIO';
+
+const EXPORT_OPTIONS = [
+  { format: IMPORT_FORMATS.CSV, label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  { format: IMPORT_FORMATS.JSON, label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { format: IMPORT_FORMATS.GIFT, label: 'GIFT (Moodle)', extension: 'gift', mimeType: 'text/plain' },
+];
+
+const QuestionImportExport = ({ paperCode, quizTitle, questions, onImport }) => {
+  const fileInputRef = useRef(null);
+  const [importFormat, setImportFormat] = useState('auto');
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState(null); // null = nothing parsed yet
+  const [importing, setImporting] = useState(false);
+
+  const validRows = rows?.filter(r => r.valid) || [];
+  const invalidRows = rows?.filter(r => !r.valid) || [];
+
+  // 📤 Export the current question bank as a file download
+  const handleExport = ({ format, extension, mimeType }) => {
+    if (questions.length === 0) {
+      toast.error('⚠️ There are no questions to export.');
+      return;
+    }
+
+    const content = questionBankIO.exportQuestions(questions, format, { paperCode, title: quizTitle });
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${paperCode}-questions.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  // 📥 Parse the selected file and show a validation preview
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const format = importFormat === 'auto' ? questionBankIO.detectFormat(file.name) : importFormat;
+    if (!format) {
+      toast.error('⚠️ Unrecognized file type. Choose CSV, JSON or GIFT explicitly.');
+      e.target.value = '';
+      return;
+    }
+
+    try {
+      const text = await file.text();
+      setFileName(file.name);
+      setRows(questionBankIO.parseQuestions(text, format));
+    } catch (error) {
+      console.error('[QuestionImportExport] Failed to read import file:', error);
+      toast.error(`⚠️ Failed to read file: ${error.message}`);
+    }
+  };
+
+  const resetImport = () => {
+    setRows(null);
+    setFileName('');
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const handleCommit = async () => {
+    if (validRows.length === 0) return;
+
+    setImporting(true);
+    try {
+      await onImport(validRows.map(r => r.question));
+      resetImport();
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="question-form-wrapper import-export">
+      <h3>Import / Export Questions</h3>
+
+      <div className="form-group">
+        <label>Export</label>
+        <div className="import-export-actions">
+          {EXPORT_OPTIONS.map(option => (
+            <button key={option.format} onClick={() => handleExport(option)}>
+              ⬇ {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>Import</label>
+        <div className="import-export-actions">
+          <select value={importFormat} onChange={(e) => setImportFormat(e.target.value)}>
+            <option value="auto">Detect from file extension</option>
+            <option value={IMPORT_FORMATS.CSV}>CSV</option>
+            <option value={IMPORT_FORMATS.JSON}>JSON</option>
+            <option value={IMPORT_FORMATS.GIFT}>GIFT (Moodle)</option>
+          </select>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.json,.gift,.txt"
+            onChange={handleFileChange}
+          />
+        </div>
+      </div>
+
+      {rows && (
+        <div className="import-preview">
+          <p>
+            <strong>{fileName}</strong>: {validRows.length} valid, {invalidRows.length} with errors
+          </p>
+
+          {rows.length === 0 ? (
+            <div className="empty-state">No questions found in this file.</div>
+          ) : (
+            <table className="question-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Question</th>
+                  <th>Type</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(r => (
+                  <tr key={r.row} className={r.valid ? 'import-row-valid' : 'import-row-invalid'}>
+                    <td>{r.row}</td>
+                    <td>{r.question?.text || '—'}</td>
+                    <td>{r.question?.type || '—'}</td>
+                    <td>
+                      {r.valid ? '✅ Ready' : (
+                        <ul className="import-errors">
+                          {r.errors.map((error, i) => <li key={i}>{error}</li>)}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div className="form-actions">
+            <button onClick={resetImport}>Cancel</button>
+            <button
+              className="save-btn"
+              onClick={handleCommit}
+              disabled={validRows.length === 0 || importing}
+            >
+              {importing ? 'Importing...' : `Import ${validRows.length} Question(s)`}
+            </button>
+          </div>
+          {invalidRows.length > 0 && validRows.length > 0 && (
+            <p className="import-note">Rows with errors will be skipped.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuestionImportExport;
@@ -1,85 +1,304 @@
 // src/pages/teacher/QuestionManagementPage.jsx
 
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
 import './question.css';
 import AddQuestionForm from './AddQuestionForm';
+import QuestionImportExport from './QuestionImportExport';
+import PaperRandomizationSettings from './PaperRandomizationSettings';
+import { quizService } from '../../services/quizService';
 
 const QuestionManagementPage = () => {
   const { paperCode } = useParams();
+  const [quiz, setQuiz] = useState(null);
   const [questions, setQuestions] = useState([]);
-  const [editingIndex, setEditingIndex] = useState(null);
-
-  const handleAddOrUpdateQuestion = (newQuestion) => {
-    if (editingIndex !== null) {
-      // Update mode
-      const updated = [...questions];
-      updated[editingIndex] = newQuestion;
-      setQuestions(updated);
-      setEditingIndex(null);
-    } else {
-      // Add mode
-      setQuestions([...questions, newQuestion]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [draggedIndex, setDraggedIndex] = useState(null);
+  // Placeholder IDs of questions queued offline; the server assigns their real IDs when it syncs
+  const [unsyncedIds, setUnsyncedIds] = useState(() => new Set());
+
+  // 📥 Load the paper's questions through quizService (offline cache included)
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadQuestions = async () => {
+      setLoading(true);
+      try {
+        const quizData = await quizService.getQuizByPaperCode(paperCode);
+        if (cancelled) return;
+
+        if (!quizData) {
+          setLoadError(`No quiz found for paper code "${paperCode}".`);
+          setQuiz(null);
+          setQuestions([]);
+        } else {
+          setLoadError(null);
+          setQuiz(quizData);
+          setQuestions(quizData.questions || []);
+          setUnsyncedIds(new Set());
+        }
+      } catch (error) {
+        console.error('[QuestionManagementPage] Failed to load questions:', error);
+        if (!cancelled) setLoadError(`Failed to load questions: ${error.message}`);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadQuestions();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [paperCode]);
+
+  // Let the teacher know when a change is waiting for connectivity
+  const notifyIfQueued = (response) => {
+    if (response?.queued) {
+      toast.info(response.message);
+    }
+  };
+
+  const markUnsynced = (ids) => {
+    setUnsyncedIds(prev => new Set([...prev, ...ids]));
+  };
+
+  // Editing, deleting or reordering would send the placeholder IDs to the server
+  const refuseIfUnsynced = (questionIds) => {
+    if (!questionIds.some(id => unsyncedIds.has(id))) return false;
+    toast.info('⏳ Questions added offline can be changed once they have synced. Reload the page when you are back online.');
+    return true;
+  };
+
+  const handleAddOrUpdateQuestion = async (newQuestion) => {
+    if (!quiz) return;
+
+    try {
+      if (editingId !== null) {
+        // Update mode
+        const response = await quizService.updateQuestion(quiz.id, editingId, newQuestion);
+        setQuestions(prev => prev.map(q => (q.id === editingId ? { ...newQuestion, id: editingId } : q)));
+        setEditingId(null);
+        notifyIfQueued(response);
+      } else {
+        // Add mode
+        const response = await quizService.addQuestionToQuiz(quiz.id, newQuestion);
+        const savedQuestions = response?.questions;
+        if (Array.isArray(savedQuestions)) {
+          setQuestions(savedQuestions);
+        } else {
+          const savedId = response?.id || response?.questionId;
+          const newId = savedId || `local_${Date.now()}`;
+          if (!savedId) markUnsynced([newId]);
+          setQuestions(prev => [...prev, { ...newQuestion, id: newId }]);
+        }
+        notifyIfQueued(response);
+      }
+    } catch (error) {
+      console.error('[QuestionManagementPage] Failed to save question:', error);
+      toast.error(`⚠️ Failed to save question: ${error.message}`);
     }
   };
 
-  const handleEdit = (index) => {
-    setEditingIndex(index);
+  // 📦 Commit validated questions from a bulk import
+  const handleImport = async (importedQuestions) => {
+    if (!quiz) return;
+
+    try {
+      const response = await quizService.importQuestions(quiz.id, importedQuestions);
+      if (Array.isArray(response?.questions)) {
+        setQuestions(response.questions);
+      } else {
+        const stamp = Date.now();
+        const added = importedQuestions.map((q, i) => ({ ...q, id: `local_${stamp}_${i}` }));
+        markUnsynced(added.map(q => q.id));
+        setQuestions(prev => [...prev, ...added]);
+      }
+      toast.success(`✅ Imported ${importedQuestions.length} question(s).`);
+      notifyIfQueued(response);
+    } catch (error) {
+      console.error('[QuestionManagementPage] Failed to import questions:', error);
+      toast.error(`⚠️ Failed to import questions: ${error.message}`);
+    }
   };
 
-  const handleDelete = (index) => {
+  // 🎲 Save pool draw counts and shuffle options on the quiz
+  const handleSaveRandomization = async (settings) => {
+    if (!quiz) return;
+
+    try {
+      const response = await quizService.updateQuiz(quiz.id, settings);
+      setQuiz(prev => ({ ...prev, ...settings }));
+      toast.success('✅ Randomization settings saved.');
+      notifyIfQueued(response);
+    } catch (error) {
+      console.error('[QuestionManagementPage] Failed to save randomization settings:', error);
+      toast.error(`⚠️ Failed to save randomization settings: ${error.message}`);
+    }
+  };
+
+  const handleEdit = (questionId) => {
+    if (refuseIfUnsynced([questionId])) return;
+    setEditingId(questionId);
+  };
+
+  const handleDelete = async (questionId) => {
+    if (refuseIfUnsynced([questionId])) return;
     const confirmDelete = window.confirm("Are you sure you want to delete this question?");
-    if (confirmDelete) {
-      const updated = [...questions];
-      updated.splice(index, 1);
-      setQuestions(updated);
-      if (editingIndex === index) {
-        setEditingIndex(null);
+    if (!confirmDelete || !quiz) return;
+
+    try {
+      const response = await quizService.removeQuestionFromQuiz(quiz.id, questionId);
+      setQuestions(prev => prev.filter(q => q.id !== questionId));
+      if (editingId === questionId) {
+        setEditingId(null);
       }
+      notifyIfQueued(response);
+    } catch (error) {
+      console.error('[QuestionManagementPage] Failed to delete question:', error);
+      toast.error(`⚠️ Failed to delete question: ${error.message}`);
     }
   };
 
+  // ↕️ Move a question and persist the new order
+  const moveQuestion = async (fromIndex, toIndex) => {
+    if (!quiz || fromIndex === toIndex || toIndex < 0 || toIndex >= questions.length) return;
+    if (refuseIfUnsynced(questions.map(q => q.id))) return;
+
+    const previous = questions;
+    const reordered = [...questions];
+    const [moved] = reordered.splice(fromIndex, 1);
+    reordered.splice(toIndex, 0, moved);
+    setQuestions(reordered);
+
+    try {
+      const response = await quizService.reorderQuestions(quiz.id, reordered.map(q => q.id));
+      notifyIfQueued(response);
+    } catch (error) {
+      console.error('[QuestionManagementPage] Failed to save question order:', error);
+      toast.error(`⚠️ Failed to save question order: ${error.message}`);
+      setQuestions(previous);
+    }
+  };
+
+  const handleDrop = (index) => {
+    if (draggedIndex !== null) {
+      moveQuestion(draggedIndex, index);
+    }
+    setDraggedIndex(null);
+  };
+
+  const editingQuestion = editingId !== null ? questions.find(q => q.id === editingId) : null;
+
   return (
     <div className="question-wrapper">
       <div className="question-header">
         <h2>Manage Questions for: {paperCode}</h2>
+        {quiz && <p className="question-subtitle">{quiz.title}</p>}
       </div>
 
-      {/* 💡 Add/Edit Form */}
-      <AddQuestionForm
-        onSave={handleAddOrUpdateQuestion}
-        question={editingIndex !== null ? questions[editingIndex] : null}
-      />
-
-      {/* 🧾 Questions Table */}
-      {questions.length === 0 ? (
-        <div className="empty-state">No questions added yet for this quiz.</div>
+      {loading ? (
+        <div className="empty-state">⏳ Loading questions...</div>
+      ) : loadError ? (
+        <div className="empty-state">⚠️ {loadError}</div>
       ) : (
-        <table className="question-table">
-          <thead>
-            <tr>
-              <th>#</th>
-              <th>Question</th>
-              <th>Type</th>
-              <th>Points</th>
-              <th>Actions</th>
-            </tr>
-          </thead>
-          <tbody>
-            {questions.map((q, index) => (
-              <tr key={index}>
-                <td>{index + 1}</td>
-                <td>{q.text}</td>
-                <td>{q.type}</td>
-                <td>{q.points}</td>
-                <td>
-                  <button className="edit-btn" onClick={() => handleEdit(index)}>Edit</button>
-                  <button className="delete-btn" onClick={() => handleDelete(index)}>Delete</button>
-                </td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
+        <>
+          {/* 💡 Add/Edit Form */}
+          <AddQuestionForm
+            onSave={handleAddOrUpdateQuestion}
+            question={editingQuestion}
+          />
+
+          {/* 📦 Bulk Import/Export */}
+          <QuestionImportExport
+            paperCode={paperCode}
+            quizTitle={quiz?.title}
+            questions={questions}
+            onImport={handleImport}
+          />
+
+          {/* 🎲 Pools & Shuffling */}
+          <PaperRandomizationSettings
+            quiz={quiz}
+            questions={questions}
+            onSave={handleSaveRandomization}
+          />
+
+          {/* 🧾 Questions Table */}
+          {unsyncedIds.size > 0 && (
+            <p className="import-note">
+              ⏳ {unsyncedIds.size} question(s) are waiting to sync. They can be edited, deleted or reordered once the
+              server has saved them.
+            </p>
+          )}
+          {questions.length === 0 ? (
+            <div className="empty-state">No questions added yet for this quiz.</div>
+          ) : (
+            <table className="question-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Question</th>
+                  <th>Type</th>
+                  <th>Points</th>
+                  <th>Pool</th>
+                  <th>Order</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {questions.map((q, index) => (
+                  <tr
+                    key={q.id ?? index}
+                    draggable
+                    onDragStart={() => setDraggedIndex(index)}
+                    onDragOver={(e) => e.preventDefault()}
+                    onDrop={() => handleDrop(index)}
+                    onDragEnd={() => setDraggedIndex(null)}
+                    className={draggedIndex === index ? 'dragging' : ''}
+                  >
+                    <td><span className="drag-handle" title="Drag to reorder">⠿</span> {index + 1}</td>
+                    <td>{q.text}</td>
+                    <td>{q.type}</td>
+                    <td>{q.points}</td>
+                    <td>{q.pool || '—'}</td>
+                    <td>
+                      <button
+                        className="order-btn"
+                        onClick={() => moveQuestion(index, index - 1)}
+                        disabled={index === 0}
+                        aria-label={`Move question ${index + 1} up`}
+                      >
+                        ▲
+                      </button>
+                      <button
+                        className="order-btn"
+                        onClick={() => moveQuestion(index, index + 1)}
+                        disabled={index === questions.length - 1}
+                        aria-label={`Move question ${index + 1} down`}
+                      >
+                        ▼
+                      </button>
+                    </td>
+                    <td>
+                      {unsyncedIds.has(q.id) ? (
+                        <span className="import-note">Waiting to sync</span>
+                      ) : (
+                        <>
+                          <button className="edit-btn" onClick={() => handleEdit(q.id)}>Edit</button>
+                          <button className="delete-btn" onClick={() => handleDelete(q.id)}>Delete</button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
       )}
     </div>
   );
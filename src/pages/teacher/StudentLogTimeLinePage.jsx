@@ -1,49 +1,395 @@
 // src/pages/teacher/StudentLogTimelinePage.jsx
 
-import React, { useEffect, useState } from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useEffect, useRef, useState } from 'react';
+import { useLocation, useParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { quizService } from '../../services/quizService';
+import { attemptService } from '../../services/attemptService';
+import { proctoringEventService } from '../../services/proctoringEventService';
+import { snapshotService } from '../../services/snapshotService';
+import { trustedClockService } from '../../services/trustedClockService';
+import { proctoringTimeline, TIMELINE_LANES, LANE_LABELS } from '../../services/proctoringTimeline';
+import { reviewService, DECISION_LABELS } from '../../services/reviewService';
+import { reportExportService, REPORT_FORMATS } from '../../services/reportExportService';
+import { useAuth } from '../../services/authContext';
+import EventReviewForm from '../../components/review/EventReviewForm';
+import AttemptOutcomeForm from '../../components/review/AttemptOutcomeForm';
 import './studentlogtimeline.css';
 
+const ZOOM_LEVELS = [1, 2, 4, 8, 16];
+const TICKS_PER_SCREEN = 6;
+
+// Elapsed time since the start of the attempt, e.g. "12:05"
+const formatElapsed = (ms) => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+const formatTime = (value) => new Date(value).toLocaleTimeString();
+
 const StudentLogTimeLinePage = () => {
-  const { paperCode, studentName } = useParams();
+  const { paperCode, studentName: name } = useParams(); // already decoded by the router
+  const location = useLocation();
+  const requestedAttemptId = location.state?.attemptId;
+  const { user } = useAuth();
+
+  const [quiz, setQuiz] = useState(null);
+  const [attempts, setAttempts] = useState(null); // null = loading
+  const [selectedAttemptId, setSelectedAttemptId] = useState(null);
   const [logs, setLogs] = useState(null); // null = loading
+  const [snapshots, setSnapshots] = useState([]);
+  const [timeline, setTimeline] = useState(null);
+  const [selectedEvent, setSelectedEvent] = useState(null);
+  const [zoomIndex, setZoomIndex] = useState(0);
+  const [loadError, setLoadError] = useState(null);
+  const [reviewMode, setReviewMode] = useState(false);
+  const [reviews, setReviews] = useState([]);
+  const [exporting, setExporting] = useState(false);
+
+  const scrollRef = useRef(null);
+
+  const zoom = ZOOM_LEVELS[zoomIndex];
+
+  // ✅ Find this student's attempts at the paper
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadAttempts = async () => {
+      try {
+        const quiz = await quizService.getQuizByPaperCode(paperCode);
+        if (!quiz) {
+          if (!cancelled) {
+            setLoadError(`No quiz uses paper code ${paperCode}.`);
+            setAttempts([]);
+          }
+          return;
+        }
+
+        const studentAttempts = (await attemptService.getAttempts({ quizId: quiz.id }))
+          .filter((a) => (a.studentName || a.studentId) === name || a.studentId === name)
+          .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+        if (cancelled) return;
 
+        setQuiz(quiz);
+        setAttempts(studentAttempts);
+        const requested = studentAttempts.find((a) => a.id === requestedAttemptId);
+        setSelectedAttemptId((requested || studentAttempts[studentAttempts.length - 1])?.id || null);
+      } catch (error) {
+        console.error('[StudentLogTimeLinePage] Failed to load attempts:', error);
+        if (!cancelled) {
+          setLoadError(`Failed to load attempts: ${error.message}`);
+          setAttempts([]);
+        }
+      }
+    };
+
+    loadAttempts();
+    return () => {
+      cancelled = true;
+    };
+  }, [paperCode, name, requestedAttemptId]);
+
+  // ✅ Load the selected attempt's events and snapshots, then build the timeline
   useEffect(() => {
-    // 🔧 Backend Placeholder: Fetch logs for this student and paper
-    // Example: GET /api/logs/:paperCode/:studentName
-    // axios.get(`/api/logs/${paperCode}/${studentName}`).then(res => setLogs(res.data));
-    setLogs([]); // temporary placeholder until backend is connected
-  }, [paperCode, studentName]);
-
-  const getTypeClass = (type) => {
-    switch (type) {
-      case 'start': return 'log-start';
-      case 'tab-switch': return 'log-tab';
-      case 'face-lost': return 'log-warning';
-      case 'face-found': return 'log-success';
-      case 'quiz-end': return 'log-end';
-      default: return 'log-default';
+    const attempt = attempts?.find((a) => a.id === selectedAttemptId);
+    if (!attempt) {
+      if (attempts) setLogs([]);
+      return;
     }
+    let cancelled = false;
+
+    const loadTimeline = async () => {
+      setLogs(null);
+      setSelectedEvent(null);
+      try {
+        const [events, attemptSnapshots, attemptReviews, now] = await Promise.all([
+          proctoringEventService.getAttemptEvents(attempt.id),
+          snapshotService.getSnapshots(attempt.id),
+          reviewService.getReviews({ attemptId: attempt.id }),
+          trustedClockService.getTrustedNow()
+        ]);
+        if (cancelled) return;
+
+        setLogs(events);
+        setSnapshots(attemptSnapshots);
+        setReviews(attemptReviews);
+        setTimeline(proctoringTimeline.buildTimeline(attempt, events, now));
+      } catch (error) {
+        console.error('[StudentLogTimeLinePage] Failed to load events:', error);
+        if (!cancelled) {
+          setLoadError(`Failed to load activity: ${error.message}`);
+          setLogs([]);
+        }
+      }
+    };
+
+    loadTimeline();
+    return () => {
+      cancelled = true;
+    };
+  }, [attempts, selectedAttemptId]);
+
+  const changeZoom = (delta) => {
+    setZoomIndex((index) => Math.min(ZOOM_LEVELS.length - 1, Math.max(0, index + delta)));
+  };
+
+  // Ctrl + mouse wheel zooms, plain wheel keeps scrolling (needs a non-passive listener)
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (!element) return;
+
+    const handleWheel = (e) => {
+      if (!e.ctrlKey) return;
+      e.preventDefault();
+      changeZoom(e.deltaY < 0 ? 1 : -1);
+    };
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    return () => element.removeEventListener('wheel', handleWheel);
+  }, [timeline]);
+
+  const selectedAttempt = attempts?.find((a) => a.id === selectedAttemptId) || null;
+  const reviewFor = (event) => reviews.find((r) => r.eventId === event.id) || null;
+  const violations = (logs || []).filter((e) => e.violation);
+  const reviewSummary = reviewService.summarizeReviews(violations, reviews);
+
+  // ✅ Record the teacher's decision on a violation
+  const handleDecide = async (event, { decision, note }) => {
+    try {
+      const review = await reviewService.reviewEvent(event, {
+        decision,
+        note,
+        reviewer: reviewService.getReviewer(user)
+      });
+      setReviews((prev) => [...prev.filter((r) => r.eventId !== event.id), review]);
+      toast.success(`Marked as ${DECISION_LABELS[decision].toLowerCase()}.`);
+    } catch (error) {
+      toast.error(`⚠️ ${error.message}`);
+    }
+  };
+
+  // ✅ Save the attempt's final outcome (shown to the student)
+  const handleSaveOutcome = async ({ outcome, note }) => {
+    try {
+      const updated = await reviewService.setAttemptOutcome(selectedAttempt.id, {
+        outcome,
+        note,
+        reviewer: reviewService.getReviewer(user)
+      });
+      setAttempts((prev) => prev.map((a) => (a.id === updated.id ? updated : a)));
+      toast.success('Attempt outcome saved.');
+    } catch (error) {
+      toast.error(`⚠️ ${error.message}`);
+    }
+  };
+
+  // ✅ Save the integrity report (HTML/PDF) or the paper's CSV through the save dialog
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      const result = format === REPORT_FORMATS.CSV
+        ? await reportExportService.exportPaperCsv(quiz)
+        : await reportExportService.exportAttemptReport(quiz, selectedAttempt, format);
+      if (result.success) {
+        toast.success(`Saved ${result.filePath}`);
+      } else if (!result.canceled) {
+        toast.error(`⚠️ Export failed: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('[StudentLogTimeLinePage] Export failed:', error);
+      toast.error(`⚠️ Export failed: ${error.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const visibleLogs = reviewMode ? violations : logs || [];
+
+  const selectedSnapshot = selectedEvent ? snapshotService.findSnapshotForEvent(snapshots, selectedEvent) : null;
+
+  const renderTicks = () => {
+    const tickCount = TICKS_PER_SCREEN * zoom;
+    return Array.from({ length: tickCount + 1 }, (_, i) => (
+      <span key={i} className="timeline-tick" style={{ left: `${(i / tickCount) * 100}%` }}>
+        {formatElapsed((timeline.duration * i) / tickCount)}
+      </span>
+    ));
   };
 
   return (
     <div className="log-timeline-wrapper">
-      <h2>Quiz Log for: {decodeURIComponent(studentName)}</h2>
+      <h2>Quiz Log for: {name}</h2>
       <h4>Paper Code: {paperCode}</h4>
+      {loadError && <p className="log-error">⚠️ {loadError}</p>}
+
+      {attempts && attempts.length > 1 && (
+        <label className="attempt-select">
+          Attempt:{' '}
+          <select value={selectedAttemptId || ''} onChange={(e) => setSelectedAttemptId(e.target.value)}>
+            {attempts.map((a, i) => (
+              <option key={a.id} value={a.id}>
+                #{a.number || i + 1} — started {new Date(a.startedAt).toLocaleString()}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {quiz && selectedAttempt && (
+        <div className="export-bar">
+          <span>Export:</span>
+          <button onClick={() => handleExport(REPORT_FORMATS.HTML)} disabled={exporting}>Report (HTML)</button>
+          <button onClick={() => handleExport(REPORT_FORMATS.PDF)} disabled={exporting}>Report (PDF)</button>
+          <button onClick={() => handleExport(REPORT_FORMATS.CSV)} disabled={exporting}>All Attempts (CSV)</button>
+        </div>
+      )}
 
-      {logs === null ? (
-        <p className="log-waiting">Waiting for logs from backend...</p>
-      ) : logs.length === 0 ? (
+      {attempts === null || logs === null ? (
+        <p className="log-waiting">Loading activity...</p>
+      ) : logs.length === 0 || !timeline ? (
         <p className="log-empty">No activity logs found yet for this session.</p>
       ) : (
-        <ul className="log-timeline">
-          {logs.map((entry, index) => (
-            <li key={index} className={`log-entry ${getTypeClass(entry.type)}`}>
-              <span className="log-time">{entry.time}</span>
-              <span className="log-msg">{entry.message}</span>
-            </li>
-          ))}
-        </ul>
+        <>
+          {/* === Zoomable timeline === */}
+          <div className="timeline-toolbar">
+            <button onClick={() => changeZoom(-1)} disabled={zoomIndex === 0} aria-label="Zoom out">−</button>
+            <span>{zoom}×</span>
+            <button onClick={() => changeZoom(1)} disabled={zoomIndex === ZOOM_LEVELS.length - 1} aria-label="Zoom in">+</button>
+            <button onClick={() => setZoomIndex(0)} disabled={zoomIndex === 0}>Fit</button>
+            <button
+              className={`review-toggle ${reviewMode ? 'active' : ''}`}
+              onClick={() => setReviewMode((on) => !on)}
+              aria-pressed={reviewMode}
+            >
+              {reviewMode ? 'Exit Review Mode' : 'Review Mode'}
+            </button>
+            <span className="timeline-range">
+              {formatTime(timeline.start)} – {formatTime(timeline.end)} ({formatElapsed(timeline.duration)})
+            </span>
+          </div>
+
+          {reviewMode && selectedAttempt && (
+            <AttemptOutcomeForm
+              current={selectedAttempt.review || null}
+              suggested={reviewService.suggestOutcome(reviewSummary)}
+              progress={reviewSummary}
+              onSave={handleSaveOutcome}
+            />
+          )}
+
+          <div className="timeline-chart">
+            <div className="timeline-labels">
+              {Object.values(TIMELINE_LANES).map((lane) => (
+                <div key={lane} className="timeline-lane-label">{LANE_LABELS[lane]}</div>
+              ))}
+            </div>
+
+            <div className="timeline-scroll" ref={scrollRef}>
+              <div className="timeline-track" style={{ width: `${zoom * 100}%` }}>
+                {Object.values(TIMELINE_LANES).map((lane) => (
+                  <div key={lane} className="timeline-lane">
+                    {lane === TIMELINE_LANES.FACE
+                      ? timeline.faceSpans.map((span, i) => (
+                        <div
+                          key={i}
+                          className={`face-span face-${span.state}`}
+                          style={{ left: `${span.left * 100}%`, width: `${span.width * 100}%` }}
+                          title={`Face ${span.state}: ${formatTime(span.start)} – ${formatTime(span.end)}`}
+                        />
+                      ))
+                      : timeline.markers
+                        .filter((marker) => marker.lane === lane)
+                        .map((marker) => (
+                          <button
+                            key={marker.id}
+                            className={`timeline-marker marker-${lane} ${selectedEvent?.id === marker.id ? 'selected' : ''} ${reviewFor(marker.event) ? `reviewed-${reviewFor(marker.event).decision}` : ''}`}
+                            style={{ left: `${marker.position * 100}%` }}
+                            title={`${formatTime(marker.time)} — ${marker.label}`}
+                            aria-label={`${formatTime(marker.time)}: ${marker.label}`}
+                            onClick={() => setSelectedEvent(marker.event)}
+                          />
+                        ))}
+                  </div>
+                ))}
+                <div className="timeline-axis">{renderTicks()}</div>
+              </div>
+            </div>
+          </div>
+
+          {/* === Selected event with webcam evidence === */}
+          {selectedEvent && (
+            <div className="event-detail">
+              <div className="event-detail-info">
+                <h3>{proctoringTimeline.describeEvent(selectedEvent)}</h3>
+                <p>
+                  {new Date(selectedEvent.timestamp).toLocaleString()} ·{' '}
+                  {formatElapsed(new Date(selectedEvent.timestamp).getTime() - timeline.start)} into the attempt
+                </p>
+                {Object.keys(selectedEvent.details || {}).length > 0 && (
+                  <dl>
+                    {Object.entries(selectedEvent.details).map(([key, value]) => (
+                      <React.Fragment key={key}>
+                        <dt>{key}</dt>
+                        <dd>{typeof value === 'object' ? JSON.stringify(value) : String(value)}</dd>
+                      </React.Fragment>
+                    ))}
+                  </dl>
+                )}
+                {selectedEvent.violation && (reviewMode || reviewFor(selectedEvent)) && (
+                  reviewMode ? (
+                    <EventReviewForm
+                      review={reviewFor(selectedEvent)}
+                      onDecide={(decision) => handleDecide(selectedEvent, decision)}
+                    />
+                  ) : (
+                    <p className="review-summary">
+                      {DECISION_LABELS[reviewFor(selectedEvent).decision]} by {reviewFor(selectedEvent).reviewer?.name}
+                      {reviewFor(selectedEvent).note && `: ${reviewFor(selectedEvent).note}`}
+                    </p>
+                  )
+                )}
+                <button className="close-detail" onClick={() => setSelectedEvent(null)}>Close</button>
+              </div>
+              <div className="event-snapshot">
+                {selectedSnapshot ? (
+                  <>
+                    <img src={selectedSnapshot.snapshot.image} alt={`Webcam frame at ${formatTime(selectedSnapshot.snapshot.capturedAt)}`} />
+                    <p>
+                      📸 Captured {formatTime(selectedSnapshot.snapshot.capturedAt)}
+                      {!selectedSnapshot.exact && ' (nearest frame before this event)'}
+                    </p>
+                  </>
+                ) : (
+                  <p className="log-empty">No webcam frame was captured for this moment.</p>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* === Full event list (keyboard accessible) === */}
+          <ul className="log-timeline">
+            {reviewMode && visibleLogs.length === 0 && (
+              <li className="log-empty">No violations to review.</li>
+            )}
+            {visibleLogs.map((entry) => {
+              const lane = timeline.markers.find((m) => m.id === entry.id)?.lane || TIMELINE_LANES.FACE;
+              return (
+                <li key={entry.id} className={`log-entry log-lane-${lane} ${entry.violation ? 'log-violation' : ''}`}>
+                  <button className="log-entry-btn" onClick={() => setSelectedEvent(entry)}>
+                    <span className="log-time">{formatTime(entry.timestamp)}</span>
+                    <span className="log-msg">{proctoringTimeline.describeEvent(entry)}</span>
+                    {reviewFor(entry) && (
+                      <span className={`decision-tag decision-${reviewFor(entry).decision}`}>
+                        {DECISION_LABELS[reviewFor(entry).decision]}
+                      </span>
+                    )}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </>
       )}
     </div>
   );
@@ -1,44 +1,116 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { quizService } from '../../services/quizService';
+import { attemptService } from '../../services/attemptService';
+import { VIOLATION_SEVERITY } from '../../services/proctoringEventService';
 import './studentlogs.css';
 
+const PAGE_SIZE = 10;
+
+// Sortable columns and how to read their value from a log row
+const SORT_COLUMNS = {
+  studentName: { label: 'Student Name', value: (log) => log.studentName.toLowerCase() },
+  startTime: { label: 'Start Time', value: (log) => new Date(log.startTime).getTime() || 0 },
+  endTime: { label: 'End Time', value: (log) => (log.endTime ? new Date(log.endTime).getTime() : Infinity) },
+  violations: { label: 'Violations', value: (log) => log.violations },
+  score: { label: 'Score', value: (log) => log.score ?? -1 },
+  status: { label: 'Status', value: (log) => log.status }
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
 const StudentLogsPage = () => {
   const [papers, setPapers] = useState(null); // null = loading
   const [selectedPaper, setSelectedPaper] = useState(null);
   const [logs, setLogs] = useState(null); // null = loading
   const [searchQuery, setSearchQuery] = useState('');
+  const [severityFilter, setSeverityFilter] = useState('all');
+  const [sort, setSort] = useState({ column: 'startTime', direction: 'desc' });
+  const [page, setPage] = useState(1);
+  const [loadError, setLoadError] = useState(null);
   const navigate = useNavigate();
 
-  // Simulate fetching papers from backend
+  // ✅ Load the papers (quizzes with a paper code) from quizService
   useEffect(() => {
-    // Replace with: fetch('/api/papers')...
-    setTimeout(() => {
-      setPapers([]); // empty for now
-    }, 1000);
+    const loadPapers = async () => {
+      try {
+        const quizzes = await quizService.getAllQuizzes();
+        setPapers((quizzes || [])
+          .filter((quiz) => quiz.paperCode)
+          .map((quiz) => ({ id: quiz.id, code: quiz.paperCode, title: quiz.title })));
+      } catch (error) {
+        console.error('[StudentLogsPage] Failed to load papers:', error);
+        setLoadError(`Failed to load papers: ${error.message}`);
+        setPapers([]);
+      }
+    };
+    loadPapers();
   }, []);
 
-  // Simulate fetching logs when paper is selected
+  // ✅ Load the selected paper's attempts with their violation counts
   useEffect(() => {
     if (!selectedPaper) return;
+    let cancelled = false;
 
-    // Replace with: fetch(`/api/logs/${selectedPaper.code}`)
     setLogs(null); // reset logs
-    setTimeout(() => {
-      setLogs([]); // empty for now
-    }, 1000);
+    attemptService.getPaperAttemptLogs(selectedPaper)
+      .then((rows) => {
+        if (!cancelled) setLogs(rows);
+      })
+      .catch((error) => {
+        console.error('[StudentLogsPage] Failed to load attempts:', error);
+        if (!cancelled) {
+          setLoadError(`Failed to load attempts: ${error.message}`);
+          setLogs([]);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
   }, [selectedPaper]);
 
-  const filteredLogs = logs?.filter((log) =>
-    log.studentName.toLowerCase().includes(searchQuery.toLowerCase())
-  ) || [];
+  // Go back to the first page whenever the visible rows change
+  useEffect(() => {
+    setPage(1);
+  }, [searchQuery, severityFilter, sort, selectedPaper]);
+
+  const filteredLogs = (logs || [])
+    .filter((log) => log.studentName.toLowerCase().includes(searchQuery.toLowerCase()))
+    .filter((log) => severityFilter === 'all' || log.severity === severityFilter);
+
+  const sortedLogs = [...filteredLogs].sort((a, b) => {
+    const getValue = SORT_COLUMNS[sort.column].value;
+    const valueA = getValue(a);
+    const valueB = getValue(b);
+    const order = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+    return sort.direction === 'asc' ? order : -order;
+  });
+
+  const pageCount = Math.max(1, Math.ceil(sortedLogs.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount);
+  const pageLogs = sortedLogs.slice((currentPage - 1) * PAGE_SIZE, currentPage * PAGE_SIZE);
+
+  const toggleSort = (column) => {
+    setSort((prev) => ({
+      column,
+      direction: prev.column === column && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  const sortIndicator = (column) => {
+    if (sort.column !== column) return '';
+    return sort.direction === 'asc' ? ' ▲' : ' ▼';
+  };
 
   return (
     <div className="logs-wrapper">
       <h2>Student Logs</h2>
+      {loadError && <p className="log-error">⚠️ {loadError}</p>}
 
       {/* === Paper Selection Table === */}
       {papers === null ? (
-        <p className="log-waiting">⏳ Waiting for saved papers from backend...</p>
+        <p className="log-waiting">⏳ Loading saved papers...</p>
       ) : !selectedPaper ? (
         papers.length === 0 ? (
           <p className="log-empty">No papers found. Please create one in Paper Management.</p>
@@ -83,6 +155,7 @@ const StudentLogsPage = () => {
               setSelectedPaper(null);
               setLogs(null);
               setSearchQuery('');
+              setSeverityFilter('all');
             }}>
               ← Back to Papers
             </button>
@@ -93,46 +166,84 @@ const StudentLogsPage = () => {
               onChange={(e) => setSearchQuery(e.target.value)}
               className="search-input"
             />
+            <select
+              className="severity-filter"
+              value={severityFilter}
+              onChange={(e) => setSeverityFilter(e.target.value)}
+              aria-label="Filter by violation severity"
+            >
+              <option value="all">All severities</option>
+              <option value={VIOLATION_SEVERITY.NONE}>No violations</option>
+              <option value={VIOLATION_SEVERITY.LOW}>Low (1–2)</option>
+              <option value={VIOLATION_SEVERITY.MEDIUM}>Medium (3–5)</option>
+              <option value={VIOLATION_SEVERITY.HIGH}>High (6+)</option>
+            </select>
           </div>
 
           {logs === null ? (
-            <p className="log-waiting">⏳ Waiting for student logs...</p>
-          ) : filteredLogs.length === 0 ? (
+            <p className="log-waiting">⏳ Loading student attempts...</p>
+          ) : sortedLogs.length === 0 ? (
             <p className="log-empty">No matching logs found.</p>
           ) : (
-            <table className="logs-table">
-              <thead>
-                <tr>
-                  <th>Student Name</th>
-                  <th>Start Time</th>
-                  <th>End Time</th>
-                  <th>Violations</th>
-                  <th>Action</th>
-                </tr>
-              </thead>
-              <tbody>
-                {filteredLogs.map((log, i) => (
-                  <tr key={i}>
-                    <td>{log.studentName}</td>
-                    <td>{log.startTime}</td>
-                    <td>{log.endTime}</td>
-                    <td>{log.violations}</td>
-                    <td>
-                      <button
-                        className="view-btn"
-                        onClick={() =>
-                          navigate(
-                            `/teacher/student-logs/${selectedPaper.code}/${encodeURIComponent(log.studentName)}`
-                          )
-                        }
+            <>
+              <table className="logs-table">
+                <thead>
+                  <tr>
+                    {Object.entries(SORT_COLUMNS).map(([column, { label }]) => (
+                      <th
+                        key={column}
+                        className="sortable"
+                        onClick={() => toggleSort(column)}
+                        aria-sort={sort.column === column ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
                       >
-                        View Log
-                      </button>
-                    </td>
+                        {label}{sortIndicator(column)}
+                      </th>
+                    ))}
+                    <th>Action</th>
                   </tr>
-                ))}
-              </tbody>
-            </table>
+                </thead>
+                <tbody>
+                  {pageLogs.map((log) => (
+                    <tr key={log.attemptId}>
+                      <td>
+                        {log.studentName}
+                        {log.number > 1 && <span className="attempt-number"> (attempt {log.number})</span>}
+                      </td>
+                      <td>{formatDateTime(log.startTime)}</td>
+                      <td>{formatDateTime(log.endTime)}</td>
+                      <td>
+                        <span className={`severity-badge severity-${log.severity}`}>{log.violations}</span>
+                      </td>
+                      <td>{log.score !== null ? `${log.score}%` : '—'}</td>
+                      <td>{log.status}</td>
+                      <td>
+                        <button
+                          className="view-btn"
+                          onClick={() =>
+                            navigate(
+                              `/teacher/student-logs/view/${encodeURIComponent(selectedPaper.code)}/${encodeURIComponent(log.studentName)}`,
+                              { state: { attemptId: log.attemptId } }
+                            )
+                          }
+                        >
+                          View Log
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div className="pagination">
+                <button onClick={() => setPage(currentPage - 1)} disabled={currentPage <= 1}>
+                  ← Previous
+                </button>
+                <span>Page {currentPage} of {pageCount} ({sortedLogs.length} attempts)</span>
+                <button onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount}>
+                  Next →
+                </button>
+              </div>
+            </>
           )}
         </>
       )}
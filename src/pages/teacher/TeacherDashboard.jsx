@@ -13,6 +13,7 @@ import StudentLogsPage from './StudentLogsPage';
 import QuestionManagementPage from './QuestionManagementPage';
 import QuestionManagementLandingPage from './QuestionManagementLandingPage';
 import ViolationSummaryPage from './ViolationSummaryPage';
+import LiveMonitorPage from './LiveMonitorPage';
 
 const TeacherDashboard = () => {
   const [activePage, setActivePage] = useState('paper');
@@ -38,6 +39,8 @@ const TeacherDashboard = () => {
         return <StudentLogsPage />;
       case 'violations':
         return <ViolationSummaryPage />;
+      case 'monitor':
+        return <LiveMonitorPage />;
       default:
         return <div className="page-content">Select a page</div>;
     }
@@ -52,6 +55,7 @@ const TeacherDashboard = () => {
         <button onClick={() => setActivePage('questions')}>Question Management</button>
         <button onClick={() => setActivePage('logs')}>Student Logs</button>
         <button onClick={() => setActivePage('violations')}>Violation Summary</button>
+        <button onClick={() => setActivePage('monitor')}>Live Monitor</button>
         <button className="logout-btn" onClick={handleLogout}>Logout</button>
       </aside>
 
@@ -62,6 +66,7 @@ const TeacherDashboard = () => {
             {activePage === 'questions' && 'Question Management'}
             {activePage === 'logs' && 'Student Logs'}
             {activePage === 'violations' && 'Violation Summary'}
+            {activePage === 'monitor' && 'Live Monitor'}
           </h2>
         </header>
 
@@ -3,74 +3,344 @@
 import React, { useState, useEffect } from 'react';
 import './violationsummary.css';
 import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { quizService } from '../../services/quizService';
+import { attemptService } from '../../services/attemptService';
+import { proctoringEventService, VIOLATION_LABELS } from '../../services/proctoringEventService';
+import { riskScoringService, RISK_BUCKETS } from '../../services/riskScoringService';
+import { reviewService, DECISION_LABELS, OUTCOME_LABELS } from '../../services/reviewService';
+import { proctoringTimeline } from '../../services/proctoringTimeline';
+import { reportExportService, REPORT_FORMATS } from '../../services/reportExportService';
+import { useAuth } from '../../services/authContext';
+import EventReviewForm from '../../components/review/EventReviewForm';
+import AttemptOutcomeForm from '../../components/review/AttemptOutcomeForm';
+
+const PAGE_SIZE = 25;
+
+const BUCKET_LABELS = {
+  [RISK_BUCKETS.FLAGGED]: 'Flagged',
+  [RISK_BUCKETS.REVIEW]: 'Review',
+  [RISK_BUCKETS.CLEAR]: 'Clear'
+};
+
+// "Face lost ×2 (14s)" for each violation type in an attempt
+const describeBreakdown = (breakdown) =>
+  Object.entries(breakdown).map(([type, { count, seconds }]) =>
+    `${VIOLATION_LABELS[type] || type} ×${count}${seconds > 0 ? ` (${Math.round(seconds)}s)` : ''}`
+  );
 
 const ViolationSummaryPage = () => {
   const [violations, setViolations] = useState(null); // null = loading
+  const [papers, setPapers] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
+  const [bucketFilter, setBucketFilter] = useState('all');
+  const [page, setPage] = useState(1);
+  const [loadError, setLoadError] = useState(null);
+  const [reviewMode, setReviewMode] = useState(false);
+  const [reviews, setReviews] = useState([]);
+  const [expandedAttemptId, setExpandedAttemptId] = useState(null);
+  const [reportFormat, setReportFormat] = useState(REPORT_FORMATS.HTML);
+  const [csvPaperCode, setCsvPaperCode] = useState('');
+  const [exporting, setExporting] = useState(false);
   const navigate = useNavigate();
+  const { user } = useAuth();
 
+  // ✅ Score every attempt at every paper and rank them by risk
   useEffect(() => {
-    // 🔧 Backend Placeholder: Fetch violation summary
-    // Example: GET /api/violations
-    // axios.get('/api/violations').then(res => setViolations(res.data));
-    setViolations([]); // temporary placeholder
+    const loadViolations = async () => {
+      try {
+        const papers = (await quizService.getAllQuizzes() || []).filter((quiz) => quiz.paperCode);
+        setPapers(papers);
+        setCsvPaperCode(papers[0]?.paperCode || '');
+        setReviews(await reviewService.getReviews());
+
+        const ranked = await Promise.all(papers.map(async (quiz) => {
+          const [attempts, events] = await Promise.all([
+            attemptService.getAttempts({ quizId: quiz.id }),
+            proctoringEventService.getEvents({ quizId: quiz.id })
+          ]);
+          const entries = attempts.map((attempt) => ({
+            attempt,
+            events: events.filter((e) => e.attemptId === attempt.id)
+          }));
+          return riskScoringService.rankAttempts(entries, quiz.riskScoring).map(({ attempt, events: attemptEvents, risk }) => ({
+            attemptId: attempt.id,
+            attempt,
+            quiz,
+            violationEvents: attemptEvents.filter((e) => e.violation),
+            paperCode: quiz.paperCode,
+            title: quiz.title,
+            studentName: attempt.studentName || attempt.studentId,
+            total: proctoringEventService.summarizeEvents(attemptEvents).violations,
+            types: describeBreakdown(risk.breakdown),
+            score: risk.score,
+            bucket: risk.bucket
+          }));
+        }));
+
+        setViolations(ranked.flat().sort((a, b) => b.score - a.score));
+      } catch (error) {
+        console.error('[ViolationSummaryPage] Failed to load violations:', error);
+        setLoadError(`Failed to load violations: ${error.message}`);
+        setViolations([]);
+      }
+    };
+    loadViolations();
   }, []);
 
-  const filtered = violations?.filter((v) =>
+  useEffect(() => {
+    setPage(1);
+  }, [searchQuery, bucketFilter]);
+
+  const matchesSearch = (v) =>
     v.paperCode.toLowerCase().includes(searchQuery.toLowerCase()) ||
-    v.title.toLowerCase().includes(searchQuery.toLowerCase())
-  );
+    v.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
+    v.studentName.toLowerCase().includes(searchQuery.toLowerCase());
+
+  const searched = violations?.filter(matchesSearch) || [];
+  const filtered = searched.filter((v) => bucketFilter === 'all' || v.bucket === bucketFilter);
+  const bucketCounts = searched.reduce((counts, v) => ({ ...counts, [v.bucket]: (counts[v.bucket] || 0) + 1 }), {});
+
+  const reviewFor = (event) => reviews.find((r) => r.eventId === event.id) || null;
+
+  // ✅ Record the teacher's decision on a violation
+  const handleDecide = async (event, { decision, note }) => {
+    try {
+      const review = await reviewService.reviewEvent(event, {
+        decision,
+        note,
+        reviewer: reviewService.getReviewer(user)
+      });
+      setReviews((prev) => [...prev.filter((r) => r.eventId !== event.id), review]);
+      toast.success(`Marked as ${DECISION_LABELS[decision].toLowerCase()}.`);
+    } catch (error) {
+      toast.error(`⚠️ ${error.message}`);
+    }
+  };
+
+  // ✅ Save an attempt's final outcome (shown to the student)
+  const handleSaveOutcome = async (attemptId, { outcome, note }) => {
+    try {
+      const updated = await reviewService.setAttemptOutcome(attemptId, {
+        outcome,
+        note,
+        reviewer: reviewService.getReviewer(user)
+      });
+      setViolations((prev) => prev.map((v) => (v.attemptId === attemptId ? { ...v, attempt: updated } : v)));
+      toast.success('Attempt outcome saved.');
+    } catch (error) {
+      toast.error(`⚠️ ${error.message}`);
+    }
+  };
+
+  // ✅ Save an integrity report or a paper's CSV through the save dialog
+  const runExport = async (exportFn) => {
+    setExporting(true);
+    try {
+      const result = await exportFn();
+      if (result.success) {
+        toast.success(`Saved ${result.filePath}`);
+      } else if (!result.canceled) {
+        toast.error(`⚠️ Export failed: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('[ViolationSummaryPage] Export failed:', error);
+      toast.error(`⚠️ Export failed: ${error.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const exportPaperCsv = () => {
+    const quiz = papers.find((p) => p.paperCode === csvPaperCode);
+    if (quiz) runExport(() => reportExportService.exportPaperCsv(quiz));
+  };
+
+  const pageCount = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount);
+  const pageRows = filtered.slice((currentPage - 1) * PAGE_SIZE, currentPage * PAGE_SIZE);
 
   return (
     <div className="violation-wrapper">
       <h2>Violation Summary</h2>
+      {loadError && <p className="status-msg error">⚠️ {loadError}</p>}
 
       <input
         type="text"
-        placeholder="Search paper code or quiz title..."
+        placeholder="Search paper code, quiz title or student..."
         value={searchQuery}
         onChange={(e) => setSearchQuery(e.target.value)}
         className="search-bar"
       />
 
+      <button
+        className={`review-mode-btn ${reviewMode ? 'active' : ''}`}
+        onClick={() => {
+          setReviewMode((on) => !on);
+          setExpandedAttemptId(null);
+        }}
+        aria-pressed={reviewMode}
+      >
+        {reviewMode ? 'Exit Review Mode' : 'Review Mode'}
+      </button>
+
+      {/* Evidence exports */}
+      {papers.length > 0 && (
+        <div className="export-bar">
+          <label>
+            Report format:{' '}
+            <select value={reportFormat} onChange={(e) => setReportFormat(e.target.value)}>
+              <option value={REPORT_FORMATS.HTML}>HTML</option>
+              <option value={REPORT_FORMATS.PDF}>PDF</option>
+            </select>
+          </label>
+          <label>
+            Attempts CSV for:{' '}
+            <select value={csvPaperCode} onChange={(e) => setCsvPaperCode(e.target.value)}>
+              {papers.map((p) => (
+                <option key={p.id} value={p.paperCode}>{p.paperCode} — {p.title}</option>
+              ))}
+            </select>
+          </label>
+          <button className="view-btn" onClick={exportPaperCsv} disabled={exporting}>Export CSV</button>
+        </div>
+      )}
+
+      {/* Triage buckets */}
+      <div className="bucket-tabs" role="tablist">
+        {['all', RISK_BUCKETS.FLAGGED, RISK_BUCKETS.REVIEW, RISK_BUCKETS.CLEAR].map((bucket) => (
+          <button
+            key={bucket}
+            role="tab"
+            aria-selected={bucketFilter === bucket}
+            className={`bucket-tab bucket-${bucket} ${bucketFilter === bucket ? 'active' : ''}`}
+            onClick={() => setBucketFilter(bucket)}
+          >
+            {bucket === 'all' ? 'All' : BUCKET_LABELS[bucket]} ({bucket === 'all' ? searched.length : bucketCounts[bucket] || 0})
+          </button>
+        ))}
+      </div>
+
       {violations === null ? (
-        <p className="status-msg">Waiting for violation data from backend...</p>
+        <p className="status-msg">Scoring attempts...</p>
       ) : filtered.length === 0 ? (
         <p className="status-msg">No matching results found.</p>
       ) : (
-        <table className="violation-table">
-          <thead>
-            <tr>
-              <th>Paper Code</th>
-              <th>Quiz Title</th>
-              <th>Student Name</th>
-              <th>Total Violations</th>
-              <th>Violation Types</th>
-              <th>Action</th>
-            </tr>
-          </thead>
-          <tbody>
-            {filtered.map((v, index) => (
-              <tr key={index}>
-                <td>{v.paperCode}</td>
-                <td>{v.title}</td>
-                <td>{v.studentName}</td>
-                <td>{v.total}</td>
-                <td>{v.types.join(', ')}</td>
-                <td>
-                  <button
-                    className="view-btn"
-                    onClick={() =>
-                      navigate(`/teacher/student-logs/view/${encodeURIComponent(v.studentName)}`)
-                    }
-                  >
-                    View Log
-                  </button>
-                </td>
+        <>
+          <table className="violation-table">
+            <thead>
+              <tr>
+                <th>Risk</th>
+                <th>Paper Code</th>
+                <th>Quiz Title</th>
+                <th>Student Name</th>
+                <th>Total Violations</th>
+                <th>Violation Types</th>
+                <th>Outcome</th>
+                <th>Action</th>
               </tr>
-            ))}
-          </tbody>
-        </table>
+            </thead>
+            <tbody>
+              {pageRows.map((v) => {
+                const reviewSummary = reviewService.summarizeReviews(v.violationEvents, reviews);
+                const expanded = reviewMode && expandedAttemptId === v.attemptId;
+                return (
+                <React.Fragment key={v.attemptId}>
+                <tr>
+                  <td>
+                    <span className={`risk-badge risk-${v.bucket}`}>{BUCKET_LABELS[v.bucket]}</span>
+                    <span className="risk-score">{v.score}</span>
+                  </td>
+                  <td>{v.paperCode}</td>
+                  <td>{v.title}</td>
+                  <td>{v.studentName}</td>
+                  <td>{v.total}</td>
+                  <td>{v.types.length > 0 ? v.types.join(', ') : '—'}</td>
+                  <td>
+                    {v.attempt.review ? (
+                      <span className={`outcome-tag outcome-${v.attempt.review.outcome}`}>
+                        {OUTCOME_LABELS[v.attempt.review.outcome]}
+                      </span>
+                    ) : (
+                      <span className="outcome-pending">
+                        {reviewSummary.reviewed}/{reviewSummary.total} reviewed
+                      </span>
+                    )}
+                  </td>
+                  <td>
+                    {reviewMode && (
+                      <button
+                        className="view-btn review-row-btn"
+                        onClick={() => setExpandedAttemptId(expanded ? null : v.attemptId)}
+                        aria-expanded={expanded}
+                      >
+                        {expanded ? 'Close' : 'Review'}
+                      </button>
+                    )}
+                    <button
+                      className="view-btn"
+                      onClick={() =>
+                        navigate(
+                          `/teacher/student-logs/view/${encodeURIComponent(v.paperCode)}/${encodeURIComponent(v.studentName)}`,
+                          { state: { attemptId: v.attemptId } }
+                        )
+                      }
+                    >
+                      View Log
+                    </button>
+                    <button
+                      className="view-btn export-row-btn"
+                      onClick={() => runExport(() => reportExportService.exportAttemptReport(v.quiz, v.attempt, reportFormat))}
+                      disabled={exporting}
+                    >
+                      Report
+                    </button>
+                  </td>
+                </tr>
+                {expanded && (
+                  <tr className="review-row">
+                    <td colSpan={8}>
+                      <AttemptOutcomeForm
+                        current={v.attempt.review || null}
+                        suggested={reviewService.suggestOutcome(reviewSummary)}
+                        progress={reviewSummary}
+                        onSave={(outcome) => handleSaveOutcome(v.attemptId, outcome)}
+                      />
+                      {v.violationEvents.length === 0 ? (
+                        <p className="status-msg">No violations to review.</p>
+                      ) : (
+                        <ul className="review-list">
+                          {v.violationEvents.map((event) => (
+                            <li key={event.id}>
+                              <span className="review-event">
+                                {new Date(event.timestamp).toLocaleTimeString()} — {proctoringTimeline.describeEvent(event)}
+                              </span>
+                              <EventReviewForm
+                                compact
+                                review={reviewFor(event)}
+                                onDecide={(decision) => handleDecide(event, decision)}
+                              />
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                )}
+                </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {pageCount > 1 && (
+            <div className="violation-pagination">
+              <button onClick={() => setPage(currentPage - 1)} disabled={currentPage <= 1}>← Previous</button>
+              <span>Page {currentPage} of {pageCount}</span>
+              <button onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount}>Next →</button>
+            </div>
+          )}
+        </>
       )}
     </div>
   );
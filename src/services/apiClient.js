@@ -19,6 +19,20 @@ function getToken() {
   }
 }
 
+// Client errors that are still worth retrying later (timeout, rate limited)
+const RETRYABLE_CLIENT_STATUSES = [408, 429];
+
+/**
+ * Whether a failed write should be queued for a retry. Network failures and
+ * server errors (5xx) may succeed later; other 4xx responses (validation,
+ * forbidden, not found, conflict) would be refused again, so the caller gets them.
+ * @param {Error} error - Error thrown by fetch or handleResponse
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  return !error.status || error.status >= 500 || RETRYABLE_CLIENT_STATUSES.includes(error.status);
+}
+
 /**
  * Handles the JSON response from the fetch API.
  * @param {Response} response - The fetch API Response object.
@@ -27,14 +41,18 @@ function getToken() {
 async function handleResponse(response) {
   if (!response.ok) {
     let errorMessage = `API Error: ${response.status} ${response.statusText}`;
+    let fieldErrors = null;
     try {
       const errorData = await response.json();
       errorMessage = errorData.message || errorData.error || errorMessage;
+      // Validation failures (422) list messages per field
+      if (errorData.errors && typeof errorData.errors === 'object') fieldErrors = errorData.errors;
     } catch (e) {
       // Ignore if response is not JSON or already handled
     }
     const error = new Error(errorMessage);
     error.status = response.status;
+    if (fieldErrors) error.fieldErrors = fieldErrors;
     throw error;
   }
   // If response is 204 No Content, there's no body to parse
@@ -118,13 +136,16 @@ async function get(endpoint, options = {}, cacheKey = null) {
  * @param {string} endpoint - The API endpoint.
  * @param {any} body - The request body.
  * @param {object} [options={}] - Optional fetch options.
+ * @param {boolean} [options.queue=true] - Set to false to get network failures back instead of
+ *   queueing the request, for callers that keep their own copy until it is sent
  * @returns {Promise<any>}
  */
 async function post(endpoint, body, options = {}) {
+  const { queue = true, ...fetchOptions } = options;
   const token = getToken();
   const headers = {
     'Content-Type': 'application/json',
-    ...options.headers,
+    ...fetchOptions.headers,
   };
   if (token) {
     headers['Authorization'] = `Bearer ${token}`;
@@ -134,6 +155,7 @@ async function post(endpoint, body, options = {}) {
 
   // If offline, queue the operation for later
   if (!offlineManager.getOnlineStatus()) {
+    if (!queue) throw new Error('You are offline');
     if (VERBOSE_LOGGING) console.log(`apiClient: Offline - queueing POST operation for: ${endpoint}`);
     
     // Queue the operation and return a mock successful response
@@ -154,11 +176,14 @@ async function post(endpoint, body, options = {}) {
       method: 'POST',
       headers,
       body: JSON.stringify(body),
-      ...options,
+      ...fetchOptions,
     });
     
     return await handleResponse(response);
   } catch (error) {
+    // Refused by the server (retrying would fail again), or the caller retries itself
+    if (!queue || !isRetryable(error)) throw error;
+
     // If the request fails, queue it for later
     if (VERBOSE_LOGGING) console.log(`apiClient: POST request failed, queueing for later: ${endpoint}`, error);
     
@@ -221,6 +246,9 @@ async function put(endpoint, body, options = {}) {
     
     return await handleResponse(response);
   } catch (error) {
+    // Refused by the server: retrying the same request would fail again
+    if (!isRetryable(error)) throw error;
+
     // If the request fails, queue it for later
     if (VERBOSE_LOGGING) console.log(`apiClient: PUT request failed, queueing for later: ${endpoint}`, error);
     
@@ -280,6 +308,9 @@ async function del(endpoint, options = {}) { // Renamed to 'del' to avoid keywor
     
     return await handleResponse(response);
   } catch (error) {
+    // Refused by the server: retrying the same request would fail again
+    if (!isRetryable(error)) throw error;
+
     // If the request fails, queue it for later
     if (VERBOSE_LOGGING) console.log(`apiClient: DELETE request failed, queueing for later: ${endpoint}`, error);
     
@@ -339,7 +370,8 @@ export const apiClient = {
   post,
   put,
   delete: del, // Assign del to apiClient.delete
-  synchronize
+  synchronize,
+  isRetryable
 };
 
 // Example of how to get an auth token if you store it in localStorage
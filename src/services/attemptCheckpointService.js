@@ -0,0 +1,154 @@
+// src/services/attemptCheckpointService.js
+
+/**
+ * Attempt Checkpoint Service
+ *
+ * Keeps an encrypted checkpoint of an in-progress quiz attempt (answers,
+ * position, remaining time and proctoring log) so the attempt survives an
+ * app crash, reload or the laptop going to sleep, and works out how to
+ * resume from it.
+ */
+
+import { secureStorageService } from './secureStorageService';
+
+const CHECKPOINT_KEY_PREFIX = 'quiz_checkpoint_';
+const CHECKPOINT_VERSION = 1;
+
+// Gaps shorter than this (seconds) are normal timer jitter, not an interruption
+export const INTERRUPTION_THRESHOLD_SECONDS = 10;
+
+/**
+ * Build the storage key for a student's attempt at a quiz
+ * @param {string} quizId - The quiz ID
+ * @param {string} studentId - The student identifier
+ * @returns {string} Storage key
+ */
+function getCheckpointKey(quizId, studentId) {
+  return `${CHECKPOINT_KEY_PREFIX}${quizId}_${studentId}`;
+}
+
+/**
+ * Save a checkpoint of the attempt
+ * @param {Object} checkpoint - Attempt state
+ * @param {string} checkpoint.quizId - The quiz ID
+ * @param {string} checkpoint.studentId - The student identifier
+ * @param {Array<string>} checkpoint.questionIds - Question IDs on the student's paper, in order
+ * @param {Array<any>} checkpoint.answers - Answers given so far
+ * @param {Array<boolean>} checkpoint.answeredQuestions - Which questions were answered
+ * @param {number} checkpoint.currentQuestionIndex - Question being viewed
+ * @param {number} checkpoint.furthestQuestionIndex - Furthest question reached
+ * @param {number} checkpoint.timeRemaining - Seconds left on the quiz timer
+ * @param {number} [checkpoint.pausedSeconds] - Seconds the timer was paused (face out of view)
+ * @param {Array<Object>} [checkpoint.proctoringLog] - Proctoring events recorded so far
+ * @returns {boolean} Whether the checkpoint was stored
+ */
+function saveCheckpoint(checkpoint) {
+  if (!checkpoint?.quizId || !checkpoint?.studentId) return false;
+
+  const record = {
+    ...checkpoint,
+    version: CHECKPOINT_VERSION,
+    savedAt: new Date().toISOString()
+  };
+
+  return !!secureStorageService.setItem(
+    getCheckpointKey(checkpoint.quizId, checkpoint.studentId),
+    JSON.stringify(record)
+  );
+}
+
+/**
+ * Load a saved checkpoint
+ * @param {string} quizId - The quiz ID
+ * @param {string} studentId - The student identifier
+ * @returns {Object|null} The checkpoint, or null if none (or unreadable)
+ */
+function loadCheckpoint(quizId, studentId) {
+  const stored = secureStorageService.getItem(getCheckpointKey(quizId, studentId));
+  if (!stored) return null;
+
+  try {
+    const checkpoint = JSON.parse(stored);
+    return checkpoint?.version === CHECKPOINT_VERSION ? checkpoint : null;
+  } catch (error) {
+    console.error('attemptCheckpointService: Failed to read checkpoint:', error);
+    return null;
+  }
+}
+
+/**
+ * Remove a checkpoint (after submission, or when it no longer matches the paper)
+ * @param {string} quizId - The quiz ID
+ * @param {string} studentId - The student identifier
+ */
+function clearCheckpoint(quizId, studentId) {
+  secureStorageService.removeItem(getCheckpointKey(quizId, studentId));
+}
+
+/**
+ * Work out how to resume an attempt from its checkpoint
+ * @param {Object} checkpoint - Checkpoint from loadCheckpoint
+ * @param {Array<string>} questionIds - Question IDs on the freshly generated paper
+ * @param {Object} [options]
+ * @param {boolean} [options.forwardOnly] - Whether the quiz forbids going back
+ * @param {Date} [options.now] - Current time, from the trusted clock
+ * @param {string} [options.startedAt] - When the attempt started, from the trusted clock
+ * @param {number} [options.durationSeconds] - The attempt's time limit
+ * @returns {Object|null} Restored state plus gap details, or null if the checkpoint can't be used
+ */
+function planResume(checkpoint, questionIds, { forwardOnly = true, now = new Date(), startedAt, durationSeconds } = {}) {
+  if (!checkpoint) return null;
+
+  // The paper changed since the checkpoint (e.g. questions edited): answers wouldn't line up
+  const sameQuestions = Array.isArray(checkpoint.questionIds) &&
+    checkpoint.questionIds.length === questionIds.length &&
+    checkpoint.questionIds.every((id, index) => id === questionIds[index]);
+  if (!sameQuestions) return null;
+
+  const lastIndex = Math.max(questionIds.length - 1, 0);
+  const clampIndex = (index) => Math.min(Math.max(Number(index) || 0, 0), lastIndex);
+  const furthestQuestionIndex = clampIndex(
+    Math.max(checkpoint.furthestQuestionIndex ?? 0, checkpoint.currentQuestionIndex ?? 0)
+  );
+
+  // Forward-only quizzes resume at the furthest question reached, never earlier
+  const currentQuestionIndex = forwardOnly
+    ? furthestQuestionIndex
+    : clampIndex(checkpoint.currentQuestionIndex);
+
+  const savedAt = new Date(checkpoint.savedAt);
+  const gapSeconds = Number.isNaN(savedAt.getTime())
+    ? 0
+    : Math.max(0, Math.round((now.getTime() - savedAt.getTime()) / 1000));
+
+  // The saved countdown stood still while the app was closed. Counted from the attempt's
+  // start, only the time the quiz was paused is given back.
+  const pausedSeconds = Math.max(0, Number(checkpoint.pausedSeconds) || 0);
+  let timeRemaining = Math.max(0, Number(checkpoint.timeRemaining) || 0);
+  const startedAtMs = new Date(startedAt).getTime();
+  if (durationSeconds && !Number.isNaN(startedAtMs)) {
+    const elapsedSeconds = Math.floor((now.getTime() - startedAtMs) / 1000);
+    timeRemaining = Math.max(0, Math.min(timeRemaining, durationSeconds + pausedSeconds - elapsedSeconds));
+  }
+
+  return {
+    answers: Array.isArray(checkpoint.answers) ? checkpoint.answers : [],
+    answeredQuestions: Array.isArray(checkpoint.answeredQuestions) ? checkpoint.answeredQuestions : [],
+    currentQuestionIndex,
+    furthestQuestionIndex,
+    timeRemaining,
+    pausedSeconds,
+    proctoringLog: Array.isArray(checkpoint.proctoringLog) ? checkpoint.proctoringLog : [],
+    interruptedAt: checkpoint.savedAt,
+    resumedAt: now.toISOString(),
+    gapSeconds
+  };
+}
+
+export const attemptCheckpointService = {
+  saveCheckpoint,
+  loadCheckpoint,
+  clearCheckpoint,
+  planResume,
+  INTERRUPTION_THRESHOLD_SECONDS
+};
@@ -0,0 +1,328 @@
+// src/services/attemptService.js
+
+/**
+ * Attempt Service
+ *
+ * Tracks students' attempts at a quiz and redeems paper codes:
+ * - a code must belong to a quiz, the quiz must be inside its schedule window
+ *   (checked with the trusted clock) and the attempt limit must not be used up
+ * - codes are either single-use (the first student to start the paper uses it)
+ *   or allow each student up to `maxAttempts` submitted attempts
+ *
+ * Attempts are kept in the offline cache so they are available in
+ * USE_MOCK_DATA mode and while offline; with a backend they are also synced
+ * through apiClient (queued while offline).
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { apiClient } from './apiClient';
+import { offlineManager } from './offlineManager';
+import { quizService } from './quizService';
+import { quizScheduleService } from './quizScheduleService';
+import { trustedClockService } from './trustedClockService';
+import { proctoringEventService } from './proctoringEventService';
+import { USE_MOCK_DATA, VERBOSE_LOGGING } from './config';
+
+const ATTEMPTS_CACHE_KEY = 'offline_quiz_attempts';
+const DEFAULT_MAX_ATTEMPTS = 1;
+
+export const ATTEMPT_STATUS = {
+  IN_PROGRESS: 'in-progress',
+  SUBMITTED: 'submitted'
+};
+
+export const CODE_USAGE = {
+  PER_STUDENT: 'per-student',
+  SINGLE_USE: 'single-use'
+};
+
+/**
+ * Read a quiz's attempt policy, applying defaults
+ * @param {Object} quiz - Quiz definition
+ * @returns {{ codeUsage: string, maxAttempts: number }}
+ */
+function getAttemptPolicy(quiz) {
+  const maxAttempts = Number(quiz?.maxAttempts);
+  return {
+    codeUsage: quiz?.codeUsage === CODE_USAGE.SINGLE_USE ? CODE_USAGE.SINGLE_USE : CODE_USAGE.PER_STUDENT,
+    maxAttempts: Number.isInteger(maxAttempts) && maxAttempts > 0 ? maxAttempts : DEFAULT_MAX_ATTEMPTS
+  };
+}
+
+/**
+ * Decide whether a student may start (or continue) an attempt
+ * @param {Object} quiz - Quiz definition
+ * @param {Array<Object>} attempts - All recorded attempts for the quiz
+ * @param {string} studentId - The student identifier
+ * @returns {{ allowed: boolean, message: string|null, attemptsUsed: number, attemptsAllowed: number, inProgressAttempt: Object|null }}
+ */
+function checkAttemptAllowance(quiz, attempts, studentId) {
+  const { codeUsage, maxAttempts } = getAttemptPolicy(quiz);
+  const quizAttempts = attempts.filter(a => a.quizId === quiz.id);
+  const ownAttempts = quizAttempts.filter(a => a.studentId === studentId);
+  const inProgressAttempt = ownAttempts.find(a => a.status === ATTEMPT_STATUS.IN_PROGRESS) || null;
+  const attemptsUsed = ownAttempts.filter(a => a.status === ATTEMPT_STATUS.SUBMITTED).length;
+  const attemptsAllowed = codeUsage === CODE_USAGE.SINGLE_USE ? 1 : maxAttempts;
+  const summary = { attemptsUsed, attemptsAllowed, inProgressAttempt };
+
+  // An unfinished attempt (e.g. after a crash) can always be continued
+  if (inProgressAttempt) {
+    return { allowed: true, message: null, ...summary };
+  }
+
+  if (codeUsage === CODE_USAGE.SINGLE_USE && quizAttempts.length > 0) {
+    return { allowed: false, message: 'This paper code has already been used.', ...summary };
+  }
+
+  if (attemptsUsed >= attemptsAllowed) {
+    return {
+      allowed: false,
+      message: attemptsAllowed === 1
+        ? 'You have already taken this quiz.'
+        : `You have used all ${attemptsAllowed} attempts for this quiz.`,
+      ...summary
+    };
+  }
+
+  return { allowed: true, message: null, ...summary };
+}
+
+function readLocalAttempts() {
+  return offlineManager.getCachedData(ATTEMPTS_CACHE_KEY) || [];
+}
+
+function writeLocalAttempts(attempts) {
+  offlineManager.cacheData(ATTEMPTS_CACHE_KEY, attempts);
+}
+
+function saveLocalAttempt(attempt) {
+  const attempts = readLocalAttempts();
+  const index = attempts.findIndex(a => a.id === attempt.id);
+  if (index >= 0) {
+    attempts[index] = attempt;
+  } else {
+    attempts.push(attempt);
+  }
+  writeLocalAttempts(attempts);
+}
+
+/**
+ * Fetch recorded attempts, optionally filtered by quiz and/or student.
+ * Uses real API with fallback to the offline cache.
+ * @param {Object} [filters]
+ * @param {string} [filters.quizId] - Only attempts at this quiz
+ * @param {string} [filters.studentId] - Only this student's attempts
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAttempts({ quizId, studentId } = {}) {
+  const matches = a => (!quizId || a.quizId === quizId) && (!studentId || a.studentId === studentId);
+
+  if (USE_MOCK_DATA) {
+    if (VERBOSE_LOGGING) console.log('attemptService.getAttempts using offline cache', { quizId, studentId });
+    return readLocalAttempts().filter(matches);
+  }
+
+  try {
+    const params = new URLSearchParams();
+    if (quizId) params.set('quizId', quizId);
+    if (studentId) params.set('studentId', studentId);
+    const response = await apiClient.get(`/attempts?${params.toString()}`);
+    return Array.isArray(response) ? response : response?.attempts || [];
+  } catch (error) {
+    console.warn('API call failed for attempts, falling back to offline cache:', error);
+    return readLocalAttempts().filter(matches);
+  }
+}
+
+/**
+ * Start an attempt, or return the student's unfinished one
+ * @param {Object} quiz - Quiz being taken
+ * @param {string} studentId - The student identifier
+ * @param {Object} [options]
+ * @param {string} [options.studentName] - Display name shown to teachers
+ * @returns {Promise<Object>} The attempt
+ */
+async function startAttempt(quiz, studentId, { studentName } = {}) {
+  const attempts = await getAttempts({ quizId: quiz.id });
+  const allowance = checkAttemptAllowance(quiz, attempts, studentId);
+
+  if (!allowance.allowed) {
+    throw new Error(allowance.message);
+  }
+  if (allowance.inProgressAttempt) {
+    return allowance.inProgressAttempt;
+  }
+
+  const attempt = {
+    id: `att_${uuidv4()}`,
+    quizId: quiz.id,
+    paperCode: quiz.paperCode || null,
+    studentId,
+    studentName: studentName || studentId,
+    number: allowance.attemptsUsed + 1,
+    status: ATTEMPT_STATUS.IN_PROGRESS,
+    startedAt: new Date(await trustedClockService.getTrustedNow()).toISOString(),
+    submittedAt: null
+  };
+
+  saveLocalAttempt(attempt);
+
+  if (!USE_MOCK_DATA) {
+    try {
+      await apiClient.post('/attempts', attempt);
+    } catch (error) {
+      console.warn('API call failed for starting attempt, kept locally:', error);
+    }
+  }
+
+  return attempt;
+}
+
+/**
+ * Fetch a single attempt. Uses real API with fallback to the offline cache.
+ * @param {string} attemptId - The attempt ID
+ * @returns {Promise<Object|null>}
+ */
+async function getAttempt(attemptId) {
+  const local = () => readLocalAttempts().find(a => a.id === attemptId) || null;
+
+  if (USE_MOCK_DATA) {
+    return local();
+  }
+
+  try {
+    return await apiClient.get(`/attempts/${attemptId}`);
+  } catch (error) {
+    console.warn(`API call failed for attempt ${attemptId}, falling back to offline cache:`, error);
+    return local();
+  }
+}
+
+/**
+ * Update an attempt record
+ * @param {string} attemptId - The attempt ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} The updated attempt
+ */
+async function updateAttempt(attemptId, changes) {
+  const existing = readLocalAttempts().find(a => a.id === attemptId);
+  const attempt = { ...existing, ...changes, id: attemptId };
+
+  saveLocalAttempt(attempt);
+
+  if (!USE_MOCK_DATA) {
+    try {
+      await apiClient.put(`/attempts/${attemptId}`, attempt);
+    } catch (error) {
+      console.warn(`API call failed for updating attempt ${attemptId}, kept locally:`, error);
+    }
+  }
+
+  return attempt;
+}
+
+/**
+ * Mark an attempt as submitted
+ * @param {string} attemptId - The attempt ID
+ * @param {Object} [details] - Submission details to record (e.g. receiptId, result)
+ * @returns {Promise<Object|null>} The updated attempt
+ */
+async function completeAttempt(attemptId, details = {}) {
+  return updateAttempt(attemptId, {
+    ...details,
+    status: ATTEMPT_STATUS.SUBMITTED,
+    submittedAt: details.submittedAt || new Date(trustedClockService.now()).toISOString()
+  });
+}
+
+/**
+ * Build the per-attempt log rows teachers see for a paper: who took it, when,
+ * how it went and how many proctoring violations were recorded
+ * @param {Object} quiz - The paper's quiz
+ * @returns {Promise<Array<{ attemptId: string, studentId: string, studentName: string, number: number, startTime: string, endTime: string|null, violations: number, violationTypes: Array<string>, severity: string, score: number|null, status: string }>>}
+ */
+async function getPaperAttemptLogs(quiz) {
+  const [attempts, events] = await Promise.all([
+    getAttempts({ quizId: quiz.id }),
+    proctoringEventService.getEvents({ quizId: quiz.id })
+  ]);
+
+  return attempts.map(attempt => {
+    const summary = proctoringEventService.summarizeEvents(events.filter(e => e.attemptId === attempt.id));
+    return {
+      attemptId: attempt.id,
+      studentId: attempt.studentId,
+      studentName: attempt.studentName || attempt.studentId,
+      number: attempt.number || 1,
+      startTime: attempt.startedAt,
+      endTime: attempt.submittedAt || null,
+      violations: summary.violations,
+      violationTypes: summary.violationTypes,
+      severity: proctoringEventService.getViolationSeverity(summary.violations),
+      score: attempt.result?.percentage ?? null,
+      status: attempt.status
+    };
+  });
+}
+
+/**
+ * Validate a paper code a student typed in
+ * @param {string} paperCode - The code
+ * @param {string} studentId - The student identifier
+ * @returns {Promise<{ success: boolean, message: string|null, quiz?: Object, attemptsUsed?: number, attemptsAllowed?: number, resuming?: boolean }>}
+ */
+async function redeemPaperCode(paperCode, studentId) {
+  const code = (paperCode || '').trim();
+  if (!code) {
+    return { success: false, message: 'Please enter a paper code.' };
+  }
+
+  let quiz;
+  try {
+    quiz = await quizService.getQuizByPaperCode(code);
+  } catch (error) {
+    console.error('attemptService: Failed to look up paper code:', error);
+    return { success: false, message: 'Could not check this code right now. Please try again.' };
+  }
+
+  if (!quiz) {
+    return { success: false, message: 'Invalid paper code.' };
+  }
+
+  if (quiz.archived) {
+    return { success: false, message: 'This paper has been archived.' };
+  }
+
+  const entry = quizScheduleService.checkEntry(quiz, await trustedClockService.getTrustedNow());
+  if (!entry.allowed) {
+    return { success: false, message: entry.message };
+  }
+
+  const allowance = checkAttemptAllowance(quiz, await getAttempts({ quizId: quiz.id }), studentId);
+  if (!allowance.allowed) {
+    return { success: false, message: allowance.message };
+  }
+
+  return {
+    success: true,
+    message: null,
+    quiz,
+    attemptsUsed: allowance.attemptsUsed,
+    attemptsAllowed: allowance.attemptsAllowed,
+    resuming: !!allowance.inProgressAttempt
+  };
+}
+
+export const attemptService = {
+  redeemPaperCode,
+  startAttempt,
+  completeAttempt,
+  updateAttempt,
+  getAttempt,
+  getAttempts,
+  getPaperAttemptLogs,
+  getAttemptPolicy,
+  checkAttemptAllowance,
+  ATTEMPT_STATUS,
+  CODE_USAGE
+};
@@ -24,6 +24,81 @@ export const DEFAULT_ERROR_MESSAGE = 'An error occurred. Please try again later.
  */
 export const VERBOSE_LOGGING = true;
 
+/**
+ * Default "time is running out" warnings for quiz attempts, in minutes before the end.
+ * A quiz can override these with its own `warningThresholds`.
+ * @type {number[]}
+ */
+export const TIME_WARNING_THRESHOLDS = [5, 1];
+
+/**
+ * Default weights for proctoring risk scores (see riskScoringService).
+ * Each violation scores `base` points plus `perSecond` points for every second
+ * it lasted (capped at `maxSecondsPerEvent`). A violation repeating the same
+ * type within `frequencyWindowSeconds` is multiplied by `frequencyMultiplier`.
+ * Attempts scoring at least `thresholds.review` need review; at least
+ * `thresholds.flagged` are flagged.
+ * @type {Object}
+ */
+export const RISK_SCORING = {
+  weights: {
+    TAB_SWITCH: { base: 3, perSecond: 0.5 },
+    faceLost: { base: 1, perSecond: 1 },
+    multipleFaces: { base: 5, perSecond: 1 },
+    SCREEN_RECORDING: { base: 25, perSecond: 0 },
+    DISPLAY_CHANGE: { base: 10, perSecond: 0 }
+  },
+  maxSecondsPerEvent: 120,
+  frequencyWindowSeconds: 60,
+  frequencyMultiplier: 1.5,
+  thresholds: { review: 10, flagged: 30 }
+};
+
+/**
+ * Default proctoring settings for a paper (see proctoringSettings).
+ * A quiz can override any of them with its own `proctoring` settings.
+ * - requireFaceCheck: pause the attempt while no face (or too many faces) is visible
+ * - maxFaces: faces allowed in view before it counts as a violation
+ * - allowedTabSwitches: switches tolerated before the attempt is submitted (null = no limit)
+ * - lockAltTab: block Alt+Tab and keep the quiz window on top
+ * - recordingPolicy: 'off' | 'log' | 'warn' | 'end' when screen recording is detected
+ * @type {Object}
+ */
+export const PROCTORING_DEFAULTS = {
+  requireFaceCheck: true,
+  maxFaces: 1,
+  allowedTabSwitches: null,
+  lockAltTab: false,
+  recordingPolicy: 'warn'
+};
+
+/**
+ * Default result settings for a paper (see resultsService); a quiz overrides
+ * them with its `results` settings.
+ * - passPercentage: score (0–100) needed to pass
+ * - reviewRelease: when students may review their answers against the key:
+ *   'never' | 'after-submit' | 'after-close' (once the paper's window has ended)
+ * @type {Object}
+ */
+export const RESULTS_DEFAULTS = {
+  passPercentage: 70,
+  reviewRelease: 'never'
+};
+
+/**
+ * Timing of the teacher's live monitoring view (see liveMonitorService).
+ * Students report their status every `heartbeatSeconds` (which is also how
+ * quickly they receive a teacher's warning); the view polls every
+ * `pollSeconds`; an attempt not heard from for `staleAfterSeconds` is shown
+ * as disconnected.
+ * @type {Object}
+ */
+export const LIVE_MONITORING = {
+  heartbeatSeconds: 5,
+  pollSeconds: 5,
+  staleAfterSeconds: 20
+};
+
 // Expose config to window for console testing
 if (typeof window !== 'undefined') {
   window.apiConfig = { USE_MOCK_DATA, VERBOSE_LOGGING };
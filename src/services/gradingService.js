@@ -0,0 +1,508 @@
+// src/services/gradingService.js
+
+/**
+ * Grading Service
+ *
+ * Grades student answers against quiz definitions authored in AddQuestionForm.
+ * Runs entirely on the client so results are available without a backend
+ * (USE_MOCK_DATA mode, offline submissions), and can be used to double-check
+ * server-provided results.
+ *
+ * Essays cannot be marked automatically: answered essays are left pending
+ * (`pendingGrading`) until a teacher grades them through manualGradingService,
+ * which records the grade with applyManualGrade.
+ */
+
+import { MULTIPLE_RESPONSE_SCORING, NUMERIC_TOLERANCE, FILL_IN_MATCH_MODES, getAcceptedAnswers } from './questionValidation';
+
+const DEFAULT_POINTS = 1;
+
+// Array answers whose positions matter: the match chosen for each term, or the items in order
+const POSITIONAL_ANSWER_TYPES = ['matching', 'ordering'];
+
+// Spaces and apostrophes only ever group thousands ("1 000", "1'000")
+const DIGIT_GROUP_SPACE = /[\s\u00a0\u202f']/;
+
+// Sign, digits and separators, an optional exponent ("e3", "× 10^3") and the unit
+const NUMERIC_ANSWER_PATTERN = /^([+-]?)\s*(\d[\d\s\u00a0\u202f',.]*|[.,]\d+)(?:\s*(?:e|[x×*·]\s*10\s*\^)\s*([+-]?\d+))?(.*)$/i;
+
+/**
+ * Collapse runs of whitespace and trim, optionally lower-casing the result
+ * @param {any} value - Raw answer text
+ * @param {boolean} caseSensitive - Whether letter case should be preserved
+ * @returns {string} Normalized text
+ */
+function normalizeAnswerText(value, caseSensitive = false) {
+  if (value === undefined || value === null) return '';
+  const collapsed = String(value).replace(/\s+/g, ' ').trim();
+  return caseSensitive ? collapsed : collapsed.toLowerCase();
+}
+
+/**
+ * Apply a fill-in-the-blank question's normalization options to answer text.
+ * Runs of whitespace always count as one space; the question can also ignore
+ * spaces altogether, punctuation, accents and letter case.
+ * @param {any} value - Raw text
+ * @param {Object} question - { caseSensitive, ignoreWhitespace, ignorePunctuation, ignoreDiacritics }
+ * @returns {string} Normalized text (not trimmed, so wildcard pieces keep their spaces)
+ */
+function normalizeBlankText(value, question) {
+  let text = value === undefined || value === null ? '' : String(value).normalize('NFC');
+  if (question.ignoreDiacritics) text = text.normalize('NFD').replace(/\p{M}/gu, '');
+  if (question.ignorePunctuation) text = text.replace(/\p{P}/gu, '');
+  text = text.replace(/\s+/g, question.ignoreWhitespace ? '' : ' ');
+  return question.caseSensitive ? text : text.toLowerCase();
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check one blank's answer against its accepted answers
+ * @param {Object} question - Fill-in-the-blank question (matchMode and normalization options)
+ * @param {Array<string>} acceptedAnswers - Accepted answers or patterns for the blank
+ * @param {any} answer - What the student typed in the blank
+ * @returns {boolean}
+ */
+function matchesBlank(question, acceptedAnswers, answer) {
+  const given = normalizeBlankText(answer, question).trim();
+  if (given === '') return false;
+  // Patterns are written against what the student typed, so they see it unchanged
+  const typed = String(answer).normalize('NFC').trim();
+
+  return acceptedAnswers.some((accepted) => {
+    switch (question.matchMode) {
+      case FILL_IN_MATCH_MODES.WILDCARD: {
+        // Normalize the text between the wildcards the same way as the answer
+        const source = String(accepted ?? '').split(/([*?])/).map(part => (
+          part === '*' ? '.*' : part === '?' ? '.' : escapeRegExp(normalizeBlankText(part, question))
+        )).join('').trim();
+        return source !== '' && new RegExp(`^${source}$`, 'u').test(given);
+      }
+      case FILL_IN_MATCH_MODES.REGEX:
+        try {
+          return new RegExp(`^(?:${accepted})$`, question.caseSensitive ? 'u' : 'iu').test(typed);
+        } catch (error) {
+          console.warn(`gradingService: Invalid answer pattern "${accepted}"`, error);
+          return false;
+        }
+      default:
+        return normalizeBlankText(accepted, question).trim() === given;
+    }
+  });
+}
+
+/**
+ * Share of a fill-in-the-blank question's blanks answered correctly
+ * @param {Object} question - Fill-in-the-blank question (see getAcceptedAnswers for its key)
+ * @param {any} answer - The typed text, or an array of it per blank when there are several
+ * @returns {number} Credit from 0 to 1
+ */
+function scoreFillInTheBlank(question, answer) {
+  const blanks = getAcceptedAnswers(question);
+  const given = Array.isArray(answer) ? answer : [answer];
+  const filled = blanks.filter((acceptedAnswers, blank) => matchesBlank(question, acceptedAnswers, given[blank])).length;
+  return blanks.length > 0 ? filled / blanks.length : 0;
+}
+
+/**
+ * Interpret a true/false answer given as a boolean or a string such as 'True', ' false ', 't'
+ * @param {any} value - Raw answer
+ * @returns {boolean|null} Parsed boolean or null if it can't be interpreted
+ */
+function parseBooleanAnswer(value) {
+  if (typeof value === 'boolean') return value;
+  const text = normalizeAnswerText(value);
+  if (text === 'true' || text === 't') return true;
+  if (text === 'false' || text === 'f') return false;
+  return null;
+}
+
+/**
+ * Read the point value of a question, defaulting invalid values to 1
+ * @param {Object} question - Question definition
+ * @returns {number} Points available for the question
+ */
+function getQuestionPoints(question) {
+  const points = Number(question?.points);
+  return Number.isFinite(points) && points > 0 ? points : DEFAULT_POINTS;
+}
+
+/**
+ * Check whether an answer was actually given
+ * @param {any} answer - Raw answer
+ * @returns {boolean} True if the student answered
+ */
+function isAnswered(answer) {
+  if (answer === undefined || answer === null) return false;
+  if (typeof answer === 'string') return answer.trim() !== '';
+  if (Array.isArray(answer)) return answer.some(isAnswered);
+  return true;
+}
+
+/**
+ * Count the words in a free-text answer. List markers ("• ", "1. ") at the
+ * start of a line and stray punctuation are not words.
+ * @param {any} text - Answer text
+ * @returns {number} Number of words
+ */
+function countWords(text) {
+  if (text === undefined || text === null) return 0;
+  return String(text)
+    .replace(/^[ \t]*(•|\d+\.)[ \t]+/gm, '')
+    .split(/\s+/)
+    .filter(token => /[\p{L}\p{N}]/u.test(token))
+    .length;
+}
+
+/**
+ * Split the digits of a typed number into its whole and fractional parts.
+ * A single comma is usually a decimal comma ("3,14"), but "1,500" could also
+ * be fifteen hundred, so both readings are returned.
+ * @param {string} mantissa - Digits with separators, e.g. "1 234,5" or "1,234.5"
+ * @returns {Array<{ integer: string, fraction: string|null }>} Possible readings (empty when malformed)
+ */
+function splitDigits(mantissa) {
+  const compact = mantissa.trim();
+  const spaced = DIGIT_GROUP_SPACE.test(compact);
+  if (spaced && !/^\d{1,3}([\s\u00a0\u202f']\d{3})+([.,]\d*)?$/.test(compact)) return [];
+
+  const digits = compact.replace(new RegExp(DIGIT_GROUP_SPACE.source, 'g'), '');
+  const isGrouped = (text, separator) => new RegExp(`^\\d{1,3}(\\${separator}\\d{3})*$`).test(text);
+  const decimalIndex = Math.max(digits.lastIndexOf(','), digits.lastIndexOf('.'));
+  if (decimalIndex < 0) return [{ integer: digits, fraction: null }];
+
+  const decimal = digits[decimalIndex];
+  const group = decimal === ',' ? '.' : ',';
+  const integer = digits.slice(0, decimalIndex);
+  const fraction = digits.slice(decimalIndex + 1);
+
+  // Repeated separators can only be thousands groups ("1.000.000")
+  if (integer.includes(decimal)) {
+    return isGrouped(digits, decimal) ? [{ integer: digits.split(decimal).join(''), fraction: null }] : [];
+  }
+  // With both kinds, the last one is the decimal point ("1.234,5" or "1,234.5")
+  if (integer.includes(group)) {
+    return isGrouped(integer, group) ? [{ integer: integer.split(group).join(''), fraction }] : [];
+  }
+  if (decimal === ',' && !spaced && /^[1-9]\d{0,2}$/.test(integer) && /^\d{3}$/.test(fraction)) {
+    return [{ integer, fraction }, { integer: integer + fraction, fraction: null }];
+  }
+  return [{ integer, fraction }];
+}
+
+/**
+ * Read a typed numeric answer such as "3.14", "3,14", "-1 200 m", "6.02e23" or "1.5 × 10^3 kg"
+ * @param {any} value - Raw answer
+ * @returns {{ readings: Array<{ value: number, minSigFigs: number, maxSigFigs: number }>, unit: string }|null}
+ *   Null when the answer does not start with a number. Trailing zeros of a whole number
+ *   ("1200") may or may not be significant, hence the range of significant figures.
+ */
+function parseNumericAnswer(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim().replace(/[−–]/g, '-');
+  const match = text.match(NUMERIC_ANSWER_PATTERN);
+  if (!match) return null;
+
+  const [, sign, mantissa, exponent = '0', unit] = match;
+  const readings = splitDigits(mantissa).map(({ integer, fraction }) => {
+    const significant = `${integer}${fraction ?? ''}`.replace(/^0+/, '');
+    const minSigFigs = fraction === null ? significant.replace(/0+$/, '').length : significant.length;
+    return {
+      value: Number(`${sign}${integer || '0'}.${fraction || '0'}e${exponent}`),
+      minSigFigs: Math.max(1, minSigFigs),
+      maxSigFigs: Math.max(1, significant.length)
+    };
+  });
+
+  return readings.length > 0 ? { readings, unit: unit.trim() } : null;
+}
+
+/**
+ * Compare units loosely: "km / h" matches "km/h" and "m^2" matches "m²"
+ * @param {string} unit - Unit text
+ * @returns {string} Comparable unit
+ */
+function normalizeUnit(unit) {
+  return String(unit ?? '').replace(/\s+/g, '').replace(/\^2/g, '²').replace(/\^3/g, '³');
+}
+
+/**
+ * Grade a numeric answer against the value, tolerance, units and significant figures
+ * @param {Object} question - Numeric question
+ * @param {any} answer - Typed answer
+ * @returns {boolean} True if the answer is accepted
+ */
+function gradeNumeric(question, answer) {
+  const expected = Number(question.correctAnswer);
+  const parsed = parseNumericAnswer(answer);
+  if (!Number.isFinite(expected) || !parsed) return false;
+
+  const units = Array.isArray(question.units) ? question.units : [];
+  const unitAccepted = parsed.unit === ''
+    ? !question.unitRequired
+    : units.some(unit => normalizeUnit(unit) === normalizeUnit(parsed.unit));
+  if (!unitAccepted) return false;
+
+  const tolerance = Number(question.tolerance) || 0;
+  const allowed = question.toleranceType === NUMERIC_TOLERANCE.PERCENT
+    ? Math.abs(expected) * tolerance / 100
+    : tolerance;
+  // A little slack for floating-point error, so "0.3" matches 0.1 + 0.2
+  const slack = Math.max(Math.abs(expected), 1) * 1e-9;
+  const sigFigs = Number(question.sigFigs) || null;
+
+  return parsed.readings.some(reading => (
+    Math.abs(reading.value - expected) <= allowed + slack &&
+    (!sigFigs || (reading.minSigFigs <= sigFigs && sigFigs <= reading.maxSigFigs))
+  ));
+}
+
+/**
+ * Show a numeric question's accepted answer, e.g. "9.81 ± 0.05 m/s² (3 significant figures)"
+ * @param {Object} question - Numeric question
+ * @returns {string}
+ */
+function describeNumericAnswer(question) {
+  const tolerance = Number(question.tolerance) || 0;
+  const units = Array.isArray(question.units) ? question.units : [];
+  let text = String(question.correctAnswer);
+  if (tolerance > 0) {
+    text += question.toleranceType === NUMERIC_TOLERANCE.PERCENT ? ` ± ${tolerance}%` : ` ± ${tolerance}`;
+  }
+  if (units.length > 0) text += ` ${units[0]}`;
+  if (question.sigFigs) text += ` (${question.sigFigs} significant figures)`;
+  return text;
+}
+
+/**
+ * Read a set of choice indices (a multiple-response answer or key)
+ * @param {any} value - Array of indices, or a single index
+ * @returns {Set<number>}
+ */
+function toIndexSet(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return new Set(values.map(Number).filter(Number.isInteger));
+}
+
+/**
+ * Share of a multiple-response question's points an answer earns
+ * @param {Object} question - Question with correctAnswer (array of indices) and scoring
+ * @param {any} answer - Selected choice indices
+ * @returns {number} Credit from 0 to 1
+ */
+function scoreMultipleResponse(question, answer) {
+  const correct = toIndexSet(question.correctAnswer);
+  const selected = toIndexSet(answer);
+  const optionCount = (question.choices || []).length;
+  const rightTicks = [...selected].filter(index => correct.has(index)).length;
+  const wrongTicks = selected.size - rightTicks;
+
+  switch (question.scoring) {
+    case MULTIPLE_RESPONSE_SCORING.PARTIAL: {
+      // Every option judged correctly (ticked if right, left if wrong) earns its share
+      const rightlyLeft = optionCount - correct.size - wrongTicks;
+      return optionCount > 0 ? (rightTicks + rightlyLeft) / optionCount : 0;
+    }
+    case MULTIPLE_RESPONSE_SCORING.RIGHT_MINUS_WRONG:
+      return correct.size > 0 ? Math.max(0, (rightTicks - wrongTicks) / correct.size) : 0;
+    default:
+      return rightTicks === correct.size && wrongTicks === 0 ? 1 : 0;
+  }
+}
+
+/**
+ * Share of the terms given their correct match
+ * @param {Object} question - Matching question (correctAnswer holds each term's choice index)
+ * @param {any} answer - Chosen choice index per term (null where none was chosen)
+ * @returns {number} Credit from 0 to 1
+ */
+function scoreMatching(question, answer) {
+  const key = Array.isArray(question.correctAnswer) ? question.correctAnswer : [];
+  const given = Array.isArray(answer) ? answer : [];
+  const matched = key.filter((index, term) => isAnswered(given[term]) && Number(given[term]) === index).length;
+  return key.length > 0 ? matched / key.length : 0;
+}
+
+/**
+ * Share of the items placed in their correct position
+ * @param {Object} question - Ordering question (choices are authored in the correct order)
+ * @param {any} answer - Authored item indices in the order the student put them
+ * @returns {number} Credit from 0 to 1
+ */
+function scoreOrdering(question, answer) {
+  const itemCount = (question.choices || []).length;
+  const given = Array.isArray(answer) ? answer : [];
+  const placed = given.filter((index, position) => isAnswered(index) && Number(index) === position).length;
+  return itemCount > 0 ? placed / itemCount : 0;
+}
+
+// Per-type checks. Each returns true/false for a given (answered) response, or,
+// for types with partial credit, the share of the points earned (0 to 1), or
+// null when a teacher has to mark the response.
+const QUESTION_GRADERS = {
+  'multiple-choice': (question, answer) => {
+    const choices = question.choices || [];
+    const selectedIndex = Number(answer);
+
+    // Authored questions store the correct choice index
+    if (typeof question.correctAnswer === 'number') {
+      return Number.isInteger(selectedIndex) && selectedIndex === question.correctAnswer;
+    }
+
+    // Legacy/API data may store the correct choice text instead
+    const selectedText = Number.isInteger(selectedIndex) && choices[selectedIndex] !== undefined
+      ? choices[selectedIndex]
+      : answer;
+    return normalizeAnswerText(selectedText) === normalizeAnswerText(question.correctAnswer);
+  },
+
+  'multiple-response': scoreMultipleResponse,
+
+  'true-false': (question, answer) => {
+    const expected = parseBooleanAnswer(question.correctAnswer);
+    const given = parseBooleanAnswer(answer);
+    return expected !== null && given === expected;
+  },
+
+  'fill-in-the-blank': scoreFillInTheBlank,
+
+  'numeric': gradeNumeric,
+
+  'matching': scoreMatching,
+
+  'ordering': scoreOrdering,
+
+  'essay': () => null
+};
+
+/**
+ * Grade a single question
+ * @param {Object} question - Question definition (type, correctAnswer, points, ...)
+ * @param {any} answer - The student's answer
+ * @returns {{ questionId: string, type: string, answer: any, answered: boolean, correct: boolean, earnedPoints: number, possiblePoints: number, pendingGrading: boolean }}
+ */
+function gradeQuestion(question, answer) {
+  const possiblePoints = getQuestionPoints(question);
+  const answered = isAnswered(answer);
+  const grader = QUESTION_GRADERS[question?.type];
+
+  if (!grader) {
+    console.warn(`gradingService: No grader for question type "${question?.type}"`);
+  }
+
+  const outcome = answered && grader ? grader(question, answer) : 0;
+  const pendingGrading = outcome === null;
+  const credit = Number(outcome);
+
+  return {
+    questionId: question?.id ?? null,
+    type: question?.type,
+    answer: answered ? answer : null,
+    answered,
+    correct: credit === 1,
+    earnedPoints: Math.round(credit * possiblePoints * 100) / 100,
+    possiblePoints,
+    pendingGrading
+  };
+}
+
+/**
+ * Add up per-question results into a submission's totals
+ * @param {Array<Object>} results - Output of gradeQuestion
+ * @returns {{ results: Array<Object>, earnedPoints: number, possiblePoints: number, percentage: number, correctCount: number, answeredCount: number, totalQuestions: number, pendingGradingCount: number }}
+ */
+function summarizeResults(results) {
+  // Partial credit leaves fractional points; keep the total to two decimals
+  const earnedPoints = Math.round(results.reduce((sum, r) => sum + r.earnedPoints, 0) * 100) / 100;
+  const possiblePoints = results.reduce((sum, r) => sum + r.possiblePoints, 0);
+  const percentage = possiblePoints > 0
+    ? Math.round((earnedPoints / possiblePoints) * 10000) / 100
+    : 0;
+
+  return {
+    results,
+    earnedPoints,
+    possiblePoints,
+    percentage,
+    correctCount: results.filter(r => r.correct).length,
+    answeredCount: results.filter(r => r.answered).length,
+    totalQuestions: results.length,
+    pendingGradingCount: results.filter(r => r.pendingGrading).length
+  };
+}
+
+/**
+ * Map an answer given on a generated paper back to the authored question.
+ * Multiple-choice answers are display indices (an array of them for multiple-response,
+ * matching and ordering); optionOrder[displayIndex] is the authored index.
+ * @param {any} answer - Answer as given on the paper
+ * @param {Array<number>} [optionOrder] - Option permutation used for this question
+ * @param {string} [type] - Question type; matching and ordering answers keep their positions
+ * @returns {any} Answer in authored terms
+ */
+function mapAnswerToAuthored(answer, optionOrder, type) {
+  if (!Array.isArray(optionOrder) || !isAnswered(answer)) return answer;
+  if (Array.isArray(answer)) {
+    const mapped = answer.map(index => mapAnswerToAuthored(index, optionOrder));
+    return POSITIONAL_ANSWER_TYPES.includes(type) ? mapped : mapped.sort((a, b) => a - b);
+  }
+  const displayIndex = Number(answer);
+  return Number.isInteger(displayIndex) && optionOrder[displayIndex] !== undefined
+    ? optionOrder[displayIndex]
+    : answer;
+}
+
+/**
+ * Grade a full submission
+ * @param {Object} quiz - Quiz definition with a questions array
+ * @param {Array<any>} answers - Answers aligned by index with quiz.questions, or with
+ *   paper.questionIds when a generated paper is supplied
+ * @param {Object} [paper] - Generated paper (from paperGenerator) or its summary
+ *   ({ questionIds, optionOrders }). Only the questions on the paper are graded.
+ * @returns {Object} Totals and per-question results, see summarizeResults
+ */
+function gradeSubmission(quiz, answers = [], paper = null) {
+  const authoredQuestions = Array.isArray(quiz?.questions) ? quiz.questions : [];
+  let questions = authoredQuestions;
+  let authoredAnswers = answers;
+
+  if (paper && Array.isArray(paper.questionIds)) {
+    const byId = new Map(authoredQuestions.map(q => [q.id, q]));
+    const optionOrders = paper.optionOrders || Object.fromEntries(
+      (paper.questions || []).filter(q => q.optionOrder).map(q => [q.id, q.optionOrder])
+    );
+
+    questions = paper.questionIds.map(id => byId.get(id)).filter(Boolean);
+    authoredAnswers = paper.questionIds
+      .map((id, index) => (byId.has(id) ? mapAnswerToAuthored(answers[index], optionOrders[id], byId.get(id).type) : undefined))
+      .filter((_, index) => byId.has(paper.questionIds[index]));
+  }
+
+  return summarizeResults(questions.map((question, index) => gradeQuestion(question, authoredAnswers[index])));
+}
+
+/**
+ * Record a teacher's grade for one question of a graded submission
+ * @param {Object} result - Submission result from gradeSubmission
+ * @param {string} questionId - The manually graded question
+ * @param {Object} grade - { points, criterionScores, comment, grader, gradedAt }
+ * @returns {Object} A new result with the grade applied and the totals updated
+ */
+function applyManualGrade(result, questionId, grade) {
+  const results = (result?.results || []).map(r => (r.questionId === questionId
+    ? { ...r, earnedPoints: grade.points, correct: grade.points === r.possiblePoints, pendingGrading: false, grade }
+    : r));
+  return { ...result, ...summarizeResults(results) };
+}
+
+export const gradingService = {
+  gradeQuestion,
+  gradeSubmission,
+  applyManualGrade,
+  mapAnswerToAuthored,
+  countWords,
+  parseNumericAnswer,
+  describeNumericAnswer,
+  normalizeAnswerText,
+  parseBooleanAnswer
+};
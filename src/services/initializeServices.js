@@ -7,6 +7,8 @@
 import { sessionService } from './sessionService';
 import authService from './authService';
 import { offlineManager } from './offlineManager';
+import { proctoringEventService } from './proctoringEventService';
+import { snapshotService } from './snapshotService';
 import { VERBOSE_LOGGING } from './config';
 
 /**
@@ -19,6 +21,10 @@ export function initializeServices() {
   
   // Initialize offline manager first
   offlineManager.initialize();
+
+  // Send proctoring events and snapshots recorded while offline, now and whenever the connection returns
+  syncProctoringRecords();
+  window.addEventListener('online', syncProctoringRecords);
   
   // Initialize session service with options
   sessionService.initialize({
@@ -34,6 +40,17 @@ export function initializeServices() {
   return cleanup;
 }
 
+/**
+ * Send stored proctoring events, then snapshots, without blocking startup
+ */
+function syncProctoringRecords() {
+  proctoringEventService.syncEvents()
+    .then(() => snapshotService.syncSnapshots())
+    .catch(error => {
+      console.warn('Failed to send stored proctoring records:', error);
+    });
+}
+
 /**
  * Handle session expiration
  * @param {string} reason - The reason for session expiration
@@ -76,6 +93,7 @@ function cleanup() {
   
   // Cleanup services in reverse order
   sessionService.cleanup();
+  window.removeEventListener('online', syncProctoringRecords);
   offlineManager.cleanup();
   
   if (VERBOSE_LOGGING) {
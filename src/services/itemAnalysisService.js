@@ -0,0 +1,306 @@
+// src/services/itemAnalysisService.js
+
+/**
+ * Item Analysis Service
+ *
+ * Question-quality statistics for a paper, computed from its graded
+ * submissions (the per-question results gradingService stores on each
+ * attempt) and the questions as authored in AddQuestionForm:
+ *
+ * - difficulty (p-value): the average share of the points students earned
+ *   on the question (for right/wrong questions, the proportion correct)
+ * - discrimination: the point-biserial correlation between the question score
+ *   and the rest of the paper (the total without that question, so the
+ *   question does not correlate with itself)
+ * - distractor analysis for multiple-choice and multiple-response options: how
+ *   often each option was chosen overall and by the top and bottom 27% of students
+ * - average time spent on the question, from QUESTION_VIEWED events
+ * - score distributions for the paper and for each question
+ *
+ * Students drawing from pools see different questions, so each question is
+ * analysed over the attempts that were given it. Attempts a reviewer
+ * invalidated, and attempts with essays still waiting to be graded, are left out.
+ */
+
+import { quizService } from './quizService';
+import { attemptService, ATTEMPT_STATUS } from './attemptService';
+import { proctoringEventService, EVENT_TYPES } from './proctoringEventService';
+import { ATTEMPT_OUTCOMES } from './reviewService';
+
+// Share of students in the upper and lower groups for distractor analysis
+const GROUP_FRACTION = 0.27;
+const HISTOGRAM_BINS = 10;
+
+export const ITEM_THRESHOLDS = {
+  tooHard: 0.2, // p-value below this
+  tooEasy: 0.9, // p-value above this
+  lowDiscrimination: 0.2, // point-biserial below this
+  unusedDistractor: 0.05 // wrong options chosen by fewer students than this
+};
+
+export const ITEM_FLAGS = {
+  TOO_HARD: 'too-hard',
+  TOO_EASY: 'too-easy',
+  LOW_DISCRIMINATION: 'low-discrimination',
+  NEGATIVE_DISCRIMINATION: 'negative-discrimination',
+  UNUSED_DISTRACTOR: 'unused-distractor',
+  MISLEADING_DISTRACTOR: 'misleading-distractor'
+};
+
+export const ITEM_FLAG_LABELS = {
+  [ITEM_FLAGS.TOO_HARD]: 'Very hard',
+  [ITEM_FLAGS.TOO_EASY]: 'Very easy',
+  [ITEM_FLAGS.LOW_DISCRIMINATION]: 'Low discrimination',
+  [ITEM_FLAGS.NEGATIVE_DISCRIMINATION]: 'Negative discrimination (check the answer key)',
+  [ITEM_FLAGS.UNUSED_DISTRACTOR]: 'Distractor rarely chosen',
+  [ITEM_FLAGS.MISLEADING_DISTRACTOR]: 'Distractor attracts strong students'
+};
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+const round = (value, digits = 2) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+/**
+ * Pearson correlation (the point-biserial when one variable is 0/1)
+ * @param {Array<number>} xs
+ * @param {Array<number>} ys
+ * @returns {number|null} Null when there are fewer than two values or either has no variance
+ */
+function correlation(xs, ys) {
+  if (xs.length < 2) return null;
+  const meanX = average(xs);
+  const meanY = average(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+  return varianceX === 0 || varianceY === 0 ? null : covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Count percentages (0–100) into equal-width bins
+ * @param {Array<number>} percentages
+ * @param {number} [binCount]
+ * @returns {Array<{ from: number, to: number, count: number }>}
+ */
+function buildHistogram(percentages, binCount = HISTOGRAM_BINS) {
+  const width = 100 / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => ({ from: i * width, to: (i + 1) * width, count: 0 }));
+  percentages.forEach(percentage => {
+    const index = Math.min(binCount - 1, Math.max(0, Math.floor(percentage / width)));
+    bins[index].count += 1;
+  });
+  return bins;
+}
+
+/**
+ * Seconds an attempt spent on each question. A view lasts until the next
+ * question is viewed or the attempt ends; revisits add up.
+ * @param {Object} attempt - Attempt with submittedAt
+ * @param {Array<Object>} events - The attempt's proctoring events
+ * @returns {Object<string, number>} Seconds by question ID
+ */
+function getQuestionTimes(attempt, events) {
+  const views = events
+    .filter(event => event.type === EVENT_TYPES.QUESTION_VIEWED && event.details?.questionId)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const endTime = attempt.submittedAt ? new Date(attempt.submittedAt).getTime() : null;
+
+  return views.reduce((times, view, index) => {
+    const start = new Date(view.timestamp).getTime();
+    const next = views[index + 1];
+    const end = next ? new Date(next.timestamp).getTime() : endTime;
+    if (end === null || end < start) return times;
+
+    const { questionId } = view.details;
+    return { ...times, [questionId]: (times[questionId] || 0) + (end - start) / 1000 };
+  }, {});
+}
+
+/**
+ * Split attempts into upper and lower groups by total score
+ * @param {Array<Object>} entries - { attemptId, percentage }
+ * @returns {{ upper: Set<string>, lower: Set<string> }} Attempt IDs
+ */
+function splitGroups(entries) {
+  const sorted = [...entries].sort((a, b) => b.percentage - a.percentage);
+  const size = sorted.length >= 2 ? Math.max(1, Math.round(sorted.length * GROUP_FRACTION)) : 0;
+  return {
+    upper: new Set(sorted.slice(0, size).map(entry => entry.attemptId)),
+    lower: new Set(sorted.slice(sorted.length - size).map(entry => entry.attemptId))
+  };
+}
+
+// Whether a graded answer includes a choice (multiple-response answers are arrays of indices)
+const selectsChoice = (result, index) => result.answered && (
+  Array.isArray(result.answer) ? result.answer.map(Number).includes(index) : Number(result.answer) === index
+);
+
+// Whether a choice is (one of) the question's correct answers
+const isCorrectChoice = (question, index) => (
+  Array.isArray(question.correctAnswer) ? question.correctAnswer.includes(index) : question.correctAnswer === index
+);
+
+/**
+ * Selection rates of a multiple-choice or multiple-response question's options
+ * @param {Object} question - Authored question
+ * @param {Array<Object>} responses - { attemptId, result } for the attempts given the question
+ * @param {{ upper: Set<string>, lower: Set<string> }} groups
+ * @returns {Array<{ index: number|null, text: string, correct: boolean, count: number, rate: number, upperRate: number|null, lowerRate: number|null }>}
+ *   One row per option plus an "omitted" row (index null)
+ */
+function analyzeDistractors(question, responses, groups) {
+  const rateIn = (members, matches) => {
+    const inGroup = responses.filter(response => members.has(response.attemptId));
+    return inGroup.length > 0 ? inGroup.filter(matches).length / inGroup.length : null;
+  };
+  const describe = (index, text, correct, matches) => {
+    const count = responses.filter(matches).length;
+    return {
+      index,
+      text,
+      correct,
+      count,
+      rate: responses.length > 0 ? count / responses.length : 0,
+      upperRate: rateIn(groups.upper, matches),
+      lowerRate: rateIn(groups.lower, matches)
+    };
+  };
+
+  const options = (question.choices || []).map((text, index) =>
+    describe(index, text, isCorrectChoice(question, index), ({ result }) => selectsChoice(result, index))
+  );
+  return [...options, describe(null, 'No answer', false, ({ result }) => !result.answered)];
+}
+
+/**
+ * Statistics for one question
+ * @param {Object} question - Authored question
+ * @param {Array<Object>} entries - Every analysed attempt: { attemptId, percentage, earned, possible, results, times }
+ * @param {{ upper: Set<string>, lower: Set<string> }} groups
+ * @returns {Object} See analyzePaper
+ */
+function analyzeItem(question, entries, groups) {
+  const responses = entries
+    .map(entry => ({ ...entry, result: entry.results.find(result => result.questionId === question.id) }))
+    .filter(entry => entry.result);
+
+  const itemScores = responses.map(({ result }) => (result.possiblePoints > 0 ? result.earnedPoints / result.possiblePoints : 0));
+  const restScores = responses.map(({ earned, possible, result }) => {
+    const restPossible = possible - result.possiblePoints;
+    return restPossible > 0 ? (earned - result.earnedPoints) / restPossible : 0;
+  });
+  const times = responses.map(entry => entry.times[question.id]).filter(Number.isFinite);
+  const pValue = average(itemScores);
+  const discrimination = correlation(itemScores, restScores);
+
+  const distribution = responses.reduce((counts, { result }) => ({
+    ...counts,
+    [result.earnedPoints]: (counts[result.earnedPoints] || 0) + 1
+  }), {});
+  const distractors = ['multiple-choice', 'multiple-response'].includes(question.type)
+    ? analyzeDistractors(question, responses, groups)
+    : null;
+
+  const flags = [];
+  if (pValue !== null && pValue < ITEM_THRESHOLDS.tooHard) flags.push(ITEM_FLAGS.TOO_HARD);
+  if (pValue !== null && pValue > ITEM_THRESHOLDS.tooEasy) flags.push(ITEM_FLAGS.TOO_EASY);
+  if (discrimination !== null && discrimination < 0) flags.push(ITEM_FLAGS.NEGATIVE_DISCRIMINATION);
+  else if (discrimination !== null && discrimination < ITEM_THRESHOLDS.lowDiscrimination) flags.push(ITEM_FLAGS.LOW_DISCRIMINATION);
+  (distractors || []).filter(option => option.index !== null && !option.correct).forEach(option => {
+    if (option.rate < ITEM_THRESHOLDS.unusedDistractor && !flags.includes(ITEM_FLAGS.UNUSED_DISTRACTOR)) {
+      flags.push(ITEM_FLAGS.UNUSED_DISTRACTOR);
+    }
+    if (option.upperRate !== null && option.lowerRate !== null && option.upperRate > option.lowerRate &&
+      !flags.includes(ITEM_FLAGS.MISLEADING_DISTRACTOR)) {
+      flags.push(ITEM_FLAGS.MISLEADING_DISTRACTOR);
+    }
+  });
+
+  return {
+    questionId: question.id,
+    text: question.text,
+    type: question.type,
+    points: question.points,
+    pool: question.pool || null,
+    responseCount: responses.length,
+    answeredCount: responses.filter(({ result }) => result.answered).length,
+    pValue: round(pValue),
+    discrimination: round(discrimination),
+    averageSeconds: round(average(times), 0),
+    scoreDistribution: Object.entries(distribution)
+      .map(([points, count]) => ({ points: Number(points), count }))
+      .sort((a, b) => a.points - b.points),
+    distractors,
+    flags
+  };
+}
+
+/**
+ * Whether an attempt's result counts towards the analysis (its essays must
+ * have been graded, or its total would be understated)
+ * @param {Object} attempt
+ * @returns {boolean}
+ */
+function isAnalysable(attempt) {
+  return attempt.status === ATTEMPT_STATUS.SUBMITTED &&
+    Array.isArray(attempt.result?.results) &&
+    !attempt.result.pendingGradingCount &&
+    attempt.review?.outcome !== ATTEMPT_OUTCOMES.INVALIDATED;
+}
+
+/**
+ * Analyse a paper's questions
+ * @param {Object} quiz - Quiz definition with its questions
+ * @param {Array<Object>} attempts - Attempts at the quiz (unsubmitted, ungraded and invalidated ones are skipped)
+ * @param {Array<Object>} [events] - The quiz's proctoring events, for time per question
+ * @returns {{ attemptCount: number, averagePercentage: number|null, scoreHistogram: Array<Object>, items: Array<Object> }}
+ *   One item per authored question, in authored order
+ */
+function analyzePaper(quiz, attempts, events = []) {
+  const entries = attempts.filter(isAnalysable).map(attempt => ({
+    attemptId: attempt.id,
+    percentage: attempt.result.percentage ?? 0,
+    earned: attempt.result.earnedPoints ?? 0,
+    possible: attempt.result.possiblePoints ?? 0,
+    results: attempt.result.results,
+    times: getQuestionTimes(attempt, events.filter(event => event.attemptId === attempt.id))
+  }));
+  const groups = splitGroups(entries);
+
+  return {
+    attemptCount: entries.length,
+    averagePercentage: round(average(entries.map(entry => entry.percentage)), 1),
+    scoreHistogram: buildHistogram(entries.map(entry => entry.percentage)),
+    items: (quiz?.questions || []).map(question => analyzeItem(question, entries, groups))
+  };
+}
+
+/**
+ * Load a paper and its submissions and analyse them
+ * @param {string} paperCode - The paper code
+ * @returns {Promise<{ quiz: Object, analysis: Object }|null>} Null when no quiz has the code
+ */
+async function getPaperAnalysis(paperCode) {
+  const quiz = await quizService.getQuizByPaperCode(paperCode);
+  if (!quiz) return null;
+
+  const [attempts, events] = await Promise.all([
+    attemptService.getAttempts({ quizId: quiz.id }),
+    proctoringEventService.getEvents({ quizId: quiz.id, types: [EVENT_TYPES.QUESTION_VIEWED] })
+  ]);
+  return { quiz, analysis: analyzePaper(quiz, attempts, events) };
+}
+
+export const itemAnalysisService = {
+  analyzePaper,
+  getPaperAnalysis,
+  getQuestionTimes,
+  buildHistogram,
+  correlation,
+  ITEM_FLAGS,
+  ITEM_THRESHOLDS
+};
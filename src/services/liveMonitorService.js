@@ -0,0 +1,321 @@
+// src/services/liveMonitorService.js
+
+/**
+ * Live Monitor Service
+ *
+ * Lets teachers watch a live paper while students take it, and step in.
+ *
+ * - Students' QuizPage publishes a heartbeat (current question, time left,
+ *   face status) every LIVE_MONITORING.heartbeatSeconds.
+ * - The teacher's LiveMonitorPage subscribes to a feed of in-progress attempts
+ *   through a transport: polling (apiClient, or the offline cache in
+ *   USE_MOCK_DATA mode) or anything WebSocket-shaped (a real socket, or the
+ *   in-memory stand-in the tests use).
+ * - Teachers send alerts (a warning message, or force-ending the attempt).
+ *   They wait for the student's next heartbeat, which hands them to the main
+ *   process; the main process delivers them to the quiz window on the
+ *   `proctoring:alert` IPC channel (a window event outside Electron).
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { apiClient } from './apiClient';
+import { offlineManager } from './offlineManager';
+import { attemptService, ATTEMPT_STATUS } from './attemptService';
+import { proctoringEventService, VIOLATION_LABELS } from './proctoringEventService';
+import { trustedClockService } from './trustedClockService';
+import { USE_MOCK_DATA, VERBOSE_LOGGING, LIVE_MONITORING } from './config';
+
+const STATUS_CACHE_KEY = 'offline_live_status';
+const ALERTS_CACHE_KEY = 'offline_live_alerts';
+const ALERT_EVENT = 'quizsecure:proctoringalert';
+export const MAX_ALERT_MESSAGE_LENGTH = 500;
+
+export const ALERT_TYPES = {
+  WARNING: 'warning',
+  FORCE_END: 'force-end'
+};
+
+export const FACE_STATUS = {
+  OK: 'ok',
+  MISSING: 'missing',
+  MULTIPLE: 'multiple',
+  UNKNOWN: 'unknown'
+};
+
+function readStatuses() {
+  return offlineManager.getCachedData(STATUS_CACHE_KEY) || {};
+}
+
+function readAlerts() {
+  return offlineManager.getCachedData(ALERTS_CACHE_KEY) || [];
+}
+
+/**
+ * Report a student's live status and collect any alerts waiting for them.
+ * Called by QuizPage on every heartbeat.
+ * @param {Object} status
+ * @param {string} status.attemptId
+ * @param {string} status.quizId
+ * @param {number} status.currentQuestion - 1-based question number
+ * @param {number} status.totalQuestions
+ * @param {number} status.secondsLeft
+ * @param {string} status.faceStatus - One of FACE_STATUS
+ * @returns {Promise<Array<Object>>} Alerts sent to this attempt since the last heartbeat
+ */
+async function publishStatus(status) {
+  const entry = { ...status, updatedAt: new Date(trustedClockService.now()).toISOString() };
+
+  if (USE_MOCK_DATA) {
+    offlineManager.cacheData(STATUS_CACHE_KEY, { ...readStatuses(), [status.attemptId]: entry });
+
+    const alerts = readAlerts();
+    const pending = alerts.filter(alert => alert.attemptId === status.attemptId);
+    if (pending.length > 0) {
+      offlineManager.cacheData(ALERTS_CACHE_KEY, alerts.filter(alert => alert.attemptId !== status.attemptId));
+    }
+    return pending;
+  }
+
+  try {
+    const response = await apiClient.post(`/monitoring/attempts/${status.attemptId}/status`, entry);
+    return Array.isArray(response?.alerts) ? response.alerts : [];
+  } catch (error) {
+    console.warn(`API call failed for live status of attempt ${status.attemptId}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Build the monitoring rows for a quiz from the locally known attempts,
+ * heartbeats and proctoring events
+ * @param {string} quizId - The quiz ID
+ * @param {number} [now] - Current time (ms)
+ * @returns {Promise<Array<Object>>} See describeAttempt
+ */
+async function getLocalSnapshot(quizId, now = trustedClockService.now()) {
+  const attempts = (await attemptService.getAttempts({ quizId }))
+    .filter(attempt => attempt.status === ATTEMPT_STATUS.IN_PROGRESS);
+  const statuses = readStatuses();
+
+  return Promise.all(attempts.map(async (attempt) => {
+    const events = await proctoringEventService.getEvents({ attemptId: attempt.id });
+    return describeAttempt(attempt, statuses[attempt.id], events, now);
+  }));
+}
+
+/**
+ * One monitoring row: the attempt, its last heartbeat and its latest violation
+ * @param {Object} attempt - In-progress attempt
+ * @param {Object} [status] - Last published status
+ * @param {Array<Object>} events - The attempt's proctoring events, oldest first
+ * @param {number} now - Current time (ms)
+ * @returns {{ attemptId: string, studentId: string, studentName: string, startedAt: string, currentQuestion: number|null, totalQuestions: number|null, secondsLeft: number|null, faceStatus: string, lastSeenAt: string|null, connected: boolean, violationCount: number, latestViolation: Object|null }}
+ */
+function describeAttempt(attempt, status, events, now) {
+  const violations = events.filter(event => event.violation);
+  const latest = violations[violations.length - 1] || null;
+  const lastSeen = status?.updatedAt ? new Date(status.updatedAt).getTime() : null;
+  const sinceSeen = lastSeen === null ? null : Math.max(0, (now - lastSeen) / 1000);
+
+  return {
+    attemptId: attempt.id,
+    studentId: attempt.studentId,
+    studentName: attempt.studentName || attempt.studentId,
+    startedAt: attempt.startedAt,
+    currentQuestion: status?.currentQuestion ?? null,
+    totalQuestions: status?.totalQuestions ?? null,
+    // The timer kept running since the heartbeat
+    secondsLeft: Number.isFinite(status?.secondsLeft) ? Math.max(0, Math.round(status.secondsLeft - sinceSeen)) : null,
+    faceStatus: status?.faceStatus || FACE_STATUS.UNKNOWN,
+    lastSeenAt: status?.updatedAt || null,
+    connected: sinceSeen !== null && sinceSeen <= LIVE_MONITORING.staleAfterSeconds,
+    violationCount: violations.length,
+    latestViolation: latest && {
+      type: latest.type,
+      label: VIOLATION_LABELS[latest.type] || latest.type,
+      timestamp: latest.timestamp
+    }
+  };
+}
+
+/**
+ * Fetch the monitoring rows for a quiz. Uses real API with fallback to the
+ * locally known attempts.
+ * @param {string} quizId - The quiz ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getLiveSnapshot(quizId) {
+  if (USE_MOCK_DATA) {
+    return getLocalSnapshot(quizId);
+  }
+
+  try {
+    const response = await apiClient.get(`/monitoring/quizzes/${quizId}/live`);
+    return Array.isArray(response) ? response : response?.attempts || [];
+  } catch (error) {
+    console.warn(`API call failed for live monitoring of quiz ${quizId}, using local data:`, error);
+    return getLocalSnapshot(quizId);
+  }
+}
+
+/**
+ * Build an alert for an attempt
+ * @param {string} type - One of ALERT_TYPES
+ * @param {string} attemptId - The attempt ID
+ * @param {Object} [options]
+ * @param {string} [options.message] - Shown to the student
+ * @param {Object} [options.sentBy] - { id, name } of the teacher
+ * @returns {Object} The alert
+ */
+function createAlert(type, attemptId, { message = '', sentBy = null } = {}) {
+  if (!Object.values(ALERT_TYPES).includes(type)) {
+    throw new Error(`Unknown alert type "${type}".`);
+  }
+  const text = String(message).trim();
+  if (type === ALERT_TYPES.WARNING && !text) {
+    throw new Error('Please enter a message for the student.');
+  }
+  if (text.length > MAX_ALERT_MESSAGE_LENGTH) {
+    throw new Error(`Messages can be at most ${MAX_ALERT_MESSAGE_LENGTH} characters.`);
+  }
+
+  return {
+    id: `alert_${uuidv4()}`,
+    type,
+    attemptId,
+    message: text,
+    sentBy,
+    sentAt: new Date(trustedClockService.now()).toISOString()
+  };
+}
+
+/**
+ * Queue an alert until the student's next heartbeat collects it
+ * @param {Object} alert - From createAlert
+ * @returns {Promise<Object>} The queued alert
+ */
+async function queueAlert(alert) {
+  if (USE_MOCK_DATA) {
+    offlineManager.cacheData(ALERTS_CACHE_KEY, [...readAlerts(), alert]);
+    return alert;
+  }
+
+  const response = await apiClient.post(`/monitoring/attempts/${alert.attemptId}/alerts`, alert);
+  return { ...alert, queued: !!response?.queued };
+}
+
+/**
+ * A transport that polls getLiveSnapshot
+ * @param {string} quizId - The quiz to monitor
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Poll interval (defaults to LIVE_MONITORING.pollSeconds)
+ * @returns {{ subscribe: Function, sendAlert: Function }}
+ */
+function createPollingTransport(quizId, { intervalMs = LIVE_MONITORING.pollSeconds * 1000 } = {}) {
+  return {
+    /**
+     * @param {Function} onSnapshot - Called with the rows after every poll
+     * @param {Function} [onError] - Called when a poll fails
+     * @returns {Function} Stops polling
+     */
+    subscribe(onSnapshot, onError = () => {}) {
+      let stopped = false;
+      const poll = () => getLiveSnapshot(quizId)
+        .then(rows => { if (!stopped) onSnapshot(rows); })
+        .catch(error => { if (!stopped) onError(error); });
+
+      poll();
+      const interval = setInterval(poll, intervalMs);
+      return () => {
+        stopped = true;
+        clearInterval(interval);
+      };
+    },
+    sendAlert: queueAlert
+  };
+}
+
+/**
+ * A transport over a WebSocket-shaped connection. The server pushes
+ * `{ type: 'snapshot', quizId, attempts }` messages; alerts are sent as
+ * `{ type: 'alert', alert }`.
+ * @param {string} quizId - The quiz to monitor
+ * @param {Object} socket - Anything with send(), addEventListener() and removeEventListener()
+ * @returns {{ subscribe: Function, sendAlert: Function }}
+ */
+function createSocketTransport(quizId, socket) {
+  return {
+    subscribe(onSnapshot, onError = () => {}) {
+      const handleMessage = (event) => {
+        try {
+          const message = JSON.parse(event.data);
+          if (message.type === 'snapshot' && message.quizId === quizId) {
+            onSnapshot(message.attempts || []);
+          }
+        } catch (error) {
+          onError(error);
+        }
+      };
+      const handleError = () => onError(new Error('Live monitoring connection failed.'));
+
+      socket.addEventListener('message', handleMessage);
+      socket.addEventListener('error', handleError);
+      socket.send(JSON.stringify({ type: 'subscribe', quizId }));
+      return () => {
+        socket.removeEventListener('message', handleMessage);
+        socket.removeEventListener('error', handleError);
+      };
+    },
+    async sendAlert(alert) {
+      socket.send(JSON.stringify({ type: 'alert', alert }));
+      return alert;
+    }
+  };
+}
+
+/**
+ * Hand alerts collected by a heartbeat to the main process, which delivers
+ * them on `proctoring:alert`. Outside Electron they are dispatched as a window event.
+ * @param {Array<Object>} alerts - Alerts from publishStatus
+ */
+async function deliverAlerts(alerts) {
+  const ipc = typeof window !== 'undefined' ? window.electron?.ipc : null;
+
+  for (const alert of alerts) {
+    if (VERBOSE_LOGGING) console.log('liveMonitorService: Delivering alert', alert);
+    if (ipc?.invoke) {
+      await ipc.invoke('proctoring:send-alert', alert);
+    } else if (typeof window !== 'undefined') {
+      window.dispatchEvent(new CustomEvent(ALERT_EVENT, { detail: alert }));
+    }
+  }
+}
+
+/**
+ * Listen for alerts delivered to this window
+ * @param {Function} handler - Called with each alert
+ * @returns {Function} Stops listening
+ */
+function onAlert(handler) {
+  const ipc = typeof window !== 'undefined' ? window.electron?.ipc : null;
+  if (ipc?.on) {
+    return ipc.on('proctoring:alert', handler);
+  }
+
+  const handleEvent = (event) => handler(event.detail);
+  window.addEventListener(ALERT_EVENT, handleEvent);
+  return () => window.removeEventListener(ALERT_EVENT, handleEvent);
+}
+
+export const liveMonitorService = {
+  publishStatus,
+  getLiveSnapshot,
+  describeAttempt,
+  createAlert,
+  createPollingTransport,
+  createSocketTransport,
+  deliverAlerts,
+  onAlert,
+  ALERT_TYPES,
+  FACE_STATUS
+};
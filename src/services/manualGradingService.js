@@ -0,0 +1,193 @@
+// src/services/manualGradingService.js
+
+/**
+ * Manual Grading Service
+ *
+ * The teacher's grading queue for questions that cannot be marked
+ * automatically (essays). Every answered essay in a submitted attempt waits
+ * in the paper's queue until a teacher scores it, criterion by criterion when
+ * the question has a rubric, and optionally leaves a comment for the student.
+ *
+ * Grades are stored in the attempt's result (see gradingService.applyManualGrade),
+ * so its totals include them as soon as they are saved. Students only see their
+ * score once every essay in the attempt has been graded (see resultsService).
+ */
+
+import { attemptService, ATTEMPT_STATUS } from './attemptService';
+import { quizService } from './quizService';
+import { gradingService } from './gradingService';
+import { trustedClockService } from './trustedClockService';
+import { MANUALLY_GRADED_TYPES } from './questionValidation';
+
+/**
+ * Whether a question is marked by hand
+ * @param {Object} question - Authored question
+ * @returns {boolean}
+ */
+function isManuallyGraded(question) {
+  return MANUALLY_GRADED_TYPES.includes(question?.type);
+}
+
+/**
+ * Whether a submitted attempt still has responses waiting for a teacher
+ * @param {Object} attempt
+ * @returns {boolean}
+ */
+function isAwaitingGrading(attempt) {
+  return attempt?.status === ATTEMPT_STATUS.SUBMITTED && (attempt.result?.pendingGradingCount ?? 0) > 0;
+}
+
+/**
+ * List the manually graded responses of a paper's submitted attempts:
+ * ungraded ones first, oldest submission first
+ * @param {Object} quiz - The paper
+ * @param {Array<Object>} attempts - Attempts at the paper
+ * @returns {Array<{ attemptId: string, studentId: string, studentName: string, submittedAt: string, questionId: string, questionNumber: number, questionText: string, answer: string, wordCount: number, minWords: number|null, maxWords: number|null, rubric: Array<Object>, possiblePoints: number, pending: boolean, grade: Object|null }>}
+ */
+function buildGradingQueue(quiz, attempts) {
+  const questions = new Map((quiz?.questions || []).map(question => [question.id, question]));
+  const items = [];
+
+  attempts
+    .filter(attempt => attempt.status === ATTEMPT_STATUS.SUBMITTED && Array.isArray(attempt.result?.results))
+    .forEach(attempt => {
+      attempt.result.results.forEach((result, index) => {
+        const question = questions.get(result.questionId);
+        // Unanswered essays score nothing and need no marking
+        if (!isManuallyGraded(question) || !result.answered) return;
+
+        items.push({
+          attemptId: attempt.id,
+          studentId: attempt.studentId,
+          studentName: attempt.studentName || attempt.studentId,
+          submittedAt: attempt.submittedAt,
+          questionId: question.id,
+          questionNumber: index + 1,
+          questionText: question.text,
+          answer: result.answer,
+          wordCount: gradingService.countWords(result.answer),
+          minWords: question.minWords ?? null,
+          maxWords: question.maxWords ?? null,
+          rubric: question.rubric || [],
+          possiblePoints: result.possiblePoints,
+          pending: !!result.pendingGrading,
+          grade: result.grade || null
+        });
+      });
+    });
+
+  return items.sort((a, b) =>
+    (b.pending - a.pending) ||
+    (new Date(a.submittedAt) - new Date(b.submittedAt)) ||
+    (a.questionNumber - b.questionNumber));
+}
+
+/**
+ * Count a paper's manually graded responses from its attempts alone (the
+ * paper list has no questions to go on)
+ * @param {Array<Object>} attempts - Attempts at the paper
+ * @returns {{ total: number, pending: number }}
+ */
+function countResponses(attempts) {
+  const responses = attempts
+    .filter(attempt => attempt.status === ATTEMPT_STATUS.SUBMITTED)
+    .flatMap(attempt => attempt.result?.results || [])
+    .filter(result => MANUALLY_GRADED_TYPES.includes(result.type) && result.answered);
+
+  return { total: responses.length, pending: responses.filter(result => result.pendingGrading).length };
+}
+
+/**
+ * Load a paper and its grading queue
+ * @param {string} paperCode - The paper code
+ * @returns {Promise<{ quiz: Object, items: Array<Object>, pendingCount: number }|null>} Null when no quiz has the code
+ */
+async function getGradingQueue(paperCode) {
+  const quiz = await quizService.getQuizByPaperCode(paperCode);
+  if (!quiz) return null;
+
+  const items = buildGradingQueue(quiz, await attemptService.getAttempts({ quizId: quiz.id }));
+  return { quiz, items, pendingCount: items.filter(item => item.pending).length };
+}
+
+/**
+ * Work out the points for a response from the teacher's marks
+ * @param {Object} question - The essay
+ * @param {number} possiblePoints - Points available
+ * @param {Object} marks
+ * @param {Array<number>} [marks.criterionScores] - Points per rubric criterion (rubric questions)
+ * @param {number} [marks.points] - Points for the whole response (questions without a rubric)
+ * @returns {{ points: number, criterionScores: Array<number>|null }}
+ * @throws {Error} When a mark is missing or out of range
+ */
+function scoreResponse(question, possiblePoints, { criterionScores, points }) {
+  const rubric = question.rubric || [];
+  const inRange = (value, max) => Number.isFinite(value) && value >= 0 && value <= max;
+
+  if (rubric.length === 0) {
+    const total = Number(points);
+    if (points === '' || points === null || !inRange(total, possiblePoints)) {
+      throw new Error(`Points must be between 0 and ${possiblePoints}.`);
+    }
+    return { points: total, criterionScores: null };
+  }
+
+  const scores = rubric.map((_, index) => Number(criterionScores?.[index]));
+  rubric.forEach((item, index) => {
+    if (criterionScores?.[index] === '' || !inRange(scores[index], Number(item.points))) {
+      throw new Error(`"${item.criterion}" must be scored from 0 to ${item.points}.`);
+    }
+  });
+  return { points: Math.round(scores.reduce((sum, score) => sum + score, 0) * 100) / 100, criterionScores: scores };
+}
+
+/**
+ * Grade (or regrade) one response
+ * @param {string} attemptId - The attempt ID
+ * @param {string} questionId - The essay's question ID
+ * @param {Object} marks
+ * @param {Array<number>} [marks.criterionScores] - Points per rubric criterion, in rubric order
+ * @param {number} [marks.points] - Points for questions without a rubric
+ * @param {string} [marks.comment] - Feedback shown to the student with their review
+ * @param {{ id: string, name: string }} marks.grader - Who graded it
+ * @returns {Promise<Object>} The updated attempt
+ * @throws {Error} When the response cannot be graded or a mark is out of range
+ */
+async function gradeResponse(attemptId, questionId, { criterionScores, points, comment = '', grader }) {
+  if (!grader?.id) {
+    throw new Error('A grader is required to record a grade.');
+  }
+
+  const attempt = await attemptService.getAttempt(attemptId);
+  const response = attempt?.result?.results?.find(result => result.questionId === questionId);
+  if (!attempt || attempt.status !== ATTEMPT_STATUS.SUBMITTED || !response) {
+    throw new Error('This response could not be found.');
+  }
+
+  const quiz = await quizService.getQuizById(attempt.quizId);
+  const question = quiz?.questions?.find(q => q.id === questionId);
+  if (!isManuallyGraded(question) || !response.answered) {
+    throw new Error('This response does not need manual grading.');
+  }
+
+  const grade = {
+    ...scoreResponse(question, response.possiblePoints, { criterionScores, points }),
+    comment: comment.trim(),
+    grader,
+    gradedAt: new Date(trustedClockService.now()).toISOString()
+  };
+
+  return attemptService.updateAttempt(attemptId, {
+    result: gradingService.applyManualGrade(attempt.result, questionId, grade)
+  });
+}
+
+export const manualGradingService = {
+  isManuallyGraded,
+  isAwaitingGrading,
+  buildGradingQueue,
+  countResponses,
+  getGradingQueue,
+  scoreResponse,
+  gradeResponse
+};
@@ -98,6 +98,9 @@ async function processQueue() {
       if (VERBOSE_LOGGING) console.log(`offlineManager: Successfully processed operation: ${operation.type} - ${operation.url}`);
     } catch (error) {
       console.error(`offlineManager: Failed to process operation: ${operation.type} - ${operation.url}`, error);
+
+      // A client error (other than a timeout or rate limit) would be refused on every retry
+      if (error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429) continue;
       
       // Put the failed operation back in the queue to retry later
       operationQueue.push(operation);
@@ -131,6 +134,11 @@ async function executeOperation(operation) {
       'Content-Type': 'application/json'
     }
   };
+
+  // Let the server drop replays of a request it has already processed
+  if (data?.idempotencyKey) {
+    fetchOptions.headers['Idempotency-Key'] = data.idempotencyKey;
+  }
   
   if (data && (type === 'POST' || type === 'PUT' || type === 'PATCH')) {
     fetchOptions.body = JSON.stringify(data);
@@ -138,7 +146,9 @@ async function executeOperation(operation) {
   
   const response = await fetch(url, fetchOptions);
   if (!response.ok) {
-    throw new Error(`HTTP error! status: ${response.status}`);
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    throw error;
   }
   return response.json();
 }
@@ -151,7 +161,18 @@ function queueOperation(type, url, data, serviceMethod = null) {
   
   if (VERBOSE_LOGGING) console.log(`offlineManager: Queueing operation: ${type} - ${url}`, data);
   
-  operationQueue.push(operation);
+  // Operations carrying an idempotency key (e.g. quiz submissions) are only queued once;
+  // a retry replaces the pending copy instead of adding a second one
+  const idempotencyKey = data?.idempotencyKey;
+  const existingIndex = idempotencyKey
+    ? operationQueue.findIndex(op => op.url === url && op.data?.idempotencyKey === idempotencyKey)
+    : -1;
+
+  if (existingIndex >= 0) {
+    operationQueue[existingIndex] = operation;
+  } else {
+    operationQueue.push(operation);
+  }
   
   // Store queue in localStorage for persistence
   try {
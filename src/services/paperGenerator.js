@@ -0,0 +1,176 @@
+// src/services/paperGenerator.js
+
+/**
+ * Paper Generator
+ *
+ * Builds the per-student question paper for a quiz:
+ * - draws a configured number of questions from each pool (quiz.pools)
+ * - optionally shuffles question order (quiz.shuffleQuestions)
+ * - optionally shuffles multiple-choice and multiple-response options (quiz.shuffleOptions)
+ * - always mixes up matching options and ordering items, whose authored order gives the answer away
+ *
+ * Generation is seeded from the quiz and student IDs, so the same student
+ * always receives the same paper (e.g. after reconnecting), while different
+ * students get different ones.
+ */
+
+// Question types whose options can be shuffled
+const CHOICE_TYPES = ['multiple-choice', 'multiple-response'];
+// Question types whose options are always shuffled
+const SCRAMBLED_TYPES = ['matching', 'ordering'];
+
+/**
+ * Hash a string into a 32-bit unsigned integer seed (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} Seed value
+ */
+export function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a deterministic pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle using the supplied generator (returns a new array)
+ */
+function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Shuffle, but never leave every item where it was (an ordering question
+ * shown in its correct order would be answered already)
+ */
+function scramble(items, random) {
+  const result = shuffle(items, random);
+  return result.length > 1 && result.every((item, index) => item === items[index])
+    ? [...result.slice(1), result[0]]
+    : result;
+}
+
+/**
+ * Select which authored questions appear on the paper, honouring pool draw counts.
+ * Unpooled questions are always included; pools without a draw count contribute all questions.
+ * @returns {Array<Object>} Selected questions in authored order
+ */
+function drawQuestions(quiz, random) {
+  const questions = quiz.questions || [];
+  const pools = quiz.pools || {};
+  const selected = new Set();
+  const poolMembers = {};
+
+  questions.forEach((question) => {
+    if (question.pool) {
+      (poolMembers[question.pool] = poolMembers[question.pool] || []).push(question);
+    } else {
+      selected.add(question);
+    }
+  });
+
+  Object.entries(poolMembers).forEach(([poolName, members]) => {
+    const drawCount = Number(pools[poolName]);
+    const drawn = Number.isInteger(drawCount) && drawCount > 0 && drawCount < members.length
+      ? shuffle(members, random).slice(0, drawCount)
+      : members;
+    drawn.forEach(question => selected.add(question));
+  });
+
+  return questions.filter(question => selected.has(question));
+}
+
+/**
+ * Build the question as presented to the student. Multiple-choice and
+ * multiple-response options may be reordered, and matching and ordering options always are;
+ * `optionOrder[displayIndex]` records the authored index of each option.
+ * The correct answer is not exposed on the presented question.
+ */
+function presentQuestion(question, shuffleOptions, random) {
+  const { correctAnswer: _correctAnswer, ...presented } = question;
+  const scrambled = SCRAMBLED_TYPES.includes(question.type);
+
+  if ((CHOICE_TYPES.includes(question.type) || scrambled) && Array.isArray(question.choices)) {
+    const authoredOrder = question.choices.map((_, index) => index);
+    const optionOrder = scrambled
+      ? scramble(authoredOrder, random)
+      : shuffleOptions ? shuffle(authoredOrder, random) : authoredOrder;
+    return {
+      ...presented,
+      choices: optionOrder.map(index => question.choices[index]),
+      optionOrder
+    };
+  }
+
+  return presented;
+}
+
+/**
+ * Generate the paper a student sees for a quiz
+ * @param {Object} quiz - Quiz definition (questions, pools, shuffleQuestions, shuffleOptions)
+ * @param {string} studentId - Stable identifier of the student
+ * @returns {{ quizId: string, studentId: string, seed: number, questionIds: Array<string>, questions: Array<Object> }}
+ */
+export function generatePaper(quiz, studentId) {
+  const seed = hashSeed(`${quiz?.id ?? ''}:${studentId ?? ''}`);
+  const random = createRandom(seed);
+
+  const drawn = drawQuestions(quiz || {}, random);
+  const ordered = quiz?.shuffleQuestions ? shuffle(drawn, random) : drawn;
+  const questions = ordered.map(question => presentQuestion(question, !!quiz?.shuffleOptions, random));
+
+  return {
+    quizId: quiz?.id ?? null,
+    studentId: studentId ?? null,
+    seed,
+    questionIds: questions.map(q => q.id),
+    questions
+  };
+}
+
+/**
+ * Describe a generated paper compactly (for submissions and checkpoints).
+ * Passing an existing summary returns an equivalent summary.
+ * @param {Object} paper - Paper from generatePaper
+ * @returns {{ seed: number, questionIds: Array<string>, optionOrders: Object }}
+ */
+export function summarizePaper(paper) {
+  const optionOrders = { ...(paper?.optionOrders || {}) };
+  (paper?.questions || []).forEach((question) => {
+    if (question.optionOrder) optionOrders[question.id] = question.optionOrder;
+  });
+  return {
+    seed: paper?.seed ?? null,
+    questionIds: paper?.questionIds || [],
+    optionOrders
+  };
+}
+
+export const paperGenerator = {
+  generatePaper,
+  summarizePaper,
+  hashSeed,
+  createRandom
+};
@@ -0,0 +1,359 @@
+// src/services/proctoringEventService.js
+
+/**
+ * Proctoring Event Service
+ *
+ * Records what happens during a quiz attempt (tab switches, face detection
+ * changes, screen recording and display changes, plus attempt lifecycle
+ * events) and lets the teacher pages query them.
+ *
+ * Every event carries the attempt it belongs to and a timestamp from the
+ * trusted clock. Events are stored locally per attempt, so they survive a
+ * crash and are available in USE_MOCK_DATA mode. With a backend, each event is
+ * removed from local storage once the server accepts it; events recorded
+ * offline are sent by syncEvents. Violations and lifecycle events are always
+ * kept, while the rest (navigation, face detected, ...) are capped per attempt
+ * so one long attempt cannot fill the storage quota.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { apiClient } from './apiClient';
+import { offlineManager } from './offlineManager';
+import { trustedClockService } from './trustedClockService';
+import { USE_MOCK_DATA, VERBOSE_LOGGING } from './config';
+
+const EVENTS_KEY_PREFIX = 'offline_proctoring_events_';
+// Attempts that have events stored, so they can all be listed
+const EVENTS_INDEX_KEY = 'offline_proctoring_event_attempts';
+const NO_ATTEMPT = 'none';
+
+// Events that only give context: keep the newest this many per attempt
+const MAX_CONTEXT_EVENTS = 100;
+
+export const EVENT_TYPES = {
+  TAB_SWITCH: 'TAB_SWITCH',
+  TAB_RETURN: 'TAB_RETURN',
+  FACE_DETECTED: 'faceDetected',
+  FACE_LOST: 'faceLost',
+  MULTIPLE_FACES: 'multipleFaces',
+  SCREEN_RECORDING: 'SCREEN_RECORDING',
+  DISPLAY_CHANGE: 'DISPLAY_CHANGE',
+  QUESTION_VIEWED: 'QUESTION_VIEWED',
+  ANSWER_CHANGED: 'ANSWER_CHANGED',
+  ATTEMPT_RESUMED: 'ATTEMPT_RESUMED',
+  SESSION_GAP: 'SESSION_GAP',
+  AUTO_SUBMIT: 'AUTO_SUBMIT',
+  TEACHER_WARNING: 'TEACHER_WARNING'
+};
+
+// Event types that count as violations; the rest only give context
+export const VIOLATION_TYPES = [
+  EVENT_TYPES.TAB_SWITCH,
+  EVENT_TYPES.FACE_LOST,
+  EVENT_TYPES.MULTIPLE_FACES,
+  EVENT_TYPES.SCREEN_RECORDING,
+  EVENT_TYPES.DISPLAY_CHANGE
+];
+
+// Short labels for violation types, for tables and reports
+// Event types marking the attempt's lifecycle; kept in full like violations
+const LIFECYCLE_TYPES = [
+  EVENT_TYPES.ATTEMPT_RESUMED,
+  EVENT_TYPES.SESSION_GAP,
+  EVENT_TYPES.AUTO_SUBMIT,
+  EVENT_TYPES.TEACHER_WARNING
+];
+
+export const VIOLATION_LABELS = {
+  [EVENT_TYPES.TAB_SWITCH]: 'Tab switch',
+  [EVENT_TYPES.FACE_LOST]: 'Face lost',
+  [EVENT_TYPES.MULTIPLE_FACES]: 'Multiple faces',
+  [EVENT_TYPES.SCREEN_RECORDING]: 'Screen recording',
+  [EVENT_TYPES.DISPLAY_CHANGE]: 'Display change'
+};
+
+export const VIOLATION_SEVERITY = {
+  NONE: 'none',
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+};
+
+// Highest violation count for each severity (anything above MEDIUM is HIGH)
+const SEVERITY_LIMITS = {
+  [VIOLATION_SEVERITY.NONE]: 0,
+  [VIOLATION_SEVERITY.LOW]: 2,
+  [VIOLATION_SEVERITY.MEDIUM]: 5
+};
+
+/**
+ * Check whether an event type counts as a violation
+ * @param {string} type - Event type
+ * @returns {boolean}
+ */
+function isViolation(type) {
+  return VIOLATION_TYPES.includes(type);
+}
+
+function isContextEvent(event) {
+  return !isViolation(event.type) && !LIFECYCLE_TYPES.includes(event.type);
+}
+
+function getEventsKey(attemptId) {
+  return `${EVENTS_KEY_PREFIX}${attemptId || NO_ATTEMPT}`;
+}
+
+function readAttemptEvents(attemptId) {
+  return offlineManager.getCachedData(getEventsKey(attemptId)) || [];
+}
+
+function readLocalEvents() {
+  const attemptIds = offlineManager.getCachedData(EVENTS_INDEX_KEY) || [];
+  return attemptIds.flatMap(readAttemptEvents);
+}
+
+/**
+ * Store an attempt's events. Unlike offlineManager.cacheData, a full storage
+ * quota is thrown rather than swallowed.
+ * @param {string|null} attemptId - The attempt ID
+ * @param {Array<Object>} events - All of the attempt's stored events
+ * @throws {DOMException} QuotaExceededError when there is no room left
+ */
+function writeAttemptEvents(attemptId, events) {
+  const indexId = attemptId || NO_ATTEMPT;
+  const attemptIds = offlineManager.getCachedData(EVENTS_INDEX_KEY) || [];
+
+  if (events.length === 0) {
+    localStorage.removeItem(getEventsKey(attemptId));
+    localStorage.setItem(EVENTS_INDEX_KEY, JSON.stringify(attemptIds.filter(id => id !== indexId)));
+    return;
+  }
+
+  if (!attemptIds.includes(indexId)) {
+    localStorage.setItem(EVENTS_INDEX_KEY, JSON.stringify([...attemptIds, indexId]));
+  }
+  localStorage.setItem(getEventsKey(attemptId), JSON.stringify(events));
+}
+
+/**
+ * Drop the oldest context events beyond a limit
+ * @param {Array<Object>} events - Events, oldest first
+ * @param {number} limit - Context events to keep
+ * @returns {Array<Object>}
+ */
+function capContextEvents(events, limit) {
+  let excess = events.filter(isContextEvent).length - limit;
+  return events.filter(event => !isContextEvent(event) || excess-- <= 0);
+}
+
+/**
+ * Add an event to its attempt's stored events
+ * @param {Object} event - The event
+ * @throws {DOMException} QuotaExceededError when even dropping context events leaves no room
+ */
+function storeEvent(event) {
+  const events = [...readAttemptEvents(event.attemptId), event];
+
+  try {
+    writeAttemptEvents(event.attemptId, capContextEvents(events, MAX_CONTEXT_EVENTS));
+  } catch (error) {
+    // Storage is full: give up the attempt's context events to make room for this one
+    writeAttemptEvents(event.attemptId, capContextEvents(events, isContextEvent(event) ? 1 : 0));
+  }
+}
+
+function removeStoredEvent(event) {
+  const events = readAttemptEvents(event.attemptId);
+  writeAttemptEvents(event.attemptId, events.filter(e => e.id !== event.id));
+}
+
+/**
+ * Post an event, removing it from local storage once the server has it
+ * @param {Object} event - The event
+ * @returns {Promise<boolean>} False when it should be retried later
+ */
+async function sendEvent(event) {
+  try {
+    // Not queued by apiClient: the event is already stored until it is sent
+    await apiClient.post('/proctoring/events', event, { queue: false });
+  } catch (error) {
+    if (apiClient.isRetryable(error)) return false;
+    console.warn(`Proctoring event ${event.type} was refused by the server, dropping it:`, error);
+  }
+
+  removeStoredEvent(event);
+  return true;
+}
+
+function matchesFilters(event, { attemptId, quizId, paperCode, studentId, types } = {}) {
+  return (!attemptId || event.attemptId === attemptId) &&
+    (!quizId || event.quizId === quizId) &&
+    (!paperCode || (event.paperCode || '').toUpperCase() === paperCode.toUpperCase()) &&
+    (!studentId || event.studentId === studentId) &&
+    (!types || types.includes(event.type));
+}
+
+function byTimestamp(a, b) {
+  return new Date(a.timestamp) - new Date(b.timestamp);
+}
+
+/**
+ * Record a proctoring event
+ * @param {string} type - One of EVENT_TYPES (other types are recorded as-is)
+ * @param {Object} context - The attempt the event belongs to
+ * @param {string} [context.attemptId]
+ * @param {string} [context.quizId]
+ * @param {string} [context.paperCode]
+ * @param {string} [context.studentId]
+ * @param {Object} [details] - Event-specific data (e.g. face count, displays)
+ * @returns {Object} The recorded event (sent to the backend in the background)
+ * @throws {DOMException} QuotaExceededError when the event could not be stored
+ *   locally; the event is on `error.event` (and was still sent when online)
+ */
+function recordEvent(type, context = {}, details = {}) {
+  const event = {
+    id: `evt_${uuidv4()}`,
+    type,
+    attemptId: context.attemptId || null,
+    quizId: context.quizId || null,
+    paperCode: context.paperCode || null,
+    studentId: context.studentId || null,
+    timestamp: new Date(trustedClockService.now()).toISOString(),
+    violation: isViolation(type),
+    details
+  };
+
+  if (VERBOSE_LOGGING) console.log(`proctoringEventService: ${type}`, details);
+
+  try {
+    storeEvent(event);
+  } catch (error) {
+    error.event = event;
+    if (!USE_MOCK_DATA) sendEvent(event);
+    throw error;
+  }
+
+  // Recording never waits for the network; events left stored are sent by syncEvents
+  if (!USE_MOCK_DATA) sendEvent(event);
+
+  return event;
+}
+
+let syncing = null;
+
+/**
+ * Send the events still stored locally (recorded while the server could not
+ * be reached), oldest attempt first. Stops at the first event that cannot be
+ * sent, so it can run again when the app is back online.
+ * @returns {Promise<number>} How many stored events were sent
+ */
+async function syncEvents() {
+  if (USE_MOCK_DATA) return 0;
+  if (syncing) return syncing;
+
+  syncing = (async () => {
+    let sent = 0;
+    for (const event of readLocalEvents()) {
+      if (!(await sendEvent(event))) break;
+      sent++;
+    }
+    return sent;
+  })();
+
+  try {
+    return await syncing;
+  } finally {
+    syncing = null;
+  }
+}
+
+/**
+ * Query recorded events, oldest first. Uses real API with fallback to the offline cache.
+ * @param {Object} [filters]
+ * @param {string} [filters.attemptId] - Only events of this attempt
+ * @param {string} [filters.quizId] - Only events of this quiz
+ * @param {string} [filters.paperCode] - Only events of this paper code
+ * @param {string} [filters.studentId] - Only this student's events
+ * @param {Array<string>} [filters.types] - Only these event types
+ * @returns {Promise<Array<Object>>}
+ */
+async function getEvents(filters = {}) {
+  const localEvents = () => (filters.attemptId ? readAttemptEvents(filters.attemptId) : readLocalEvents());
+
+  if (USE_MOCK_DATA) {
+    if (VERBOSE_LOGGING) console.log('proctoringEventService.getEvents using offline cache', filters);
+    return localEvents().filter(e => matchesFilters(e, filters)).sort(byTimestamp);
+  }
+
+  try {
+    const params = new URLSearchParams();
+    ['attemptId', 'quizId', 'paperCode', 'studentId'].forEach(key => {
+      if (filters[key]) params.set(key, filters[key]);
+    });
+    if (filters.types) params.set('types', filters.types.join(','));
+
+    const response = await apiClient.get(`/proctoring/events?${params.toString()}`);
+    const events = Array.isArray(response) ? response : response?.events || [];
+    return [...events].sort(byTimestamp);
+  } catch (error) {
+    console.warn('API call failed for proctoring events, falling back to offline cache:', error);
+    return localEvents().filter(e => matchesFilters(e, filters)).sort(byTimestamp);
+  }
+}
+
+/**
+ * Get an attempt's events, oldest first
+ * @param {string} attemptId - The attempt ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAttemptEvents(attemptId) {
+  return getEvents({ attemptId });
+}
+
+/**
+ * Summarize a list of events
+ * @param {Array<Object>} events - Events (e.g. from getEvents)
+ * @returns {{ total: number, violations: number, byType: Object<string, number>, violationTypes: Array<string>, firstAt: string|null, lastAt: string|null }}
+ */
+function summarizeEvents(events) {
+  const byType = {};
+  events.forEach(event => {
+    byType[event.type] = (byType[event.type] || 0) + 1;
+  });
+  const sorted = [...events].sort(byTimestamp);
+
+  return {
+    total: events.length,
+    violations: events.filter(e => isViolation(e.type)).length,
+    byType,
+    violationTypes: Object.keys(byType).filter(isViolation),
+    firstAt: sorted[0]?.timestamp || null,
+    lastAt: sorted[sorted.length - 1]?.timestamp || null
+  };
+}
+
+/**
+ * Classify an attempt by its number of violations
+ * @param {number} violationCount - Number of violation events
+ * @returns {string} One of VIOLATION_SEVERITY
+ */
+function getViolationSeverity(violationCount) {
+  if (violationCount <= SEVERITY_LIMITS[VIOLATION_SEVERITY.NONE]) return VIOLATION_SEVERITY.NONE;
+  if (violationCount <= SEVERITY_LIMITS[VIOLATION_SEVERITY.LOW]) return VIOLATION_SEVERITY.LOW;
+  if (violationCount <= SEVERITY_LIMITS[VIOLATION_SEVERITY.MEDIUM]) return VIOLATION_SEVERITY.MEDIUM;
+  return VIOLATION_SEVERITY.HIGH;
+}
+
+export const proctoringEventService = {
+  recordEvent,
+  syncEvents,
+  getEvents,
+  getAttemptEvents,
+  summarizeEvents,
+  isViolation,
+  getViolationSeverity,
+  EVENT_TYPES,
+  VIOLATION_TYPES,
+  VIOLATION_LABELS,
+  VIOLATION_SEVERITY
+};
@@ -0,0 +1,115 @@
+// src/services/proctoringSettings.js
+
+/**
+ * Proctoring Settings
+ *
+ * Per-paper proctoring rules set in CreateQuizPage and read at runtime by
+ * QuizPage (face checks, tab-switch limit, recording policy) and, over IPC,
+ * by the main process's screen-security module (Alt+Tab lock, whether to
+ * watch for screen recording at all).
+ *
+ * Defaults come from PROCTORING_DEFAULTS in config.js; a quiz overrides any
+ * of them with its `proctoring` settings.
+ */
+
+import { PROCTORING_DEFAULTS, VERBOSE_LOGGING } from './config';
+
+export const RECORDING_POLICIES = {
+  OFF: 'off', // not checked
+  LOG: 'log', // logged for the teacher only
+  WARN: 'warn', // logged and the student is warned
+  END: 'end' // logged and the attempt is submitted
+};
+
+export const RECORDING_POLICY_LABELS = {
+  [RECORDING_POLICIES.OFF]: 'Do not check',
+  [RECORDING_POLICIES.LOG]: 'Log only',
+  [RECORDING_POLICIES.WARN]: 'Log and warn the student',
+  [RECORDING_POLICIES.END]: 'Log and end the attempt'
+};
+
+export const MAX_FACES_LIMIT = 5;
+
+/**
+ * A quiz's proctoring settings with defaults applied
+ * @param {Object} quiz - Quiz with optional `proctoring` settings
+ * @returns {{ requireFaceCheck: boolean, maxFaces: number, allowedTabSwitches: number|null, lockAltTab: boolean, recordingPolicy: string }}
+ */
+function resolveProctoringSettings(quiz) {
+  const settings = { ...PROCTORING_DEFAULTS, ...quiz?.proctoring };
+  const maxFaces = Number(settings.maxFaces);
+  const allowedTabSwitches = settings.allowedTabSwitches === null || settings.allowedTabSwitches === ''
+    ? null
+    : Number(settings.allowedTabSwitches);
+
+  return {
+    requireFaceCheck: settings.requireFaceCheck !== false,
+    maxFaces: Number.isInteger(maxFaces) && maxFaces >= 1 ? Math.min(maxFaces, MAX_FACES_LIMIT) : PROCTORING_DEFAULTS.maxFaces,
+    allowedTabSwitches: Number.isInteger(allowedTabSwitches) && allowedTabSwitches >= 0 ? allowedTabSwitches : null,
+    lockAltTab: !!settings.lockAltTab,
+    recordingPolicy: Object.values(RECORDING_POLICIES).includes(settings.recordingPolicy)
+      ? settings.recordingPolicy
+      : PROCTORING_DEFAULTS.recordingPolicy
+  };
+}
+
+/**
+ * Check proctoring settings entered by a teacher
+ * @param {Object|null} [proctoring] - Raw settings
+ * @returns {Object<string, string>} Error messages by setting name (empty when valid)
+ */
+function validateProctoringSettings(proctoring) {
+  const errors = {};
+  // API payloads and older quizzes may have null settings
+  proctoring = proctoring || {};
+
+  if (proctoring.maxFaces !== undefined) {
+    const maxFaces = Number(proctoring.maxFaces);
+    if (!Number.isInteger(maxFaces) || maxFaces < 1 || maxFaces > MAX_FACES_LIMIT) {
+      errors.maxFaces = `Allow between 1 and ${MAX_FACES_LIMIT} faces.`;
+    }
+  }
+
+  if (proctoring.allowedTabSwitches !== undefined && proctoring.allowedTabSwitches !== null && proctoring.allowedTabSwitches !== '') {
+    const allowed = Number(proctoring.allowedTabSwitches);
+    if (!Number.isInteger(allowed) || allowed < 0) {
+      errors.allowedTabSwitches = 'Allowed tab switches must be a whole number (0 or more), or empty for no limit.';
+    }
+  }
+
+  if (proctoring.recordingPolicy !== undefined && !Object.values(RECORDING_POLICIES).includes(proctoring.recordingPolicy)) {
+    errors.recordingPolicy = 'Choose a screen recording policy.';
+  }
+
+  return errors;
+}
+
+/**
+ * Hand the settings the main process enforces to screen-security
+ * (no-op outside Electron)
+ * @param {Object|null} settings - Resolved settings, or null to restore the defaults
+ * @returns {Promise<Object|null>} The main process's reply
+ */
+async function applyToMainProcess(settings) {
+  const ipc = typeof window !== 'undefined' ? window.electron?.ipc : null;
+  if (!ipc?.invoke) return null;
+
+  try {
+    const payload = settings
+      ? { lockAltTab: settings.lockAltTab, recordingPolicy: settings.recordingPolicy }
+      : null;
+    const response = await ipc.invoke('security:apply-proctoring-settings', payload);
+    if (VERBOSE_LOGGING) console.log('proctoringSettings: Applied in main process', response);
+    return response;
+  } catch (error) {
+    console.warn('proctoringSettings: Failed to apply settings in main process:', error);
+    return null;
+  }
+}
+
+export const proctoringSettings = {
+  resolveProctoringSettings,
+  validateProctoringSettings,
+  applyToMainProcess,
+  RECORDING_POLICIES
+};
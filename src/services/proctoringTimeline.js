@@ -0,0 +1,157 @@
+// src/services/proctoringTimeline.js
+
+/**
+ * Proctoring Timeline
+ *
+ * Turns an attempt and its proctoring events into the lanes drawn by the
+ * teacher's StudentLogTimeLinePage: face-presence spans plus point markers for
+ * tab switches, alerts, question navigation, answer changes and session events.
+ * Positions are fractions (0–1) of the attempt's duration so the page can zoom
+ * by simply widening the track.
+ */
+
+import { EVENT_TYPES } from './proctoringEventService';
+
+export const TIMELINE_LANES = {
+  FACE: 'face',
+  TAB: 'tab',
+  ALERT: 'alert',
+  NAVIGATION: 'navigation',
+  ANSWER: 'answer',
+  SESSION: 'session'
+};
+
+export const LANE_LABELS = {
+  [TIMELINE_LANES.FACE]: 'Face',
+  [TIMELINE_LANES.TAB]: 'Tab switches',
+  [TIMELINE_LANES.ALERT]: 'Alerts',
+  [TIMELINE_LANES.NAVIGATION]: 'Navigation',
+  [TIMELINE_LANES.ANSWER]: 'Answers',
+  [TIMELINE_LANES.SESSION]: 'Session'
+};
+
+export const FACE_STATES = {
+  UNKNOWN: 'unknown',
+  PRESENT: 'present',
+  ABSENT: 'absent',
+  MULTIPLE: 'multiple'
+};
+
+const FACE_STATE_BY_EVENT = {
+  [EVENT_TYPES.FACE_DETECTED]: FACE_STATES.PRESENT,
+  [EVENT_TYPES.FACE_LOST]: FACE_STATES.ABSENT,
+  [EVENT_TYPES.MULTIPLE_FACES]: FACE_STATES.MULTIPLE
+};
+
+const LANE_BY_EVENT = {
+  [EVENT_TYPES.TAB_SWITCH]: TIMELINE_LANES.TAB,
+  [EVENT_TYPES.TAB_RETURN]: TIMELINE_LANES.TAB,
+  [EVENT_TYPES.FACE_LOST]: TIMELINE_LANES.ALERT,
+  [EVENT_TYPES.MULTIPLE_FACES]: TIMELINE_LANES.ALERT,
+  [EVENT_TYPES.SCREEN_RECORDING]: TIMELINE_LANES.ALERT,
+  [EVENT_TYPES.DISPLAY_CHANGE]: TIMELINE_LANES.ALERT,
+  [EVENT_TYPES.QUESTION_VIEWED]: TIMELINE_LANES.NAVIGATION,
+  [EVENT_TYPES.ANSWER_CHANGED]: TIMELINE_LANES.ANSWER
+};
+
+/**
+ * Human-readable description of an event
+ * @param {Object} event - Proctoring event
+ * @returns {string}
+ */
+function describeEvent(event) {
+  const details = event.details || {};
+  const questionNumber = Number.isInteger(details.questionIndex) ? details.questionIndex + 1 : '?';
+
+  switch (event.type) {
+    case EVENT_TYPES.TAB_SWITCH: return 'Left the quiz window';
+    case EVENT_TYPES.TAB_RETURN: return 'Returned to the quiz window';
+    case EVENT_TYPES.FACE_DETECTED: return 'Face detected';
+    case EVENT_TYPES.FACE_LOST: return 'Face lost';
+    case EVENT_TYPES.MULTIPLE_FACES: return `Multiple faces detected (${details.faceCount || '2+'})`;
+    case EVENT_TYPES.SCREEN_RECORDING:
+      return details.software?.length
+        ? `Screen recording detected (${details.software.join(', ')})`
+        : 'Screen recording detected';
+    case EVENT_TYPES.DISPLAY_CHANGE:
+      return details.type === 'added' ? 'Display added' : 'Display configuration changed';
+    case EVENT_TYPES.QUESTION_VIEWED: return `Viewed question ${questionNumber}`;
+    case EVENT_TYPES.ANSWER_CHANGED: return `Changed answer to question ${questionNumber}`;
+    case EVENT_TYPES.ATTEMPT_RESUMED: return `Attempt resumed after ${details.gapSeconds ?? '?'}s`;
+    case EVENT_TYPES.SESSION_GAP: return `Session paused for ${details.gapSeconds ?? '?'}s`;
+    case EVENT_TYPES.AUTO_SUBMIT: return `Submitted automatically (${details.reason || 'time expired'})`;
+    case EVENT_TYPES.TEACHER_WARNING: return `Warning from teacher: "${details.message || ''}"`;
+    default: return event.type;
+  }
+}
+
+/**
+ * Build the timeline model for an attempt
+ * @param {Object} attempt - Attempt with startedAt/submittedAt
+ * @param {Array<Object>} events - The attempt's proctoring events
+ * @param {number} [now] - Current time (ms), used as the end of unfinished attempts
+ * @returns {{ start: number, end: number, duration: number, faceSpans: Array<Object>, markers: Array<Object> }}
+ */
+function buildTimeline(attempt, events, now = Date.now()) {
+  const sorted = [...events].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const times = sorted.map(e => new Date(e.timestamp).getTime());
+
+  const start = Math.min(new Date(attempt?.startedAt).getTime() || Infinity, ...times, now);
+  const lastEventTime = times.length > 0 ? times[times.length - 1] : start;
+  const end = Math.max(
+    attempt?.submittedAt ? new Date(attempt.submittedAt).getTime() : now,
+    lastEventTime,
+    start + 1000 // at least one second so positions are defined
+  );
+  const duration = end - start;
+  const position = time => (time - start) / duration;
+
+  // Face presence: each face event starts a span that lasts until the next one
+  const faceSpans = [];
+  let spanState = FACE_STATES.UNKNOWN;
+  let spanStart = start;
+  sorted.forEach((event, index) => {
+    const state = FACE_STATE_BY_EVENT[event.type];
+    if (!state || state === spanState) return;
+    if (times[index] > spanStart) {
+      faceSpans.push({ state: spanState, start: spanStart, end: times[index] });
+    }
+    spanState = state;
+    spanStart = times[index];
+  });
+  faceSpans.push({ state: spanState, start: spanStart, end });
+
+  const markers = sorted
+    .filter(event => event.type !== EVENT_TYPES.FACE_DETECTED)
+    .map(event => {
+      const time = new Date(event.timestamp).getTime();
+      return {
+        id: event.id,
+        event,
+        time,
+        position: position(time),
+        lane: LANE_BY_EVENT[event.type] || TIMELINE_LANES.SESSION,
+        label: describeEvent(event)
+      };
+    });
+
+  return {
+    start,
+    end,
+    duration,
+    faceSpans: faceSpans.map(span => ({
+      ...span,
+      left: position(span.start),
+      width: (span.end - span.start) / duration
+    })),
+    markers
+  };
+}
+
+export const proctoringTimeline = {
+  buildTimeline,
+  describeEvent,
+  TIMELINE_LANES,
+  LANE_LABELS,
+  FACE_STATES
+};
@@ -0,0 +1,900 @@
+// src/services/questionBankIO.js
+
+/**
+ * Question Bank Import/Export
+ *
+ * Converts a paper's questions to and from CSV, the project's JSON shape and
+ * Moodle GIFT. Parsed rows are validated with the same rules AddQuestionForm
+ * uses, so callers can show per-row errors before anything is saved.
+ */
+
+import {
+  validateQuestion,
+  getAcceptedAnswers,
+  toFillInAnswerKey,
+  MAX_CHOICES,
+  MULTIPLE_RESPONSE_SCORING,
+  NUMERIC_TOLERANCE,
+  FILL_IN_MATCH_MODES
+} from './questionValidation';
+import { gradingService } from './gradingService';
+
+export const IMPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+  GIFT: 'gift'
+};
+
+const JSON_FORMAT_VERSION = 1;
+const CHOICE_LETTERS = 'ABCDEF';
+const CSV_HEADERS = [
+  'type',
+  'text',
+  ...Array.from({ length: MAX_CHOICES }, (_, i) => `choice${i + 1}`),
+  'correctAnswer',
+  'caseSensitive',
+  'matchMode',
+  'ignoreWhitespace',
+  'ignorePunctuation',
+  'ignoreDiacritics',
+  'points',
+  'pool',
+  'scoring',
+  'tolerance',
+  'toleranceType',
+  'units',
+  'unitRequired',
+  'sigFigs',
+  'minWords',
+  'maxWords',
+  'rubric'
+];
+
+// Question types that list choices
+const CHOICE_TYPES = ['multiple-choice', 'multiple-response'];
+// Question types whose choices are matches or items to order
+const ARRANGED_TYPES = ['matching', 'ordering'];
+
+/**
+ * Guess the import format from a file name
+ * @param {string} fileName - Name of the uploaded file
+ * @returns {string|null} One of IMPORT_FORMATS or null if unknown
+ */
+export function detectFormat(fileName = '') {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'csv') return IMPORT_FORMATS.CSV;
+  if (extension === 'json') return IMPORT_FORMATS.JSON;
+  if (extension === 'gift' || extension === 'txt') return IMPORT_FORMATS.GIFT;
+  return null;
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Fill-in options that are saved only when switched on
+const FILL_IN_IGNORE_OPTIONS = ['whitespace', 'punctuation', 'diacritics'];
+const ignoreField = (option) => `ignore${option[0].toUpperCase()}${option.slice(1)}`;
+
+/**
+ * Read a fill-in answer key written as "blank;blank" with "answer|answer" alternatives
+ * per blank. A regular expression is one pattern per blank, so its "|" is left alone.
+ */
+function parseBlankAnswers(text, matchMode) {
+  return String(text ?? '').split(';').map(blank => (matchMode === FILL_IN_MATCH_MODES.REGEX ? [blank] : blank.split('|')));
+}
+
+/**
+ * Write a fill-in answer key the way parseBlankAnswers reads it. Alternative patterns
+ * are joined with "|", which a regular expression reads the same way.
+ */
+function formatBlankAnswers(question) {
+  return getAcceptedAnswers(question).map(answers => answers.join('|')).join(';');
+}
+
+/**
+ * Read a number from a file cell, accepting the forms students may type ("9,81");
+ * anything else becomes NaN so validation reports it
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  const parsed = gradingService.parseNumericAnswer(value);
+  return parsed && !parsed.unit && parsed.readings.length === 1 ? parsed.readings[0].value : NaN;
+}
+
+/**
+ * Build a clean question payload, dropping fields that don't apply to the type
+ * (mirrors the payload AddQuestionForm.handleSave produces)
+ */
+function toQuestionPayload({
+  type, text, choices, prompts, correctAnswer, caseSensitive, matchMode, ignoreWhitespace, ignorePunctuation,
+  ignoreDiacritics, scoring, tolerance, toleranceType, units, unitRequired, sigFigs, minWords, maxWords, rubric, points, pool
+}) {
+  const parsedPoints = points === undefined || points === '' ? 1 : Number(points);
+  const isEssay = type === 'essay';
+  const isNumeric = type === 'numeric';
+  const isFillIn = type === 'fill-in-the-blank';
+  const wordLimit = (value) => (isEssay && !isBlank(value) ? Number(value) : undefined);
+  const unitList = typeof units === 'string' ? units.split(';').map(unit => unit.trim()).filter(Boolean) : units;
+  let normalizedAnswer = correctAnswer;
+  if (type === 'true-false' && typeof correctAnswer === 'boolean') {
+    normalizedAnswer = String(correctAnswer);
+  } else if (isFillIn && typeof correctAnswer === 'string') {
+    normalizedAnswer = correctAnswer.trim();
+  } else if (isFillIn && Array.isArray(correctAnswer)) {
+    normalizedAnswer = toFillInAnswerKey(getAcceptedAnswers({ correctAnswer })
+      .map(answers => answers.map(answer => String(answer ?? '').trim()).filter(Boolean)));
+  } else if (isNumeric) {
+    normalizedAnswer = toNumber(correctAnswer);
+  }
+
+  return {
+    type,
+    text: String(text ?? '').trim(),
+    points: parsedPoints,
+    correctAnswer: isEssay || type === 'ordering' ? undefined : normalizedAnswer,
+    caseSensitive: isFillIn ? !!caseSensitive : undefined,
+    matchMode: isFillIn && matchMode && matchMode !== FILL_IN_MATCH_MODES.TEXT ? matchMode : undefined,
+    ignoreWhitespace: isFillIn && ignoreWhitespace ? true : undefined,
+    ignorePunctuation: isFillIn && ignorePunctuation ? true : undefined,
+    ignoreDiacritics: isFillIn && ignoreDiacritics ? true : undefined,
+    choices: CHOICE_TYPES.includes(type) || ARRANGED_TYPES.includes(type) ? choices : undefined,
+    prompts: type === 'matching' ? prompts : undefined,
+    // Files written before multiple-response scoring existed get the strictest mode
+    scoring: type === 'multiple-response' ? scoring || MULTIPLE_RESPONSE_SCORING.ALL_OR_NOTHING : undefined,
+    tolerance: isNumeric ? (isBlank(tolerance) ? 0 : toNumber(tolerance)) : undefined,
+    toleranceType: isNumeric ? toleranceType || NUMERIC_TOLERANCE.ABSOLUTE : undefined,
+    units: isNumeric && Array.isArray(unitList) && unitList.length > 0 ? unitList : undefined,
+    unitRequired: isNumeric ? !!unitRequired : undefined,
+    sigFigs: isNumeric && !isBlank(sigFigs) ? Number(sigFigs) : undefined,
+    minWords: wordLimit(minWords),
+    maxWords: wordLimit(maxWords),
+    rubric: isEssay && Array.isArray(rubric) && rubric.length > 0 ? rubric : undefined,
+    pool: pool ? String(pool).trim() : undefined
+  };
+}
+
+/**
+ * Attach validation results to a parsed question
+ * @param {number} row - 1-based row/item number shown to the user
+ * @param {Object|null} question - Parsed question payload
+ * @param {Array<string>} parseErrors - Errors found while parsing
+ */
+function toRow(row, question, parseErrors = []) {
+  const errors = [...parseErrors];
+  if (question && errors.length === 0) {
+    errors.push(...validateQuestion(question));
+  }
+  return { row, question, errors, valid: errors.length === 0 };
+}
+
+/**
+ * Write an essay rubric on one line, e.g. "Argument:3;Evidence:2"
+ * (used by the CSV rubric column and the GIFT "// rubric:" comment)
+ */
+function formatRubric(rubric) {
+  return (rubric || []).map(item => `${item.criterion}:${item.points}`).join(';');
+}
+
+function parseRubric(text) {
+  return String(text ?? '').split(';').filter(part => part.trim() !== '').map(part => {
+    const separator = part.lastIndexOf(':');
+    return separator < 0
+      ? { criterion: part.trim(), points: NaN }
+      : { criterion: part.slice(0, separator).trim(), points: Number(part.slice(separator + 1)) };
+  });
+}
+
+/**
+ * Build a matching question's fields from its term/match pairs. Terms with the
+ * same match share one option; extra matches (that fit no term) follow.
+ * @param {Array<{ prompt: string, match: string }>} pairs
+ * @param {Array<string>} extraMatches
+ * @returns {{ prompts: Array<string>, choices: Array<string>, correctAnswer: Array<number> }}
+ */
+function fromMatchingPairs(pairs, extraMatches = []) {
+  const matches = [...new Set(pairs.map(pair => pair.match))];
+  return {
+    prompts: pairs.map(pair => pair.prompt),
+    choices: [...matches, ...extraMatches],
+    correctAnswer: pairs.map(pair => matches.indexOf(pair.match))
+  };
+}
+
+/**
+ * A matching question's term/match pairs and the extra matches that fit no term
+ */
+function toMatchingPairs(question) {
+  const key = question.correctAnswer || [];
+  return {
+    pairs: (question.prompts || []).map((prompt, term) => ({ prompt, match: question.choices?.[key[term]] ?? '' })),
+    extraMatches: (question.choices || []).filter((_, index) => !key.includes(index))
+  };
+}
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse CSV text into an array of records (RFC 4180 quoting)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>}
+ */
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Skip blank lines
+  return records.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function escapeCsvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Interpret a CSV correctAnswer cell for a multiple-choice question.
+ * Accepts a letter (A-F) or a 1-based choice number. Multiple-response
+ * questions list several, separated by semicolons (e.g. "A;C").
+ */
+function parseChoiceReference(value) {
+  const text = String(value ?? '').trim().toUpperCase();
+  if (/^[A-F]$/.test(text)) return CHOICE_LETTERS.indexOf(text);
+  if (/^\d+$/.test(text)) return Number(text) - 1;
+  return null;
+}
+
+function parseCsv(text) {
+  const records = parseCsvRecords(text);
+  if (records.length === 0) return [];
+
+  const header = records[0].map(h => h.trim());
+  const missing = ['type', 'text', 'correctAnswer'].filter(h => !header.includes(h));
+  if (missing.length > 0) {
+    return [toRow(1, null, [`CSV header is missing required column(s): ${missing.join(', ')}.`])];
+  }
+
+  return records.slice(1).map((record, index) => {
+    const cell = (name) => {
+      const column = header.indexOf(name);
+      return column >= 0 ? (record[column] ?? '').trim() : '';
+    };
+
+    const type = cell('type').toLowerCase();
+    const choices = header
+      .filter(h => /^choice\d+$/.test(h))
+      .map(cell)
+      .filter(choice => choice !== '');
+
+    let correctAnswer = cell('correctAnswer');
+    const matchMode = cell('matchMode').toLowerCase();
+    let arranged = {};
+    if (type === 'fill-in-the-blank') {
+      correctAnswer = parseBlankAnswers(correctAnswer, matchMode);
+    } else if (type === 'matching') {
+      // "term=match;term=match", with any extra matches in the choice columns
+      const pairs = correctAnswer.split(';').filter(pair => pair.trim() !== '').map((pair) => {
+        const separator = pair.indexOf('=');
+        return separator < 0
+          ? { prompt: pair.trim(), match: '' }
+          : { prompt: pair.slice(0, separator).trim(), match: pair.slice(separator + 1).trim() };
+      });
+      arranged = fromMatchingPairs(pairs, choices);
+    } else if (type === 'ordering') {
+      // Items in the correct order: "first;second;third"
+      arranged = { choices: correctAnswer.split(';').map(item => item.trim()).filter(Boolean) };
+    } else if (type === 'multiple-choice') {
+      correctAnswer = parseChoiceReference(correctAnswer);
+    } else if (type === 'multiple-response') {
+      correctAnswer = correctAnswer.split(';').filter(value => value.trim() !== '').map(parseChoiceReference);
+    } else if (type === 'true-false') {
+      correctAnswer = correctAnswer.toLowerCase();
+    }
+
+    const question = toQuestionPayload({
+      type,
+      text: cell('text'),
+      choices,
+      correctAnswer,
+      ...arranged,
+      caseSensitive: cell('caseSensitive').toLowerCase() === 'true',
+      matchMode,
+      ignoreWhitespace: cell('ignoreWhitespace').toLowerCase() === 'true',
+      ignorePunctuation: cell('ignorePunctuation').toLowerCase() === 'true',
+      ignoreDiacritics: cell('ignoreDiacritics').toLowerCase() === 'true',
+      scoring: cell('scoring').toLowerCase(),
+      tolerance: cell('tolerance'),
+      toleranceType: cell('toleranceType').toLowerCase(),
+      units: cell('units'),
+      unitRequired: cell('unitRequired').toLowerCase() === 'true',
+      sigFigs: cell('sigFigs'),
+      minWords: cell('minWords'),
+      maxWords: cell('maxWords'),
+      rubric: parseRubric(cell('rubric')),
+      points: cell('points'),
+      pool: cell('pool')
+    });
+
+    // Row numbers include the header so they match what a spreadsheet shows
+    return toRow(index + 2, question);
+  });
+}
+
+function exportCsv(questions) {
+  const lines = [CSV_HEADERS.join(',')];
+
+  questions.forEach((q) => {
+    let choices = CHOICE_TYPES.includes(q.type) ? q.choices || [] : [];
+    let correctAnswer = q.correctAnswer;
+    if (q.type === 'fill-in-the-blank') {
+      correctAnswer = formatBlankAnswers(q);
+    } else if (q.type === 'matching') {
+      const { pairs, extraMatches } = toMatchingPairs(q);
+      correctAnswer = pairs.map(pair => `${pair.prompt}=${pair.match}`).join(';');
+      choices = extraMatches;
+    } else if (q.type === 'ordering') {
+      correctAnswer = (q.choices || []).join(';');
+    } else if (q.type === 'multiple-choice') {
+      correctAnswer = CHOICE_LETTERS[q.correctAnswer] ?? '';
+    } else if (q.type === 'multiple-response') {
+      correctAnswer = (q.correctAnswer || []).map(index => CHOICE_LETTERS[index] ?? '').join(';');
+    } else if (q.type === 'essay') {
+      correctAnswer = '';
+    }
+
+    const values = [
+      q.type,
+      q.text,
+      ...Array.from({ length: MAX_CHOICES }, (_, i) => choices[i] ?? ''),
+      correctAnswer,
+      q.type === 'fill-in-the-blank' ? String(!!q.caseSensitive) : '',
+      q.type === 'fill-in-the-blank' ? q.matchMode ?? '' : '',
+      ...FILL_IN_IGNORE_OPTIONS.map(option => (q.type === 'fill-in-the-blank' && q[ignoreField(option)] ? 'true' : '')),
+      q.points ?? 1,
+      q.pool ?? '',
+      q.type === 'multiple-response' ? q.scoring ?? '' : '',
+      q.type === 'numeric' ? q.tolerance ?? 0 : '',
+      q.type === 'numeric' ? q.toleranceType ?? NUMERIC_TOLERANCE.ABSOLUTE : '',
+      q.type === 'numeric' ? (q.units || []).join(';') : '',
+      q.type === 'numeric' ? String(!!q.unitRequired) : '',
+      q.type === 'numeric' ? q.sigFigs ?? '' : '',
+      q.type === 'essay' ? q.minWords ?? '' : '',
+      q.type === 'essay' ? q.maxWords ?? '' : '',
+      q.type === 'essay' ? formatRubric(q.rubric) : ''
+    ];
+    lines.push(values.map(escapeCsvField).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ---------------------------------------------------------------------------
+// JSON
+// ---------------------------------------------------------------------------
+
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return [toRow(1, null, [`Invalid JSON: ${error.message}`])];
+  }
+
+  const items = Array.isArray(data) ? data : data?.questions;
+  if (!Array.isArray(items)) {
+    return [toRow(1, null, ['JSON must be an array of questions or an object with a "questions" array.'])];
+  }
+
+  return items.map((item, index) => {
+    if (!item || typeof item !== 'object') {
+      return toRow(index + 1, null, ['Question must be an object.']);
+    }
+    return toRow(index + 1, toQuestionPayload(item));
+  });
+}
+
+function exportJson(questions, meta = {}) {
+  return JSON.stringify({
+    version: JSON_FORMAT_VERSION,
+    ...meta,
+    questions: questions.map(q => toQuestionPayload(q))
+  }, null, 2);
+}
+
+// ---------------------------------------------------------------------------
+// GIFT (Moodle)
+// ---------------------------------------------------------------------------
+
+const GIFT_SPECIAL_CHARS = /([~=#{}:\\])/g;
+
+function escapeGift(text) {
+  return String(text ?? '').replace(GIFT_SPECIAL_CHARS, '\\$1');
+}
+
+function unescapeGift(text) {
+  return text.replace(/\\([~=#{}:\\n])/g, (_, char) => (char === 'n' ? '\n' : char));
+}
+
+/**
+ * Find the first unescaped occurrence of a character
+ */
+function indexOfUnescaped(text, char, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === char) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split a GIFT answer block into its answer options, e.g. "=Paris ~Rome ~Berlin"
+ * @returns {Array<{ correct: boolean, weight: number|null, text: string }>} Weight is the
+ *   Moodle percentage ("~%50%Paris"), if any
+ */
+function parseGiftAnswers(block) {
+  const answers = [];
+  let current = null;
+
+  for (let i = 0; i < block.length; i++) {
+    const char = block[i];
+    if (char === '\\') {
+      if (current) current.text += char + (block[i + 1] ?? '');
+      i++;
+    } else if (char === '=' || char === '~') {
+      if (current) answers.push(current);
+      current = { correct: char === '=', text: '' };
+    } else if (current) {
+      current.text += char;
+    }
+  }
+  if (current) answers.push(current);
+
+  return answers.map(answer => {
+    // Drop per-answer feedback ("#...") and Moodle weights ("%50%")
+    const feedbackIndex = indexOfUnescaped(answer.text, '#');
+    const text = (feedbackIndex >= 0 ? answer.text.slice(0, feedbackIndex) : answer.text).trim();
+    const weight = text.match(/^%(-?\d+(\.\d+)?)%/);
+    return {
+      correct: answer.correct,
+      weight: weight ? Number(weight[1]) : null,
+      text: unescapeGift(text.replace(/^%-?\d+(\.\d+)?%/, '').trim())
+    };
+  });
+}
+
+/**
+ * Read a GIFT numeric answer block (without its leading "#"): "9.81:0.05", a range
+ * "9.76..9.86", or Moodle's list of weighted answers "=9.81:0.05 =%50%9.8:0.5", of which
+ * the full-credit one is used
+ * @returns {{ correctAnswer: number, tolerance: number }}
+ */
+function parseGiftNumeric(block) {
+  const answers = block.trim().startsWith('=')
+    ? block.split('=').map(answer => answer.trim()).filter(Boolean)
+    : [block.trim()];
+  const fullCredit = answers.find(answer => !answer.startsWith('%') || answer.startsWith('%100%')) ?? answers[0];
+  const answer = fullCredit.replace(/^%\d+(\.\d+)?%/, '').replace(/#.*$/, '').trim();
+
+  const range = answer.match(/^(\S+?)\.\.(\S+)$/);
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])];
+    // Rounded so 9.76..9.86 reads back as 9.81 ± 0.05
+    return {
+      correctAnswer: Number(((min + max) / 2).toPrecision(12)),
+      tolerance: Number(((max - min) / 2).toPrecision(12))
+    };
+  }
+  const separator = answer.indexOf(':');
+  return separator < 0
+    ? { correctAnswer: Number(answer), tolerance: 0 }
+    : { correctAnswer: Number(answer.slice(0, separator)), tolerance: Number(answer.slice(separator + 1)) };
+}
+
+/**
+ * Parse a single GIFT question block
+ * @param {string} block - Text of one question (comments removed)
+ * @param {Object} options - Settings read from "// points:", "// case-sensitive", "// match:", "// ignore:",
+ *   "// blank N:", "// pool:", "// scoring:", "// type: ordering", "// tolerance:", "// units:", "// unit-required", "// sigfigs:", "// words:" and "// rubric:" comments
+ * @returns {{ question: Object|null, errors: Array<string> }}
+ */
+function parseGiftQuestion(block, options) {
+  let body = block.trim();
+
+  // Optional "::title::" prefix
+  if (body.startsWith('::')) {
+    const titleEnd = body.indexOf('::', 2);
+    if (titleEnd > 0) body = body.slice(titleEnd + 2).trim();
+  }
+
+  // Optional "[format]" prefix
+  body = body.replace(/^\[(moodle|html|plain|markdown)\]/i, '').trim();
+
+  const open = indexOfUnescaped(body, '{');
+  const close = open >= 0 ? indexOfUnescaped(body, '}', open) : -1;
+  if (open < 0 || close < 0) {
+    return { question: null, errors: ['GIFT question is missing its {answer} block.'] };
+  }
+
+  const text = unescapeGift(`${body.slice(0, open)} ${body.slice(close + 1)}`.replace(/\s+/g, ' ').trim());
+  const answerBlock = body.slice(open + 1, close).trim();
+  const base = { text, points: options.points, caseSensitive: options.caseSensitive, pool: options.pool };
+
+  // Essay: an empty answer block
+  if (answerBlock === '') {
+    return {
+      question: toQuestionPayload({
+        ...base,
+        type: 'essay',
+        minWords: options.minWords,
+        maxWords: options.maxWords,
+        rubric: options.rubric
+      }),
+      errors: []
+    };
+  }
+
+  // Numeric: "#9.81:0.05". A percentage tolerance has no GIFT syntax, so it comes from a comment.
+  if (answerBlock.startsWith('#')) {
+    const numeric = parseGiftNumeric(answerBlock.slice(1));
+    return {
+      question: toQuestionPayload({
+        ...base,
+        type: 'numeric',
+        correctAnswer: numeric.correctAnswer,
+        tolerance: options.tolerance ?? numeric.tolerance,
+        toleranceType: options.tolerance !== undefined ? NUMERIC_TOLERANCE.PERCENT : NUMERIC_TOLERANCE.ABSOLUTE,
+        units: options.units,
+        unitRequired: options.unitRequired,
+        sigFigs: options.sigFigs
+      }),
+      errors: []
+    };
+  }
+
+  // True/false
+  if (/^(T|TRUE|F|FALSE)(#.*)?$/i.test(answerBlock)) {
+    const isTrue = /^(T|TRUE)/i.test(answerBlock);
+    return { question: toQuestionPayload({ ...base, type: 'true-false', correctAnswer: String(isTrue) }), errors: [] };
+  }
+
+  const answers = parseGiftAnswers(answerBlock);
+  if (answers.length === 0) {
+    return { question: null, errors: ['Unsupported GIFT question type (only multiple choice, multiple answers, true/false, short answer, numerical, matching, ordering and essay are supported).'] };
+  }
+
+  // Ordering (QuizSecure only): "=" options in the correct order, marked by a comment
+  if (options.ordering && answers.every(a => a.correct)) {
+    return {
+      question: toQuestionPayload({ ...base, type: 'ordering', choices: answers.map(a => a.text) }),
+      errors: []
+    };
+  }
+
+  // Matching: "=term -> match" options; "= -> match" is an extra match
+  if (answers.every(a => a.correct) && answers.some(a => a.text.includes('->'))) {
+    const split = answers.map((a) => {
+      const arrow = a.text.indexOf('->');
+      return arrow < 0
+        ? { prompt: a.text, match: '' }
+        : { prompt: a.text.slice(0, arrow).trim(), match: a.text.slice(arrow + 2).trim() };
+    });
+    const { prompts, choices, correctAnswer } = fromMatchingPairs(
+      split.filter(pair => pair.prompt !== ''),
+      split.filter(pair => pair.prompt === '').map(pair => pair.match)
+    );
+    return {
+      question: toQuestionPayload({ ...base, type: 'matching', prompts, choices, correctAnswer }),
+      errors: []
+    };
+  }
+
+  // Short answer: only "=" options, each full-credit one an accepted answer. Blanks after the first come
+  // from comments.
+  if (answers.every(a => a.correct)) {
+    const accepted = answers.filter(a => a.weight === null || a.weight === 100);
+    const blanks = [
+      (accepted.length > 0 ? accepted : answers).map(a => a.text),
+      ...Array.from(options.blanks, blank => (options.matchMode === FILL_IN_MATCH_MODES.REGEX ? [blank] : blank?.split('|')))
+    ];
+    return {
+      question: toQuestionPayload({
+        ...base,
+        type: 'fill-in-the-blank',
+        correctAnswer: blanks,
+        matchMode: options.matchMode,
+        ...Object.fromEntries(options.ignore.map(option => [ignoreField(option), true]))
+      }),
+      errors: []
+    };
+  }
+
+  // Multiple response (Moodle "multiple answers"): only "~" options, the correct ones with a positive weight
+  if (answers.every(a => !a.correct) && answers.some(a => a.weight > 0)) {
+    return {
+      question: toQuestionPayload({
+        ...base,
+        type: 'multiple-response',
+        choices: answers.map(a => a.text),
+        correctAnswer: answers.map((a, i) => (a.weight > 0 ? i : -1)).filter(i => i >= 0),
+        // Moodle adds up the weights, which is closest to right-minus-wrong
+        scoring: options.scoring || MULTIPLE_RESPONSE_SCORING.RIGHT_MINUS_WRONG
+      }),
+      errors: []
+    };
+  }
+
+  // Multiple choice: one "=" and several "~"
+  const correctIndexes = answers.map((a, i) => (a.correct ? i : -1)).filter(i => i >= 0);
+  if (correctIndexes.length !== 1) {
+    return { question: null, errors: ['Multiple choice questions must have exactly one correct (=) answer.'] };
+  }
+
+  return {
+    question: toQuestionPayload({
+      ...base,
+      type: 'multiple-choice',
+      choices: answers.map(a => a.text),
+      correctAnswer: correctIndexes[0]
+    }),
+    errors: []
+  };
+}
+
+function parseGift(text) {
+  const rows = [];
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let buffer = [];
+  const emptyOptions = () => ({
+    points: undefined,
+    caseSensitive: false,
+    matchMode: undefined,
+    ignore: [],
+    blanks: [],
+    pool: undefined,
+    scoring: undefined,
+    ordering: false,
+    tolerance: undefined,
+    units: undefined,
+    unitRequired: false,
+    sigFigs: undefined,
+    minWords: undefined,
+    maxWords: undefined,
+    rubric: undefined
+  });
+  let options = emptyOptions();
+  let questionNumber = 0;
+
+  const flush = () => {
+    const block = buffer.join('\n').trim();
+    buffer = [];
+    if (!block) return;
+    questionNumber++;
+    const { question, errors } = parseGiftQuestion(block, options);
+    rows.push(toRow(questionNumber, question, errors));
+    options = emptyOptions();
+  };
+
+  lines.forEach((line) => {
+    const trimmed = line.trim();
+
+    if (trimmed === '') {
+      flush();
+    } else if (trimmed.startsWith('//')) {
+      // QuizSecure settings are carried in comments, which Moodle ignores
+      const pointsMatch = trimmed.match(/^\/\/\s*points:\s*(\S+)/i);
+      if (pointsMatch) options.points = pointsMatch[1];
+      if (/^\/\/\s*case-sensitive\s*$/i.test(trimmed)) options.caseSensitive = true;
+      const matchModeMatch = trimmed.match(/^\/\/\s*match:\s*(\S+)/i);
+      if (matchModeMatch) options.matchMode = matchModeMatch[1].toLowerCase();
+      const ignoreMatch = trimmed.match(/^\/\/\s*ignore:\s*(.+)$/i);
+      if (ignoreMatch) {
+        options.ignore = ignoreMatch[1].split(',').map(option => option.trim().toLowerCase())
+          .filter(option => FILL_IN_IGNORE_OPTIONS.includes(option));
+      }
+      const blankMatch = trimmed.match(/^\/\/\s*blank\s+(\d+):\s*(.*)$/i);
+      if (blankMatch && Number(blankMatch[1]) >= 2) options.blanks[Number(blankMatch[1]) - 2] = blankMatch[2].trim();
+      const poolMatch = trimmed.match(/^\/\/\s*pool:\s*(.+)$/i);
+      if (poolMatch) options.pool = poolMatch[1].trim();
+      const scoringMatch = trimmed.match(/^\/\/\s*scoring:\s*(\S+)/i);
+      if (scoringMatch) options.scoring = scoringMatch[1].toLowerCase();
+      if (/^\/\/\s*type:\s*ordering\s*$/i.test(trimmed)) options.ordering = true;
+      const toleranceMatch = trimmed.match(/^\/\/\s*tolerance:\s*(\S+)\s*%\s*$/i);
+      if (toleranceMatch) options.tolerance = toleranceMatch[1];
+      const unitsMatch = trimmed.match(/^\/\/\s*units:\s*(.+)$/i);
+      if (unitsMatch) options.units = unitsMatch[1].split(',').map(unit => unit.trim()).filter(Boolean);
+      if (/^\/\/\s*unit-required\s*$/i.test(trimmed)) options.unitRequired = true;
+      const sigFigsMatch = trimmed.match(/^\/\/\s*sigfigs:\s*(\S+)/i);
+      if (sigFigsMatch) options.sigFigs = sigFigsMatch[1];
+      const wordsMatch = trimmed.match(/^\/\/\s*words:\s*(\d*)\s*-\s*(\d*)\s*$/i);
+      if (wordsMatch) {
+        options.minWords = wordsMatch[1];
+        options.maxWords = wordsMatch[2];
+      }
+      const rubricMatch = trimmed.match(/^\/\/\s*rubric:\s*(.+)$/i);
+      if (rubricMatch) options.rubric = parseRubric(rubricMatch[1]);
+    } else if (!trimmed.startsWith('$CATEGORY:')) {
+      buffer.push(line);
+    }
+  });
+  flush();
+
+  return rows;
+}
+
+function exportGift(questions) {
+  return questions.map((q, index) => {
+    const lines = [`// points: ${q.points ?? 1}`];
+    if (q.type === 'fill-in-the-blank' && q.caseSensitive) {
+      lines.push('// case-sensitive');
+    }
+    if (q.type === 'fill-in-the-blank' && q.matchMode && q.matchMode !== FILL_IN_MATCH_MODES.TEXT) {
+      lines.push(`// match: ${q.matchMode}`);
+    }
+    const ignored = q.type === 'fill-in-the-blank' ? FILL_IN_IGNORE_OPTIONS.filter(option => q[ignoreField(option)]) : [];
+    if (ignored.length > 0) {
+      lines.push(`// ignore: ${ignored.join(', ')}`);
+    }
+    if (q.type === 'fill-in-the-blank') {
+      // GIFT has one answer block, so the first blank goes there and the rest in comments
+      getAcceptedAnswers(q).slice(1).forEach((answers, index) => {
+        lines.push(`// blank ${index + 2}: ${answers.join('|')}`);
+      });
+    }
+    if (q.pool) {
+      lines.push(`// pool: ${q.pool}`);
+    }
+    if (q.type === 'multiple-response') {
+      lines.push(`// scoring: ${q.scoring}`);
+    }
+    if (q.type === 'ordering') {
+      // GIFT has no ordering questions; Moodle would read this one as short answer
+      lines.push('// type: ordering');
+    }
+    if (q.type === 'numeric' && q.toleranceType === NUMERIC_TOLERANCE.PERCENT && q.tolerance) {
+      lines.push(`// tolerance: ${q.tolerance}%`);
+    }
+    if (q.type === 'numeric' && q.units?.length) {
+      lines.push(`// units: ${q.units.join(', ')}`);
+    }
+    if (q.type === 'numeric' && q.unitRequired) {
+      lines.push('// unit-required');
+    }
+    if (q.type === 'numeric' && q.sigFigs) {
+      lines.push(`// sigfigs: ${q.sigFigs}`);
+    }
+    if (q.type === 'essay' && (q.minWords || q.maxWords)) {
+      lines.push(`// words: ${q.minWords ?? ''}-${q.maxWords ?? ''}`);
+    }
+    if (q.type === 'essay' && q.rubric?.length) {
+      lines.push(`// rubric: ${formatRubric(q.rubric)}`);
+    }
+
+    const title = `::Q${index + 1}::`;
+    const text = escapeGift(q.text);
+
+    if (q.type === 'true-false') {
+      lines.push(`${title} ${text} {${q.correctAnswer === 'true' ? 'TRUE' : 'FALSE'}}`);
+    } else if (q.type === 'fill-in-the-blank') {
+      const [firstBlank = []] = getAcceptedAnswers(q);
+      lines.push(`${title} ${text} {${firstBlank.map(answer => `=${escapeGift(answer)}`).join(' ')}}`);
+    } else if (q.type === 'matching') {
+      const { pairs, extraMatches } = toMatchingPairs(q);
+      const options = [
+        ...pairs.map(pair => `  =${escapeGift(pair.prompt)} -> ${escapeGift(pair.match)}`),
+        ...extraMatches.map(match => `  = -> ${escapeGift(match)}`)
+      ].join('\n');
+      lines.push(`${title} ${text} {\n${options}\n}`);
+    } else if (q.type === 'ordering') {
+      const options = (q.choices || []).map(item => `  =${escapeGift(item)}`).join('\n');
+      lines.push(`${title} ${text} {\n${options}\n}`);
+    } else if (q.type === 'numeric') {
+      const tolerance = q.toleranceType !== NUMERIC_TOLERANCE.PERCENT && q.tolerance ? `:${q.tolerance}` : '';
+      lines.push(`${title} ${text} {#${q.correctAnswer}${tolerance}}`);
+    } else if (q.type === 'essay') {
+      lines.push(`${title} ${text} {}`);
+    } else if (q.type === 'multiple-response') {
+      // Correct options share 100%; each wrong one takes it all away
+      const correct = q.correctAnswer || [];
+      const weight = Number((100 / Math.max(1, correct.length)).toFixed(5));
+      const options = (q.choices || [])
+        .map((choice, i) => `  ~%${correct.includes(i) ? weight : -100}%${escapeGift(choice)}`)
+        .join('\n');
+      lines.push(`${title} ${text} {\n${options}\n}`);
+    } else {
+      const options = (q.choices || [])
+        .map((choice, i) => `  ${i === q.correctAnswer ? '=' : '~'}${escapeGift(choice)}`)
+        .join('\n');
+      lines.push(`${title} ${text} {\n${options}\n}`);
+    }
+
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse an imported question bank
+ * @param {string} text - File contents
+ * @param {string} format - One of IMPORT_FORMATS
+ * @returns {Array<{ row: number, question: Object|null, errors: Array<string>, valid: boolean }>}
+ */
+export function parseQuestions(text, format) {
+  switch (format) {
+    case IMPORT_FORMATS.CSV:
+      return parseCsv(text);
+    case IMPORT_FORMATS.JSON:
+      return parseJson(text);
+    case IMPORT_FORMATS.GIFT:
+      return parseGift(text);
+    default:
+      throw new Error(`Unsupported import format "${format}"`);
+  }
+}
+
+/**
+ * Serialize a question bank for export
+ * @param {Array<Object>} questions - Questions in the AddQuestionForm shape
+ * @param {string} format - One of IMPORT_FORMATS
+ * @param {Object} [meta] - Extra top-level fields for the JSON format (e.g. paperCode, title)
+ * @returns {string} File contents
+ */
+export function exportQuestions(questions, format, meta = {}) {
+  switch (format) {
+    case IMPORT_FORMATS.CSV:
+      return exportCsv(questions);
+    case IMPORT_FORMATS.JSON:
+      return exportJson(questions, meta);
+    case IMPORT_FORMATS.GIFT:
+      return exportGift(questions);
+    default:
+      throw new Error(`Unsupported export format "${format}"`);
+  }
+}
+
+export const questionBankIO = {
+  detectFormat,
+  parseQuestions,
+  exportQuestions,
+  IMPORT_FORMATS
+};
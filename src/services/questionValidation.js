@@ -0,0 +1,366 @@
+// src/services/questionValidation.js
+
+/**
+ * Question Validation
+ *
+ * The authoring rules for a question payload. Shared by AddQuestionForm and
+ * bulk import so a question is accepted or rejected the same way regardless
+ * of where it came from.
+ */
+
+export const QUESTION_TYPES = [
+  'multiple-choice',
+  'multiple-response',
+  'true-false',
+  'fill-in-the-blank',
+  'numeric',
+  'matching',
+  'ordering',
+  'essay'
+];
+
+// Question types a teacher marks by hand (see manualGradingService)
+export const MANUALLY_GRADED_TYPES = ['essay'];
+
+// How a multiple-response ("select all that apply") question is scored
+export const MULTIPLE_RESPONSE_SCORING = {
+  ALL_OR_NOTHING: 'all-or-nothing', // full points only for exactly the correct options
+  PARTIAL: 'partial', // a share of the points for every option ticked or left correctly
+  RIGHT_MINUS_WRONG: 'right-minus-wrong' // correct ticks minus wrong ticks, never below zero
+};
+
+export const MULTIPLE_RESPONSE_SCORING_LABELS = {
+  [MULTIPLE_RESPONSE_SCORING.ALL_OR_NOTHING]: 'All or nothing',
+  [MULTIPLE_RESPONSE_SCORING.PARTIAL]: 'Partial credit per option',
+  [MULTIPLE_RESPONSE_SCORING.RIGHT_MINUS_WRONG]: 'Right minus wrong'
+};
+
+// How a fill-in-the-blank answer is compared with the accepted answers
+export const FILL_IN_MATCH_MODES = {
+  TEXT: 'text', // the same text, after normalization
+  WILDCARD: 'wildcard', // * stands for any text and ? for one character
+  REGEX: 'regex' // a regular expression the whole answer must match
+};
+
+export const FILL_IN_MATCH_MODE_LABELS = {
+  [FILL_IN_MATCH_MODES.TEXT]: 'Exact text',
+  [FILL_IN_MATCH_MODES.WILDCARD]: 'Wildcards (* any text, ? one character)',
+  [FILL_IN_MATCH_MODES.REGEX]: 'Regular expressions'
+};
+
+// Three or more underscores in a fill-in-the-blank question's text mark a blank
+export const BLANK_MARKER = /_{3,}/g;
+
+/**
+ * Count the blanks marked in a question's text. Text without a marker
+ * still has one blank (answered below the question).
+ * @param {string} text - Question text
+ * @returns {number}
+ */
+export function countBlanks(text) {
+  return Math.max(1, (String(text ?? '').match(BLANK_MARKER) || []).length);
+}
+
+/**
+ * Read a fill-in-the-blank question's accepted answers, one list per blank.
+ * correctAnswer is a string when there is one blank with one accepted answer,
+ * and otherwise an array holding each blank's list of accepted answers.
+ * @param {Object} question - Fill-in-the-blank question
+ * @returns {Array<Array<string>>}
+ */
+export function getAcceptedAnswers(question) {
+  const key = question?.correctAnswer;
+  if (!Array.isArray(key)) return [[key]];
+  return key.map(answers => (Array.isArray(answers) ? answers : [answers]));
+}
+
+/**
+ * Store accepted answers in the shape getAcceptedAnswers reads
+ * @param {Array<Array<string>>} blanks - Accepted answers per blank
+ * @returns {string|Array<Array<string>>}
+ */
+export function toFillInAnswerKey(blanks) {
+  return blanks.length === 1 && blanks[0].length === 1 ? blanks[0][0] : blanks;
+}
+
+// How far a numeric answer may be from the correct value
+export const NUMERIC_TOLERANCE = {
+  ABSOLUTE: 'absolute', // within ± tolerance of the value
+  PERCENT: 'percent' // within ± tolerance percent of the value
+};
+
+export const NUMERIC_TOLERANCE_LABELS = {
+  [NUMERIC_TOLERANCE.ABSOLUTE]: '± value',
+  [NUMERIC_TOLERANCE.PERCENT]: '± percent'
+};
+
+export const MIN_CHOICES = 2;
+export const MAX_CHOICES = 6;
+export const MIN_POINTS = 1;
+export const MIN_MATCH_ITEMS = 2; // matching pairs or ordering items
+export const MAX_MATCH_ITEMS = 8;
+export const MAX_MATCH_CHOICES = 10; // matches offered, extra ones included
+export const MAX_POINTS = 5;
+export const MAX_ESSAY_POINTS = 20;
+export const MAX_ESSAY_WORDS = 5000;
+export const MAX_SIGNIFICANT_FIGURES = 15;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Check an essay's word limits and rubric
+ * @param {Object} question - Essay question
+ * @param {number} points - The question's points
+ * @returns {Array<string>} Validation error messages
+ */
+function validateEssaySettings(question, points) {
+  const errors = [];
+  const limits = [['Minimum', question.minWords], ['Maximum', question.maxWords]];
+
+  limits.forEach(([label, value]) => {
+    if (!isBlank(value) && (!Number.isInteger(Number(value)) || value < 1 || value > MAX_ESSAY_WORDS)) {
+      errors.push(`${label} word count must be a whole number from 1 to ${MAX_ESSAY_WORDS}.`);
+    }
+  });
+  if (errors.length === 0 && !isBlank(question.minWords) && !isBlank(question.maxWords) &&
+      Number(question.minWords) > Number(question.maxWords)) {
+    errors.push('The minimum word count cannot be more than the maximum.');
+  }
+
+  const rubric = question.rubric ?? [];
+  if (!Array.isArray(rubric)) {
+    errors.push('The rubric must be a list of criteria.');
+  } else if (rubric.length > 0) {
+    if (rubric.some(item => !String(item?.criterion ?? '').trim())) {
+      errors.push('Every rubric criterion needs a description.');
+    }
+    if (rubric.some(item => !Number.isInteger(Number(item?.points)) || Number(item.points) < 1)) {
+      errors.push('Every rubric criterion must be worth at least 1 whole point.');
+    } else if (rubric.reduce((sum, item) => sum + Number(item.points), 0) !== points) {
+      errors.push('The rubric points must add up to the question\'s points.');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a fill-in-the-blank question's accepted answers against its blanks
+ * @param {Object} question - Fill-in-the-blank question
+ * @returns {Array<string>} Validation error messages
+ */
+function validateFillInSettings(question) {
+  const errors = [];
+  const blanks = getAcceptedAnswers(question);
+
+  if (blanks.length === 0 || blanks.some(answers => answers.length === 0 || answers.some(answer => !String(answer ?? '').trim()))) {
+    errors.push('Please provide the correct answer for Fill in the Blanks.');
+  }
+
+  const blankCount = countBlanks(question.text);
+  if (blanks.length > 0 && blanks.length !== blankCount) {
+    errors.push(blankCount > 1
+      ? `The question text has ${blankCount} blanks (___), so give accepted answers for each of them.`
+      : `Mark each of the ${blanks.length} blanks in the question text with ___.`);
+  }
+
+  const matchMode = question.matchMode ?? FILL_IN_MATCH_MODES.TEXT;
+  if (!Object.values(FILL_IN_MATCH_MODES).includes(matchMode)) {
+    errors.push('Please choose how answers are matched.');
+  } else if (matchMode === FILL_IN_MATCH_MODES.REGEX) {
+    // A pattern sees the answer as typed, so these would be silently ignored
+    if (question.ignoreWhitespace || question.ignorePunctuation || question.ignoreDiacritics) {
+      errors.push('Regular expression answers cannot ignore spaces, punctuation or accents; allow for them in the pattern instead.');
+    }
+    blanks.flat().filter(answer => String(answer ?? '').trim()).forEach((pattern) => {
+      try {
+        new RegExp(pattern, 'u');
+      } catch (error) {
+        errors.push(`"${pattern}" is not a valid regular expression.`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Texts that differ only by case or surrounding spaces look the same to students
+const hasDuplicates = (texts) => new Set(texts.map(text => String(text).trim().toLowerCase())).size < texts.length;
+
+/**
+ * Check a matching question's terms, matches and answer key
+ * @param {Object} question - Matching question
+ * @returns {Array<string>} Validation error messages
+ */
+function validateMatchingSettings(question) {
+  const errors = [];
+  const prompts = Array.isArray(question.prompts) ? question.prompts : [];
+  const choices = Array.isArray(question.choices) ? question.choices : [];
+
+  if (prompts.length < MIN_MATCH_ITEMS || prompts.length > MAX_MATCH_ITEMS) {
+    errors.push(`Matching questions need ${MIN_MATCH_ITEMS} to ${MAX_MATCH_ITEMS} pairs.`);
+  }
+  if ([...prompts, ...choices].some(text => !String(text ?? '').trim())) {
+    errors.push('Every term and match needs text.');
+  } else if (hasDuplicates(choices)) {
+    errors.push('Every match must be different.');
+  }
+  if (choices.length > MAX_MATCH_CHOICES) {
+    errors.push(`No more than ${MAX_MATCH_CHOICES} matches are allowed, extra ones included.`);
+  }
+
+  const key = Array.isArray(question.correctAnswer) ? question.correctAnswer : [];
+  if (key.length !== prompts.length || key.some(index => !Number.isInteger(index) || choices[index] === undefined)) {
+    errors.push('Every term needs a match from the list.');
+  }
+
+  return errors;
+}
+
+/**
+ * Check an ordering question's items (authored in the correct order)
+ * @param {Object} question - Ordering question
+ * @returns {Array<string>} Validation error messages
+ */
+function validateOrderingSettings(question) {
+  const errors = [];
+  const items = Array.isArray(question.choices) ? question.choices : [];
+
+  if (items.length < MIN_MATCH_ITEMS || items.length > MAX_MATCH_ITEMS) {
+    errors.push(`Ordering questions need ${MIN_MATCH_ITEMS} to ${MAX_MATCH_ITEMS} items.`);
+  }
+  if (items.some(text => !String(text ?? '').trim())) {
+    errors.push('Every item needs text.');
+  } else if (hasDuplicates(items)) {
+    errors.push('Every item must be different.');
+  }
+
+  return errors;
+}
+
+/**
+ * Check a numeric question's value, tolerance, units and significant figures
+ * @param {Object} question - Numeric question
+ * @returns {Array<string>} Validation error messages
+ */
+function validateNumericSettings(question) {
+  const errors = [];
+
+  if (typeof question.correctAnswer !== 'number' || !Number.isFinite(question.correctAnswer)) {
+    errors.push('Please enter the correct value as a number.');
+  }
+
+  const tolerance = question.tolerance ?? 0;
+  if (typeof tolerance !== 'number' || !Number.isFinite(tolerance) || tolerance < 0) {
+    errors.push('The tolerance must be a number of 0 or more.');
+  } else if (question.toleranceType === NUMERIC_TOLERANCE.PERCENT && tolerance > 100) {
+    errors.push('A percentage tolerance cannot be more than 100%.');
+  }
+  if (!Object.values(NUMERIC_TOLERANCE).includes(question.toleranceType ?? NUMERIC_TOLERANCE.ABSOLUTE)) {
+    errors.push('Please choose an absolute or percentage tolerance.');
+  }
+
+  const units = question.units ?? [];
+  if (!Array.isArray(units) || units.some(unit => !String(unit ?? '').trim())) {
+    errors.push('Accepted units must be a list of unit names.');
+  } else if (question.unitRequired && units.length === 0) {
+    errors.push('List the accepted units when a unit is required.');
+  }
+
+  const sigFigs = question.sigFigs;
+  if (!isBlank(sigFigs) && (!Number.isInteger(sigFigs) || sigFigs < 1 || sigFigs > MAX_SIGNIFICANT_FIGURES)) {
+    errors.push(`Significant figures must be a whole number from 1 to ${MAX_SIGNIFICANT_FIGURES}.`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a question payload in the shape AddQuestionForm saves
+ * @param {Object} question - { type, text, choices, prompts, correctAnswer, caseSensitive, matchMode, ignoreWhitespace,
+ *   ignorePunctuation, ignoreDiacritics, scoring, tolerance, toleranceType, units, unitRequired, sigFigs, minWords,
+ *   maxWords, rubric, points }
+ *   (fill-in-the-blank answer keys are described at getAcceptedAnswers;
+ *   multiple-response questions keep an array of correct choice indices in correctAnswer;
+ *   numeric questions keep the correct value as a number;
+ *   matching questions list their terms in prompts and, per term, the index of its match in choices;
+ *   ordering questions list their items in choices in the correct order and have no correctAnswer;
+ *   essays have no correctAnswer and an optional rubric of { criterion, points })
+ * @returns {Array<string>} Validation error messages (empty when the question is valid)
+ */
+export function validateQuestion(question) {
+  const errors = [];
+
+  if (!question || typeof question !== 'object') {
+    return ['Question data is missing.'];
+  }
+
+  if (!QUESTION_TYPES.includes(question.type)) {
+    errors.push(`Unknown question type "${question.type}".`);
+    return errors;
+  }
+
+  if (!String(question.text ?? '').trim()) {
+    errors.push('Question text is required.');
+  }
+
+  const choices = Array.isArray(question.choices) ? question.choices : [];
+  if (question.type === 'multiple-choice' || question.type === 'multiple-response') {
+    if (choices.length < MIN_CHOICES) {
+      errors.push(`At least ${MIN_CHOICES} choices are required.`);
+    } else if (choices.length > MAX_CHOICES) {
+      errors.push(`No more than ${MAX_CHOICES} choices are allowed.`);
+    }
+  }
+
+  if (question.type === 'multiple-choice') {
+    const correctIndex = question.correctAnswer;
+    if (correctIndex === null || correctIndex === undefined || !String(choices[correctIndex] ?? '').trim()) {
+      errors.push('You must select a valid correct answer.');
+    }
+  }
+
+  if (question.type === 'multiple-response') {
+    const correctIndexes = Array.isArray(question.correctAnswer) ? question.correctAnswer : [];
+    if (correctIndexes.length === 0) {
+      errors.push('You must mark at least one correct answer.');
+    } else if (correctIndexes.some(index => !Number.isInteger(index) || !String(choices[index] ?? '').trim())) {
+      errors.push('Every correct answer must be one of the choices.');
+    }
+    if (!Object.values(MULTIPLE_RESPONSE_SCORING).includes(question.scoring)) {
+      errors.push('Please choose how the question is scored.');
+    }
+  }
+
+  if (question.type === 'fill-in-the-blank') {
+    errors.push(...validateFillInSettings(question));
+  }
+
+  if (question.type === 'true-false' && !['true', 'false'].includes(question.correctAnswer)) {
+    errors.push('Please select True or False.');
+  }
+
+  const points = Number(question.points);
+  const maxPoints = question.type === 'essay' ? MAX_ESSAY_POINTS : MAX_POINTS;
+  if (!Number.isInteger(points) || points < MIN_POINTS || points > maxPoints) {
+    errors.push(`Points must be a whole number from ${MIN_POINTS} to ${maxPoints}.`);
+  }
+
+  if (question.type === 'numeric') {
+    errors.push(...validateNumericSettings(question));
+  }
+
+  if (question.type === 'matching') {
+    errors.push(...validateMatchingSettings(question));
+  }
+
+  if (question.type === 'ordering') {
+    errors.push(...validateOrderingSettings(question));
+  }
+
+  if (question.type === 'essay') {
+    errors.push(...validateEssaySettings(question, points));
+  }
+
+  return errors;
+}
@@ -0,0 +1,170 @@
+// src/services/quizScheduleService.js
+
+/**
+ * Quiz Schedule Service
+ *
+ * Pure helpers for a quiz's availability window (startTime/endTime set in
+ * CreateQuizPage), the paper lifecycle shown in PaperManagementPage, the
+ * effective time left in an attempt and the "time is running out" warnings.
+ * All functions take the current time as an argument so callers can supply
+ * the trusted clock.
+ */
+
+import { TIME_WARNING_THRESHOLDS } from './config';
+
+export const SCHEDULE_STATUS = {
+  UNSCHEDULED: 'unscheduled',
+  NOT_STARTED: 'not-started',
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+// Lifecycle of a paper: draft → scheduled → live → closed → archived
+export const PAPER_STATUS = {
+  DRAFT: 'draft',
+  SCHEDULED: 'scheduled',
+  LIVE: 'live',
+  CLOSED: 'closed',
+  ARCHIVED: 'archived'
+};
+
+/**
+ * Parse a schedule boundary (ISO string, datetime-local value or timestamp)
+ * @param {string|number|null} value - Raw value
+ * @returns {number|null} Milliseconds since the epoch, or null if unset/invalid
+ */
+function parseScheduleTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = typeof value === 'number' ? value : new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Determine whether a quiz can be taken at the given time
+ * @param {Object} quiz - Quiz with optional startTime/endTime
+ * @param {number} now - Current (trusted) time in ms
+ * @returns {{ status: string, startsAt: number|null, endsAt: number|null, secondsUntilStart: number|null, secondsUntilEnd: number|null }}
+ */
+function getScheduleStatus(quiz, now) {
+  const startsAt = parseScheduleTime(quiz?.startTime);
+  const endsAt = parseScheduleTime(quiz?.endTime);
+  const secondsUntilStart = startsAt !== null ? Math.ceil((startsAt - now) / 1000) : null;
+  const secondsUntilEnd = endsAt !== null ? Math.max(0, Math.floor((endsAt - now) / 1000)) : null;
+
+  let status = SCHEDULE_STATUS.OPEN;
+  if (startsAt === null && endsAt === null) {
+    status = SCHEDULE_STATUS.UNSCHEDULED;
+  } else if (startsAt !== null && now < startsAt) {
+    status = SCHEDULE_STATUS.NOT_STARTED;
+  } else if (endsAt !== null && now >= endsAt) {
+    status = SCHEDULE_STATUS.CLOSED;
+  }
+
+  return { status, startsAt, endsAt, secondsUntilStart, secondsUntilEnd };
+}
+
+/**
+ * Where a paper is in its lifecycle. Archiving is the teacher's choice; a
+ * paper students cannot take yet (no paper code or no questions) is a draft;
+ * otherwise the status follows the schedule window, and a paper without a
+ * window is live as soon as it is ready.
+ * @param {Object} quiz - Quiz (list summary or full definition)
+ * @param {number} now - Current (trusted) time in ms
+ * @returns {string} One of PAPER_STATUS
+ */
+function getPaperStatus(quiz, now) {
+  if (quiz?.archived) return PAPER_STATUS.ARCHIVED;
+
+  const questionCount = Array.isArray(quiz?.questions) ? quiz.questions.length : quiz?.questionCount;
+  if (!quiz?.paperCode || questionCount === 0) return PAPER_STATUS.DRAFT;
+
+  switch (getScheduleStatus(quiz, now).status) {
+    case SCHEDULE_STATUS.NOT_STARTED: return PAPER_STATUS.SCHEDULED;
+    case SCHEDULE_STATUS.CLOSED: return PAPER_STATUS.CLOSED;
+    default: return PAPER_STATUS.LIVE;
+  }
+}
+
+/**
+ * Check whether a quiz can be entered at the given time
+ * @param {Object} quiz - Quiz with optional startTime/endTime
+ * @param {number} now - Current (trusted) time in ms
+ * @returns {{ allowed: boolean, status: string, message: string|null }}
+ */
+function checkEntry(quiz, now) {
+  const schedule = getScheduleStatus(quiz, now);
+
+  if (schedule.status === SCHEDULE_STATUS.NOT_STARTED) {
+    return {
+      allowed: false,
+      status: schedule.status,
+      message: `This quiz opens at ${new Date(schedule.startsAt).toLocaleString()}.`
+    };
+  }
+  if (schedule.status === SCHEDULE_STATUS.CLOSED) {
+    return {
+      allowed: false,
+      status: schedule.status,
+      message: `This quiz closed at ${new Date(schedule.endsAt).toLocaleString()}.`
+    };
+  }
+  return { allowed: true, status: schedule.status, message: null };
+}
+
+/**
+ * Time left in an attempt: the attempt timer, cut short by the end of the window
+ * @param {number} timerSeconds - Seconds left on the attempt timer
+ * @param {Object} quiz - Quiz with optional endTime
+ * @param {number} now - Current (trusted) time in ms
+ * @returns {{ secondsLeft: number, reason: string }} reason is 'timer' or 'window'
+ */
+function getTimeLeft(timerSeconds, quiz, now) {
+  const { secondsUntilEnd } = getScheduleStatus(quiz, now);
+  const timerLeft = Math.max(0, Math.floor(timerSeconds));
+
+  if (secondsUntilEnd !== null && secondsUntilEnd < timerLeft) {
+    return { secondsLeft: secondsUntilEnd, reason: 'window' };
+  }
+  return { secondsLeft: timerLeft, reason: 'timer' };
+}
+
+/**
+ * Warning thresholds (in minutes before the end) for a quiz, largest first
+ * @param {Object} quiz - Quiz with optional warningThresholds
+ * @returns {Array<number>}
+ */
+function getWarningThresholds(quiz) {
+  const thresholds = Array.isArray(quiz?.warningThresholds) && quiz.warningThresholds.length > 0
+    ? quiz.warningThresholds
+    : TIME_WARNING_THRESHOLDS;
+  return [...new Set(thresholds.map(Number).filter(t => Number.isFinite(t) && t > 0))].sort((a, b) => b - a);
+}
+
+/**
+ * Find the warning to show for the time left. When several thresholds were
+ * crossed at once (e.g. after resuming) only the most urgent one is returned,
+ * but all of them are reported as crossed so they don't fire later.
+ * @param {number} secondsLeft - Seconds left in the attempt
+ * @param {Array<number>} thresholds - Thresholds in minutes
+ * @param {Set<number>|Array<number>} alreadyShown - Thresholds already warned about
+ * @returns {{ threshold: number|null, crossed: Array<number> }}
+ */
+function getDueWarning(secondsLeft, thresholds, alreadyShown = []) {
+  const shown = new Set(alreadyShown);
+  const crossed = thresholds.filter(t => secondsLeft <= t * 60 && !shown.has(t));
+  return {
+    threshold: crossed.length > 0 ? Math.min(...crossed) : null,
+    crossed
+  };
+}
+
+export const quizScheduleService = {
+  getScheduleStatus,
+  getPaperStatus,
+  checkEntry,
+  getTimeLeft,
+  getWarningThresholds,
+  getDueWarning,
+  SCHEDULE_STATUS,
+  PAPER_STATUS
+};
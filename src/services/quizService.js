@@ -1,6 +1,10 @@
 // src/services/quizService.js
+import { v4 as uuidv4 } from 'uuid';
 import { apiClient } from './apiClient';
 import { offlineManager } from './offlineManager';
+import { gradingService } from './gradingService';
+import { paperGenerator } from './paperGenerator';
+import { assertValidQuiz } from './quizValidation';
 import { USE_MOCK_DATA, VERBOSE_LOGGING } from './config';
 
 // Cache key constants
@@ -9,40 +13,82 @@ const CACHE_KEYS = {
   QUIZ_DETAILS_PREFIX: 'offline_quiz_detail_'
 };
 
+// Paper codes students type in to redeem a quiz
+const PAPER_CODE_PATTERN = /^[A-Z0-9-]{4,20}$/;
+
+// Generated codes skip characters that are easy to misread (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_SUFFIX_LENGTH = 4;
+const CODE_PREFIX_MAX_LENGTH = 4;
+const CODE_GENERATION_ATTEMPTS = 10;
+
 // Mock data for fallback/testing
 const MOCK_QUIZZES = [
-  { id: 'q1', title: 'General Knowledge Quiz', description: 'Test your general knowledge.', questionCount: 10 },
-  { id: 'q2', title: 'React Basics Quiz', description: 'A quiz on fundamental React concepts.', questionCount: 15 },
+  { id: 'q1', title: 'General Knowledge Quiz', description: 'Test your general knowledge.', paperCode: 'GK2025', questionCount: 3 },
+  { id: 'q2', title: 'React Basics Quiz', description: 'A quiz on fundamental React concepts.', paperCode: 'REACT101', questionCount: 4 },
 ];
 
+// Questions use the same shape AddQuestionForm produces
 const MOCK_QUIZ_DETAILS = {
   'q1': { 
     id: 'q1', 
     title: 'General Knowledge Quiz', 
     description: 'Test your general knowledge.', 
+    paperCode: 'GK2025',
+    timer: 30,
+    forwardOnly: true,
     questions: [
-      { id: 'q1_1', text: 'What is the capital of France?', type: 'multiple-choice', options: ['Berlin', 'Madrid', 'Paris', 'Rome'] },
-      { id: 'q1_2', text: 'Who painted the Mona Lisa?', type: 'short-answer' },
+      { id: 'q1_1', text: 'What is the capital of France?', type: 'multiple-choice', choices: ['Berlin', 'Madrid', 'Paris', 'Rome'], correctAnswer: 2, points: 1 },
+      { id: 'q1_2', text: 'Who painted the Mona Lisa?', type: 'fill-in-the-blank', correctAnswer: 'Leonardo da Vinci', caseSensitive: false, points: 2 },
+      { id: 'q1_3', text: 'The Pacific is the largest ocean on Earth.', type: 'true-false', correctAnswer: 'true', points: 1 },
     ] 
   },
   'q2': {
     id: 'q2', 
     title: 'React Basics Quiz', 
     description: 'A quiz on fundamental React concepts.', 
+    paperCode: 'REACT101',
+    timer: 20,
+    forwardOnly: false,
     questions: [
-      { id: 'q2_1', text: 'What hook is used for side effects in React?', type: 'multiple-choice', options: ['useEffect', 'useState', 'useContext', 'useReducer'] },
-      { id: 'q2_2', text: 'What is JSX?', type: 'short-answer' },
+      { id: 'q2_1', text: 'What hook is used for side effects in React?', type: 'multiple-choice', choices: ['useEffect', 'useState', 'useContext', 'useReducer'], correctAnswer: 0, points: 1 },
+      { id: 'q2_2', text: 'What syntax extension lets you write HTML-like markup inside JavaScript?', type: 'fill-in-the-blank', correctAnswer: 'JSX', caseSensitive: false, points: 1 },
+      { id: 'q2_3', text: 'React state updates are always applied synchronously.', type: 'true-false', correctAnswer: 'false', points: 1 },
+      {
+        id: 'q2_4',
+        text: 'Explain when you would lift state up to a parent component, with an example.',
+        type: 'essay',
+        minWords: 30,
+        maxWords: 200,
+        rubric: [
+          { criterion: 'Explains why shared state belongs in the common parent', points: 2 },
+          { criterion: 'Gives a fitting example', points: 2 }
+        ],
+        points: 4
+      },
     ]
   }
 };
 
 /**
- * Initialize offline data cache with mock data if not already present
+ * Initialize offline data cache with mock data if not already present.
+ * If a cache already exists, restore it into the mock data so edits made in
+ * USE_MOCK_DATA mode survive a reload.
  */
 function initOfflineData() {
   // Initialize all quizzes cache if not present
   const cachedQuizzes = offlineManager.getCachedData(CACHE_KEYS.ALL_QUIZZES);
-  if (!cachedQuizzes) {
+  if (Array.isArray(cachedQuizzes)) {
+    if (VERBOSE_LOGGING) console.log('quizService: Restoring mock quiz data from offline cache');
+    MOCK_QUIZZES.splice(0, MOCK_QUIZZES.length, ...cachedQuizzes);
+    
+    cachedQuizzes.forEach(({ id }) => {
+      const cachedDetail = offlineManager.getCachedData(`${CACHE_KEYS.QUIZ_DETAILS_PREFIX}${id}`);
+      if (cachedDetail) {
+        MOCK_QUIZ_DETAILS[id] = cachedDetail;
+      }
+    });
+  } else {
     if (VERBOSE_LOGGING) console.log('quizService: Initializing offline quiz cache with mock data');
     offlineManager.cacheData(CACHE_KEYS.ALL_QUIZZES, MOCK_QUIZZES);
     
@@ -130,35 +176,118 @@ async function getQuizById(quizId) {
   }
 }
 
+/**
+ * Fetches a single quiz by the paper code students redeem.
+ * Uses real API with fallback to the offline cache for prototype.
+ * @param {string} paperCode - The paper code of the quiz to fetch.
+ * @returns {Promise<any>}
+ */
+async function getQuizByPaperCode(paperCode) {
+  if (!paperCode) return null;
+  const normalizedCode = paperCode.trim().toUpperCase();
+
+  if (USE_MOCK_DATA) {
+    if (VERBOSE_LOGGING) console.log(`quizService.getQuizByPaperCode using MOCK data for code: ${normalizedCode}`);
+    
+    const quizSummary = MOCK_QUIZZES.find(q => (q.paperCode || '').toUpperCase() === normalizedCode);
+    return quizSummary ? getQuizById(quizSummary.id) : null;
+  }
+
+  try {
+    if (VERBOSE_LOGGING) console.log(`quizService.getQuizByPaperCode fetching from API: /quizzes/code/${normalizedCode}`);
+    const response = await apiClient.get(`/quizzes/code/${encodeURIComponent(normalizedCode)}`);
+    
+    // Cache under the quiz ID so getQuizById can serve it offline
+    if (response && response.id) {
+      offlineManager.cacheData(`${CACHE_KEYS.QUIZ_DETAILS_PREFIX}${response.id}`, response);
+    }
+    
+    return response;
+  } catch (error) {
+    console.warn(`API call failed for paper code ${normalizedCode}, falling back to cached data:`, error);
+    
+    // Resolve the code against the cached quiz list, then the cached details
+    const cachedQuizzes = offlineManager.getCachedData(CACHE_KEYS.ALL_QUIZZES) || MOCK_QUIZZES;
+    const quizSummary = cachedQuizzes.find(q => (q.paperCode || '').toUpperCase() === normalizedCode);
+    if (!quizSummary) return null;
+    
+    return offlineManager.getCachedData(`${CACHE_KEYS.QUIZ_DETAILS_PREFIX}${quizSummary.id}`)
+      || MOCK_QUIZ_DETAILS[quizSummary.id]
+      || null;
+  }
+}
+
+/**
+ * Grades answers locally against the quiz definition.
+ * Returns null if the quiz can't be resolved (e.g. offline with no cache).
+ * @param {string} quizId - The ID of the quiz.
+ * @param {Array<any>} answers - The student's answers, aligned with the quiz questions
+ *   (or with the generated paper's questions when a paper is given).
+ * @param {Object} [paper] - Generated paper summary ({ questionIds, optionOrders }).
+ * @returns {Promise<any>}
+ */
+async function gradeLocally(quizId, answers, paper = null) {
+  try {
+    const quiz = await getQuizById(quizId);
+    return quiz ? gradingService.gradeSubmission(quiz, answers, paper) : null;
+  } catch (error) {
+    console.warn(`quizService: Unable to grade quiz ${quizId} locally:`, error);
+    return null;
+  }
+}
+
 /**
  * Submits quiz answers for a student.
  * Uses real API with fallback to mock response for prototype.
+ * Results are always graded locally so they are available offline and in mock mode;
+ * a server-provided result takes precedence when present.
  * @param {string} quizId - The ID of the quiz.
  * @param {Array<any>} answers - The student's answers.
+ * @param {Object} [options] - Submission options
+ * @param {Object} [options.paper] - The generated paper the answers refer to (see paperGenerator)
+ * @param {Array<Object>} [options.proctoringLog] - Proctoring events recorded during the attempt
+ * @param {string} [options.idempotencyKey] - Key identifying this submission, so retries
+ *   (including replays of the offline queue) are only accepted once
+ * @param {string} [options.studentId] - The submitting student
+ * @param {number} [options.timeSpent] - Seconds spent on the quiz
+ * @param {string} [options.submittedAt] - ISO timestamp of the submission
  * @returns {Promise<any>}
  */
-async function submitQuizAnswers(quizId, answers) {
+async function submitQuizAnswers(quizId, answers, options = {}) {
+  const paper = options.paper ? paperGenerator.summarizePaper(options.paper) : null;
+  const localResult = await gradeLocally(quizId, answers, paper);
+  const submission = {
+    answers,
+    paper,
+    proctoringLog: options.proctoringLog || [],
+    idempotencyKey: options.idempotencyKey || null,
+    studentId: options.studentId || null,
+    timeSpent: options.timeSpent ?? null,
+    submittedAt: options.submittedAt || new Date().toISOString()
+  };
+
   if (USE_MOCK_DATA) {
     if (VERBOSE_LOGGING) console.log(`quizService.submitQuizAnswers using MOCK response for quiz ID: ${quizId}`, answers);
-    return Promise.resolve({ success: true, message: 'Quiz submitted successfully (mock response).' });
+    return Promise.resolve({ success: true, message: 'Quiz submitted successfully (mock response).', result: localResult });
   }
 
   try {
     if (VERBOSE_LOGGING) console.log(`quizService.submitQuizAnswers posting to API: /quizzes/${quizId}/submit`, answers);
-    const response = await apiClient.post(`/quizzes/${quizId}/submit`, { answers });
+    const response = await apiClient.post(`/quizzes/${quizId}/submit`, submission);
     
     // If this was queued for offline processing, show a message
     if (response.queued) {
       return { 
         ...response, 
+        result: localResult,
         message: 'Quiz answers saved and will be submitted when you\'re back online.' 
       };
     }
     
-    return response;
+    return { ...response, result: response.result || localResult };
   } catch (error) {
     console.warn(`API call failed for submitting quiz ${quizId}, using mock response:`, error);
-    return { success: true, message: 'Quiz submitted successfully (mock fallback).' };
+    return { success: true, message: 'Quiz submitted successfully (mock fallback).', result: localResult };
   }
 }
 
@@ -168,27 +297,31 @@ async function submitQuizAnswers(quizId, answers) {
  * @returns {Promise<any>} - The created quiz
  */
 async function createQuiz(quizData) {
+  assertValidQuiz(quizData);
+
   if (USE_MOCK_DATA) {
     if (VERBOSE_LOGGING) console.log('quizService.createQuiz using MOCK response', quizData);
     
-    // Generate a random ID for the new quiz
-    const newId = `q${Math.floor(Math.random() * 1000)}`;
+    // Generate a unique ID for the new quiz
+    const newId = `q_${uuidv4().slice(0, 8)}`;
     const newQuiz = {
       id: newId,
+      questions: [],
       ...quizData,
     };
     
-    // Add to mock data (this won't persist across page reloads but works for immediate UI feedback)
+    // Add to mock data (persisted through the offline cache, see initOfflineData)
     MOCK_QUIZZES.push({
       id: newId,
       title: quizData.title,
       description: quizData.description,
-      questionCount: quizData.questions ? quizData.questions.length : 0
+      paperCode: quizData.paperCode,
+      startTime: quizData.startTime,
+      endTime: quizData.endTime,
+      questionCount: newQuiz.questions.length
     });
     
-    if (quizData.questions) {
-      MOCK_QUIZ_DETAILS[newId] = newQuiz;
-    }
+    MOCK_QUIZ_DETAILS[newId] = newQuiz;
     
     // Update the offline cache with the new quiz
     offlineManager.cacheData(CACHE_KEYS.ALL_QUIZZES, MOCK_QUIZZES);
@@ -221,6 +354,8 @@ async function createQuiz(quizData) {
     
     return response;
   } catch (error) {
+    // Rejected settings are the teacher's to fix, not something to paper over
+    if (error.fieldErrors) throw error;
     console.warn('API call failed for creating quiz, using mock response:', error);
     // Simulate a successful creation with mock data
     const newId = `q${Math.floor(Math.random() * 1000)}`;
@@ -239,6 +374,12 @@ async function createQuiz(quizData) {
  * @returns {Promise<any>} - The updated quiz
  */
 async function updateQuiz(quizId, quizData) {
+  // Cross-field rules (e.g. timer vs. window) are checked against the saved settings
+  const existing = USE_MOCK_DATA
+    ? MOCK_QUIZ_DETAILS[quizId] || MOCK_QUIZZES.find(q => q.id === quizId)
+    : offlineManager.getCachedData(`${CACHE_KEYS.QUIZ_DETAILS_PREFIX}${quizId}`);
+  assertValidQuiz({ ...existing, ...quizData }, { partial: !existing });
+
   if (USE_MOCK_DATA) {
     if (VERBOSE_LOGGING) console.log(`quizService.updateQuiz using MOCK response for ID: ${quizId}`, quizData);
     
@@ -250,6 +391,10 @@ async function updateQuiz(quizId, quizData) {
         ...MOCK_QUIZZES[quizIndex],
         title: quizData.title || MOCK_QUIZZES[quizIndex].title,
         description: quizData.description || MOCK_QUIZZES[quizIndex].description,
+        paperCode: quizData.paperCode ?? MOCK_QUIZZES[quizIndex].paperCode,
+        startTime: quizData.startTime ?? MOCK_QUIZZES[quizIndex].startTime,
+        endTime: quizData.endTime ?? MOCK_QUIZZES[quizIndex].endTime,
+        archived: quizData.archived ?? MOCK_QUIZZES[quizIndex].archived,
         questionCount: quizData.questions ? quizData.questions.length : MOCK_QUIZZES[quizIndex].questionCount
       };
       
@@ -305,6 +450,7 @@ async function updateQuiz(quizId, quizData) {
     
     return response;
   } catch (error) {
+    if (error.fieldErrors) throw error;
     console.warn(`API call failed for updating quiz ${quizId}, using mock response:`, error);
     
     // For testing UI, return a mock successful response
@@ -316,6 +462,99 @@ async function updateQuiz(quizId, quizData) {
   }
 }
 
+// Fields a duplicated quiz does not inherit (the copy starts as an unscheduled draft)
+const DUPLICATE_EXCLUDED_FIELDS = ['id', 'paperCode', 'startTime', 'endTime', 'archived', 'questions', 'message'];
+
+/**
+ * Duplicates a quiz with its settings and questions. The copy gets a new
+ * title and no paper code or schedule, so it starts out as a draft.
+ * @param {string} quizId - The ID of the quiz to copy
+ * @returns {Promise<any>} - The new quiz
+ */
+async function duplicateQuiz(quizId) {
+  const source = await getQuizById(quizId);
+  if (!source) {
+    throw new Error(`Quiz with ID ${quizId} not found`);
+  }
+
+  const settings = { ...source, title: `${source.title} (Copy)` };
+  DUPLICATE_EXCLUDED_FIELDS.forEach(field => delete settings[field]);
+  const questions = source.questions || [];
+  const copy = await createQuiz(settings);
+
+  // Without an ID yet (queued offline) the questions can't be attached
+  if (!copy?.id || copy.queued || questions.length === 0) {
+    return copy;
+  }
+
+  return importQuestions(copy.id, questions.map(question => {
+    const questionCopy = { ...question };
+    delete questionCopy.id;
+    return questionCopy;
+  }));
+}
+
+/**
+ * Assigns the paper code students redeem to take a quiz.
+ * Codes are stored upper-case and must be unique across quizzes.
+ * @param {string} quizId - The ID of the quiz
+ * @param {string} paperCode - The code to assign
+ * @returns {Promise<any>} - The updated quiz
+ */
+async function assignPaperCode(quizId, paperCode) {
+  const normalizedCode = (paperCode || '').trim().toUpperCase();
+
+  if (!PAPER_CODE_PATTERN.test(normalizedCode)) {
+    throw new Error('Paper codes must be 4–20 characters using letters, numbers or dashes.');
+  }
+
+  const existing = await getQuizByPaperCode(normalizedCode);
+  if (existing && existing.id !== quizId) {
+    throw new Error(`Paper code "${normalizedCode}" is already used by another quiz.`);
+  }
+
+  return updateQuiz(quizId, { paperCode: normalizedCode });
+}
+
+/**
+ * Picks random characters from CODE_ALPHABET
+ * @param {number} length - Number of characters
+ * @returns {string}
+ */
+function randomCodeCharacters(length) {
+  const values = new Uint32Array(length);
+  if (globalThis.crypto?.getRandomValues) {
+    globalThis.crypto.getRandomValues(values);
+  } else {
+    values.forEach((_, i) => { values[i] = Math.floor(Math.random() * 0xffffffff); });
+  }
+  return Array.from(values, value => CODE_ALPHABET[value % CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Generates a paper code no other quiz uses, e.g. "GKQ-7HMX" for
+ * "General Knowledge Quiz": the title's initials followed by random
+ * characters that are hard to misread.
+ * @param {string} [title] - Quiz title to take the prefix from
+ * @returns {Promise<string>} - An unused paper code
+ */
+async function generatePaperCode(title = '') {
+  const prefix = (title.match(/[A-Za-z0-9]+/g) || [])
+    .map(word => word[0].toUpperCase())
+    .join('')
+    .slice(0, CODE_PREFIX_MAX_LENGTH);
+
+  for (let attempt = 0; attempt < CODE_GENERATION_ATTEMPTS; attempt++) {
+    const suffix = randomCodeCharacters(CODE_SUFFIX_LENGTH);
+    const code = prefix ? `${prefix}-${suffix}` : suffix;
+    if (!(await getQuizByPaperCode(code))) {
+      return code;
+    }
+  }
+
+  throw new Error('Could not generate an unused paper code. Please try again or enter one yourself.');
+}
+
 /**
  * Deletes a quiz from the system.
  * @param {string} quizId - The ID of the quiz to delete
@@ -387,8 +626,8 @@ async function addQuestionToQuiz(quizId, questionData) {
       return Promise.reject(new Error(`Quiz with ID ${quizId} not found`));
     }
     
-    // Generate question ID
-    const questionId = `${quizId}_${MOCK_QUIZ_DETAILS[quizId].questions.length + 1}`;
+    // Generate a question ID that stays unique after deletions
+    const questionId = `${quizId}_${uuidv4().slice(0, 8)}`;
     const newQuestion = {
       id: questionId,
       ...questionData
@@ -444,6 +683,195 @@ async function addQuestionToQuiz(quizId, questionData) {
   }
 }
 
+/**
+ * Adds several questions to a quiz in one operation (bulk import).
+ * @param {string} quizId - The ID of the quiz
+ * @param {Array<Object>} questions - The question payloads to append
+ * @returns {Promise<any>} - The updated quiz with the new questions
+ */
+async function importQuestions(quizId, questions) {
+  if (USE_MOCK_DATA) {
+    if (VERBOSE_LOGGING) console.log(`quizService.importQuestions using MOCK response for quiz ID: ${quizId}`, questions);
+    
+    if (!MOCK_QUIZ_DETAILS[quizId]) {
+      return Promise.reject(new Error(`Quiz with ID ${quizId} not found`));
+    }
+    
+    const newQuestions = questions.map(questionData => ({
+      id: `${quizId}_${uuidv4().slice(0, 8)}`,
+      ...questionData
+    }));
+    MOCK_QUIZ_DETAILS[quizId].questions.push(...newQuestions);
+    
+    // Update question count in the quiz list
+    const quizIndex = MOCK_QUIZZES.findIndex(q => q.id === quizId);
+    if (quizIndex >= 0) {
+      MOCK_QUIZZES[quizIndex].questionCount = MOCK_QUIZ_DETAILS[quizId].questions.length;
+    }
+    
+    // Update the offline cache
+    offlineManager.cacheData(CACHE_KEYS.ALL_QUIZZES, MOCK_QUIZZES);
+    offlineManager.cacheData(`${CACHE_KEYS.QUIZ_DETAILS_PREFIX}${quizId}`, MOCK_QUIZ_DETAILS[quizId]);
+    
+    return Promise.resolve({
+      ...MOCK_QUIZ_DETAILS[quizId],
+      message: `${newQuestions.length} question(s) imported successfully (mock response).`
+    });
+  }
+
+  try {
+    if (VERBOSE_LOGGING) console.log(`quizService.importQuestions posting to API: /quizzes/${quizId}/questions/bulk`, questions);
+    const response = await apiClient.post(`/quizzes/${quizId}/questions/bulk`, { questions });
+    
+    // If this was a successful operation (not queued), update our cache
+    if (response && !response.queued) {
+      // Fetch updated quiz details to refresh the cache
+      getQuizById(quizId).catch(() => {});
+    }
+    
+    // If this was queued for offline processing, show a message
+    if (response.queued) {
+      return { 
+        ...response, 
+        message: 'Questions imported and will be synced when you\'re back online.' 
+      };
+    }
+    
+    return response;
+  } catch (error) {
+    console.warn(`API call failed for importing questions into quiz ${quizId}, using mock response:`, error);
+    return {
+      message: `${questions.length} question(s) imported successfully (mock fallback).`
+    };
+  }
+}
+
+/**
+ * Updates an existing question in a quiz.
+ * @param {string} quizId - The ID of the quiz
+ * @param {string} questionId - The ID of the question to update
+ * @param {Object} questionData - The updated question data
+ * @returns {Promise<any>} - The updated question
+ */
+async function updateQuestion(quizId, questionId, questionData) {
+  if (USE_MOCK_DATA) {
+    if (VERBOSE_LOGGING) console.log(`quizService.updateQuestion using MOCK response for quiz ID: ${quizId}, question ID: ${questionId}`, questionData);
+    
+    if (!MOCK_QUIZ_DETAILS[quizId]) {
+      return Promise.reject(new Error(`Quiz with ID ${quizId} not found`));
+    }
+    
+    const questions = MOCK_QUIZ_DETAILS[quizId].questions;
+    const questionIndex = questions.findIndex(q => q.id === questionId);
+    if (questionIndex < 0) {
+      return Promise.reject(new Error(`Question with ID ${questionId} not found in quiz ${quizId}`));
+    }
+    
+    questions[questionIndex] = {
+      ...questionData,
+      id: questionId // Ensure ID remains unchanged
+    };
+    
+    // Update the offline cache
+    offlineManager.cacheData(`${CACHE_KEYS.QUIZ_DETAILS_PREFIX}${quizId}`, MOCK_QUIZ_DETAILS[quizId]);
+    
+    return Promise.resolve({
+      ...questions[questionIndex],
+      message: 'Question updated successfully (mock response).'
+    });
+  }
+
+  try {
+    if (VERBOSE_LOGGING) console.log(`quizService.updateQuestion putting to API: /quizzes/${quizId}/questions/${questionId}`, questionData);
+    const response = await apiClient.put(`/quizzes/${quizId}/questions/${questionId}`, questionData);
+    
+    // If this was a successful operation (not queued), update our cache
+    if (response && !response.queued) {
+      // Fetch updated quiz details to refresh the cache
+      getQuizById(quizId).catch(() => {});
+    }
+    
+    // If this was queued for offline processing, show a message
+    if (response.queued) {
+      return { 
+        ...response, 
+        message: 'Question updated and will be synced when you\'re back online.' 
+      };
+    }
+    
+    return response;
+  } catch (error) {
+    // Rejected by the server (e.g. a 422 validation error): the change was not saved
+    if (error.status) throw error;
+    console.warn(`API call failed for updating question ${questionId} in quiz ${quizId}, using mock response:`, error);
+    return {
+      id: questionId,
+      ...questionData,
+      message: 'Question updated successfully (mock fallback).'
+    };
+  }
+}
+
+/**
+ * Persists a new question order for a quiz.
+ * @param {string} quizId - The ID of the quiz
+ * @param {Array<string>} questionIds - Question IDs in their new order
+ * @returns {Promise<any>} - Confirmation of the reorder
+ */
+async function reorderQuestions(quizId, questionIds) {
+  if (USE_MOCK_DATA) {
+    if (VERBOSE_LOGGING) console.log(`quizService.reorderQuestions using MOCK response for quiz ID: ${quizId}`, questionIds);
+    
+    if (!MOCK_QUIZ_DETAILS[quizId]) {
+      return Promise.reject(new Error(`Quiz with ID ${quizId} not found`));
+    }
+    
+    const questions = MOCK_QUIZ_DETAILS[quizId].questions;
+    const position = new Map(questionIds.map((id, index) => [id, index]));
+    
+    // Questions missing from the new order keep their relative order at the end
+    MOCK_QUIZ_DETAILS[quizId].questions = [...questions].sort((a, b) =>
+      (position.has(a.id) ? position.get(a.id) : questionIds.length) -
+      (position.has(b.id) ? position.get(b.id) : questionIds.length)
+    );
+    
+    // Update the offline cache
+    offlineManager.cacheData(`${CACHE_KEYS.QUIZ_DETAILS_PREFIX}${quizId}`, MOCK_QUIZ_DETAILS[quizId]);
+    
+    return Promise.resolve({
+      success: true,
+      questionIds: MOCK_QUIZ_DETAILS[quizId].questions.map(q => q.id),
+      message: 'Question order saved successfully (mock response).'
+    });
+  }
+
+  try {
+    if (VERBOSE_LOGGING) console.log(`quizService.reorderQuestions putting to API: /quizzes/${quizId}/questions/order`, questionIds);
+    const response = await apiClient.put(`/quizzes/${quizId}/questions/order`, { questionIds });
+    
+    // If this was a successful operation (not queued), update our cache
+    if (response && !response.queued) {
+      // Fetch updated quiz details to refresh the cache
+      getQuizById(quizId).catch(() => {});
+    }
+    
+    // If this was queued for offline processing, show a message
+    if (response.queued) {
+      return { 
+        ...response, 
+        message: 'Question order saved and will be synced when you\'re back online.' 
+      };
+    }
+    
+    return response;
+  } catch (error) {
+    // Rejected by the server (e.g. a 422 validation error): the change was not saved
+    if (error.status) throw error;
+    console.warn(`API call failed for reordering questions in quiz ${quizId}, using mock response:`, error);
+    return { success: true, questionIds, message: 'Question order saved successfully (mock fallback).' };
+  }
+}
+
 /**
  * Removes a question from a quiz.
  * @param {string} quizId - The ID of the quiz
@@ -515,19 +943,26 @@ async function synchronize() {
   return apiClient.synchronize();
 }
 
-// Expose service to window for console testing
-if (typeof window !== 'undefined') {
-  window.quizService = quizService;
-}
-
 export const quizService = {
   getAllQuizzes,
   getQuizById,
+  getQuizByPaperCode,
   submitQuizAnswers,
   createQuiz,
   updateQuiz,
+  assignPaperCode,
+  generatePaperCode,
+  duplicateQuiz,
   deleteQuiz,
   addQuestionToQuiz,
+  importQuestions,
+  updateQuestion,
+  reorderQuestions,
   removeQuestionFromQuiz,
   synchronize
-}; 
\ No newline at end of file
+};
+
+// Expose service to window for console testing
+if (typeof window !== 'undefined') {
+  window.quizService = quizService;
+}
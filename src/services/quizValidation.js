@@ -0,0 +1,106 @@
+// src/services/quizValidation.js
+
+/**
+ * Quiz Validation
+ *
+ * The rules a quiz's settings must satisfy before it is saved. quizService
+ * enforces them on create and update (the way the server answers a bad
+ * payload with 422 and per-field errors), and CreateQuizPage runs them first
+ * to show the errors next to each field.
+ */
+
+import { proctoringSettings } from './proctoringSettings';
+import { resultSettings } from './resultSettings';
+
+export const MAX_TITLE_LENGTH = 200;
+export const MAX_ATTEMPTS_LIMIT = 20;
+
+const toTime = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? NaN : time;
+};
+
+/**
+ * Validate quiz settings in the shape CreateQuizPage saves
+ * @param {Object} quiz - { title, startTime, endTime, timer, maxAttempts, warningThresholds, proctoring, results }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only check the fields present (for updates)
+ * @returns {{ valid: boolean, errors: Object<string, string> }} Error messages by field name;
+ *   proctoring and result setting errors are keyed `proctoring.<setting>` and `results.<setting>`
+ */
+export function validateQuiz(quiz, { partial = false } = {}) {
+  const errors = {};
+
+  if (!quiz || typeof quiz !== 'object') {
+    return { valid: false, errors: { quiz: 'Quiz data is missing.' } };
+  }
+
+  const title = String(quiz.title ?? '').trim();
+  if (!partial || quiz.title !== undefined) {
+    if (!title) {
+      errors.title = 'Please enter a quiz title.';
+    } else if (title.length > MAX_TITLE_LENGTH) {
+      errors.title = `Titles can be at most ${MAX_TITLE_LENGTH} characters.`;
+    }
+  }
+
+  const start = toTime(quiz.startTime);
+  const end = toTime(quiz.endTime);
+  if (Number.isNaN(start)) errors.startTime = 'Start time is not a valid date.';
+  if (Number.isNaN(end)) errors.endTime = 'End time is not a valid date.';
+  if (start && end && !errors.startTime && !errors.endTime && end <= start) {
+    errors.endTime = 'End time must be after the start time.';
+  }
+
+  const hasTimer = quiz.timer !== null && quiz.timer !== undefined && quiz.timer !== '';
+  const timer = Number(quiz.timer);
+  if (hasTimer) {
+    if (!Number.isInteger(timer) || timer < 1) {
+      errors.timer = 'Timer must be a whole number of minutes (1 or more).';
+    } else if (start && end && !errors.endTime && !errors.startTime && timer > (end - start) / 60000) {
+      errors.timer = `The timer (${timer} min) is longer than the quiz window (${Math.floor((end - start) / 60000)} min).`;
+    }
+  }
+
+  if (quiz.maxAttempts !== undefined && quiz.maxAttempts !== null) {
+    const maxAttempts = Number(quiz.maxAttempts);
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ATTEMPTS_LIMIT) {
+      errors.maxAttempts = `Attempts per student must be from 1 to ${MAX_ATTEMPTS_LIMIT}.`;
+    }
+  }
+
+  if (Array.isArray(quiz.warningThresholds) && hasTimer && !errors.timer) {
+    const tooLate = quiz.warningThresholds.filter(minutes => Number(minutes) >= timer);
+    if (tooLate.length > 0) {
+      errors.warningThresholds = `Time warnings must be shorter than the timer (${timer} min).`;
+    }
+  }
+
+  Object.entries(proctoringSettings.validateProctoringSettings(quiz.proctoring)).forEach(([setting, message]) => {
+    errors[`proctoring.${setting}`] = message;
+  });
+
+  Object.entries(resultSettings.validateResultSettings(quiz.results)).forEach(([setting, message]) => {
+    errors[`results.${setting}`] = message;
+  });
+
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Throw the error quizService reports for invalid settings, shaped like
+ * apiClient's errors for a 422 response
+ * @param {Object} quiz - Quiz settings to check
+ * @param {Object} [options] - See validateQuiz
+ * @throws {Error} With `status` 422 and `fieldErrors`
+ */
+export function assertValidQuiz(quiz, options) {
+  const { valid, errors } = validateQuiz(quiz, options);
+  if (valid) return;
+
+  const error = new Error(Object.values(errors)[0]);
+  error.status = 422;
+  error.fieldErrors = errors;
+  throw error;
+}
@@ -0,0 +1,342 @@
+// src/services/reportExportService.js
+
+/**
+ * Report Export Service
+ *
+ * Builds evidence packets for academic-integrity cases:
+ * - a per-attempt integrity report (student, paper, score, risk score, event
+ *   timeline, reviewer decisions and webcam snapshot thumbnails) as a single
+ *   self-contained HTML file, which the main process can also print to PDF
+ * - a CSV of every attempt at a paper
+ *
+ * Files are saved through the main-process save dialogs ('dialog:save' and
+ * 'dialog:save-pdf'). Outside Electron, HTML and CSV files are downloaded by
+ * the browser instead; PDF export needs the desktop app.
+ */
+
+import { attemptService } from './attemptService';
+import { proctoringEventService, VIOLATION_LABELS } from './proctoringEventService';
+import { reviewService, REVIEW_DECISIONS, DECISION_LABELS, OUTCOME_LABELS } from './reviewService';
+import { riskScoringService } from './riskScoringService';
+import { snapshotService } from './snapshotService';
+import { proctoringTimeline } from './proctoringTimeline';
+import { trustedClockService } from './trustedClockService';
+
+export const REPORT_FORMATS = {
+  HTML: 'html',
+  PDF: 'pdf',
+  CSV: 'csv'
+};
+
+const CSV_COLUMNS = [
+  ['Student', r => r.attempt.studentName || r.attempt.studentId],
+  ['Student ID', r => r.attempt.studentId],
+  ['Attempt', r => r.attempt.number ?? ''],
+  ['Attempt ID', r => r.attempt.id],
+  ['Status', r => r.attempt.status],
+  ['Started', r => r.attempt.startedAt || ''],
+  ['Submitted', r => r.attempt.submittedAt || ''],
+  ['Score (%)', r => r.attempt.result?.percentage ?? ''],
+  ['Risk Score', r => r.risk.score],
+  ['Risk Level', r => r.risk.bucket],
+  ['Violations', r => r.reviewSummary.total],
+  ['Reviewed', r => r.reviewSummary.reviewed],
+  ['Confirmed', r => r.reviewSummary.byDecision[REVIEW_DECISIONS.CONFIRMED] || 0],
+  ['Escalated', r => r.reviewSummary.byDecision[REVIEW_DECISIONS.ESCALATED] || 0],
+  ['False Positives', r => r.reviewSummary.byDecision[REVIEW_DECISIONS.FALSE_POSITIVE] || 0],
+  ['Outcome', r => (r.attempt.review ? OUTCOME_LABELS[r.attempt.review.outcome] : 'Not reviewed')],
+  ['Outcome Note', r => r.attempt.review?.note || ''],
+  ['Reviewer', r => r.attempt.review?.reviewer?.name || '']
+];
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Any value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a value as a CSV cell. Text that a spreadsheet would run as a formula
+ * (starting with =, +, - or @) is prefixed with an apostrophe.
+ * @param {*} value - Any value
+ * @returns {string}
+ */
+function toCsvCell(value) {
+  let text = String(value ?? '');
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Turn a value into a safe file name part
+ * @param {string} value
+ * @returns {string}
+ */
+function toFileName(value) {
+  return String(value || 'report').replace(/[^a-z0-9-]+/gi, '_').replace(/^_+|_+$/g, '') || 'report';
+}
+
+const formatDateTime = value => (value ? new Date(value).toLocaleString() : '—');
+
+/**
+ * Gather everything the integrity report shows for one attempt
+ * @param {Object} quiz - The quiz (paper) the attempt belongs to
+ * @param {Object} attempt - The attempt
+ * @returns {Promise<Object>} Report data for renderAttemptReportHtml
+ */
+async function collectAttemptReport(quiz, attempt) {
+  const [events, reviews, snapshots, generatedAt] = await Promise.all([
+    proctoringEventService.getAttemptEvents(attempt.id),
+    reviewService.getReviews({ attemptId: attempt.id }),
+    snapshotService.getSnapshots(attempt.id),
+    trustedClockService.getTrustedNow()
+  ]);
+  const sorted = [...events].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const violations = sorted.filter(e => e.violation);
+
+  return {
+    quiz,
+    attempt,
+    events: sorted,
+    risk: riskScoringService.scoreAttempt(sorted, {
+      endTime: attempt.submittedAt || null,
+      settings: quiz.riskScoring
+    }),
+    reviews,
+    reviewSummary: reviewService.summarizeReviews(violations, reviews),
+    snapshots,
+    generatedAt
+  };
+}
+
+/**
+ * Render an integrity report as a self-contained HTML document.
+ * Styles are inline and snapshots are embedded as data URLs, so the file
+ * can be attached to a case without anything else.
+ * @param {Object} report - From collectAttemptReport
+ * @returns {string}
+ */
+function renderAttemptReportHtml(report) {
+  const { quiz, attempt, events, risk, reviews, reviewSummary, snapshots, generatedAt } = report;
+  const reviewByEvent = new Map(reviews.map(r => [r.eventId, r]));
+  const start = new Date(attempt.startedAt || events[0]?.timestamp || generatedAt).getTime();
+  const studentName = attempt.studentName || attempt.studentId;
+
+  const elapsed = timestamp => {
+    const seconds = Math.max(0, Math.round((new Date(timestamp).getTime() - start) / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  };
+
+  const snapshotCell = event => {
+    if (!event.violation) return '';
+    const { snapshot, exact } = snapshotService.findSnapshotForEvent(snapshots, event);
+    // Only embed images we captured ourselves, never external URLs
+    if (!snapshot || !/^data:image\/(jpeg|png|webp);base64,/.test(snapshot.image || '')) return '';
+    return `<img src="${snapshot.image}" alt="Webcam snapshot"><div class="muted">${exact ? 'At event' : 'Nearest earlier'} · ${escapeHtml(new Date(snapshot.capturedAt).toLocaleTimeString())}</div>`;
+  };
+
+  const reviewCell = event => {
+    const review = reviewByEvent.get(event.id);
+    if (!review) return event.violation ? '<span class="muted">Not reviewed</span>' : '';
+    return `<strong>${escapeHtml(DECISION_LABELS[review.decision])}</strong>`
+      + `<div class="muted">${escapeHtml(review.reviewer?.name)} · ${escapeHtml(formatDateTime(review.reviewedAt))}</div>`
+      + (review.note ? `<div>${escapeHtml(review.note)}</div>` : '');
+  };
+
+  const eventRows = events.map(event => `
+      <tr class="${event.violation ? 'violation' : ''}">
+        <td>${escapeHtml(elapsed(event.timestamp))}</td>
+        <td>${escapeHtml(new Date(event.timestamp).toLocaleTimeString())}</td>
+        <td>${escapeHtml(proctoringTimeline.describeEvent(event))}</td>
+        <td>${reviewCell(event)}</td>
+        <td class="snapshot">${snapshotCell(event)}</td>
+      </tr>`).join('');
+
+  const breakdownRows = Object.entries(risk.breakdown).map(([type, b]) => `
+      <tr>
+        <td>${escapeHtml(VIOLATION_LABELS[type] || type)}</td>
+        <td>${b.count}</td>
+        <td>${Math.round(b.seconds)}s</td>
+        <td>${Math.round(b.points * 10) / 10}</td>
+      </tr>`).join('');
+
+  const outcome = attempt.review
+    ? `${escapeHtml(OUTCOME_LABELS[attempt.review.outcome])} — ${escapeHtml(attempt.review.reviewer?.name)}, ${escapeHtml(formatDateTime(attempt.review.decidedAt))}`
+      + (attempt.review.note ? `<div>${escapeHtml(attempt.review.note)}</div>` : '')
+    : 'Not reviewed';
+
+  const score = attempt.result
+    ? `${escapeHtml(attempt.result.earnedPoints)} / ${escapeHtml(attempt.result.possiblePoints)} (${escapeHtml(attempt.result.percentage)}%)`
+    : 'Not submitted';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data:; style-src 'unsafe-inline'">
+<title>Integrity Report — ${escapeHtml(studentName)} — ${escapeHtml(quiz.paperCode)}</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #222; margin: 32px; font-size: 13px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 28px 0 8px; border-bottom: 2px solid #004e98; padding-bottom: 4px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f0f4f8; }
+  .summary th { width: 180px; }
+  tr.violation td { background: #fff4f4; }
+  .snapshot img { width: 160px; border-radius: 4px; display: block; }
+  .muted { color: #777; font-size: 11px; }
+  .risk-flagged { color: #d63031; font-weight: bold; }
+  .risk-review { color: #e67e22; font-weight: bold; }
+  .risk-clear { color: #27ae60; font-weight: bold; }
+  tr { page-break-inside: avoid; }
+</style>
+</head>
+<body>
+<h1>Proctoring Integrity Report</h1>
+<div class="muted">Generated ${escapeHtml(formatDateTime(generatedAt))}</div>
+
+<h2>Summary</h2>
+<table class="summary">
+  <tr><th>Student</th><td>${escapeHtml(studentName)} (${escapeHtml(attempt.studentId)})</td></tr>
+  <tr><th>Paper</th><td>${escapeHtml(quiz.title)} — ${escapeHtml(quiz.paperCode)}</td></tr>
+  <tr><th>Attempt</th><td>#${escapeHtml(attempt.number ?? 1)} (${escapeHtml(attempt.id)})</td></tr>
+  <tr><th>Started / Submitted</th><td>${escapeHtml(formatDateTime(attempt.startedAt))} / ${escapeHtml(formatDateTime(attempt.submittedAt))}</td></tr>
+  <tr><th>Score</th><td>${score}</td></tr>
+  <tr><th>Risk Score</th><td><span class="risk-${escapeHtml(risk.bucket)}">${escapeHtml(risk.score)} (${escapeHtml(risk.bucket)})</span></td></tr>
+  <tr><th>Violations Reviewed</th><td>${reviewSummary.reviewed} of ${reviewSummary.total}</td></tr>
+  <tr><th>Outcome</th><td>${outcome}</td></tr>
+</table>
+
+<h2>Risk Breakdown</h2>
+${breakdownRows
+    ? `<table><tr><th>Violation</th><th>Count</th><th>Duration</th><th>Points</th></tr>${breakdownRows}</table>`
+    : '<p>No violations recorded.</p>'}
+
+<h2>Event Timeline</h2>
+${eventRows
+    ? `<table><tr><th>Elapsed</th><th>Time</th><th>Event</th><th>Review</th><th>Snapshot</th></tr>${eventRows}</table>`
+    : '<p>No events recorded.</p>'}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build a CSV of all attempts at a paper
+ * @param {Array<Object>} rows - Entries with attempt, risk and reviewSummary
+ * @returns {string}
+ */
+function buildAttemptsCsv(rows) {
+  const lines = [
+    CSV_COLUMNS.map(([header]) => toCsvCell(header)).join(','),
+    ...rows.map(row => CSV_COLUMNS.map(([, value]) => toCsvCell(value(row))).join(','))
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Gather the CSV rows for every attempt at a paper, highest risk first
+ * @param {Object} quiz - The quiz (paper)
+ * @returns {Promise<Array<Object>>}
+ */
+async function collectPaperRows(quiz) {
+  const [attempts, events, reviews] = await Promise.all([
+    attemptService.getAttempts({ quizId: quiz.id }),
+    proctoringEventService.getEvents({ quizId: quiz.id }),
+    reviewService.getReviews()
+  ]);
+  const entries = attempts.map(attempt => ({
+    attempt,
+    events: events.filter(e => e.attemptId === attempt.id)
+  }));
+
+  return riskScoringService.rankAttempts(entries, quiz.riskScoring).map(entry => ({
+    ...entry,
+    reviewSummary: reviewService.summarizeReviews(entry.events.filter(e => e.violation), reviews)
+  }));
+}
+
+/**
+ * Save a document through the main-process save dialog, or download it
+ * when running outside Electron
+ * @param {Object} file
+ * @param {string} file.content - Document content (HTML for PDFs)
+ * @param {string} file.format - One of REPORT_FORMATS
+ * @param {string} file.defaultPath - Suggested file name
+ * @returns {Promise<{ success: boolean, canceled?: boolean, filePath?: string, error?: string }>}
+ */
+async function saveFile({ content, format, defaultPath }) {
+  const ipc = typeof window !== 'undefined' ? window.electron?.ipc : null;
+
+  if (ipc?.invoke) {
+    const result = format === REPORT_FORMATS.PDF
+      ? await ipc.invoke('dialog:save-pdf', { html: content, defaultPath })
+      : await ipc.invoke('dialog:save', { content, format, defaultPath });
+    return result || { success: false, error: 'Export is not available.' };
+  }
+
+  if (format === REPORT_FORMATS.PDF) {
+    return { success: false, error: 'PDF export is only available in the desktop app.' };
+  }
+
+  const type = format === REPORT_FORMATS.CSV ? 'text/csv' : 'text/html';
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = defaultPath;
+  link.click();
+  URL.revokeObjectURL(url);
+  return { success: true, filePath: defaultPath };
+}
+
+/**
+ * Export the integrity report for one attempt
+ * @param {Object} quiz - The quiz (paper)
+ * @param {Object} attempt - The attempt
+ * @param {string} [format] - REPORT_FORMATS.HTML or REPORT_FORMATS.PDF
+ * @returns {Promise<Object>} Result of saveFile
+ */
+async function exportAttemptReport(quiz, attempt, format = REPORT_FORMATS.HTML) {
+  const report = await collectAttemptReport(quiz, attempt);
+  const name = toFileName(`${quiz.paperCode}_${attempt.studentName || attempt.studentId}_attempt${attempt.number ?? 1}`);
+  return saveFile({
+    content: renderAttemptReportHtml(report),
+    format,
+    defaultPath: `integrity_report_${name}.${format}`
+  });
+}
+
+/**
+ * Export a CSV of all attempts at a paper
+ * @param {Object} quiz - The quiz (paper)
+ * @returns {Promise<Object>} Result of saveFile
+ */
+async function exportPaperCsv(quiz) {
+  const rows = await collectPaperRows(quiz);
+  return saveFile({
+    content: buildAttemptsCsv(rows),
+    format: REPORT_FORMATS.CSV,
+    defaultPath: `attempts_${toFileName(quiz.paperCode)}.csv`
+  });
+}
+
+export const reportExportService = {
+  collectAttemptReport,
+  renderAttemptReportHtml,
+  collectPaperRows,
+  buildAttemptsCsv,
+  exportAttemptReport,
+  exportPaperCsv,
+  REPORT_FORMATS
+};
@@ -0,0 +1,86 @@
+// src/services/resultSettings.js
+
+/**
+ * Result Settings
+ *
+ * Per-paper result rules set in CreateQuizPage: the pass mark, and when
+ * students may review their answers against the answer key (read by
+ * resultsService and ScoreSummaryPage).
+ *
+ * Defaults come from RESULTS_DEFAULTS in config.js; a quiz overrides any of
+ * them with its `results` settings.
+ */
+
+import { RESULTS_DEFAULTS } from './config';
+
+export const REVIEW_RELEASE = {
+  NEVER: 'never',
+  AFTER_SUBMIT: 'after-submit',
+  AFTER_CLOSE: 'after-close'
+};
+
+export const REVIEW_RELEASE_LABELS = {
+  [REVIEW_RELEASE.NEVER]: 'Never (score only)',
+  [REVIEW_RELEASE.AFTER_SUBMIT]: 'As soon as the student submits',
+  [REVIEW_RELEASE.AFTER_CLOSE]: 'After the paper closes'
+};
+
+/**
+ * A quiz's result settings with defaults applied
+ * @param {Object} quiz - Quiz with optional `results` settings
+ * @returns {{ passPercentage: number, reviewRelease: string }}
+ */
+function resolveResultSettings(quiz) {
+  const settings = { ...RESULTS_DEFAULTS, ...quiz?.results };
+  const passPercentage = Number(settings.passPercentage);
+
+  return {
+    passPercentage: Number.isFinite(passPercentage) && passPercentage >= 0 && passPercentage <= 100
+      ? passPercentage
+      : RESULTS_DEFAULTS.passPercentage,
+    reviewRelease: Object.values(REVIEW_RELEASE).includes(settings.reviewRelease)
+      ? settings.reviewRelease
+      : RESULTS_DEFAULTS.reviewRelease
+  };
+}
+
+/**
+ * Check result settings entered by a teacher
+ * @param {Object|null} [results] - Raw settings
+ * @returns {Object<string, string>} Error messages by setting name (empty when valid)
+ */
+function validateResultSettings(results) {
+  const errors = {};
+  // API payloads and older quizzes may have null settings
+  results = results || {};
+
+  if (results.passPercentage !== undefined) {
+    const passPercentage = Number(results.passPercentage);
+    if (results.passPercentage === '' || !Number.isFinite(passPercentage) || passPercentage < 0 || passPercentage > 100) {
+      errors.passPercentage = 'The pass mark must be a percentage from 0 to 100.';
+    }
+  }
+
+  if (results.reviewRelease !== undefined && !Object.values(REVIEW_RELEASE).includes(results.reviewRelease)) {
+    errors.reviewRelease = 'Choose when students can review their answers.';
+  }
+
+  return errors;
+}
+
+/**
+ * Whether a graded result reaches the paper's pass mark
+ * @param {Object} result - gradingService result
+ * @param {Object} quiz - The paper
+ * @returns {boolean}
+ */
+function isPassed(result, quiz) {
+  return !!result && (result.percentage ?? 0) >= resolveResultSettings(quiz).passPercentage;
+}
+
+export const resultSettings = {
+  resolveResultSettings,
+  validateResultSettings,
+  isPassed,
+  REVIEW_RELEASE
+};
@@ -0,0 +1,283 @@
+// src/services/resultsService.js
+
+/**
+ * Results Service
+ *
+ * What students see of their own submitted attempts: the "My Results" list on
+ * StudentDashboard, the pass/fail verdict on ScoreSummaryPage and the answer
+ * review screen (each question, the student's answer, the correct answer and
+ * the points earned).
+ *
+ * Each paper sets its pass mark and when the answer review is released (see
+ * resultSettings). Scores a teacher withheld or invalidated are never shown,
+ * and neither is their review. Attempts with essays still waiting to be graded
+ * show neither a score nor a review until the teacher has marked them all.
+ */
+
+import { apiClient } from './apiClient';
+import { attemptService, ATTEMPT_STATUS } from './attemptService';
+import { quizService } from './quizService';
+import { quizScheduleService, PAPER_STATUS } from './quizScheduleService';
+import { gradingService } from './gradingService';
+import { trustedClockService } from './trustedClockService';
+import { ATTEMPT_OUTCOMES } from './reviewService';
+import { resultSettings, REVIEW_RELEASE } from './resultSettings';
+import { manualGradingService } from './manualGradingService';
+import { getAcceptedAnswers } from './questionValidation';
+import { USE_MOCK_DATA, VERBOSE_LOGGING } from './config';
+
+/**
+ * Whether a teacher has hidden an attempt's score from the student
+ * @param {Object} attempt
+ * @returns {boolean}
+ */
+function isScoreHidden(attempt) {
+  const outcome = attempt?.review?.outcome;
+  return outcome === ATTEMPT_OUTCOMES.SCORE_WITHHELD || outcome === ATTEMPT_OUTCOMES.INVALIDATED;
+}
+
+/**
+ * Whether the student may review a submitted attempt's answers yet
+ * @param {Object|null} quiz - The paper (null when it no longer exists)
+ * @param {Object} attempt - The submitted attempt
+ * @param {number} now - Current (trusted) time in ms
+ * @returns {{ available: boolean, message: string|null }} Why not, when unavailable
+ */
+function getReviewAvailability(quiz, attempt, now) {
+  if (!quiz) {
+    return { available: false, message: 'This paper is no longer available.' };
+  }
+  if (attempt.status !== ATTEMPT_STATUS.SUBMITTED || !Array.isArray(attempt.result?.results)) {
+    return { available: false, message: 'This attempt has not been graded yet.' };
+  }
+  if (isScoreHidden(attempt)) {
+    return { available: false, message: 'Your teacher has not released this attempt.' };
+  }
+  if (manualGradingService.isAwaitingGrading(attempt)) {
+    return { available: false, message: 'Your teacher is still grading some of your answers.' };
+  }
+
+  switch (resultSettings.resolveResultSettings(quiz).reviewRelease) {
+    case REVIEW_RELEASE.AFTER_SUBMIT:
+      return { available: true, message: null };
+    case REVIEW_RELEASE.AFTER_CLOSE: {
+      const status = quizScheduleService.getPaperStatus(quiz, now);
+      return status === PAPER_STATUS.CLOSED || status === PAPER_STATUS.ARCHIVED
+        ? { available: true, message: null }
+        : { available: false, message: 'Answers can be reviewed once the paper closes.' };
+    }
+    default:
+      return { available: false, message: 'Your teacher has not released answers for this paper.' };
+  }
+}
+
+/**
+ * One row of a student's results
+ * @param {Object} attempt - Submitted attempt
+ * @param {Object|null} quiz - Its paper
+ * @param {number} now - Current (trusted) time in ms
+ * @returns {{ attemptId: string, quizId: string, quizTitle: string, paperCode: string|null, submittedAt: string, outcome: string|null, scoreHidden: boolean, gradingPending: boolean, earnedPoints: number|null, possiblePoints: number|null, percentage: number|null, passPercentage: number, passed: boolean|null, reviewAvailable: boolean, reviewMessage: string|null }}
+ */
+function describeResult(attempt, quiz, now) {
+  const scoreHidden = isScoreHidden(attempt);
+  const gradingPending = manualGradingService.isAwaitingGrading(attempt);
+  const result = scoreHidden || gradingPending ? null : attempt.result || null;
+  const review = getReviewAvailability(quiz, attempt, now);
+
+  return {
+    attemptId: attempt.id,
+    quizId: attempt.quizId,
+    quizTitle: quiz?.title || 'Unavailable paper',
+    paperCode: quiz?.paperCode || null,
+    submittedAt: attempt.submittedAt,
+    outcome: attempt.review?.outcome || null,
+    scoreHidden,
+    gradingPending,
+    earnedPoints: result?.earnedPoints ?? null,
+    possiblePoints: result?.possiblePoints ?? null,
+    percentage: result?.percentage ?? null,
+    passPercentage: resultSettings.resolveResultSettings(quiz).passPercentage,
+    passed: result ? resultSettings.isPassed(result, quiz) : null,
+    reviewAvailable: review.available,
+    reviewMessage: review.message
+  };
+}
+
+/**
+ * Load the papers for a set of attempts
+ * @param {Array<Object>} attempts
+ * @returns {Promise<Map<string, Object|null>>} Quiz by ID
+ */
+async function loadQuizzes(attempts) {
+  const quizIds = [...new Set(attempts.map(attempt => attempt.quizId))];
+  const quizzes = await Promise.all(quizIds.map(id => quizService.getQuizById(id).catch(() => null)));
+  return new Map(quizIds.map((id, index) => [id, quizzes[index] || null]));
+}
+
+/**
+ * A student's submitted attempts, newest first
+ * @param {string} studentId - The student identifier
+ * @returns {Promise<Array<Object>>} See describeResult
+ */
+async function getStudentResults(studentId) {
+  const attempts = (await attemptService.getAttempts({ studentId }))
+    .filter(attempt => attempt.status === ATTEMPT_STATUS.SUBMITTED);
+  const [quizzes, now] = await Promise.all([loadQuizzes(attempts), trustedClockService.getTrustedNow()]);
+
+  return attempts
+    .map(attempt => describeResult(attempt, quizzes.get(attempt.quizId), now))
+    .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+}
+
+/**
+ * Show an answer the way the student saw it
+ * @param {Object} question - Authored question
+ * @param {any} answer - Answer in authored terms (choice index or indices, text, ...)
+ * @returns {string|null} Null when unanswered
+ */
+function formatAnswer(question, answer) {
+  if (answer === null || answer === undefined || answer === '') return null;
+  const choiceText = (index) => question.choices?.[index] ?? '—';
+
+  switch (question.type) {
+    case 'matching':
+      return Array.isArray(answer)
+        ? (question.prompts || []).map((prompt, term) => `${prompt} → ${choiceText(answer[term])}`).join('; ')
+        : String(answer);
+    case 'ordering':
+      return Array.isArray(answer) ? answer.map(choiceText).join(' → ') : String(answer);
+    case 'fill-in-the-blank':
+      // One entry per blank when the question has several
+      return Array.isArray(answer) ? answer.map(blank => blank || '—').join('; ') : String(answer);
+    case 'multiple-response':
+      return (Array.isArray(answer) ? answer : [answer])
+        .map(index => formatAnswer({ ...question, type: 'multiple-choice' }, index))
+        .join(', ') || null;
+    case 'multiple-choice': {
+      const index = Number(answer);
+      return Number.isInteger(index) && question.choices?.[index] !== undefined
+        ? question.choices[index]
+        : String(answer);
+    }
+    case 'true-false': {
+      const value = gradingService.parseBooleanAnswer(answer);
+      return value === null ? String(answer) : (value ? 'True' : 'False');
+    }
+    default:
+      return String(answer);
+  }
+}
+
+/**
+ * Show a question's accepted answer
+ * @param {Object} question - Authored question
+ * @returns {string|null}
+ */
+function formatCorrectAnswer(question) {
+  switch (question.type) {
+    case 'numeric':
+      return gradingService.describeNumericAnswer(question);
+    case 'ordering':
+      // Items are authored in the correct order
+      return formatAnswer(question, (question.choices || []).map((_, index) => index));
+    case 'fill-in-the-blank':
+      return getAcceptedAnswers(question).map(answers => answers.join(' or ')).join('; ');
+    default:
+      return formatAnswer(question, question.correctAnswer);
+  }
+}
+
+/**
+ * Pair each graded result with its question, in the order the student saw them
+ * @param {Object} attempt - Submitted attempt with its result
+ * @param {Object} quiz - The paper
+ * @returns {Array<{ number: number, questionId: string, text: string, type: string, answer: string|null, correctAnswer: string|null, correct: boolean, earnedPoints: number, possiblePoints: number, comment: string|null, rubricScores: Array<Object>|null }>}
+ */
+function buildReviewItems(attempt, quiz) {
+  const questions = new Map((quiz.questions || []).map(question => [question.id, question]));
+
+  return attempt.result.results
+    .filter(result => questions.has(result.questionId))
+    .map((result, index) => {
+      const question = questions.get(result.questionId);
+      const criterionScores = result.grade?.criterionScores;
+      return {
+        number: index + 1,
+        questionId: question.id,
+        text: question.text,
+        type: question.type,
+        answer: formatAnswer(question, result.answer),
+        correctAnswer: formatCorrectAnswer(question),
+        correct: result.correct,
+        earnedPoints: result.earnedPoints,
+        possiblePoints: result.possiblePoints,
+        // Teacher's feedback on manually graded answers
+        comment: result.grade?.comment || null,
+        rubricScores: Array.isArray(criterionScores) && Array.isArray(question.rubric)
+          ? question.rubric.map((item, i) => ({ criterion: item.criterion, points: item.points, earnedPoints: criterionScores[i] ?? 0 }))
+          : null
+      };
+    });
+}
+
+/**
+ * Build an attempt's review from the locally known attempt and paper
+ * @param {string} attemptId - The attempt ID
+ * @param {string} studentId - The student asking
+ * @returns {Promise<{ summary: Object, items: Array<Object> }>}
+ * @throws {Error} With `status` 404 or 403 when the review cannot be shown
+ */
+async function buildLocalReview(attemptId, studentId) {
+  const attempt = await attemptService.getAttempt(attemptId);
+  if (!attempt || attempt.studentId !== studentId) {
+    const error = new Error('Attempt not found.');
+    error.status = 404;
+    throw error;
+  }
+
+  const [quiz, now] = await Promise.all([
+    quizService.getQuizById(attempt.quizId).catch(() => null),
+    trustedClockService.getTrustedNow()
+  ]);
+  const summary = describeResult(attempt, quiz, now);
+  if (!summary.reviewAvailable) {
+    const error = new Error(summary.reviewMessage);
+    error.status = 403;
+    throw error;
+  }
+
+  return { summary, items: buildReviewItems(attempt, quiz) };
+}
+
+/**
+ * Fetch the answer review for one of the student's attempts. Uses real API
+ * with fallback to the locally known attempt.
+ * @param {string} attemptId - The attempt ID
+ * @param {string} studentId - The student asking
+ * @returns {Promise<{ summary: Object, items: Array<Object> }>} See describeResult and buildReviewItems
+ * @throws {Error} With `status` 404 or 403 when the review cannot be shown
+ */
+async function getAttemptReview(attemptId, studentId) {
+  if (USE_MOCK_DATA) {
+    if (VERBOSE_LOGGING) console.log(`resultsService.getAttemptReview using offline cache for ${attemptId}`);
+    return buildLocalReview(attemptId, studentId);
+  }
+
+  try {
+    return await apiClient.get(`/attempts/${attemptId}/review`);
+  } catch (error) {
+    // The server's refusal stands; only fall back when it could not be reached
+    if (error.status) throw error;
+    console.warn(`API call failed for review of attempt ${attemptId}, using local data:`, error);
+    return buildLocalReview(attemptId, studentId);
+  }
+}
+
+export const resultsService = {
+  isScoreHidden,
+  getReviewAvailability,
+  describeResult,
+  getStudentResults,
+  getAttemptReview,
+  formatAnswer
+};
@@ -0,0 +1,206 @@
+// src/services/reviewService.js
+
+/**
+ * Review Service
+ *
+ * Lets teachers act on recorded violations: each violation can be marked as a
+ * false positive, confirmed or escalated with a note, and each attempt gets a
+ * final outcome (accepted, score withheld or invalidated) that the student
+ * sees on their score summary.
+ *
+ * Decisions record who made them and when. A new decision on the same event
+ * replaces the current one and keeps the earlier ones in `history`. Reviews are
+ * kept in the offline cache and synced through apiClient when a backend is used.
+ */
+
+import { apiClient } from './apiClient';
+import { offlineManager } from './offlineManager';
+import { attemptService } from './attemptService';
+import { trustedClockService } from './trustedClockService';
+import { USE_MOCK_DATA, VERBOSE_LOGGING } from './config';
+
+const REVIEWS_CACHE_KEY = 'offline_violation_reviews';
+
+export const REVIEW_DECISIONS = {
+  FALSE_POSITIVE: 'false-positive',
+  CONFIRMED: 'confirmed',
+  ESCALATED: 'escalated'
+};
+
+export const ATTEMPT_OUTCOMES = {
+  ACCEPTED: 'accepted',
+  SCORE_WITHHELD: 'score-withheld',
+  INVALIDATED: 'invalidated'
+};
+
+export const DECISION_LABELS = {
+  [REVIEW_DECISIONS.FALSE_POSITIVE]: 'False positive',
+  [REVIEW_DECISIONS.CONFIRMED]: 'Confirmed',
+  [REVIEW_DECISIONS.ESCALATED]: 'Escalated'
+};
+
+export const OUTCOME_LABELS = {
+  [ATTEMPT_OUTCOMES.ACCEPTED]: 'Accepted',
+  [ATTEMPT_OUTCOMES.SCORE_WITHHELD]: 'Score withheld',
+  [ATTEMPT_OUTCOMES.INVALIDATED]: 'Invalidated'
+};
+
+function readLocalReviews() {
+  return offlineManager.getCachedData(REVIEWS_CACHE_KEY) || [];
+}
+
+/**
+ * Identify the reviewer from the signed-in user
+ * @param {Object} user - User from useAuth()
+ * @returns {{ id: string, name: string }}
+ */
+function getReviewer(user) {
+  const id = user?.id || user?.username || localStorage.getItem('username') || 'unknown';
+  return { id, name: user?.name || user?.email || id };
+}
+
+/**
+ * Record a decision on a violation
+ * @param {Object} event - The violation (from proctoringEventService)
+ * @param {Object} review
+ * @param {string} review.decision - One of REVIEW_DECISIONS
+ * @param {string} [review.note] - Reviewer's note
+ * @param {{ id: string, name: string }} review.reviewer - Who made the decision
+ * @returns {Promise<Object>} The stored review
+ */
+async function reviewEvent(event, { decision, note = '', reviewer }) {
+  if (!Object.values(REVIEW_DECISIONS).includes(decision)) {
+    throw new Error(`Unknown review decision: ${decision}`);
+  }
+  if (!reviewer?.id) {
+    throw new Error('A reviewer is required to record a decision.');
+  }
+
+  const review = {
+    eventId: event.id,
+    attemptId: event.attemptId,
+    eventType: event.type,
+    decision,
+    note: note.trim(),
+    reviewer,
+    reviewedAt: new Date(trustedClockService.now()).toISOString()
+  };
+
+  const reviews = readLocalReviews();
+  const index = reviews.findIndex(r => r.eventId === event.id);
+  if (index >= 0) {
+    const { history = [], ...previous } = reviews[index];
+    reviews[index] = { ...review, history: [...history, previous] };
+  } else {
+    reviews.push({ ...review, history: [] });
+  }
+  offlineManager.cacheData(REVIEWS_CACHE_KEY, reviews);
+  if (VERBOSE_LOGGING) console.log(`reviewService: ${event.type} ${event.id} marked ${decision}`);
+
+  if (!USE_MOCK_DATA) {
+    try {
+      await apiClient.put(`/proctoring/events/${event.id}/review`, review);
+    } catch (error) {
+      console.warn(`API call failed for reviewing event ${event.id}, kept locally:`, error);
+    }
+  }
+
+  return reviews.find(r => r.eventId === event.id);
+}
+
+/**
+ * Fetch review decisions, optionally for one attempt.
+ * Uses real API with fallback to the offline cache.
+ * @param {Object} [filters]
+ * @param {string} [filters.attemptId] - Only reviews of this attempt
+ * @returns {Promise<Array<Object>>}
+ */
+async function getReviews({ attemptId } = {}) {
+  const local = () => readLocalReviews().filter(r => !attemptId || r.attemptId === attemptId);
+
+  if (USE_MOCK_DATA) {
+    return local();
+  }
+
+  try {
+    const query = attemptId ? `?attemptId=${encodeURIComponent(attemptId)}` : '';
+    const response = await apiClient.get(`/proctoring/reviews${query}`);
+    return Array.isArray(response) ? response : response?.reviews || [];
+  } catch (error) {
+    console.warn('API call failed for reviews, falling back to offline cache:', error);
+    return local();
+  }
+}
+
+/**
+ * Count how many of an attempt's violations have been reviewed
+ * @param {Array<Object>} violations - The attempt's violation events
+ * @param {Array<Object>} reviews - Reviews (any attempt)
+ * @returns {{ total: number, reviewed: number, pending: number, byDecision: Object<string, number> }}
+ */
+function summarizeReviews(violations, reviews) {
+  const byEvent = new Map(reviews.map(r => [r.eventId, r]));
+  const byDecision = {};
+  let reviewed = 0;
+
+  violations.forEach(event => {
+    const review = byEvent.get(event.id);
+    if (!review) return;
+    reviewed += 1;
+    byDecision[review.decision] = (byDecision[review.decision] || 0) + 1;
+  });
+
+  return { total: violations.length, reviewed, pending: violations.length - reviewed, byDecision };
+}
+
+/**
+ * Suggest an attempt outcome from its reviews: accepted when nothing was
+ * confirmed or escalated, otherwise the score is withheld. Invalidating an
+ * attempt is always the teacher's explicit choice.
+ * @param {{ byDecision: Object<string, number> }} summary - From summarizeReviews
+ * @returns {string} One of ATTEMPT_OUTCOMES
+ */
+function suggestOutcome(summary) {
+  const { byDecision = {} } = summary || {};
+  return byDecision[REVIEW_DECISIONS.CONFIRMED] || byDecision[REVIEW_DECISIONS.ESCALATED]
+    ? ATTEMPT_OUTCOMES.SCORE_WITHHELD
+    : ATTEMPT_OUTCOMES.ACCEPTED;
+}
+
+/**
+ * Set the final outcome of an attempt
+ * @param {string} attemptId - The attempt ID
+ * @param {Object} outcome
+ * @param {string} outcome.outcome - One of ATTEMPT_OUTCOMES
+ * @param {string} [outcome.note] - Explanation shown to the student
+ * @param {{ id: string, name: string }} outcome.reviewer - Who decided
+ * @returns {Promise<Object>} The updated attempt
+ */
+async function setAttemptOutcome(attemptId, { outcome, note = '', reviewer }) {
+  if (!Object.values(ATTEMPT_OUTCOMES).includes(outcome)) {
+    throw new Error(`Unknown attempt outcome: ${outcome}`);
+  }
+  if (!reviewer?.id) {
+    throw new Error('A reviewer is required to record a decision.');
+  }
+
+  return attemptService.updateAttempt(attemptId, {
+    review: {
+      outcome,
+      note: note.trim(),
+      reviewer,
+      decidedAt: new Date(trustedClockService.now()).toISOString()
+    }
+  });
+}
+
+export const reviewService = {
+  reviewEvent,
+  getReviews,
+  summarizeReviews,
+  suggestOutcome,
+  setAttemptOutcome,
+  getReviewer,
+  REVIEW_DECISIONS,
+  ATTEMPT_OUTCOMES
+};
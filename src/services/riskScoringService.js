@@ -0,0 +1,148 @@
+// src/services/riskScoringService.js
+
+/**
+ * Risk Scoring Service
+ *
+ * Gives each attempt a weighted risk score from its proctoring events so
+ * teachers can triage large exams. A violation scores a base weight for its
+ * type plus a weight per second it lasted, so 10 s without a face counts more
+ * than a 1 s blip, and violations that keep repeating are weighted up. Scores
+ * are bucketed into clear / review / flagged.
+ *
+ * Weights and thresholds default to RISK_SCORING in config.js; callers (or a
+ * quiz's `riskScoring` setting) may override any part of them.
+ */
+
+import { EVENT_TYPES, VIOLATION_TYPES } from './proctoringEventService';
+import { RISK_SCORING } from './config';
+
+export const RISK_BUCKETS = {
+  CLEAR: 'clear',
+  REVIEW: 'review',
+  FLAGGED: 'flagged'
+};
+
+// Events that end a violation with a duration (the violation lasts until one of them)
+const DURATION_ENDS = {
+  [EVENT_TYPES.TAB_SWITCH]: [EVENT_TYPES.TAB_RETURN],
+  [EVENT_TYPES.FACE_LOST]: [EVENT_TYPES.FACE_DETECTED, EVENT_TYPES.MULTIPLE_FACES],
+  [EVENT_TYPES.MULTIPLE_FACES]: [EVENT_TYPES.FACE_DETECTED, EVENT_TYPES.FACE_LOST]
+};
+
+/**
+ * Merge scoring overrides with the defaults
+ * @param {Object} [overrides] - Partial RISK_SCORING-shaped settings
+ * @returns {Object}
+ */
+function resolveSettings(overrides = {}) {
+  const weights = { ...RISK_SCORING.weights };
+  Object.entries(overrides.weights || {}).forEach(([type, weight]) => {
+    weights[type] = { ...weights[type], ...weight };
+  });
+
+  return {
+    ...RISK_SCORING,
+    ...overrides,
+    weights,
+    thresholds: { ...RISK_SCORING.thresholds, ...overrides.thresholds }
+  };
+}
+
+/**
+ * How long a violation lasted, in seconds
+ * @param {Object} event - The violation
+ * @param {Array<Object>} laterEvents - Events after it, oldest first
+ * @param {number|null} endTime - End of the attempt (ms), for violations still open at the end
+ * @returns {number}
+ */
+function getViolationDuration(event, laterEvents, endTime) {
+  const endTypes = DURATION_ENDS[event.type];
+  if (!endTypes) return 0;
+
+  const start = new Date(event.timestamp).getTime();
+  const closing = laterEvents.find(e => endTypes.includes(e.type));
+  const end = closing ? new Date(closing.timestamp).getTime() : endTime;
+  return end !== null && end > start ? (end - start) / 1000 : 0;
+}
+
+/**
+ * Score an attempt's proctoring events
+ * @param {Array<Object>} events - The attempt's events
+ * @param {Object} [options]
+ * @param {string|number|null} [options.endTime] - When the attempt ended (closes open violations)
+ * @param {Object} [options.settings] - Overrides for RISK_SCORING
+ * @returns {{ score: number, bucket: string, breakdown: Object<string, { count: number, seconds: number, points: number }> }}
+ */
+function scoreAttempt(events, { endTime = null, settings: overrides } = {}) {
+  const settings = resolveSettings(overrides);
+  const sorted = [...events].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const end = endTime !== null ? new Date(endTime).getTime() : null;
+  const lastSeen = {};
+  const breakdown = {};
+
+  sorted.forEach((event, index) => {
+    if (!VIOLATION_TYPES.includes(event.type)) return;
+    const weight = settings.weights[event.type] || { base: 0, perSecond: 0 };
+    const time = new Date(event.timestamp).getTime();
+
+    const seconds = Math.min(
+      getViolationDuration(event, sorted.slice(index + 1), end),
+      settings.maxSecondsPerEvent
+    );
+    let points = (weight.base || 0) + (weight.perSecond || 0) * seconds;
+
+    // Repeating the same violation soon after the last one weighs more
+    if (lastSeen[event.type] !== undefined && time - lastSeen[event.type] <= settings.frequencyWindowSeconds * 1000) {
+      points *= settings.frequencyMultiplier;
+    }
+    lastSeen[event.type] = time;
+
+    const entry = breakdown[event.type] || { count: 0, seconds: 0, points: 0 };
+    breakdown[event.type] = {
+      count: entry.count + 1,
+      seconds: entry.seconds + seconds,
+      points: entry.points + points
+    };
+  });
+
+  const score = Math.round(Object.values(breakdown).reduce((sum, b) => sum + b.points, 0) * 10) / 10;
+  return { score, bucket: getBucket(score, settings), breakdown };
+}
+
+/**
+ * Bucket a risk score
+ * @param {number} score - Risk score
+ * @param {Object} [settings] - Resolved settings (defaults to RISK_SCORING)
+ * @returns {string} One of RISK_BUCKETS
+ */
+function getBucket(score, settings = RISK_SCORING) {
+  if (score >= settings.thresholds.flagged) return RISK_BUCKETS.FLAGGED;
+  if (score >= settings.thresholds.review) return RISK_BUCKETS.REVIEW;
+  return RISK_BUCKETS.CLEAR;
+}
+
+/**
+ * Score and rank many attempts, highest risk first
+ * @param {Array<{ attempt: Object, events: Array<Object> }>} entries - Attempts with their events
+ * @param {Object} [settings] - Overrides for RISK_SCORING
+ * @returns {Array<Object>} Entries with a `risk` result added
+ */
+function rankAttempts(entries, settings) {
+  return entries
+    .map(entry => ({
+      ...entry,
+      risk: scoreAttempt(entry.events, {
+        endTime: entry.attempt?.submittedAt || null,
+        settings
+      })
+    }))
+    .sort((a, b) => b.risk.score - a.risk.score);
+}
+
+export const riskScoringService = {
+  scoreAttempt,
+  rankAttempts,
+  getBucket,
+  resolveSettings,
+  RISK_BUCKETS
+};
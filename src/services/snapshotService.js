@@ -0,0 +1,214 @@
+// src/services/snapshotService.js
+
+/**
+ * Snapshot Service
+ *
+ * Captures a webcam frame (webcamService.captureFrame) when a proctoring
+ * violation is recorded, so teachers can see what the camera saw at that
+ * moment in the attempt timeline.
+ *
+ * Frames are small JPEG data URLs kept per attempt in local storage (a few per
+ * attempt, oldest dropped first). With a backend, each frame is posted outside
+ * apiClient's offline queue and removed from local storage once the server
+ * accepts it; frames left over from an offline attempt are sent by
+ * syncSnapshots. Frames share the storage quota with the event log and attempt
+ * checkpoints, so a frame that does not fit is not stored rather than pushing
+ * those out.
+ */
+
+import * as webcamService from './webcamService';
+import { apiClient } from './apiClient';
+import { offlineManager } from './offlineManager';
+import { trustedClockService } from './trustedClockService';
+import { USE_MOCK_DATA, VERBOSE_LOGGING } from './config';
+
+const SNAPSHOT_CACHE_PREFIX = 'offline_snapshots_';
+// Attempts that have snapshots stored, so leftovers can be found and sent
+const SNAPSHOT_INDEX_KEY = 'offline_snapshot_attempts';
+const MAX_SNAPSHOTS_PER_ATTEMPT = 10;
+const SNAPSHOT_MAX_WIDTH = 160;
+const SNAPSHOT_QUALITY = 0.5;
+
+// A snapshot taken this long before an event is still shown for it
+export const NEAREST_SNAPSHOT_WINDOW_MS = 60 * 1000;
+
+function readLocalSnapshots(attemptId) {
+  return offlineManager.getCachedData(`${SNAPSHOT_CACHE_PREFIX}${attemptId}`) || [];
+}
+
+/**
+ * Store an attempt's snapshots
+ * @param {string} attemptId - The attempt ID
+ * @param {Array<Object>} snapshots - All of the attempt's stored snapshots
+ * @returns {boolean} Whether they were stored (false when storage is full)
+ */
+function writeLocalSnapshots(attemptId, snapshots) {
+  const attemptIds = offlineManager.getCachedData(SNAPSHOT_INDEX_KEY) || [];
+
+  try {
+    if (snapshots.length === 0) {
+      localStorage.removeItem(`${SNAPSHOT_CACHE_PREFIX}${attemptId}`);
+      localStorage.setItem(SNAPSHOT_INDEX_KEY, JSON.stringify(attemptIds.filter(id => id !== attemptId)));
+      return true;
+    }
+
+    if (!attemptIds.includes(attemptId)) {
+      localStorage.setItem(SNAPSHOT_INDEX_KEY, JSON.stringify([...attemptIds, attemptId]));
+    }
+    localStorage.setItem(`${SNAPSHOT_CACHE_PREFIX}${attemptId}`, JSON.stringify(snapshots));
+    return true;
+  } catch (error) {
+    console.warn(`snapshotService: No room to store snapshots of attempt ${attemptId}:`, error);
+    return false;
+  }
+}
+
+function removeLocalSnapshot(snapshot) {
+  const snapshots = readLocalSnapshots(snapshot.attemptId);
+  writeLocalSnapshots(snapshot.attemptId, snapshots.filter(s => s.eventId !== snapshot.eventId));
+}
+
+/**
+ * Upload a snapshot, removing it from local storage once the server has it
+ * @param {Object} snapshot - The snapshot
+ * @returns {Promise<boolean>} False when it should be retried later
+ */
+async function uploadSnapshot(snapshot) {
+  try {
+    // Not queued by apiClient: its queue lives in the same storage quota
+    await apiClient.post('/proctoring/snapshots', snapshot, { queue: false });
+  } catch (error) {
+    if (apiClient.isRetryable(error)) return false;
+    console.warn(`Snapshot for event ${snapshot.eventId} was refused by the server, dropping it:`, error);
+  }
+
+  removeLocalSnapshot(snapshot);
+  return true;
+}
+
+function readAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Convert a captured frame to a small JPEG data URL
+ * @param {Blob} blob - Frame from webcamService.captureFrame
+ * @returns {Promise<string>}
+ */
+async function toThumbnail(blob) {
+  if (typeof createImageBitmap !== 'function') {
+    return readAsDataUrl(blob);
+  }
+
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, SNAPSHOT_MAX_WIDTH / bitmap.width);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+  return canvas.toDataURL('image/jpeg', SNAPSHOT_QUALITY);
+}
+
+/**
+ * Capture the current webcam frame for a proctoring event
+ * @param {Object} event - Event from proctoringEventService.recordEvent
+ * @returns {Promise<Object|null>} The stored snapshot, or null if no frame was available
+ */
+async function captureForEvent(event) {
+  if (!event?.attemptId) return null;
+
+  try {
+    const blob = await webcamService.captureFrame();
+    if (!blob) return null;
+
+    const snapshot = {
+      eventId: event.id,
+      attemptId: event.attemptId,
+      eventType: event.type,
+      capturedAt: new Date(trustedClockService.now()).toISOString(),
+      image: await toThumbnail(blob)
+    };
+
+    const snapshots = [...readLocalSnapshots(event.attemptId), snapshot].slice(-MAX_SNAPSHOTS_PER_ATTEMPT);
+    writeLocalSnapshots(event.attemptId, snapshots);
+    if (VERBOSE_LOGGING) console.log(`snapshotService: Captured frame for ${event.type}`);
+
+    if (!USE_MOCK_DATA) uploadSnapshot(snapshot);
+
+    return snapshot;
+  } catch (error) {
+    console.error('snapshotService: Failed to capture snapshot:', error);
+    return null;
+  }
+}
+
+/**
+ * Upload the snapshots still stored locally (taken while the server could not
+ * be reached). Stops at the first one that cannot be sent.
+ * @returns {Promise<number>} How many stored snapshots were sent
+ */
+async function syncSnapshots() {
+  if (USE_MOCK_DATA) return 0;
+
+  const attemptIds = offlineManager.getCachedData(SNAPSHOT_INDEX_KEY) || [];
+  let sent = 0;
+  for (const snapshot of attemptIds.flatMap(readLocalSnapshots)) {
+    if (!(await uploadSnapshot(snapshot))) break;
+    sent++;
+  }
+  return sent;
+}
+
+/**
+ * Get an attempt's snapshots, oldest first. Uses real API with fallback to the offline cache.
+ * @param {string} attemptId - The attempt ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getSnapshots(attemptId) {
+  if (USE_MOCK_DATA) {
+    return readLocalSnapshots(attemptId);
+  }
+
+  try {
+    const response = await apiClient.get(`/proctoring/snapshots?attemptId=${encodeURIComponent(attemptId)}`);
+    return Array.isArray(response) ? response : response?.snapshots || [];
+  } catch (error) {
+    console.warn(`API call failed for snapshots of attempt ${attemptId}, falling back to offline cache:`, error);
+    return readLocalSnapshots(attemptId);
+  }
+}
+
+/**
+ * Find the snapshot to show for an event: its own, or else the latest one
+ * taken shortly before it
+ * @param {Array<Object>} snapshots - The attempt's snapshots
+ * @param {Object} event - The selected event
+ * @returns {{ snapshot: Object, exact: boolean }|null}
+ */
+function findSnapshotForEvent(snapshots, event) {
+  const own = snapshots.find(s => s.eventId === event.id);
+  if (own) return { snapshot: own, exact: true };
+
+  const eventTime = new Date(event.timestamp).getTime();
+  const earlier = snapshots
+    .filter(s => {
+      const capturedAt = new Date(s.capturedAt).getTime();
+      return capturedAt <= eventTime && eventTime - capturedAt <= NEAREST_SNAPSHOT_WINDOW_MS;
+    })
+    .sort((a, b) => new Date(b.capturedAt) - new Date(a.capturedAt));
+
+  return earlier.length > 0 ? { snapshot: earlier[0], exact: false } : null;
+}
+
+export const snapshotService = {
+  captureForEvent,
+  syncSnapshots,
+  getSnapshots,
+  findSnapshotForEvent
+};
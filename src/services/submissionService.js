@@ -0,0 +1,212 @@
+// src/services/submissionService.js
+
+/**
+ * Submission Service
+ *
+ * Submits a finished quiz attempt exactly once:
+ * - every attempt gets an idempotency key that is reused for all retries,
+ *   so neither a double click nor a replay of the offline queue can create
+ *   a second submission
+ * - a SHA-256 receipt is computed over the submitted content, so the student
+ *   has proof of exactly what was handed in and when
+ * The submission record is kept in secure storage until the attempt ends.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { quizService } from './quizService';
+import { secureStorageService } from './secureStorageService';
+import { hashSeed, summarizePaper } from './paperGenerator';
+import { VERBOSE_LOGGING } from './config';
+
+const SUBMISSION_KEY_PREFIX = 'quiz_submission_';
+
+export const SUBMISSION_STATUS = {
+  PENDING: 'pending',
+  QUEUED: 'queued',
+  SUBMITTED: 'submitted'
+};
+
+/**
+ * Serialize a value as JSON with object keys sorted, so the same content always hashes the same
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash text with SHA-256 (Web Crypto), falling back to FNV-1a where it is unavailable
+ * @param {string} text - Text to hash
+ * @returns {Promise<{ algorithm: string, hash: string }>} Hex digest
+ */
+async function hashText(text) {
+  const subtle = globalThis.crypto?.subtle;
+  if (subtle) {
+    const digest = await subtle.digest('SHA-256', new TextEncoder().encode(text));
+    const hash = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return { algorithm: 'SHA-256', hash };
+  }
+
+  console.warn('submissionService: Web Crypto unavailable, using FNV-1a for the receipt hash');
+  return { algorithm: 'FNV-1a', hash: hashSeed(text).toString(16).padStart(8, '0') };
+}
+
+/**
+ * Build the receipt for a submission
+ * @param {Object} submission - What is being submitted
+ * @param {string} submission.quizId - The quiz ID
+ * @param {string} submission.studentId - The student identifier
+ * @param {string} submission.idempotencyKey - The submission's idempotency key
+ * @param {Array<any>} submission.answers - Submitted answers
+ * @param {Object} [submission.paper] - Paper summary the answers refer to
+ * @param {string} submission.submittedAt - ISO timestamp
+ * @returns {Promise<Object>} Receipt
+ */
+export async function createReceipt({ quizId, studentId, idempotencyKey, answers, paper = null, submittedAt }) {
+  const { algorithm, hash } = await hashText(canonicalJson({
+    quizId,
+    studentId,
+    idempotencyKey,
+    answers,
+    paper,
+    submittedAt
+  }));
+
+  return {
+    // Short, readable code the student can quote; the full hash is the proof
+    receiptId: hash.slice(0, 12).toUpperCase().match(/.{1,4}/g).join('-'),
+    algorithm,
+    hash,
+    quizId,
+    studentId,
+    idempotencyKey,
+    submittedAt,
+    answeredCount: (answers || []).filter(answer => answer !== undefined && answer !== null && answer !== '').length,
+    questionCount: (answers || []).length
+  };
+}
+
+/**
+ * Check a receipt against the content it claims to cover
+ * @param {Object} receipt - Receipt from createReceipt
+ * @param {Array<any>} answers - Submitted answers
+ * @param {Object} [paper] - Paper summary the answers refer to
+ * @returns {Promise<boolean>} Whether the receipt matches
+ */
+export async function verifyReceipt(receipt, answers, paper = null) {
+  if (!receipt?.hash) return false;
+  const expected = await createReceipt({ ...receipt, answers, paper });
+  return expected.hash === receipt.hash;
+}
+
+function getSubmissionKey(attemptId) {
+  return `${SUBMISSION_KEY_PREFIX}${attemptId}`;
+}
+
+/**
+ * Load the stored submission record for an attempt
+ * @param {string} attemptId - Attempt identifier
+ * @returns {Object|null} Submission record
+ */
+function getSubmission(attemptId) {
+  const stored = secureStorageService.getItem(getSubmissionKey(attemptId));
+  if (!stored) return null;
+
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    console.error('submissionService: Failed to read submission record:', error);
+    return null;
+  }
+}
+
+function saveSubmission(attemptId, record) {
+  secureStorageService.setItem(getSubmissionKey(attemptId), JSON.stringify(record));
+}
+
+/**
+ * Forget an attempt's submission record (e.g. when a new attempt is started)
+ * @param {string} attemptId - Attempt identifier
+ */
+function clearSubmission(attemptId) {
+  secureStorageService.removeItem(getSubmissionKey(attemptId));
+}
+
+/**
+ * Submit a quiz attempt once. Calling this again for the same attempt returns
+ * the original receipt and result without submitting again.
+ * @param {Object} attempt - The attempt being submitted
+ * @param {string} [attempt.attemptId] - Attempt identifier (defaults to quizId + studentId)
+ * @param {string} attempt.quizId - The quiz ID
+ * @param {string} attempt.studentId - The student identifier
+ * @param {Array<any>} attempt.answers - The student's answers
+ * @param {Object} [attempt.paper] - Generated paper (see paperGenerator)
+ * @param {Array<Object>} [attempt.proctoringLog] - Proctoring events for the attempt
+ * @param {number} [attempt.timeSpent] - Seconds spent on the quiz
+ * @returns {Promise<{ receipt: Object, result: Object|null, status: string, queued: boolean, duplicate: boolean, message: string }>}
+ */
+async function submitAttempt({ attemptId, quizId, studentId, answers, paper = null, proctoringLog = [], timeSpent = null }) {
+  const id = attemptId || `${quizId}_${studentId}`;
+  const existing = getSubmission(id);
+
+  if (existing && existing.status !== SUBMISSION_STATUS.PENDING) {
+    if (VERBOSE_LOGGING) console.log(`submissionService: Attempt ${id} already submitted, returning stored receipt`);
+    return { ...existing, duplicate: true };
+  }
+
+  // Reuse the key of an interrupted earlier try so the server can deduplicate it
+  const idempotencyKey = existing?.idempotencyKey || uuidv4();
+  const submittedAt = existing?.submittedAt || new Date().toISOString();
+  const paperSummary = paper ? summarizePaper(paper) : null;
+
+  const receipt = await createReceipt({ quizId, studentId, idempotencyKey, answers, paper: paperSummary, submittedAt });
+  saveSubmission(id, { status: SUBMISSION_STATUS.PENDING, idempotencyKey, submittedAt, receipt });
+
+  const response = await quizService.submitQuizAnswers(quizId, answers, {
+    paper: paperSummary,
+    proctoringLog,
+    idempotencyKey,
+    studentId,
+    timeSpent,
+    submittedAt
+  });
+
+  // Attach the server's signature to the receipt when the backend provides one
+  const signedReceipt = response?.receipt?.signature
+    ? { ...receipt, serverSignature: response.receipt.signature }
+    : receipt;
+
+  const record = {
+    status: response?.queued ? SUBMISSION_STATUS.QUEUED : SUBMISSION_STATUS.SUBMITTED,
+    idempotencyKey,
+    submittedAt,
+    receipt: signedReceipt,
+    result: response?.result || null,
+    queued: !!response?.queued,
+    message: response?.message || ''
+  };
+  saveSubmission(id, record);
+
+  return { ...record, duplicate: false };
+}
+
+export const submissionService = {
+  submitAttempt,
+  getSubmission,
+  clearSubmission,
+  createReceipt,
+  verifyReceipt,
+  canonicalJson,
+  SUBMISSION_STATUS
+};
@@ -0,0 +1,99 @@
+// src/services/trustedClockService.js
+
+/**
+ * Trusted Clock Service
+ *
+ * Quiz schedule windows and timers must not depend on the renderer's Date,
+ * which a student could tamper with. The clock is synchronized with the main
+ * process over IPC ('clock:now') and then advanced with performance.now(),
+ * which is monotonic and unaffected by system clock changes.
+ *
+ * Outside Electron (e.g. browser development) the local clock is used and
+ * reported as untrusted.
+ */
+
+import { VERBOSE_LOGGING } from './config';
+
+// Re-sync at most this often (ms); also corrects drift after the machine sleeps
+const RESYNC_INTERVAL = 60 * 1000;
+
+let offset = null; // trusted time - performance.now()
+let trusted = false;
+let lastSyncAt = null; // performance.now() of the last sync
+
+/**
+ * Check if the main-process clock is reachable
+ * @returns {boolean}
+ */
+function hasMainProcessClock() {
+  return typeof window !== 'undefined' && !!window.electron?.ipc?.invoke;
+}
+
+/**
+ * Synchronize with the main-process clock
+ * @returns {Promise<{ now: number, trusted: boolean }>}
+ */
+async function sync() {
+  if (hasMainProcessClock()) {
+    try {
+      const requestedAt = performance.now();
+      const response = await window.electron.ipc.invoke('clock:now');
+      const receivedAt = performance.now();
+
+      if (response && Number.isFinite(response.now)) {
+        // Assume the reply was produced halfway through the round trip
+        const midpoint = requestedAt + (receivedAt - requestedAt) / 2;
+        offset = response.now - midpoint;
+        trusted = true;
+        lastSyncAt = receivedAt;
+        if (VERBOSE_LOGGING) console.log('trustedClockService: Synchronized with main process clock');
+        return { now: now(), trusted };
+      }
+    } catch (error) {
+      console.warn('trustedClockService: Failed to reach main process clock:', error);
+    }
+  }
+
+  // Fall back to the local clock
+  offset = Date.now() - performance.now();
+  trusted = false;
+  lastSyncAt = performance.now();
+  return { now: now(), trusted };
+}
+
+/**
+ * Get the current time from the synchronized clock
+ * @returns {number} Milliseconds since the epoch
+ */
+function now() {
+  if (offset === null) {
+    return Date.now();
+  }
+  return offset + performance.now();
+}
+
+/**
+ * Get the current time, re-syncing first if the last sync is stale
+ * @returns {Promise<number>} Milliseconds since the epoch
+ */
+async function getTrustedNow() {
+  if (offset === null || performance.now() - lastSyncAt > RESYNC_INTERVAL) {
+    await sync();
+  }
+  return now();
+}
+
+/**
+ * Whether the current time comes from the main process
+ * @returns {boolean}
+ */
+function isTrusted() {
+  return trusted;
+}
+
+export const trustedClockService = {
+  sync,
+  now,
+  getTrustedNow,
+  isTrusted
+};
@@ -0,0 +1,52 @@
+// src/tests/QuestionRenderer.test.jsx
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import QuestionRenderer from '../components/quiz/QuestionRenderer';
+import { quizService } from '../services/quizService';
+import { gradingService } from '../services/gradingService';
+
+describe('QuestionRenderer', () => {
+  // GK2025: multiple-choice, fill-in-the-blank and true/false questions
+  const getQuestion = async (type) => {
+    const quiz = await quizService.getQuizByPaperCode('GK2025');
+    return quiz.questions.find(question => question.type === type);
+  };
+
+  const answerWith = (question, interact) => {
+    const onAnswer = vi.fn();
+    render(<QuestionRenderer question={question} answer={null} onAnswer={onAnswer} disabled={false} />);
+    expect(screen.getByRole('heading')).toHaveTextContent(question.text);
+    interact();
+    return onAnswer.mock.calls.at(-1)[0];
+  };
+
+  it('should report the selected choice index for multiple-choice questions', async () => {
+    const question = await getQuestion('multiple-choice');
+
+    const answer = answerWith(question, () => fireEvent.click(screen.getByRole('button', { name: 'Paris' })));
+
+    expect(answer).toBe(2);
+    expect(gradingService.gradeQuestion(question, answer).correct).toBe(true);
+  });
+
+  it('should report \'true\' or \'false\' for true/false questions', async () => {
+    const question = await getQuestion('true-false');
+
+    const answer = answerWith(question, () => fireEvent.click(screen.getByRole('button', { name: 'True' })));
+
+    expect(answer).toBe('true');
+    expect(gradingService.gradeQuestion(question, answer).correct).toBe(true);
+  });
+
+  it('should report the typed text for fill-in-the-blank questions', async () => {
+    const question = await getQuestion('fill-in-the-blank');
+
+    const answer = answerWith(question, () => {
+      fireEvent.change(screen.getByPlaceholderText('Type your answer'), { target: { value: 'leonardo da vinci' } });
+    });
+
+    expect(answer).toBe('leonardo da vinci');
+    expect(gradingService.gradeQuestion(question, answer).correct).toBe(true);
+  });
+});
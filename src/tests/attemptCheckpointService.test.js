@@ -0,0 +1,94 @@
+// src/tests/attemptCheckpointService.test.js
+import { describe, it, expect, beforeEach } from 'vitest';
+import { attemptCheckpointService } from '../services/attemptCheckpointService';
+
+describe('Attempt Checkpoint Service', () => {
+  const questionIds = ['q1', 'q2', 'q3', 'q4'];
+  const checkpoint = {
+    quizId: 'quiz1',
+    studentId: 'student1',
+    questionIds,
+    answers: [1, 'true'],
+    answeredQuestions: [true, true],
+    currentQuestionIndex: 1,
+    furthestQuestionIndex: 2,
+    timeRemaining: 900,
+    proctoringLog: [{ type: 'TAB_SWITCH', timestamp: '2025-01-01T10:00:00.000Z' }]
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should save and load an encrypted checkpoint', () => {
+    expect(attemptCheckpointService.saveCheckpoint(checkpoint)).toBe(true);
+
+    // Nothing readable is written to plain storage
+    expect(localStorage.getItem('secure_quiz_checkpoint_quiz1_student1')).not.toContain('TAB_SWITCH');
+
+    const loaded = attemptCheckpointService.loadCheckpoint('quiz1', 'student1');
+    expect(loaded).toMatchObject(checkpoint);
+    expect(loaded.savedAt).toBeTruthy();
+  });
+
+  it('should keep checkpoints separate per student and clear them', () => {
+    attemptCheckpointService.saveCheckpoint(checkpoint);
+
+    expect(attemptCheckpointService.loadCheckpoint('quiz1', 'student2')).toBeNull();
+
+    attemptCheckpointService.clearCheckpoint('quiz1', 'student1');
+    expect(attemptCheckpointService.loadCheckpoint('quiz1', 'student1')).toBeNull();
+  });
+
+  describe('planResume', () => {
+    const saved = { ...checkpoint, savedAt: '2025-01-01T10:00:00.000Z' };
+    const now = new Date('2025-01-01T10:05:30.000Z');
+
+    it('should resume forward-only quizzes at the furthest question reached', () => {
+      const resume = attemptCheckpointService.planResume(saved, questionIds, { forwardOnly: true, now });
+
+      expect(resume.currentQuestionIndex).toBe(2);
+      expect(resume.answers).toEqual([1, 'true']);
+      expect(resume.timeRemaining).toBe(900);
+      expect(resume.proctoringLog).toHaveLength(1);
+    });
+
+    it('should resume free-navigation quizzes where the student left off', () => {
+      const resume = attemptCheckpointService.planResume(saved, questionIds, { forwardOnly: false, now });
+
+      expect(resume.currentQuestionIndex).toBe(1);
+    });
+
+    it('should report the length of the interruption', () => {
+      const resume = attemptCheckpointService.planResume(saved, questionIds, { now });
+
+      expect(resume.gapSeconds).toBe(330);
+      expect(resume.interruptedAt).toBe(saved.savedAt);
+      expect(resume.resumedAt).toBe(now.toISOString());
+    });
+
+    it('should count the time the app was closed against the attempt', () => {
+      // Started 20 minutes ago with a 30 minute limit; the saved countdown still says 15
+      const timing = { now, startedAt: '2025-01-01T09:45:30.000Z', durationSeconds: 1800 };
+
+      expect(attemptCheckpointService.planResume({ ...saved, timeRemaining: 1200 }, questionIds, timing).timeRemaining).toBe(600);
+      expect(attemptCheckpointService.planResume({ ...saved, pausedSeconds: 120 }, questionIds, timing).timeRemaining).toBe(720);
+      expect(attemptCheckpointService.planResume(saved, questionIds, { ...timing, durationSeconds: 900 }).timeRemaining).toBe(0);
+    });
+
+    it('should keep the saved countdown when it is lower than the time since the start allows', () => {
+      const resume = attemptCheckpointService.planResume(saved, questionIds, {
+        now,
+        startedAt: '2025-01-01T10:00:00.000Z',
+        durationSeconds: 1800
+      });
+
+      expect(resume.timeRemaining).toBe(900);
+    });
+
+    it('should refuse checkpoints taken against a different paper', () => {
+      expect(attemptCheckpointService.planResume(saved, ['q1', 'q3', 'q2', 'q4'], { now })).toBeNull();
+      expect(attemptCheckpointService.planResume(null, questionIds, { now })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,151 @@
+// src/tests/attemptService.test.js
+import { describe, it, expect, beforeEach } from 'vitest';
+import { attemptService, ATTEMPT_STATUS, CODE_USAGE } from '../services/attemptService';
+import { quizService } from '../services/quizService';
+import { proctoringEventService, EVENT_TYPES, VIOLATION_SEVERITY } from '../services/proctoringEventService';
+
+describe('Attempt Service', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('checkAttemptAllowance', () => {
+    const submitted = (studentId) => ({ quizId: 'q1', studentId, status: ATTEMPT_STATUS.SUBMITTED });
+
+    it('should allow one attempt per student by default', () => {
+      const quiz = { id: 'q1' };
+
+      expect(attemptService.checkAttemptAllowance(quiz, [], 's1').allowed).toBe(true);
+      expect(attemptService.checkAttemptAllowance(quiz, [submitted('s2')], 's1').allowed).toBe(true);
+
+      const second = attemptService.checkAttemptAllowance(quiz, [submitted('s1')], 's1');
+      expect(second.allowed).toBe(false);
+      expect(second.message).toBe('You have already taken this quiz.');
+    });
+
+    it('should enforce the per-student attempt limit', () => {
+      const quiz = { id: 'q1', maxAttempts: 2 };
+
+      expect(attemptService.checkAttemptAllowance(quiz, [submitted('s1')], 's1')).toMatchObject({
+        allowed: true,
+        attemptsUsed: 1,
+        attemptsAllowed: 2
+      });
+      expect(attemptService.checkAttemptAllowance(quiz, [submitted('s1'), submitted('s1')], 's1').message)
+        .toBe('You have used all 2 attempts for this quiz.');
+    });
+
+    it('should block a single-use code once anyone has used it', () => {
+      const quiz = { id: 'q1', codeUsage: CODE_USAGE.SINGLE_USE };
+      const started = { quizId: 'q1', studentId: 's2', status: ATTEMPT_STATUS.IN_PROGRESS };
+
+      const allowance = attemptService.checkAttemptAllowance(quiz, [started], 's1');
+      expect(allowance.allowed).toBe(false);
+      expect(allowance.message).toBe('This paper code has already been used.');
+    });
+
+    it('should always let a student continue an unfinished attempt', () => {
+      const quiz = { id: 'q1', codeUsage: CODE_USAGE.SINGLE_USE };
+      const started = { id: 'att_1', quizId: 'q1', studentId: 's1', status: ATTEMPT_STATUS.IN_PROGRESS };
+
+      const allowance = attemptService.checkAttemptAllowance(quiz, [started], 's1');
+      expect(allowance.allowed).toBe(true);
+      expect(allowance.inProgressAttempt).toBe(started);
+    });
+  });
+
+  describe('redeemPaperCode', () => {
+    it('should reject empty and unknown codes', async () => {
+      expect((await attemptService.redeemPaperCode('  ', 's1')).message).toBe('Please enter a paper code.');
+      expect((await attemptService.redeemPaperCode('NOPE123', 's1')).message).toBe('Invalid paper code.');
+    });
+
+    it('should redeem a valid code regardless of case', async () => {
+      const redeemed = await attemptService.redeemPaperCode('gk2025', 's1');
+
+      expect(redeemed.success).toBe(true);
+      expect(redeemed.quiz.id).toBe('q1');
+      expect(redeemed.resuming).toBe(false);
+    });
+
+    it('should refuse a code once the student has used their attempt', async () => {
+      const quiz = await quizService.getQuizByPaperCode('GK2025');
+      const attempt = await attemptService.startAttempt(quiz, 's1');
+
+      expect((await attemptService.redeemPaperCode('GK2025', 's1')).resuming).toBe(true);
+
+      await attemptService.completeAttempt(attempt.id);
+      const redeemed = await attemptService.redeemPaperCode('GK2025', 's1');
+
+      expect(redeemed.success).toBe(false);
+      expect(redeemed.message).toBe('You have already taken this quiz.');
+    });
+
+    it('should refuse codes of archived papers', async () => {
+      await quizService.updateQuiz('q2', { archived: true });
+      const redeemed = await attemptService.redeemPaperCode('REACT101', 's1');
+      await quizService.updateQuiz('q2', { archived: false });
+
+      expect(redeemed.success).toBe(false);
+      expect(redeemed.message).toBe('This paper has been archived.');
+    });
+  });
+
+  describe('startAttempt', () => {
+    it('should return the unfinished attempt instead of starting a new one', async () => {
+      const quiz = { id: 'qx', paperCode: 'QX-1' };
+      const first = await attemptService.startAttempt(quiz, 's1');
+      const again = await attemptService.startAttempt(quiz, 's1');
+
+      expect(again.id).toBe(first.id);
+      expect(first).toMatchObject({ quizId: 'qx', paperCode: 'QX-1', number: 1, status: ATTEMPT_STATUS.IN_PROGRESS });
+      expect(await attemptService.getAttempts({ quizId: 'qx' })).toHaveLength(1);
+    });
+  });
+});
+
+describe('attemptService.getPaperAttemptLogs', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should list each attempt with its violations, severity and score', async () => {
+    const quiz = { id: 'qx', paperCode: 'QX-1', maxAttempts: 2 };
+    const attempt = await attemptService.startAttempt(quiz, 's1', { studentName: 'Ada' });
+    const context = { attemptId: attempt.id, quizId: 'qx', studentId: 's1' };
+    proctoringEventService.recordEvent(EVENT_TYPES.TAB_SWITCH, context);
+    proctoringEventService.recordEvent(EVENT_TYPES.FACE_LOST, context);
+    proctoringEventService.recordEvent(EVENT_TYPES.FACE_DETECTED, context);
+    await attemptService.completeAttempt(attempt.id, { result: { percentage: 80 } });
+    await attemptService.startAttempt(quiz, 's2');
+
+    const logs = await attemptService.getPaperAttemptLogs(quiz);
+
+    expect(logs).toHaveLength(2);
+    expect(logs.find(l => l.studentId === 's1')).toMatchObject({
+      studentName: 'Ada',
+      violations: 2,
+      violationTypes: ['TAB_SWITCH', 'faceLost'],
+      severity: VIOLATION_SEVERITY.LOW,
+      score: 80,
+      status: ATTEMPT_STATUS.SUBMITTED
+    });
+    expect(logs.find(l => l.studentId === 's2')).toMatchObject({
+      studentName: 's2',
+      violations: 0,
+      severity: VIOLATION_SEVERITY.NONE,
+      score: null,
+      endTime: null
+    });
+  });
+});
+
+describe('quizService.assignPaperCode', () => {
+  it('should reject codes already used by another quiz', async () => {
+    await expect(quizService.assignPaperCode('q1', 'react101')).rejects.toThrow('already used by another quiz');
+  });
+
+  it('should reject malformed codes', async () => {
+    await expect(quizService.assignPaperCode('q1', 'a b')).rejects.toThrow('4–20 characters');
+  });
+});
@@ -0,0 +1,320 @@
+// src/tests/gradingService.test.js
+import { describe, it, expect } from 'vitest';
+import { gradingService } from '../services/gradingService';
+import { MULTIPLE_RESPONSE_SCORING, NUMERIC_TOLERANCE } from '../services/questionValidation';
+
+describe('Grading Service', () => {
+  const quiz = {
+    id: 'quiz1',
+    questions: [
+      { id: 'mc', type: 'multiple-choice', choices: ['Berlin', 'Madrid', 'Paris', 'Rome'], correctAnswer: 2, points: 2 },
+      { id: 'tf', type: 'true-false', correctAnswer: 'true', points: 1 },
+      { id: 'fill', type: 'fill-in-the-blank', correctAnswer: 'Leonardo da Vinci', caseSensitive: false, points: 3 },
+      { id: 'fill-cs', type: 'fill-in-the-blank', correctAnswer: 'JSX', caseSensitive: true, points: 1 }
+    ]
+  };
+
+  describe('gradeQuestion', () => {
+    it('should grade multiple-choice answers by choice index', () => {
+      const question = quiz.questions[0];
+
+      expect(gradingService.gradeQuestion(question, 2).correct).toBe(true);
+      expect(gradingService.gradeQuestion(question, '2').correct).toBe(true);
+      expect(gradingService.gradeQuestion(question, 1).correct).toBe(false);
+    });
+
+    it('should grade multiple-choice questions that store the correct choice text', () => {
+      const question = { id: 'legacy', type: 'multiple-choice', choices: ['3', '4', '5'], correctAnswer: '4' };
+
+      expect(gradingService.gradeQuestion(question, 1).correct).toBe(true);
+      expect(gradingService.gradeQuestion(question, 0).correct).toBe(false);
+    });
+
+    it('should accept true/false answers as strings or booleans', () => {
+      const question = quiz.questions[1];
+
+      expect(gradingService.gradeQuestion(question, 'true').correct).toBe(true);
+      expect(gradingService.gradeQuestion(question, ' True ').correct).toBe(true);
+      expect(gradingService.gradeQuestion(question, true).correct).toBe(true);
+      expect(gradingService.gradeQuestion(question, 'false').correct).toBe(false);
+      expect(gradingService.gradeQuestion(question, 'maybe').correct).toBe(false);
+    });
+
+    it('should normalize whitespace and case for case-insensitive fill-in answers', () => {
+      const question = quiz.questions[2];
+
+      expect(gradingService.gradeQuestion(question, '  leonardo   DA vinci ').correct).toBe(true);
+      expect(gradingService.gradeQuestion(question, 'Michelangelo').correct).toBe(false);
+    });
+
+    it('should respect case-sensitive fill-in answers', () => {
+      const question = quiz.questions[3];
+
+      expect(gradingService.gradeQuestion(question, ' JSX ').correct).toBe(true);
+      expect(gradingService.gradeQuestion(question, 'jsx').correct).toBe(false);
+    });
+
+    it('should treat blank answers as unanswered and award no points', () => {
+      const result = gradingService.gradeQuestion(quiz.questions[2], '   ');
+
+      expect(result.answered).toBe(false);
+      expect(result.correct).toBe(false);
+      expect(result.earnedPoints).toBe(0);
+      expect(result.possiblePoints).toBe(3);
+    });
+
+    it('should default missing or invalid points to 1', () => {
+      const result = gradingService.gradeQuestion({ id: 'x', type: 'true-false', correctAnswer: 'false', points: NaN }, 'false');
+
+      expect(result.possiblePoints).toBe(1);
+      expect(result.earnedPoints).toBe(1);
+    });
+  });
+
+  describe('gradeSubmission', () => {
+    it('should total earned and possible points with a percentage', () => {
+      const result = gradingService.gradeSubmission(quiz, [2, 'false', 'leonardo da vinci']);
+
+      expect(result.results).toHaveLength(4);
+      expect(result.earnedPoints).toBe(5);
+      expect(result.possiblePoints).toBe(7);
+      expect(result.percentage).toBe(71.43);
+      expect(result.correctCount).toBe(2);
+      expect(result.answeredCount).toBe(3);
+      expect(result.totalQuestions).toBe(4);
+    });
+
+    it('should handle quizzes without questions', () => {
+      const result = gradingService.gradeSubmission({ id: 'empty' }, []);
+
+      expect(result.possiblePoints).toBe(0);
+      expect(result.percentage).toBe(0);
+    });
+  });
+
+  describe('multiple-response questions', () => {
+    const question = (scoring) => ({
+      id: 'mr',
+      type: 'multiple-response',
+      choices: ['2', '3', '4', '5'],
+      correctAnswer: [0, 1, 3],
+      scoring,
+      points: 6
+    });
+    const earned = (scoring, answer) => gradingService.gradeQuestion(question(scoring), answer).earnedPoints;
+
+    it('should give full points only for exactly the correct options when all-or-nothing', () => {
+      const result = gradingService.gradeQuestion(question(MULTIPLE_RESPONSE_SCORING.ALL_OR_NOTHING), [0, 1, 3]);
+
+      expect(result).toMatchObject({ correct: true, earnedPoints: 6 });
+      expect(earned(MULTIPLE_RESPONSE_SCORING.ALL_OR_NOTHING, [0, 1])).toBe(0);
+      expect(earned(MULTIPLE_RESPONSE_SCORING.ALL_OR_NOTHING, [0, 1, 2, 3])).toBe(0);
+    });
+
+    it('should credit every option judged correctly with partial scoring', () => {
+      // Two right ticks and the wrong option left alone: 3 of 4 options judged correctly
+      expect(earned(MULTIPLE_RESPONSE_SCORING.PARTIAL, [0, 1])).toBe(4.5);
+      // One right tick, one wrong tick: 1 of 4
+      expect(earned(MULTIPLE_RESPONSE_SCORING.PARTIAL, [0, 2])).toBe(1.5);
+      expect(gradingService.gradeQuestion(question(MULTIPLE_RESPONSE_SCORING.PARTIAL), [0, 1]).correct).toBe(false);
+    });
+
+    it('should subtract wrong ticks from right ones, never below zero, with right-minus-wrong', () => {
+      expect(earned(MULTIPLE_RESPONSE_SCORING.RIGHT_MINUS_WRONG, [0, 1])).toBe(4);
+      expect(earned(MULTIPLE_RESPONSE_SCORING.RIGHT_MINUS_WRONG, [0, 1, 2])).toBe(2);
+      expect(earned(MULTIPLE_RESPONSE_SCORING.RIGHT_MINUS_WRONG, [0, 2])).toBe(0);
+      expect(earned(MULTIPLE_RESPONSE_SCORING.RIGHT_MINUS_WRONG, [2])).toBe(0);
+    });
+
+    it('should treat an empty selection as unanswered', () => {
+      const result = gradingService.gradeQuestion(question(MULTIPLE_RESPONSE_SCORING.PARTIAL), []);
+
+      expect(result).toMatchObject({ answered: false, earnedPoints: 0 });
+    });
+
+    it('should map ticked options on a shuffled paper back to the authored ones', () => {
+      const mr = question(MULTIPLE_RESPONSE_SCORING.ALL_OR_NOTHING);
+      const paper = { questionIds: ['mr'], optionOrders: { mr: [3, 2, 1, 0] } };
+
+      const result = gradingService.gradeSubmission({ questions: [mr] }, [[0, 2, 3]], paper);
+
+      expect(result.results[0]).toMatchObject({ answer: [0, 1, 3], correct: true, earnedPoints: 6 });
+    });
+
+    it('should keep fractional totals to two decimals', () => {
+      const third = { ...question(MULTIPLE_RESPONSE_SCORING.RIGHT_MINUS_WRONG), points: 1 };
+      const result = gradingService.gradeSubmission({ questions: [third, { ...third, id: 'mr2' }] }, [[0], [0, 1]]);
+
+      expect(result.earnedPoints).toBe(1);
+      expect(result.percentage).toBe(50);
+    });
+  });
+
+  describe('essay questions', () => {
+    const essay = { id: 'essay', type: 'essay', text: 'Discuss.', points: 4 };
+
+    it('should leave answered essays for the teacher to grade', () => {
+      const result = gradingService.gradeSubmission({ questions: [quiz.questions[1], essay] }, ['true', 'My answer.']);
+
+      expect(result.results[1]).toMatchObject({ answered: true, pendingGrading: true, earnedPoints: 0 });
+      expect(result).toMatchObject({ earnedPoints: 1, possiblePoints: 5, pendingGradingCount: 1 });
+    });
+
+    it('should not wait for a grade on blank essays', () => {
+      expect(gradingService.gradeQuestion(essay, '   ')).toMatchObject({ answered: false, pendingGrading: false, earnedPoints: 0 });
+    });
+
+    it('should update the totals when a teacher grades an essay', () => {
+      const submitted = gradingService.gradeSubmission({ questions: [quiz.questions[1], essay] }, ['true', 'My answer.']);
+
+      const graded = gradingService.applyManualGrade(submitted, 'essay', { points: 3, comment: 'Good.' });
+
+      expect(graded.results[1]).toMatchObject({ earnedPoints: 3, correct: false, pendingGrading: false, grade: { comment: 'Good.' } });
+      expect(graded).toMatchObject({ earnedPoints: 4, percentage: 80, pendingGradingCount: 0 });
+      expect(submitted.pendingGradingCount).toBe(1);
+    });
+
+    it('should count words but not list markers or stray punctuation', () => {
+      expect(gradingService.countWords('• First point\n2. Second — point ')).toBe(4);
+      expect(gradingService.countWords('')).toBe(0);
+    });
+  });
+
+  describe('numeric questions', () => {
+    const numeric = (settings) => ({ id: 'num', type: 'numeric', points: 1, tolerance: 0, ...settings });
+    const isCorrect = (question, answer) => gradingService.gradeQuestion(question, answer).correct;
+
+    it('should accept the same value however it is written', () => {
+      const question = numeric({ correctAnswer: 3.14 });
+
+      ['3.14', '3.140', ' +3,14 ', '314e-2', '0.314 × 10^1', 3.14].forEach(answer => {
+        expect(isCorrect(question, answer)).toBe(true);
+      });
+      expect(isCorrect(question, '3.15')).toBe(false);
+      expect(isCorrect(question, 'about 3.14')).toBe(false);
+      expect(isCorrect(numeric({ correctAnswer: -1234.5 }), '−1 234,5')).toBe(true);
+    });
+
+    it('should allow an absolute or percentage tolerance', () => {
+      const absolute = numeric({ correctAnswer: 9.81, tolerance: 0.05 });
+      const percent = numeric({ correctAnswer: 200, tolerance: 5, toleranceType: NUMERIC_TOLERANCE.PERCENT });
+
+      expect(isCorrect(absolute, '9.86')).toBe(true);
+      expect(isCorrect(absolute, '9.87')).toBe(false);
+      expect(isCorrect(percent, '190')).toBe(true);
+      expect(isCorrect(percent, '211')).toBe(false);
+    });
+
+    it('should accept the listed units, with or without a space', () => {
+      const question = numeric({ correctAnswer: 10, units: ['m', 'metres', 'm/s^2'] });
+
+      ['10 m', '10m', '10 metres', '10', '10 m/s²'].forEach(answer => {
+        expect(isCorrect(question, answer)).toBe(true);
+      });
+      expect(isCorrect(question, '10 kg')).toBe(false);
+      expect(isCorrect({ ...question, unitRequired: true }, '10')).toBe(false);
+      expect(isCorrect(numeric({ correctAnswer: 10 }), '10 m')).toBe(false);
+    });
+
+    it('should check significant figures when the question asks for them', () => {
+      const question = numeric({ correctAnswer: 1200, sigFigs: 3 });
+
+      expect(isCorrect(question, '1.20e3')).toBe(true);
+      expect(isCorrect(question, '1200')).toBe(true); // trailing zeros may be significant
+      expect(isCorrect(question, '1200.')).toBe(false);
+      expect(isCorrect(question, '1.2 × 10^3')).toBe(false);
+    });
+
+    it('should read a single comma as a decimal comma or a thousands separator', () => {
+      expect(isCorrect(numeric({ correctAnswer: 1.5 }), '1,500')).toBe(true);
+      expect(isCorrect(numeric({ correctAnswer: 1500 }), '1,500')).toBe(true);
+      expect(isCorrect(numeric({ correctAnswer: 1500 }), '1.500')).toBe(false);
+      expect(gradingService.parseNumericAnswer('1.234,5 kg')).toEqual({
+        readings: [{ value: 1234.5, minSigFigs: 5, maxSigFigs: 5 }],
+        unit: 'kg'
+      });
+    });
+  });
+
+  describe('fill-in-the-blank answers', () => {
+    const fillIn = (settings) => ({ id: 'blank', type: 'fill-in-the-blank', points: 2, ...settings });
+
+    it('should accept any of the accepted answers', () => {
+      const question = fillIn({ correctAnswer: [['colour', 'color']] });
+
+      expect(gradingService.gradeQuestion(question, 'Color').correct).toBe(true);
+      expect(gradingService.gradeQuestion(question, 'colours').correct).toBe(false);
+    });
+
+    it('should match wildcard and regular expression answers', () => {
+      const wildcard = fillIn({ correctAnswer: 'photo*sis', matchMode: 'wildcard' });
+      const regex = fillIn({ correctAnswer: 'gr[ae]y|silver', matchMode: 'regex' });
+
+      expect(gradingService.gradeQuestion(wildcard, 'Photosynthesis').correct).toBe(true);
+      expect(gradingService.gradeQuestion(wildcard, 'photosynthesis!').correct).toBe(false);
+      expect(gradingService.gradeQuestion(regex, 'GREY').correct).toBe(true);
+      expect(gradingService.gradeQuestion(regex, 'greyish').correct).toBe(false);
+      expect(gradingService.gradeQuestion({ ...regex, caseSensitive: true }, 'GREY').correct).toBe(false);
+    });
+
+    it('should match regular expressions against the answer as typed', () => {
+      const dotted = fillIn({ correctAnswer: 'U\\.S\\.A\\.', matchMode: 'regex' });
+      const accented = fillIn({ correctAnswer: 'café', matchMode: 'regex' });
+
+      expect(gradingService.gradeQuestion(dotted, ' u.s.a. ').correct).toBe(true);
+      expect(gradingService.gradeQuestion(dotted, 'USA').correct).toBe(false);
+      expect(gradingService.gradeQuestion(accented, 'Cafe\u0301').correct).toBe(true);
+      expect(gradingService.gradeQuestion(accented, 'cafe').correct).toBe(false);
+    });
+
+    it('should ignore spaces, punctuation and accents when asked', () => {
+      const question = fillIn({ correctAnswer: 'São Paulo', ignoreWhitespace: true, ignorePunctuation: true, ignoreDiacritics: true });
+
+      expect(gradingService.gradeQuestion(question, 'sao-paulo.').correct).toBe(true);
+      expect(gradingService.gradeQuestion(question, 'SaoPaulo').correct).toBe(true);
+      expect(gradingService.gradeQuestion(fillIn({ correctAnswer: 'São Paulo' }), 'Sao Paulo').correct).toBe(false);
+    });
+
+    it('should give a share of the points for every blank filled correctly', () => {
+      const question = fillIn({ text: '___ is the capital of ___.', correctAnswer: [['Paris'], ['France', 'la France']] });
+
+      expect(gradingService.gradeQuestion(question, ['paris', 'La France'])).toMatchObject({ correct: true, earnedPoints: 2 });
+      expect(gradingService.gradeQuestion(question, ['Lyon', 'France'])).toMatchObject({ answered: true, correct: false, earnedPoints: 1 });
+      expect(gradingService.gradeQuestion(question, [null, ''])).toMatchObject({ answered: false, earnedPoints: 0 });
+    });
+  });
+
+  describe('matching and ordering questions', () => {
+    const matching = {
+      id: 'match',
+      type: 'matching',
+      prompts: ['H2O', 'NaCl', 'CO2'],
+      choices: ['Water', 'Salt', 'Carbon dioxide', 'Sugar'],
+      correctAnswer: [0, 1, 2],
+      points: 3
+    };
+    const ordering = { id: 'order', type: 'ordering', choices: ['Bronze Age', 'Iron Age', 'Middle Ages', 'Renaissance'], points: 2 };
+
+    it('should give a share of the points for every correctly matched term', () => {
+      expect(gradingService.gradeQuestion(matching, [0, 1, 2])).toMatchObject({ correct: true, earnedPoints: 3 });
+      expect(gradingService.gradeQuestion(matching, [0, 3, null])).toMatchObject({ answered: true, correct: false, earnedPoints: 1 });
+      expect(gradingService.gradeQuestion(matching, [null, null, null])).toMatchObject({ answered: false, earnedPoints: 0 });
+    });
+
+    it('should give a share of the points for every item in its correct position', () => {
+      expect(gradingService.gradeQuestion(ordering, [0, 1, 2, 3])).toMatchObject({ correct: true, earnedPoints: 2 });
+      expect(gradingService.gradeQuestion(ordering, [0, 1, 3, 2]).earnedPoints).toBe(1);
+      expect(gradingService.gradeQuestion(ordering, [3, 0, 1, 2]).earnedPoints).toBe(0);
+    });
+
+    it('should map shuffled options back without losing their positions', () => {
+      const paper = { questionIds: ['match', 'order'], optionOrders: { match: [3, 2, 1, 0], order: [2, 0, 3, 1] } };
+
+      // Displayed matches are Sugar, Carbon dioxide, Salt, Water; items are Middle Ages, Bronze Age, Renaissance, Iron Age
+      const result = gradingService.gradeSubmission({ questions: [matching, ordering] }, [[3, 2, null], [1, 3, 0, 2]], paper);
+
+      expect(result.results[0]).toMatchObject({ answer: [0, 1, null], earnedPoints: 2 });
+      expect(result.results[1]).toMatchObject({ answer: [0, 1, 2, 3], correct: true });
+    });
+  });
+});
@@ -0,0 +1,155 @@
+// src/tests/itemAnalysisService.test.js
+import { describe, it, expect, beforeEach } from 'vitest';
+import { itemAnalysisService, ITEM_FLAGS } from '../services/itemAnalysisService';
+import { gradingService } from '../services/gradingService';
+import { attemptService, ATTEMPT_STATUS } from '../services/attemptService';
+import { quizService } from '../services/quizService';
+import { reviewService, ATTEMPT_OUTCOMES } from '../services/reviewService';
+import { EVENT_TYPES } from '../services/proctoringEventService';
+
+const quiz = {
+  id: 'quiz_items',
+  title: 'Item Analysis',
+  questions: [
+    { id: 'capital', type: 'multiple-choice', text: 'Capital of France?', choices: ['Paris', 'London', 'Rome', 'Madrid'], correctAnswer: 0, points: 1 },
+    { id: 'earth', type: 'true-false', text: 'The Earth is round.', correctAnswer: 'true', points: 1 },
+    // Keyed wrong: the strongest students pick option 0
+    { id: 'miskeyed', type: 'multiple-choice', text: 'Largest planet?', choices: ['Jupiter', 'Mars'], correctAnswer: 1, points: 1 },
+    { id: 'water', type: 'fill-in-the-blank', text: 'Formula for water', correctAnswer: 'H2O', points: 1 },
+    { id: 'pooled', type: 'true-false', text: 'Pool question nobody drew', correctAnswer: 'true', points: 1, pool: 'Extra' }
+  ]
+};
+const answeredQuestions = { questionIds: ['capital', 'earth', 'miskeyed', 'water'] };
+
+const submitted = (id, answers, changes = {}) => ({
+  id,
+  status: ATTEMPT_STATUS.SUBMITTED,
+  result: gradingService.gradeSubmission(quiz, answers, answeredQuestions),
+  ...changes
+});
+
+// Totals: 75%, 75%, 50%, 25%, 25%
+const attempts = [
+  submitted('a1', [0, 'true', 0, 'H2O']),
+  submitted('a2', [0, 'true', 0, 'H2O']),
+  submitted('a3', [0, 'false', 1, 'water']),
+  submitted('a4', [1, 'false', 1, '']),
+  submitted('a5', [2, 'false', 1, ''])
+];
+
+describe('Item Analysis Service', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('analyzePaper', () => {
+    it('should summarise the paper and its score distribution', () => {
+      const analysis = itemAnalysisService.analyzePaper(quiz, attempts);
+
+      expect(analysis.attemptCount).toBe(5);
+      expect(analysis.averagePercentage).toBe(50);
+      expect(analysis.scoreHistogram.map(bin => bin.count)).toEqual([0, 0, 2, 0, 0, 1, 0, 2, 0, 0]);
+      expect(analysis.items.map(item => item.questionId)).toEqual(['capital', 'earth', 'miskeyed', 'water', 'pooled']);
+    });
+
+    it('should compute difficulty and discrimination per question', () => {
+      const [capital, earth, miskeyed, water] = itemAnalysisService.analyzePaper(quiz, attempts).items;
+
+      expect(capital.pValue).toBe(0.6);
+      expect(earth.pValue).toBe(0.4);
+      expect(water).toMatchObject({ pValue: 0.4, answeredCount: 3, responseCount: 5 });
+      expect(capital.discrimination).toBeGreaterThan(0.2);
+      expect(miskeyed.discrimination).toBeLessThan(0);
+      expect(miskeyed.flags).toContain(ITEM_FLAGS.NEGATIVE_DISCRIMINATION);
+      expect(capital.scoreDistribution).toEqual([{ points: 0, count: 2 }, { points: 1, count: 3 }]);
+    });
+
+    it('should report how often each option was chosen by the top and bottom groups', () => {
+      const [capital] = itemAnalysisService.analyzePaper(quiz, attempts).items;
+
+      expect(capital.distractors).toEqual([
+        { index: 0, text: 'Paris', correct: true, count: 3, rate: 0.6, upperRate: 1, lowerRate: 0 },
+        { index: 1, text: 'London', correct: false, count: 1, rate: 0.2, upperRate: 0, lowerRate: 0 },
+        { index: 2, text: 'Rome', correct: false, count: 1, rate: 0.2, upperRate: 0, lowerRate: 1 },
+        { index: 3, text: 'Madrid', correct: false, count: 0, rate: 0, upperRate: 0, lowerRate: 0 },
+        { index: null, text: 'No answer', correct: false, count: 0, rate: 0, upperRate: 0, lowerRate: 0 }
+      ]);
+      expect(capital.flags).toContain(ITEM_FLAGS.UNUSED_DISTRACTOR);
+      expect(capital.flags).not.toContain(ITEM_FLAGS.MISLEADING_DISTRACTOR);
+    });
+
+    it('should only analyse questions over the attempts that were given them', () => {
+      const pooled = itemAnalysisService.analyzePaper(quiz, attempts).items[4];
+
+      expect(pooled).toMatchObject({ pool: 'Extra', responseCount: 0, pValue: null, discrimination: null, flags: [] });
+    });
+
+    it('should count every ticked option of multiple-response questions', () => {
+      const primes = {
+        questions: [{ id: 'primes', type: 'multiple-response', text: 'Primes?', choices: ['2', '4', '5'], correctAnswer: [0, 2], scoring: 'partial', points: 3 }]
+      };
+      const answer = (id, ticked) => ({
+        id,
+        status: ATTEMPT_STATUS.SUBMITTED,
+        result: gradingService.gradeSubmission(primes, [ticked])
+      });
+
+      const [item] = itemAnalysisService.analyzePaper(primes, [answer('p1', [0, 2]), answer('p2', [0, 1]), answer('p3', null)]).items;
+
+      expect(item.distractors.map(option => [option.text, option.correct, option.count])).toEqual([
+        ['2', true, 2], ['4', false, 1], ['5', true, 1], ['No answer', false, 1]
+      ]);
+      expect(item.scoreDistribution).toEqual([{ points: 0, count: 1 }, { points: 1, count: 1 }, { points: 3, count: 1 }]);
+    });
+
+    it('should skip unsubmitted and invalidated attempts', () => {
+      const analysis = itemAnalysisService.analyzePaper(quiz, [
+        ...attempts,
+        { id: 'a6', status: ATTEMPT_STATUS.IN_PROGRESS },
+        submitted('a7', [0, 'true', 0, 'H2O'], { review: { outcome: ATTEMPT_OUTCOMES.INVALIDATED } })
+      ]);
+
+      expect(analysis.attemptCount).toBe(5);
+    });
+  });
+
+  describe('getQuestionTimes', () => {
+    it('should add up the time between question views until submission', () => {
+      const view = (questionId, timestamp) => ({
+        type: EVENT_TYPES.QUESTION_VIEWED,
+        timestamp,
+        details: { questionIndex: 0, questionId }
+      });
+      const events = [
+        view('capital', '2025-01-01T10:00:00Z'),
+        { type: EVENT_TYPES.TAB_SWITCH, timestamp: '2025-01-01T10:00:10Z', details: {} },
+        view('earth', '2025-01-01T10:00:30Z'),
+        view('capital', '2025-01-01T10:01:00Z')
+      ];
+
+      const times = itemAnalysisService.getQuestionTimes({ submittedAt: '2025-01-01T10:01:15Z' }, events);
+
+      expect(times).toEqual({ capital: 45, earth: 30 });
+    });
+  });
+
+  describe('getPaperAnalysis', () => {
+    it('should analyse the stored submissions for a paper code', async () => {
+      const paper = await quizService.getQuizByPaperCode('GK2025');
+      const reviewer = { id: 't1', name: 'Ms Teacher' };
+
+      const first = await attemptService.startAttempt(paper, 's1');
+      await attemptService.completeAttempt(first.id, { result: gradingService.gradeSubmission(paper, []) });
+      const second = await attemptService.startAttempt(paper, 's2');
+      await attemptService.completeAttempt(second.id, { result: gradingService.gradeSubmission(paper, []) });
+      await reviewService.setAttemptOutcome(second.id, { outcome: ATTEMPT_OUTCOMES.INVALIDATED, reviewer });
+
+      const { quiz: loaded, analysis } = await itemAnalysisService.getPaperAnalysis('GK2025');
+
+      expect(loaded.id).toBe(paper.id);
+      expect(analysis.attemptCount).toBe(1);
+      expect(analysis.items).toHaveLength(paper.questions.length);
+      expect(await itemAnalysisService.getPaperAnalysis('NOPE')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,163 @@
+// src/tests/liveMonitorService.test.js
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { liveMonitorService, ALERT_TYPES, FACE_STATUS } from '../services/liveMonitorService';
+import { attemptService } from '../services/attemptService';
+import { quizService } from '../services/quizService';
+import { proctoringEventService, EVENT_TYPES } from '../services/proctoringEventService';
+import { trustedClockService } from '../services/trustedClockService';
+import { LIVE_MONITORING } from '../services/config';
+import { LocalSocket } from './mocks/localSocket';
+
+const teacher = { id: 't1', name: 'Ms Teacher' };
+
+describe('Live Monitor Service', () => {
+  let quiz;
+  let attempt;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    quiz = await quizService.getQuizByPaperCode('GK2025');
+    attempt = await attemptService.startAttempt(quiz, 's1', { studentName: 'Ada' });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  const publish = (changes = {}) => liveMonitorService.publishStatus({
+    attemptId: attempt.id,
+    quizId: quiz.id,
+    currentQuestion: 2,
+    totalQuestions: 3,
+    secondsLeft: 600,
+    faceStatus: FACE_STATUS.OK,
+    ...changes
+  });
+
+  describe('getLiveSnapshot', () => {
+    it('should list in-progress attempts with their status and latest violation', async () => {
+      const context = { attemptId: attempt.id, quizId: quiz.id, studentId: 's1' };
+      proctoringEventService.recordEvent(EVENT_TYPES.TAB_SWITCH, context);
+      proctoringEventService.recordEvent(EVENT_TYPES.FACE_LOST, context);
+      await publish({ faceStatus: FACE_STATUS.MISSING });
+
+      const other = await attemptService.startAttempt(quiz, 's2');
+      await attemptService.completeAttempt(other.id);
+
+      const rows = await liveMonitorService.getLiveSnapshot(quiz.id);
+
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toMatchObject({
+        attemptId: attempt.id,
+        studentName: 'Ada',
+        currentQuestion: 2,
+        totalQuestions: 3,
+        faceStatus: FACE_STATUS.MISSING,
+        connected: true,
+        violationCount: 2,
+        latestViolation: { type: EVENT_TYPES.FACE_LOST, label: 'Face lost' }
+      });
+    });
+
+    it('should count the timer down and mark silent attempts as disconnected', async () => {
+      await publish({ secondsLeft: 600 });
+      const later = trustedClockService.now() + (LIVE_MONITORING.staleAfterSeconds + 10) * 1000;
+      vi.spyOn(trustedClockService, 'now').mockReturnValue(later);
+
+      const [row] = await liveMonitorService.getLiveSnapshot(quiz.id);
+
+      expect(row.connected).toBe(false);
+      expect(row.secondsLeft).toBe(600 - LIVE_MONITORING.staleAfterSeconds - 10);
+    });
+
+    it('should show attempts that have not reported yet', async () => {
+      const [row] = await liveMonitorService.getLiveSnapshot(quiz.id);
+      expect(row).toMatchObject({ faceStatus: FACE_STATUS.UNKNOWN, connected: false, currentQuestion: null });
+    });
+  });
+
+  describe('alerts', () => {
+    it('should require a message for warnings', () => {
+      expect(() => liveMonitorService.createAlert(ALERT_TYPES.WARNING, attempt.id, { message: ' ' }))
+        .toThrow('enter a message');
+      expect(() => liveMonitorService.createAlert('shout', attempt.id)).toThrow('Unknown alert type');
+      expect(liveMonitorService.createAlert(ALERT_TYPES.FORCE_END, attempt.id, { sentBy: teacher }))
+        .toMatchObject({ type: ALERT_TYPES.FORCE_END, attemptId: attempt.id, sentBy: teacher });
+    });
+
+    it('should hand queued alerts to the student\'s next heartbeat once', async () => {
+      const transport = liveMonitorService.createPollingTransport(quiz.id);
+      const alert = liveMonitorService.createAlert(ALERT_TYPES.WARNING, attempt.id, { message: 'Eyes on screen', sentBy: teacher });
+      await transport.sendAlert(alert);
+
+      expect(await publish()).toEqual([alert]);
+      expect(await publish()).toEqual([]);
+    });
+
+    it('should deliver alerts through the main process', async () => {
+      const invoke = vi.fn().mockResolvedValue({ success: true });
+      vi.stubGlobal('electron', { ipc: { invoke } });
+      const alert = liveMonitorService.createAlert(ALERT_TYPES.FORCE_END, attempt.id);
+
+      await liveMonitorService.deliverAlerts([alert]);
+
+      expect(invoke).toHaveBeenCalledWith('proctoring:send-alert', alert);
+    });
+
+    it('should deliver alerts as a window event outside the desktop app', async () => {
+      const handler = vi.fn();
+      const unsubscribe = liveMonitorService.onAlert(handler);
+      const alert = liveMonitorService.createAlert(ALERT_TYPES.WARNING, attempt.id, { message: 'Hello' });
+
+      await liveMonitorService.deliverAlerts([alert]);
+      unsubscribe();
+      await liveMonitorService.deliverAlerts([alert]);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith(alert);
+    });
+  });
+
+  describe('transports', () => {
+    it('should poll the snapshot until unsubscribed', async () => {
+      vi.useFakeTimers();
+      await publish();
+      const onSnapshot = vi.fn();
+
+      const unsubscribe = liveMonitorService.createPollingTransport(quiz.id, { intervalMs: 1000 }).subscribe(onSnapshot);
+      await vi.advanceTimersByTimeAsync(2500);
+      unsubscribe();
+      await vi.advanceTimersByTimeAsync(2000);
+
+      expect(onSnapshot).toHaveBeenCalledTimes(3);
+      expect(onSnapshot.mock.calls[0][0][0].attemptId).toBe(attempt.id);
+    });
+
+    it('should read pushed snapshots from a socket and send alerts over it', async () => {
+      const socket = new LocalSocket();
+      const transport = liveMonitorService.createSocketTransport(quiz.id, socket);
+      const onSnapshot = vi.fn();
+      const onError = vi.fn();
+
+      const unsubscribe = transport.subscribe(onSnapshot, onError);
+      socket.push({ type: 'snapshot', quizId: 'other', attempts: [{ attemptId: 'x' }] });
+      socket.push({ type: 'snapshot', quizId: quiz.id, attempts: [{ attemptId: attempt.id }] });
+      socket.fail();
+
+      const alert = liveMonitorService.createAlert(ALERT_TYPES.WARNING, attempt.id, { message: 'Stop talking' });
+      await transport.sendAlert(alert);
+      unsubscribe();
+      socket.push({ type: 'snapshot', quizId: quiz.id, attempts: [] });
+
+      expect(socket.sent).toEqual([
+        { type: 'subscribe', quizId: quiz.id },
+        { type: 'alert', alert }
+      ]);
+      expect(onSnapshot).toHaveBeenCalledTimes(1);
+      expect(onSnapshot).toHaveBeenCalledWith([{ attemptId: attempt.id }]);
+      expect(onError).toHaveBeenCalledTimes(1);
+    });
+  });
+});
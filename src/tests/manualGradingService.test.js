@@ -0,0 +1,106 @@
+// src/tests/manualGradingService.test.js
+import { describe, it, expect, beforeEach } from 'vitest';
+import { manualGradingService } from '../services/manualGradingService';
+import { attemptService } from '../services/attemptService';
+import { quizService } from '../services/quizService';
+import { gradingService } from '../services/gradingService';
+import { resultsService } from '../services/resultsService';
+
+const grader = { id: 't1', name: 'Ms Teacher' };
+const essayAnswer = 'Lift state up when two sibling components need the same data, such as a filter and a list.';
+
+describe('Manual Grading Service', () => {
+  let quiz;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    // REACT101: three auto-marked questions (1 point each), then an essay with a 2 + 2 point rubric
+    quiz = await quizService.getQuizByPaperCode('REACT101');
+  });
+
+  const submit = async (studentId, essay = essayAnswer) => {
+    const attempt = await attemptService.startAttempt(quiz, studentId);
+    return attemptService.completeAttempt(attempt.id, {
+      result: gradingService.gradeSubmission(quiz, [0, 'JSX', 'false', essay])
+    });
+  };
+
+  describe('getGradingQueue', () => {
+    it('should list answered essays, ungraded ones first', async () => {
+      const first = await submit('s1');
+      await submit('s2', '');
+      const third = await submit('s3');
+      await manualGradingService.gradeResponse(first.id, 'q2_4', { criterionScores: [2, 1], grader });
+
+      const { items, pendingCount } = await manualGradingService.getGradingQueue('REACT101');
+
+      expect(pendingCount).toBe(1);
+      expect(items.map(item => [item.attemptId, item.pending])).toEqual([[third.id, true], [first.id, false]]);
+      expect(items[0]).toMatchObject({
+        questionId: 'q2_4',
+        questionNumber: 4,
+        answer: essayAnswer,
+        wordCount: 18,
+        minWords: 30,
+        maxWords: 200,
+        possiblePoints: 4,
+        grade: null
+      });
+      expect(items[0].rubric).toHaveLength(2);
+      expect(await manualGradingService.getGradingQueue('NOPE')).toBeNull();
+    });
+  });
+
+  describe('gradeResponse', () => {
+    it('should score the rubric, record the comment and release the result', async () => {
+      const attempt = await submit('s1');
+      expect((await resultsService.getStudentResults('s1'))[0]).toMatchObject({ gradingPending: true, percentage: null });
+
+      const graded = await manualGradingService.gradeResponse(attempt.id, 'q2_4', {
+        criterionScores: ['2', '1.5'],
+        comment: '  Good example. ',
+        grader
+      });
+
+      expect(graded.result.results[3].grade).toMatchObject({ points: 3.5, criterionScores: [2, 1.5], comment: 'Good example.', grader });
+      expect(graded.result).toMatchObject({ earnedPoints: 6.5, possiblePoints: 7, pendingGradingCount: 0 });
+      expect(manualGradingService.isAwaitingGrading(graded)).toBe(false);
+      expect((await resultsService.getStudentResults('s1'))[0]).toMatchObject({ gradingPending: false, earnedPoints: 6.5 });
+    });
+
+    it('should refuse marks outside the rubric and responses that are not essays', async () => {
+      const attempt = await submit('s1');
+
+      await expect(manualGradingService.gradeResponse(attempt.id, 'q2_4', { criterionScores: [3, 1], grader }))
+        .rejects.toThrow('must be scored from 0 to 2');
+      await expect(manualGradingService.gradeResponse(attempt.id, 'q2_4', { criterionScores: [2], grader }))
+        .rejects.toThrow('must be scored from 0 to 2');
+      await expect(manualGradingService.gradeResponse(attempt.id, 'q2_1', { points: 1, grader }))
+        .rejects.toThrow('does not need manual grading');
+      await expect(manualGradingService.gradeResponse(attempt.id, 'q2_4', { criterionScores: [1, 1] }))
+        .rejects.toThrow('A grader is required');
+    });
+  });
+
+  describe('scoreResponse', () => {
+    it('should take a single mark for essays without a rubric', () => {
+      const essay = { type: 'essay', points: 5 };
+
+      expect(manualGradingService.scoreResponse(essay, 5, { points: '4' })).toEqual({ points: 4, criterionScores: null });
+      expect(() => manualGradingService.scoreResponse(essay, 5, { points: '' })).toThrow('between 0 and 5');
+      expect(() => manualGradingService.scoreResponse(essay, 5, { points: 6 })).toThrow('between 0 and 5');
+    });
+  });
+
+  describe('countResponses', () => {
+    it('should count the essays answered and still to grade', async () => {
+      const first = await submit('s1');
+      await submit('s2');
+      await submit('s3', '  ');
+      await manualGradingService.gradeResponse(first.id, 'q2_4', { criterionScores: [2, 2], grader });
+
+      expect(manualGradingService.countResponses(await attemptService.getAttempts({ quizId: quiz.id })))
+        .toEqual({ total: 2, pending: 1 });
+    });
+  });
+});
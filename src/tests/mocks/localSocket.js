@@ -0,0 +1,33 @@
+// src/tests/mocks/localSocket.js
+
+/**
+ * In-memory stand-in for a WebSocket: records what the client sends and lets
+ * a test push server messages or a connection error.
+ */
+export class LocalSocket {
+  constructor() {
+    this.listeners = { message: [], error: [] };
+    this.sent = [];
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  // Deliver a message from the "server"
+  push(message) {
+    this.listeners.message.forEach(listener => listener({ data: JSON.stringify(message) }));
+  }
+
+  fail() {
+    this.listeners.error.forEach(listener => listener(new Event('error')));
+  }
+}
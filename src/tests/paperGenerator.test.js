@@ -0,0 +1,99 @@
+// src/tests/paperGenerator.test.js
+import { describe, it, expect } from 'vitest';
+import { paperGenerator } from '../services/paperGenerator';
+import { gradingService } from '../services/gradingService';
+
+describe('Paper Generator', () => {
+  const quiz = {
+    id: 'quiz1',
+    shuffleQuestions: true,
+    shuffleOptions: true,
+    pools: { algebra: 2, geometry: 1 },
+    questions: [
+      { id: 'intro', type: 'true-false', text: 'Ready?', correctAnswer: 'true', points: 1 },
+      { id: 'a1', type: 'multiple-choice', text: '1 + 1?', choices: ['1', '2', '3', '4'], correctAnswer: 1, points: 1, pool: 'algebra' },
+      { id: 'a2', type: 'multiple-choice', text: '2 * 3?', choices: ['5', '6', '7', '8'], correctAnswer: 1, points: 1, pool: 'algebra' },
+      { id: 'a3', type: 'multiple-choice', text: '9 / 3?', choices: ['3', '4', '6', '9'], correctAnswer: 0, points: 1, pool: 'algebra' },
+      { id: 'g1', type: 'fill-in-the-blank', text: 'Sides of a triangle?', correctAnswer: '3', points: 1, pool: 'geometry' },
+      { id: 'g2', type: 'fill-in-the-blank', text: 'Sides of a square?', correctAnswer: '4', points: 1, pool: 'geometry' }
+    ]
+  };
+
+  it('should give the same student the same paper every time', () => {
+    const first = paperGenerator.generatePaper(quiz, 'student-1');
+    const second = paperGenerator.generatePaper(quiz, 'student-1');
+
+    expect(second).toEqual(first);
+  });
+
+  it('should vary papers between students', () => {
+    const papers = ['s1', 's2', 's3', 's4', 's5'].map(id => paperGenerator.generatePaper(quiz, id));
+    const layouts = new Set(papers.map(p => JSON.stringify(p.questions.map(q => [q.id, q.optionOrder]))));
+
+    expect(layouts.size).toBeGreaterThan(1);
+  });
+
+  it('should honour pool draw counts and always include unpooled questions', () => {
+    const paper = paperGenerator.generatePaper(quiz, 'student-2');
+    const byPool = (pool) => paper.questions.filter(q => q.pool === pool);
+
+    expect(paper.questions).toHaveLength(4);
+    expect(paper.questionIds).toContain('intro');
+    expect(byPool('algebra')).toHaveLength(2);
+    expect(byPool('geometry')).toHaveLength(1);
+  });
+
+  it('should not expose correct answers on the presented questions', () => {
+    const paper = paperGenerator.generatePaper(quiz, 'student-3');
+
+    paper.questions.forEach(q => expect(q).not.toHaveProperty('correctAnswer'));
+  });
+
+  it('should keep authored order when shuffling is off', () => {
+    const plainQuiz = { ...quiz, shuffleQuestions: false, shuffleOptions: false, pools: {} };
+    const paper = paperGenerator.generatePaper(plainQuiz, 'student-4');
+
+    expect(paper.questionIds).toEqual(plainQuiz.questions.map(q => q.id));
+    expect(paper.questions[1].choices).toEqual(plainQuiz.questions[1].choices);
+  });
+
+  it('should always mix up matching options and ordering items', () => {
+    const arrangedQuiz = {
+      id: 'arranged',
+      questions: [
+        { id: 'm', type: 'matching', prompts: ['a', 'b'], choices: ['A', 'B'], correctAnswer: [0, 1], points: 1 },
+        { id: 'o', type: 'ordering', choices: ['first', 'second', 'third'], points: 1 }
+      ]
+    };
+
+    ['s1', 's2', 's3', 's4', 's5', 's6'].forEach((studentId) => {
+      const paper = paperGenerator.generatePaper(arrangedQuiz, studentId);
+
+      paper.questions.forEach((q, index) => {
+        const authored = arrangedQuiz.questions[index];
+        expect(q.optionOrder).not.toEqual(authored.choices.map((_, i) => i));
+        expect(q.choices).toEqual(q.optionOrder.map(i => authored.choices[i]));
+        expect(q).not.toHaveProperty('correctAnswer');
+      });
+    });
+  });
+
+  it('should grade shuffled options against the authored correct answer', () => {
+    const paper = paperGenerator.generatePaper(quiz, 'student-5');
+    const authored = Object.fromEntries(quiz.questions.map(q => [q.id, q]));
+
+    // Answer every question correctly in terms of what the student saw
+    const answers = paper.questions.map((q) => {
+      const source = authored[q.id];
+      if (q.type === 'multiple-choice') return q.optionOrder.indexOf(source.correctAnswer);
+      return source.correctAnswer;
+    });
+
+    const result = gradingService.gradeSubmission(quiz, answers, paperGenerator.summarizePaper(paper));
+
+    expect(result.totalQuestions).toBe(4);
+    expect(result.correctCount).toBe(4);
+    expect(result.percentage).toBe(100);
+    expect(result.results.map(r => r.questionId)).toEqual(paper.questionIds);
+  });
+});
@@ -0,0 +1,107 @@
+// src/tests/proctoringEventService.test.js
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { proctoringEventService, EVENT_TYPES, VIOLATION_SEVERITY } from '../services/proctoringEventService';
+
+describe('Proctoring Event Service', () => {
+  const attemptA = { attemptId: 'att_a', quizId: 'q1', paperCode: 'GK2025', studentId: 's1' };
+  const attemptB = { attemptId: 'att_b', quizId: 'q1', paperCode: 'GK2025', studentId: 's2' };
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should record events with the attempt, a timestamp and the violation flag', () => {
+    const event = proctoringEventService.recordEvent(EVENT_TYPES.FACE_LOST, attemptA, { confidence: 0.2 });
+
+    expect(event).toMatchObject({
+      type: 'faceLost',
+      attemptId: 'att_a',
+      quizId: 'q1',
+      paperCode: 'GK2025',
+      studentId: 's1',
+      violation: true,
+      details: { confidence: 0.2 }
+    });
+    expect(new Date(event.timestamp).toISOString()).toBe(event.timestamp);
+    expect(proctoringEventService.recordEvent(EVENT_TYPES.FACE_DETECTED, attemptA).violation).toBe(false);
+  });
+
+  it('should query events by attempt, student, paper code and type', async () => {
+    proctoringEventService.recordEvent(EVENT_TYPES.TAB_SWITCH, attemptA);
+    proctoringEventService.recordEvent(EVENT_TYPES.SCREEN_RECORDING, attemptA, { software: ['obs'] });
+    proctoringEventService.recordEvent(EVENT_TYPES.TAB_SWITCH, attemptB);
+
+    expect(await proctoringEventService.getAttemptEvents('att_a')).toHaveLength(2);
+    expect(await proctoringEventService.getEvents({ studentId: 's2' })).toHaveLength(1);
+    expect(await proctoringEventService.getEvents({ paperCode: 'gk2025' })).toHaveLength(3);
+    expect(await proctoringEventService.getEvents({ types: [EVENT_TYPES.TAB_SWITCH] })).toHaveLength(2);
+  });
+
+  it('should summarize violations by type', async () => {
+    proctoringEventService.recordEvent(EVENT_TYPES.TAB_SWITCH, attemptA);
+    proctoringEventService.recordEvent(EVENT_TYPES.TAB_SWITCH, attemptA);
+    proctoringEventService.recordEvent(EVENT_TYPES.DISPLAY_CHANGE, attemptA, { type: 'added' });
+    proctoringEventService.recordEvent(EVENT_TYPES.ATTEMPT_RESUMED, attemptA);
+
+    const summary = proctoringEventService.summarizeEvents(await proctoringEventService.getAttemptEvents('att_a'));
+
+    expect(summary.total).toBe(4);
+    expect(summary.violations).toBe(3);
+    expect(summary.byType).toEqual({ TAB_SWITCH: 2, DISPLAY_CHANGE: 1, ATTEMPT_RESUMED: 1 });
+    expect(summary.violationTypes).toEqual(['TAB_SWITCH', 'DISPLAY_CHANGE']);
+  });
+
+  it('should store each attempt separately and cap its context events', async () => {
+    proctoringEventService.recordEvent(EVENT_TYPES.TAB_SWITCH, attemptA);
+    for (let i = 0; i < 105; i++) {
+      proctoringEventService.recordEvent(EVENT_TYPES.QUESTION_VIEWED, attemptA, { questionIndex: i });
+    }
+    proctoringEventService.recordEvent(EVENT_TYPES.AUTO_SUBMIT, attemptA);
+    proctoringEventService.recordEvent(EVENT_TYPES.QUESTION_VIEWED, attemptB, { questionIndex: 0 });
+
+    const events = await proctoringEventService.getAttemptEvents('att_a');
+    const viewed = events.filter(e => e.type === EVENT_TYPES.QUESTION_VIEWED);
+    expect(viewed).toHaveLength(100);
+    expect(viewed[0].details.questionIndex).toBe(5);
+    expect(events.map(e => e.type)).toEqual(expect.arrayContaining([EVENT_TYPES.TAB_SWITCH, EVENT_TYPES.AUTO_SUBMIT]));
+    expect(JSON.parse(localStorage.getItem('offline_proctoring_events_att_b'))).toHaveLength(1);
+  });
+
+  describe('when storage is full', () => {
+    beforeEach(() => {
+      // Room for three events per attempt
+      const setItem = localStorage.setItem;
+      vi.spyOn(localStorage, 'setItem').mockImplementation((key, value) => {
+        if (key.startsWith('offline_proctoring_events_att') && JSON.parse(value).length > 3) {
+          throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+        }
+        return setItem(key, value);
+      });
+    });
+
+    it('should give up context events to keep a violation', async () => {
+      proctoringEventService.recordEvent(EVENT_TYPES.QUESTION_VIEWED, attemptA);
+      proctoringEventService.recordEvent(EVENT_TYPES.ANSWER_CHANGED, attemptA);
+      proctoringEventService.recordEvent(EVENT_TYPES.QUESTION_VIEWED, attemptA);
+      proctoringEventService.recordEvent(EVENT_TYPES.FACE_LOST, attemptA);
+
+      expect((await proctoringEventService.getAttemptEvents('att_a')).map(e => e.type)).toEqual([EVENT_TYPES.FACE_LOST]);
+    });
+
+    it('should throw the quota error with the event when there is no room left', async () => {
+      for (let i = 0; i < 3; i++) proctoringEventService.recordEvent(EVENT_TYPES.TAB_SWITCH, attemptA);
+
+      expect(() => proctoringEventService.recordEvent(EVENT_TYPES.FACE_LOST, attemptA)).toThrow(
+        expect.objectContaining({ name: 'QuotaExceededError', event: expect.objectContaining({ type: 'faceLost', attemptId: 'att_a' }) })
+      );
+      expect(await proctoringEventService.getAttemptEvents('att_a')).toHaveLength(3);
+    });
+  });
+
+  it('should classify attempts by violation count', () => {
+    expect(proctoringEventService.getViolationSeverity(0)).toBe(VIOLATION_SEVERITY.NONE);
+    expect(proctoringEventService.getViolationSeverity(2)).toBe(VIOLATION_SEVERITY.LOW);
+    expect(proctoringEventService.getViolationSeverity(5)).toBe(VIOLATION_SEVERITY.MEDIUM);
+    expect(proctoringEventService.getViolationSeverity(6)).toBe(VIOLATION_SEVERITY.HIGH);
+  });
+});
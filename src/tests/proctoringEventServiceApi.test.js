@@ -0,0 +1,78 @@
+// src/tests/proctoringEventServiceApi.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { proctoringEventService, EVENT_TYPES } from '../services/proctoringEventService';
+import { offlineManager } from '../services/offlineManager';
+
+// These tests cover sending events to a backend, which the mock data normally
+// bypasses. They run the real apiClient against a mocked fetch.
+vi.mock('../services/config', async (importOriginal) => ({
+  ...(await importOriginal()),
+  USE_MOCK_DATA: false,
+  VERBOSE_LOGGING: false
+}));
+
+const reply = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: `Status ${status}`,
+  json: async () => body
+});
+
+const storedEvents = (attemptId) => JSON.parse(localStorage.getItem(`offline_proctoring_events_${attemptId}`)) || [];
+
+// Let the background send finish
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Proctoring Event Service (API)', () => {
+  const context = { attemptId: 'att_api', quizId: 'q1', paperCode: 'GK2025', studentId: 's1' };
+  let fetchMock;
+
+  beforeEach(() => {
+    localStorage.clear();
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(offlineManager, 'queueOperation').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should remove an event from local storage once the server accepts it', async () => {
+    fetchMock.mockResolvedValue(reply(201));
+
+    proctoringEventService.recordEvent(EVENT_TYPES.TAB_SWITCH, context);
+    expect(storedEvents('att_api')).toHaveLength(1);
+    await flush();
+
+    expect(fetchMock.mock.calls[0][0]).toMatch(/\/proctoring\/events$/);
+    expect(storedEvents('att_api')).toHaveLength(0);
+    expect(offlineManager.queueOperation).not.toHaveBeenCalled();
+  });
+
+  it('should keep events the server could not receive and send them on sync', async () => {
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+    proctoringEventService.recordEvent(EVENT_TYPES.FACE_LOST, context);
+    proctoringEventService.recordEvent(EVENT_TYPES.QUESTION_VIEWED, context);
+    await flush();
+
+    expect(storedEvents('att_api')).toHaveLength(2);
+    expect(await proctoringEventService.syncEvents()).toBe(0);
+
+    fetchMock.mockReset();
+    fetchMock.mockResolvedValue(reply(201));
+    expect(await proctoringEventService.syncEvents()).toBe(2);
+    expect(storedEvents('att_api')).toHaveLength(0);
+    expect(offlineManager.queueOperation).not.toHaveBeenCalled();
+  });
+
+  it('should drop an event the server refuses', async () => {
+    fetchMock.mockResolvedValue(reply(422, { message: 'Unknown attempt.' }));
+
+    proctoringEventService.recordEvent(EVENT_TYPES.TAB_SWITCH, context);
+    await flush();
+
+    expect(storedEvents('att_api')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,103 @@
+// src/tests/proctoringSettings.test.js
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { proctoringSettings, RECORDING_POLICIES } from '../services/proctoringSettings';
+import { validateQuiz, assertValidQuiz } from '../services/quizValidation';
+import { PROCTORING_DEFAULTS } from '../services/config';
+
+describe('Proctoring Settings', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('resolveProctoringSettings', () => {
+    it('should use the defaults for quizzes without settings', () => {
+      expect(proctoringSettings.resolveProctoringSettings({ id: 'q1' })).toEqual(PROCTORING_DEFAULTS);
+      expect(proctoringSettings.resolveProctoringSettings(null)).toEqual(PROCTORING_DEFAULTS);
+    });
+
+    it('should apply per-paper overrides and ignore invalid values', () => {
+      const settings = proctoringSettings.resolveProctoringSettings({
+        proctoring: { maxFaces: '2', allowedTabSwitches: 3, lockAltTab: true, recordingPolicy: 'nonsense' }
+      });
+
+      expect(settings).toEqual({
+        requireFaceCheck: true,
+        maxFaces: 2,
+        allowedTabSwitches: 3,
+        lockAltTab: true,
+        recordingPolicy: PROCTORING_DEFAULTS.recordingPolicy
+      });
+    });
+  });
+
+  describe('applyToMainProcess', () => {
+    it('should send only the settings the main process enforces', async () => {
+      const invoke = vi.fn().mockResolvedValue({ success: true });
+      vi.stubGlobal('electron', { ipc: { invoke } });
+
+      const settings = proctoringSettings.resolveProctoringSettings({
+        proctoring: { lockAltTab: true, recordingPolicy: RECORDING_POLICIES.END }
+      });
+      await proctoringSettings.applyToMainProcess(settings);
+      await proctoringSettings.applyToMainProcess(null);
+
+      expect(invoke).toHaveBeenNthCalledWith(1, 'security:apply-proctoring-settings', { lockAltTab: true, recordingPolicy: 'end' });
+      expect(invoke).toHaveBeenNthCalledWith(2, 'security:apply-proctoring-settings', null);
+    });
+
+    it('should do nothing outside the desktop app', async () => {
+      expect(await proctoringSettings.applyToMainProcess(PROCTORING_DEFAULTS)).toBeNull();
+    });
+  });
+
+  describe('validateQuiz', () => {
+    const window = { startTime: '2025-03-01T09:00:00.000Z', endTime: '2025-03-01T10:00:00.000Z' };
+
+    it('should accept a quiz that fits its window', () => {
+      expect(validateQuiz({ title: 'Quiz', ...window, timer: 60, warningThresholds: [5, 1], maxAttempts: 2 }))
+        .toEqual({ valid: true, errors: {} });
+    });
+
+    it('should report each invalid field', () => {
+      const { valid, errors } = validateQuiz({
+        title: ' ',
+        ...window,
+        timer: 61,
+        maxAttempts: 0,
+        proctoring: { maxFaces: 9, allowedTabSwitches: -1, recordingPolicy: 'maybe' }
+      });
+
+      expect(valid).toBe(false);
+      expect(Object.keys(errors).sort()).toEqual([
+        'maxAttempts',
+        'proctoring.allowedTabSwitches',
+        'proctoring.maxFaces',
+        'proctoring.recordingPolicy',
+        'timer',
+        'title'
+      ]);
+    });
+
+    it('should require time warnings to be shorter than the timer', () => {
+      const { errors } = validateQuiz({ title: 'Quiz', timer: 5, warningThresholds: [10, 1] });
+      expect(errors.warningThresholds).toMatch(/shorter than the timer/);
+    });
+
+    it('should only check the fields present for partial updates', () => {
+      expect(validateQuiz({ archived: true }, { partial: true }).valid).toBe(true);
+      expect(validateQuiz({ archived: true }).errors.title).toBeDefined();
+    });
+
+    it('should treat null proctoring and result settings as unset', () => {
+      expect(validateQuiz({ title: 'Quiz', proctoring: null, results: null })).toEqual({ valid: true, errors: {} });
+
+      let error;
+      try {
+        assertValidQuiz({ title: '', proctoring: null, results: null });
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toMatchObject({ status: 422, fieldErrors: { title: expect.any(String) } });
+    });
+  });
+});
@@ -0,0 +1,52 @@
+// src/tests/proctoringTimeline.test.js
+import { describe, it, expect } from 'vitest';
+import { proctoringTimeline, TIMELINE_LANES, FACE_STATES } from '../services/proctoringTimeline';
+import { EVENT_TYPES } from '../services/proctoringEventService';
+
+describe('Proctoring Timeline', () => {
+  const start = new Date('2025-03-01T09:00:00Z').getTime();
+  const at = (seconds) => new Date(start + seconds * 1000).toISOString();
+  const attempt = { id: 'att_1', startedAt: at(0), submittedAt: at(100) };
+  const event = (id, type, seconds, details = {}) => ({ id, type, timestamp: at(seconds), details });
+
+  it('should span the whole attempt and place markers proportionally', () => {
+    const timeline = proctoringTimeline.buildTimeline(attempt, [
+      event('e1', EVENT_TYPES.TAB_SWITCH, 25),
+      event('e2', EVENT_TYPES.QUESTION_VIEWED, 50, { questionIndex: 1 }),
+      event('e3', EVENT_TYPES.ANSWER_CHANGED, 75, { questionIndex: 1 })
+    ]);
+
+    expect(timeline.duration).toBe(100 * 1000);
+    expect(timeline.markers.map(m => [m.lane, m.position])).toEqual([
+      [TIMELINE_LANES.TAB, 0.25],
+      [TIMELINE_LANES.NAVIGATION, 0.5],
+      [TIMELINE_LANES.ANSWER, 0.75]
+    ]);
+    expect(timeline.markers[1].label).toBe('Viewed question 2');
+  });
+
+  it('should turn face events into presence spans', () => {
+    const timeline = proctoringTimeline.buildTimeline(attempt, [
+      event('f1', EVENT_TYPES.FACE_DETECTED, 10),
+      event('f2', EVENT_TYPES.FACE_LOST, 40),
+      event('f3', EVENT_TYPES.FACE_DETECTED, 60),
+      event('f4', EVENT_TYPES.MULTIPLE_FACES, 90, { faceCount: 2 })
+    ]);
+
+    expect(timeline.faceSpans.map(s => [s.state, s.left, s.width])).toEqual([
+      [FACE_STATES.UNKNOWN, 0, 0.1],
+      [FACE_STATES.PRESENT, 0.1, 0.3],
+      [FACE_STATES.ABSENT, 0.4, 0.2],
+      [FACE_STATES.PRESENT, 0.6, 0.3],
+      [FACE_STATES.MULTIPLE, 0.9, 0.1]
+    ]);
+    // Face losses and multiple faces are also shown as alerts
+    expect(timeline.markers.filter(m => m.lane === TIMELINE_LANES.ALERT).map(m => m.id)).toEqual(['f2', 'f4']);
+  });
+
+  it('should run an unfinished attempt up to now', () => {
+    const timeline = proctoringTimeline.buildTimeline({ startedAt: at(0) }, [], start + 30 * 1000);
+
+    expect(timeline.end).toBe(start + 30 * 1000);
+  });
+});
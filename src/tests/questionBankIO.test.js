@@ -0,0 +1,360 @@
+// src/tests/questionBankIO.test.js
+import { describe, it, expect } from 'vitest';
+import { questionBankIO, IMPORT_FORMATS } from '../services/questionBankIO';
+
+describe('Question Bank Import/Export', () => {
+  const questions = [
+    { id: 'a', type: 'multiple-choice', text: 'Capital of France, "the city of light"?', choices: ['Berlin', 'Paris', 'Rome'], correctAnswer: 1, points: 2 },
+    { id: 'b', type: 'true-false', text: 'Water boils at 100°C at sea level.', correctAnswer: 'true', points: 1 },
+    { id: 'c', type: 'fill-in-the-blank', text: 'The chemical symbol for gold is ___: {Au}?', correctAnswer: 'Au', caseSensitive: true, points: 3 }
+  ];
+
+  describe('detectFormat', () => {
+    it('should detect formats from file extensions', () => {
+      expect(questionBankIO.detectFormat('bank.CSV')).toBe(IMPORT_FORMATS.CSV);
+      expect(questionBankIO.detectFormat('bank.json')).toBe(IMPORT_FORMATS.JSON);
+      expect(questionBankIO.detectFormat('bank.gift')).toBe(IMPORT_FORMATS.GIFT);
+      expect(questionBankIO.detectFormat('bank.docx')).toBeNull();
+    });
+  });
+
+  describe.each([IMPORT_FORMATS.CSV, IMPORT_FORMATS.JSON, IMPORT_FORMATS.GIFT])('%s round trip', (format) => {
+    it('should import exactly what was exported', () => {
+      const text = questionBankIO.exportQuestions(questions, format);
+      const rows = questionBankIO.parseQuestions(text, format);
+
+      expect(rows.every(r => r.valid)).toBe(true);
+      rows.forEach((r, index) => {
+        const { type, text, choices, correctAnswer, caseSensitive, points } = questions[index];
+        expect(r.question).toEqual({
+          type,
+          text,
+          points,
+          correctAnswer,
+          caseSensitive: type === 'fill-in-the-blank' ? caseSensitive : undefined,
+          choices: type === 'multiple-choice' ? choices : undefined
+        });
+      });
+    });
+  });
+
+  describe.each([IMPORT_FORMATS.CSV, IMPORT_FORMATS.JSON, IMPORT_FORMATS.GIFT])('%s multiple-response round trip', (format) => {
+    it('should keep every correct option and the scoring mode', () => {
+      const question = {
+        type: 'multiple-response',
+        text: 'Which are prime?',
+        choices: ['2', '4', '5', '9'],
+        correctAnswer: [0, 2],
+        scoring: 'partial',
+        points: 2
+      };
+
+      const [row] = questionBankIO.parseQuestions(questionBankIO.exportQuestions([question], format), format);
+
+      expect(row.valid).toBe(true);
+      expect(row.question).toMatchObject(question);
+    });
+  });
+
+  describe.each([IMPORT_FORMATS.CSV, IMPORT_FORMATS.JSON, IMPORT_FORMATS.GIFT])('%s essay round trip', (format) => {
+    it('should keep the word limits and rubric', () => {
+      const question = {
+        type: 'essay',
+        text: 'Discuss the causes of the French Revolution.',
+        minWords: 150,
+        maxWords: 400,
+        rubric: [{ criterion: 'Argument', points: 4 }, { criterion: 'Use of evidence', points: 2 }],
+        points: 6
+      };
+
+      const [row] = questionBankIO.parseQuestions(questionBankIO.exportQuestions([question], format), format);
+
+      expect(row.valid).toBe(true);
+      expect(row.question).toEqual({ ...question, correctAnswer: undefined });
+    });
+  });
+
+  describe.each([IMPORT_FORMATS.CSV, IMPORT_FORMATS.JSON, IMPORT_FORMATS.GIFT])('%s numeric round trip', (format) => {
+    it('should keep the tolerance, units and significant figures', () => {
+      const numericQuestions = [
+        { type: 'numeric', text: 'Acceleration due to gravity?', correctAnswer: 9.81, tolerance: 0.05, toleranceType: 'absolute', units: ['m/s²', 'm s^-2'], unitRequired: true, sigFigs: 3, points: 2 },
+        { type: 'numeric', text: 'Speed of light in km/s?', correctAnswer: 299792, tolerance: 1, toleranceType: 'percent', unitRequired: false, points: 1 }
+      ];
+
+      const rows = questionBankIO.parseQuestions(questionBankIO.exportQuestions(numericQuestions, format), format);
+
+      expect(rows.every(r => r.valid)).toBe(true);
+      expect(rows.map(r => r.question)).toEqual(numericQuestions);
+    });
+  });
+
+  describe.each([IMPORT_FORMATS.CSV, IMPORT_FORMATS.JSON, IMPORT_FORMATS.GIFT])('%s matching and ordering round trip', (format) => {
+    it('should keep the pairs, extra matches and item order', () => {
+      const arranged = [
+        {
+          type: 'matching',
+          text: 'Match each animal to its class.',
+          prompts: ['Frog', 'Toad', 'Eagle'],
+          choices: ['Amphibian', 'Bird', 'Fish'],
+          correctAnswer: [0, 0, 1],
+          points: 3
+        },
+        { type: 'ordering', text: 'Put these events in order.', choices: ['Magna Carta', 'Printing press', 'French Revolution'], points: 2 }
+      ];
+
+      const rows = questionBankIO.parseQuestions(questionBankIO.exportQuestions(arranged, format), format);
+
+      expect(rows.every(r => r.valid)).toBe(true);
+      expect(rows.map(r => r.question)).toEqual(arranged);
+    });
+  });
+
+  describe.each([IMPORT_FORMATS.CSV, IMPORT_FORMATS.JSON, IMPORT_FORMATS.GIFT])('%s fill-in-the-blank round trip', (format) => {
+    it('should keep every blank, accepted answer and matching option', () => {
+      const fillIns = [
+        {
+          type: 'fill-in-the-blank',
+          text: '___ is the capital of ___.',
+          correctAnswer: [['Paris'], ['France', 'la France']],
+          caseSensitive: false,
+          ignoreWhitespace: true,
+          ignoreDiacritics: true,
+          points: 2
+        },
+        { type: 'fill-in-the-blank', text: 'Name a primary colour: ___', correctAnswer: 're*', caseSensitive: false, matchMode: 'wildcard', points: 1 },
+        { type: 'fill-in-the-blank', text: 'Write a year: ___', correctAnswer: '\\d{4}', caseSensitive: true, matchMode: 'regex', points: 1 }
+      ];
+
+      const rows = questionBankIO.parseQuestions(questionBankIO.exportQuestions(fillIns, format), format);
+
+      expect(rows.every(r => r.valid)).toBe(true);
+      expect(rows.map(r => r.question)).toEqual(fillIns);
+    });
+  });
+
+  describe('CSV import', () => {
+
+    it('should report per-row validation errors using the form rules', () => {
+      const csv = [
+        'type,text,choice1,choice2,correctAnswer,points',
+        'multiple-choice,Pick one,Yes,No,B,1',
+        'multiple-choice,No answer marked,Yes,No,,1',
+        'fill-in-the-blank,,,,answer,1',
+        'true-false,Sky is green,,,maybe,1',
+        'drawing,Sketch it,,,,1',
+        'true-false,Too many points,,,false,9'
+      ].join('\n');
+
+      const rows = questionBankIO.parseQuestions(csv, IMPORT_FORMATS.CSV);
+
+      expect(rows.map(r => r.row)).toEqual([2, 3, 4, 5, 6, 7]);
+      expect(rows[0].valid).toBe(true);
+      expect(rows[0].question.correctAnswer).toBe(1);
+      expect(rows[1].errors).toContain('You must select a valid correct answer.');
+      expect(rows[2].errors).toContain('Question text is required.');
+      expect(rows[3].errors).toContain('Please select True or False.');
+      expect(rows[4].errors[0]).toMatch(/Unknown question type/);
+      expect(rows[5].errors[0]).toMatch(/Points must be/);
+    });
+
+    it('should read several correct options for multiple-response rows', () => {
+      const csv = [
+        'type,text,choice1,choice2,choice3,correctAnswer,points,scoring',
+        'multiple-response,Pick two,A,B,C,A;C,1,',
+        'multiple-response,Unknown option,A,B,C,A;G,1,partial',
+        'multiple-response,Bad scoring,A,B,C,B,1,most'
+      ].join('\n');
+
+      const rows = questionBankIO.parseQuestions(csv, IMPORT_FORMATS.CSV);
+
+      expect(rows[0].question).toMatchObject({ correctAnswer: [0, 2], scoring: 'all-or-nothing' });
+      expect(rows[0].valid).toBe(true);
+      expect(rows[1].errors).toContain('Every correct answer must be one of the choices.');
+      expect(rows[2].errors).toContain('Please choose how the question is scored.');
+    });
+
+    it('should check essay word limits and rubric totals', () => {
+      const csv = [
+        'type,text,correctAnswer,points,minWords,maxWords,rubric',
+        'essay,Explain,,15,,,',
+        'essay,Backwards limits,,5,300,100,',
+        'essay,Rubric short of the points,,5,,,Argument:2;Style:2',
+        'essay,Too many points,,25,,,'
+      ].join('\n');
+
+      const rows = questionBankIO.parseQuestions(csv, IMPORT_FORMATS.CSV);
+
+      expect(rows[0].valid).toBe(true);
+      expect(rows[1].errors).toContain('The minimum word count cannot be more than the maximum.');
+      expect(rows[2].errors).toContain('The rubric points must add up to the question\'s points.');
+      expect(rows[3].errors[0]).toMatch(/from 1 to 20/);
+    });
+
+    it('should read numeric values the way students type them and check the settings', () => {
+      const csv = [
+        'type,text,correctAnswer,points,tolerance,toleranceType,units,unitRequired,sigFigs',
+        'numeric,Decimal comma,"9,81",1,"0,05",absolute,m/s²;N/kg,true,3',
+        'numeric,Not a number,about ten,1,,,,,',
+        'numeric,Unit without units,10,1,,,,true,',
+        'numeric,Too precise,10,1,150,percent,,,0'
+      ].join('\n');
+
+      const rows = questionBankIO.parseQuestions(csv, IMPORT_FORMATS.CSV);
+
+      expect(rows[0].question).toMatchObject({ correctAnswer: 9.81, tolerance: 0.05, units: ['m/s²', 'N/kg'], unitRequired: true, sigFigs: 3 });
+      expect(rows[0].valid).toBe(true);
+      expect(rows[1].errors).toEqual(['Please enter the correct value as a number.']);
+      expect(rows[2].errors).toEqual(['List the accepted units when a unit is required.']);
+      expect(rows[3].errors).toEqual([
+        'A percentage tolerance cannot be more than 100%.',
+        'Significant figures must be a whole number from 1 to 15.'
+      ]);
+    });
+
+    it('should check matching pairs and ordering items', () => {
+      const csv = [
+        'type,text,choice1,correctAnswer,points',
+        'matching,One pair only,,Frog=Amphibian,1',
+        'matching,Extra repeats a match,Bird,Frog=Amphibian;Eagle=Bird,1',
+        'ordering,Repeated item,,First;Second;first,1'
+      ].join('\n');
+
+      const rows = questionBankIO.parseQuestions(csv, IMPORT_FORMATS.CSV);
+
+      expect(rows[0].errors).toEqual(['Matching questions need 2 to 8 pairs.']);
+      expect(rows[1].errors).toEqual(['Every match must be different.']);
+      expect(rows[2].errors).toEqual(['Every item must be different.']);
+    });
+
+    it('should read blanks and accepted answers and check them against the question text', () => {
+      const csv = [
+        'type,text,correctAnswer,matchMode,ignorePunctuation',
+        'fill-in-the-blank,___ is the capital of ___.,Paris;France|la France,',
+        'fill-in-the-blank,Only one blank: ___,Paris;France,',
+        'fill-in-the-blank,Year: ___,(19|20)\\d\\d,regex',
+        'fill-in-the-blank,Year: ___,(19|20\\d\\d,regex',
+        'fill-in-the-blank,Word: ___,word,fuzzy',
+        'fill-in-the-blank,Country: ___,U\\.S\\.A\\.,regex,true'
+      ].join('\n');
+
+      const rows = questionBankIO.parseQuestions(csv, IMPORT_FORMATS.CSV);
+
+      expect(rows[0].question.correctAnswer).toEqual([['Paris'], ['France', 'la France']]);
+      expect(rows[0].valid).toBe(true);
+      expect(rows[1].errors).toEqual(['Mark each of the 2 blanks in the question text with ___.']);
+      expect(rows[2].question).toMatchObject({ correctAnswer: '(19|20)\\d\\d', matchMode: 'regex' });
+      expect(rows[2].valid).toBe(true);
+      expect(rows[3].errors).toEqual(['"(19|20\\d\\d" is not a valid regular expression.']);
+      expect(rows[4].errors).toEqual(['Please choose how answers are matched.']);
+      expect(rows[5].errors).toEqual([
+        'Regular expression answers cannot ignore spaces, punctuation or accents; allow for them in the pattern instead.'
+      ]);
+    });
+
+    it('should reject files without the required header columns', () => {
+      const rows = questionBankIO.parseQuestions('question,answer\nfoo,bar', IMPORT_FORMATS.CSV);
+
+      expect(rows).toHaveLength(1);
+      expect(rows[0].valid).toBe(false);
+      expect(rows[0].errors[0]).toMatch(/missing required column/);
+    });
+  });
+
+  describe('GIFT import', () => {
+    it('should parse Moodle-style questions with titles, feedback and comments', () => {
+      const gift = [
+        '$CATEGORY: Geography',
+        '',
+        '// A plain Moodle multiple choice question',
+        '::Rivers:: Which is the longest river? {',
+        '  =Nile#Correct!',
+        '  ~Amazon',
+        '  ~Yangtze',
+        '}',
+        '',
+        'Grant is buried in Grant\'s tomb. {F}',
+        '',
+        'Two plus two equals {=four =4}.'
+      ].join('\n');
+
+      const rows = questionBankIO.parseQuestions(gift, IMPORT_FORMATS.GIFT);
+
+      expect(rows).toHaveLength(3);
+      expect(rows[0].question).toMatchObject({ type: 'multiple-choice', choices: ['Nile', 'Amazon', 'Yangtze'], correctAnswer: 0, points: 1 });
+      expect(rows[1].question).toMatchObject({ type: 'true-false', correctAnswer: 'false' });
+      expect(rows[2].question).toMatchObject({ type: 'fill-in-the-blank', text: 'Two plus two equals .', correctAnswer: [['four', '4']] });
+    });
+
+    it('should read Moodle multiple-answer questions as multiple-response', () => {
+      const gift = 'Which are colours of the French flag? {\n  ~%50%Blue\n  ~%-100%Green\n  ~%50%Red\n}';
+
+      const [row] = questionBankIO.parseQuestions(gift, IMPORT_FORMATS.GIFT);
+
+      expect(row.question).toMatchObject({
+        type: 'multiple-response',
+        choices: ['Blue', 'Green', 'Red'],
+        correctAnswer: [0, 2],
+        scoring: 'right-minus-wrong'
+      });
+    });
+
+    it('should read Moodle numerical questions, including ranges', () => {
+      const gift = [
+        'Gravity? {#9.81:0.05}',
+        '',
+        '// units: m/s²',
+        '// tolerance: 2%',
+        'Gravity again? {#9.76..9.86}',
+        '',
+        'Pi to two places? {#=3.14:0 =%50%3.1:0.1#Close}'
+      ].join('\n');
+
+      const rows = questionBankIO.parseQuestions(gift, IMPORT_FORMATS.GIFT);
+
+      expect(rows.every(r => r.valid)).toBe(true);
+      expect(rows[0].question).toMatchObject({ type: 'numeric', correctAnswer: 9.81, tolerance: 0.05, toleranceType: 'absolute' });
+      expect(rows[1].question).toMatchObject({ correctAnswer: 9.81, tolerance: 2, toleranceType: 'percent', units: ['m/s²'] });
+      expect(rows[2].question).toMatchObject({ correctAnswer: 3.14, tolerance: 0 });
+    });
+
+    it('should read Moodle matching questions', () => {
+      const gift = 'Match the capitals. {\n  =France -> Paris\n  =Italy -> Rome\n  = -> Madrid\n}';
+
+      const [row] = questionBankIO.parseQuestions(gift, IMPORT_FORMATS.GIFT);
+
+      expect(row.valid).toBe(true);
+      expect(row.question).toMatchObject({
+        type: 'matching',
+        prompts: ['France', 'Italy'],
+        choices: ['Paris', 'Rome', 'Madrid'],
+        correctAnswer: [0, 1]
+      });
+    });
+
+    it('should flag blocks without an answer section', () => {
+      const rows = questionBankIO.parseQuestions('What is missing here?', IMPORT_FORMATS.GIFT);
+
+      expect(rows[0].valid).toBe(false);
+      expect(rows[0].errors[0]).toMatch(/missing its \{answer\} block/);
+    });
+  });
+
+  describe('JSON import', () => {
+    it('should accept a bare array and convert boolean true/false answers', () => {
+      const rows = questionBankIO.parseQuestions(
+        JSON.stringify([{ type: 'true-false', text: 'Is this JSON?', correctAnswer: true, points: 1 }]),
+        IMPORT_FORMATS.JSON
+      );
+
+      expect(rows[0].valid).toBe(true);
+      expect(rows[0].question.correctAnswer).toBe('true');
+    });
+
+    it('should report malformed JSON', () => {
+      const rows = questionBankIO.parseQuestions('{ not json', IMPORT_FORMATS.JSON);
+
+      expect(rows[0].valid).toBe(false);
+      expect(rows[0].errors[0]).toMatch(/Invalid JSON/);
+    });
+  });
+});
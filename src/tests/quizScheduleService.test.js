@@ -0,0 +1,120 @@
+// src/tests/quizScheduleService.test.js
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { quizScheduleService, SCHEDULE_STATUS, PAPER_STATUS } from '../services/quizScheduleService';
+import { trustedClockService } from '../services/trustedClockService';
+
+describe('Quiz Schedule Service', () => {
+  const start = new Date('2025-03-01T09:00:00Z').getTime();
+  const end = new Date('2025-03-01T10:00:00Z').getTime();
+  const quiz = { id: 'q1', startTime: new Date(start).toISOString(), endTime: new Date(end).toISOString() };
+
+  describe('checkEntry', () => {
+    it('should refuse entry before the start time', () => {
+      const entry = quizScheduleService.checkEntry(quiz, start - 1000);
+
+      expect(entry.allowed).toBe(false);
+      expect(entry.status).toBe(SCHEDULE_STATUS.NOT_STARTED);
+      expect(entry.message).toMatch(/opens at/);
+    });
+
+    it('should allow entry inside the window', () => {
+      expect(quizScheduleService.checkEntry(quiz, start).allowed).toBe(true);
+      expect(quizScheduleService.checkEntry(quiz, end - 1).allowed).toBe(true);
+    });
+
+    it('should refuse entry from the end time on', () => {
+      const entry = quizScheduleService.checkEntry(quiz, end);
+
+      expect(entry.allowed).toBe(false);
+      expect(entry.status).toBe(SCHEDULE_STATUS.CLOSED);
+    });
+
+    it('should treat quizzes without a schedule as always open', () => {
+      const entry = quizScheduleService.checkEntry({ id: 'q2', startTime: '', endTime: null }, start);
+
+      expect(entry.allowed).toBe(true);
+      expect(entry.status).toBe(SCHEDULE_STATUS.UNSCHEDULED);
+    });
+  });
+
+  describe('getPaperStatus', () => {
+    const ready = { ...quiz, paperCode: 'GK2025', questionCount: 3 };
+
+    it('should follow the schedule window once a paper is ready', () => {
+      expect(quizScheduleService.getPaperStatus(ready, start - 1000)).toBe(PAPER_STATUS.SCHEDULED);
+      expect(quizScheduleService.getPaperStatus(ready, start)).toBe(PAPER_STATUS.LIVE);
+      expect(quizScheduleService.getPaperStatus(ready, end)).toBe(PAPER_STATUS.CLOSED);
+    });
+
+    it('should treat papers without a code or questions as drafts', () => {
+      expect(quizScheduleService.getPaperStatus({ ...ready, paperCode: '' }, start)).toBe(PAPER_STATUS.DRAFT);
+      expect(quizScheduleService.getPaperStatus({ ...ready, questionCount: 0 }, start)).toBe(PAPER_STATUS.DRAFT);
+      expect(quizScheduleService.getPaperStatus({ ...quiz, paperCode: 'X1', questions: [] }, start)).toBe(PAPER_STATUS.DRAFT);
+    });
+
+    it('should keep unscheduled papers live and archived papers archived', () => {
+      expect(quizScheduleService.getPaperStatus({ paperCode: 'GK2025', questionCount: 3 }, start)).toBe(PAPER_STATUS.LIVE);
+      expect(quizScheduleService.getPaperStatus({ ...ready, archived: true }, start)).toBe(PAPER_STATUS.ARCHIVED);
+    });
+  });
+
+  describe('getTimeLeft', () => {
+    it('should use the attempt timer while the window is far from closing', () => {
+      expect(quizScheduleService.getTimeLeft(600, quiz, start)).toEqual({ secondsLeft: 600, reason: 'timer' });
+    });
+
+    it('should cut the timer short at the end of the window', () => {
+      expect(quizScheduleService.getTimeLeft(600, quiz, end - 90 * 1000)).toEqual({ secondsLeft: 90, reason: 'window' });
+      expect(quizScheduleService.getTimeLeft(600, quiz, end + 5000).secondsLeft).toBe(0);
+    });
+  });
+
+  describe('warnings', () => {
+    it('should use per-quiz thresholds when configured, largest first', () => {
+      expect(quizScheduleService.getWarningThresholds({ warningThresholds: [1, 10, 5] })).toEqual([10, 5, 1]);
+      expect(quizScheduleService.getWarningThresholds({})).toEqual([5, 1]);
+    });
+
+    it('should fire each threshold once', () => {
+      const shown = new Set();
+      const first = quizScheduleService.getDueWarning(299, [5, 1], shown);
+      first.crossed.forEach(t => shown.add(t));
+
+      expect(first.threshold).toBe(5);
+      expect(quizScheduleService.getDueWarning(250, [5, 1], shown).threshold).toBeNull();
+      expect(quizScheduleService.getDueWarning(60, [5, 1], shown).threshold).toBe(1);
+    });
+
+    it('should only show the most urgent warning when several are crossed at once', () => {
+      const due = quizScheduleService.getDueWarning(30, [5, 1]);
+
+      expect(due.threshold).toBe(1);
+      expect(due.crossed).toEqual([5, 1]);
+    });
+  });
+});
+
+describe('Trusted Clock Service', () => {
+  afterEach(() => {
+    delete window.electron;
+    vi.restoreAllMocks();
+  });
+
+  it('should use the main-process clock rather than the renderer Date', async () => {
+    const mainNow = new Date('2025-03-01T09:30:00Z').getTime();
+    window.electron = { ipc: { invoke: vi.fn().mockResolvedValue({ now: mainNow, source: 'main' }) } };
+
+    const { now, trusted } = await trustedClockService.sync();
+
+    expect(window.electron.ipc.invoke).toHaveBeenCalledWith('clock:now');
+    expect(trusted).toBe(true);
+    expect(Math.abs(now - mainNow)).toBeLessThan(1000);
+  });
+
+  it('should fall back to the local clock outside Electron', async () => {
+    const { now, trusted } = await trustedClockService.sync();
+
+    expect(trusted).toBe(false);
+    expect(Math.abs(now - Date.now())).toBeLessThan(1000);
+  });
+});
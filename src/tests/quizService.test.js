@@ -0,0 +1,121 @@
+// src/tests/quizService.test.js
+import { describe, it, expect, vi } from 'vitest';
+import { quizService } from '../services/quizService';
+import { offlineManager } from '../services/offlineManager';
+
+describe('Quiz Service', () => {
+  describe('getQuizByPaperCode', () => {
+    it('should resolve a paper code to the full quiz, ignoring case and spaces', async () => {
+      const quiz = await quizService.getQuizByPaperCode(' gk2025 ');
+
+      expect(quiz).toMatchObject({ id: 'q1', paperCode: 'GK2025' });
+      expect(quiz.questions.map(q => q.type)).toEqual(['multiple-choice', 'fill-in-the-blank', 'true-false']);
+    });
+
+    it('should return null for unknown or empty codes', async () => {
+      expect(await quizService.getQuizByPaperCode('NOPE99')).toBeNull();
+      expect(await quizService.getQuizByPaperCode('')).toBeNull();
+    });
+  });
+
+  describe('duplicateQuiz', () => {
+    it('should copy settings and questions into an unscheduled draft', async () => {
+      await quizService.updateQuiz('q1', { startTime: '2025-03-01T09:00:00.000Z', codeUsage: 'single-use' });
+      const source = await quizService.getQuizById('q1');
+
+      const copy = await quizService.duplicateQuiz('q1');
+
+      expect(copy.id).not.toBe('q1');
+      expect(copy.title).toBe('General Knowledge Quiz (Copy)');
+      expect(copy.paperCode).toBeUndefined();
+      expect(copy.startTime).toBeUndefined();
+      expect(copy.codeUsage).toBe('single-use');
+      expect(copy.timer).toBe(source.timer);
+      expect(copy.questions.map(q => q.text)).toEqual(source.questions.map(q => q.text));
+      expect(copy.questions.every(q => q.id.startsWith(`${copy.id}_`))).toBe(true);
+
+      const listed = (await quizService.getAllQuizzes()).find(q => q.id === copy.id);
+      expect(listed.questionCount).toBe(source.questions.length);
+    });
+
+    it('should reject unknown quizzes', async () => {
+      await expect(quizService.duplicateQuiz('missing')).rejects.toThrow('not found');
+    });
+  });
+
+  describe('updateQuestion', () => {
+    it('should replace the question, keep its ID and update the cache', async () => {
+      const copy = await quizService.duplicateQuiz('q2');
+      const [first] = copy.questions;
+
+      const updated = await quizService.updateQuestion(copy.id, first.id, { ...first, id: 'other', text: 'Which hook runs side effects?' });
+
+      expect(updated).toMatchObject({ id: first.id, text: 'Which hook runs side effects?' });
+      const cached = offlineManager.getCachedData(`offline_quiz_detail_${copy.id}`);
+      expect(cached.questions[0]).toMatchObject({ id: first.id, text: 'Which hook runs side effects?' });
+    });
+
+    it('should reject unknown questions', async () => {
+      await expect(quizService.updateQuestion('q2', 'missing', { text: 'New' })).rejects.toThrow('not found');
+    });
+  });
+
+  describe('reorderQuestions', () => {
+    it('should save the new order, keeping questions missing from it at the end', async () => {
+      const copy = await quizService.duplicateQuiz('q2');
+      const [a, b, c, d] = copy.questions.map(q => q.id);
+
+      const result = await quizService.reorderQuestions(copy.id, [c, a]);
+
+      expect(result.questionIds).toEqual([c, a, b, d]);
+      expect((await quizService.getQuizById(copy.id)).questions.map(q => q.id)).toEqual([c, a, b, d]);
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject invalid settings with field errors', async () => {
+      const error = await quizService.createQuiz({
+        title: 'Bad Schedule',
+        startTime: '2025-03-01T10:00:00.000Z',
+        endTime: '2025-03-01T09:00:00.000Z'
+      }).catch(e => e);
+
+      expect(error.status).toBe(422);
+      expect(error.fieldErrors.endTime).toMatch(/after the start time/);
+    });
+
+    it('should check updates against the saved settings', async () => {
+      // q1 has a 30 minute timer
+      const error = await quizService.updateQuiz('q1', {
+        startTime: '2025-03-01T09:00:00.000Z',
+        endTime: '2025-03-01T09:20:00.000Z'
+      }).catch(e => e);
+
+      expect(error.fieldErrors.timer).toMatch(/longer than the quiz window/);
+      await expect(quizService.updateQuiz('q1', { archived: false })).resolves.toBeTruthy();
+    });
+  });
+
+  describe('generatePaperCode', () => {
+    it('should build a readable code from the title initials', async () => {
+      const code = await quizService.generatePaperCode('General Knowledge Quiz');
+      expect(code).toMatch(/^GKQ-[A-HJ-NP-Z2-9]{4}$/);
+    });
+
+    it('should skip codes that are already in use', async () => {
+      const values = [0, 0, 0, 0, 1, 1, 1, 1];
+      vi.spyOn(globalThis.crypto, 'getRandomValues').mockImplementation((array) => {
+        array.forEach((_, i) => { array[i] = values.shift() ?? 2; });
+        return array;
+      });
+      await quizService.updateQuiz('q2', { paperCode: 'RQ-AAAA' });
+
+      try {
+        expect(await quizService.generatePaperCode('React Quiz')).toBe('RQ-BBBB');
+      } finally {
+        vi.restoreAllMocks();
+        await quizService.updateQuiz('q2', { paperCode: 'REACT101' });
+      }
+    });
+  });
+});
@@ -0,0 +1,79 @@
+// src/tests/quizServiceApi.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { quizService } from '../services/quizService';
+import { offlineManager } from '../services/offlineManager';
+
+// These tests cover the API paths, which the mock data normally bypasses. They run
+// the real apiClient against a mocked fetch.
+vi.mock('../services/config', async (importOriginal) => ({
+  ...(await importOriginal()),
+  USE_MOCK_DATA: false,
+  VERBOSE_LOGGING: false
+}));
+
+const reply = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: `Status ${status}`,
+  json: async () => body
+});
+
+describe('Quiz Service (API)', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    localStorage.clear();
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(offlineManager, 'queueOperation').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('getQuizByPaperCode', () => {
+    it('should fetch the quiz by its code and cache it under its ID', async () => {
+      const quiz = { id: 'api-quiz', paperCode: 'API-2025', questions: [] };
+      fetchMock.mockResolvedValue(reply(200, quiz));
+
+      expect(await quizService.getQuizByPaperCode('api-2025')).toEqual(quiz);
+      expect(fetchMock.mock.calls[0][0]).toMatch(/\/quizzes\/code\/API-2025$/);
+      expect(offlineManager.getCachedData('offline_quiz_detail_api-quiz')).toEqual(quiz);
+    });
+
+    it('should fall back to the cached quiz when the server cannot be reached', async () => {
+      fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+      const cached = { id: 'cached-quiz', paperCode: 'CACHE1', questions: [{ id: 'c1', type: 'true-false', correctAnswer: 'true' }] };
+      offlineManager.cacheData(offlineManager.CACHE_KEYS.QUIZZES, [{ id: 'cached-quiz', paperCode: 'CACHE1' }]);
+      offlineManager.cacheData('offline_quiz_detail_cached-quiz', cached);
+
+      expect(await quizService.getQuizByPaperCode('cache1')).toEqual(cached);
+      expect(await quizService.getQuizByPaperCode('UNKNOWN')).toBeNull();
+    });
+  });
+
+  describe('updateQuestion and reorderQuestions', () => {
+    it.each([
+      [422, { message: 'Question text is required.', errors: { text: 'Question text is required.' } }],
+      [403, { message: 'You cannot edit this quiz.' }],
+      [404, { message: 'Question not found.' }],
+      [409, { message: 'The quiz changed since you loaded it.' }]
+    ])('should pass on a %i response instead of queueing it', async (status, body) => {
+      fetchMock.mockResolvedValue(reply(status, body));
+
+      await expect(quizService.updateQuestion('q1', 'q1_1', { text: '' })).rejects.toMatchObject({ status, message: body.message });
+      await expect(quizService.reorderQuestions('q1', ['q1_2', 'q1_1'])).rejects.toMatchObject({ status });
+      expect(offlineManager.queueOperation).not.toHaveBeenCalled();
+    });
+
+    it('should queue the change when the network or the server fails', async () => {
+      fetchMock.mockRejectedValueOnce(new TypeError('Failed to fetch')).mockResolvedValueOnce(reply(503));
+
+      expect(await quizService.reorderQuestions('q1', ['q1_2', 'q1_1'])).toMatchObject({ queued: true });
+      expect(await quizService.updateQuestion('q1', 'q1_1', { text: 'New' })).toMatchObject({ queued: true });
+      expect(offlineManager.queueOperation).toHaveBeenCalledTimes(2);
+    });
+  });
+});
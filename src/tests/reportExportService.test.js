@@ -0,0 +1,134 @@
+// src/tests/reportExportService.test.js
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { reportExportService, REPORT_FORMATS } from '../services/reportExportService';
+import { attemptService } from '../services/attemptService';
+import { quizService } from '../services/quizService';
+import { proctoringEventService, EVENT_TYPES } from '../services/proctoringEventService';
+import { reviewService, REVIEW_DECISIONS, ATTEMPT_OUTCOMES } from '../services/reviewService';
+import { offlineManager } from '../services/offlineManager';
+
+const reviewer = { id: 't1', name: 'Ms Teacher' };
+const SNAPSHOT_IMAGE = 'data:image/jpeg;base64,AAAA';
+
+describe('Report Export Service', () => {
+  let quiz;
+  let attempt;
+  let violation;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    quiz = await quizService.getQuizByPaperCode('GK2025');
+    attempt = await attemptService.startAttempt(quiz, 's1', { studentName: '<b>Ada</b>' });
+
+    const context = { attemptId: attempt.id, quizId: quiz.id, paperCode: quiz.paperCode, studentId: 's1' };
+    violation = proctoringEventService.recordEvent(EVENT_TYPES.FACE_LOST, context);
+    proctoringEventService.recordEvent(EVENT_TYPES.FACE_DETECTED, context);
+    offlineManager.cacheData(`offline_snapshots_${attempt.id}`, [
+      { eventId: violation.id, attemptId: attempt.id, capturedAt: violation.timestamp, image: SNAPSHOT_IMAGE }
+    ]);
+
+    await reviewService.reviewEvent(violation, {
+      decision: REVIEW_DECISIONS.CONFIRMED,
+      note: 'Left the desk',
+      reviewer
+    });
+    attempt = await reviewService.setAttemptOutcome(attempt.id, {
+      outcome: ATTEMPT_OUTCOMES.SCORE_WITHHELD,
+      reviewer
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('renderAttemptReportHtml', () => {
+    it('should include the attempt, decisions and embedded snapshots', async () => {
+      const report = await reportExportService.collectAttemptReport(quiz, attempt);
+      const html = reportExportService.renderAttemptReportHtml(report);
+
+      expect(html).toContain('GK2025');
+      expect(html).toContain('Face lost');
+      expect(html).toContain('Confirmed');
+      expect(html).toContain('Left the desk');
+      expect(html).toContain('Score withheld');
+      expect(html).toContain(`<img src="${SNAPSHOT_IMAGE}"`);
+      expect(html).toContain('1 of 1');
+    });
+
+    it('should escape user-provided text', async () => {
+      const report = await reportExportService.collectAttemptReport(quiz, attempt);
+      const html = reportExportService.renderAttemptReportHtml(report);
+
+      expect(html).toContain('&lt;b&gt;Ada&lt;/b&gt;');
+      expect(html).not.toContain('<b>Ada</b>');
+    });
+
+    it('should not embed images that are not data URLs', async () => {
+      offlineManager.cacheData(`offline_snapshots_${attempt.id}`, [
+        { eventId: violation.id, attemptId: attempt.id, capturedAt: violation.timestamp, image: 'https://example.com/x.jpg' }
+      ]);
+
+      const report = await reportExportService.collectAttemptReport(quiz, attempt);
+      expect(reportExportService.renderAttemptReportHtml(report)).not.toContain('example.com');
+    });
+  });
+
+  describe('buildAttemptsCsv', () => {
+    it('should list every attempt with its risk and review outcome', async () => {
+      const rows = await reportExportService.collectPaperRows(quiz);
+      const [header, line] = reportExportService.buildAttemptsCsv(rows).trim().split('\r\n');
+
+      expect(header.split(',')).toContain('Risk Score');
+      expect(line).toContain(attempt.id);
+      expect(line).toContain('Score withheld');
+    });
+
+    it('should quote special characters and neutralise formulas', () => {
+      const row = {
+        attempt: { id: 'att_1', studentId: 's1', studentName: '=HYPERLINK("x")', review: { outcome: ATTEMPT_OUTCOMES.ACCEPTED, note: 'a, b' } },
+        risk: { score: 0, bucket: 'clear' },
+        reviewSummary: { total: 0, reviewed: 0, byDecision: {} }
+      };
+      const line = reportExportService.buildAttemptsCsv([row]).split('\r\n')[1];
+
+      expect(line.startsWith(`"'=HYPERLINK(""x"")"`)).toBe(true);
+      expect(line).toContain('"a, b"');
+    });
+  });
+
+  describe('exporting', () => {
+    it('should save HTML and CSV through the main-process save dialog', async () => {
+      const invoke = vi.fn().mockResolvedValue({ success: true, filePath: '/tmp/out' });
+      vi.stubGlobal('electron', { ipc: { invoke } });
+
+      await reportExportService.exportAttemptReport(quiz, attempt, REPORT_FORMATS.HTML);
+      await reportExportService.exportPaperCsv(quiz);
+
+      const [channel, request] = invoke.mock.calls[0];
+      expect(channel).toBe('dialog:save');
+      expect(request.format).toBe('html');
+      expect(request.defaultPath).toMatch(/^integrity_report_GK2025_b_Ada_b_attempt1\.html$/);
+      expect(invoke.mock.calls[1][0]).toBe('dialog:save');
+      expect(invoke.mock.calls[1][1]).toMatchObject({ format: 'csv', defaultPath: 'attempts_GK2025.csv' });
+    });
+
+    it('should print PDFs in the main process', async () => {
+      const invoke = vi.fn().mockResolvedValue({ success: false, canceled: true });
+      vi.stubGlobal('electron', { ipc: { invoke } });
+
+      const result = await reportExportService.exportAttemptReport(quiz, attempt, REPORT_FORMATS.PDF);
+
+      expect(result.canceled).toBe(true);
+      expect(invoke).toHaveBeenCalledWith('dialog:save-pdf', expect.objectContaining({
+        html: expect.stringContaining('Proctoring Integrity Report')
+      }));
+    });
+
+    it('should report that PDF export needs the desktop app', async () => {
+      const result = await reportExportService.exportAttemptReport(quiz, attempt, REPORT_FORMATS.PDF);
+      expect(result).toMatchObject({ success: false });
+      expect(result.error).toMatch(/desktop app/);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+// src/tests/resultsService.test.js
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resultsService } from '../services/resultsService';
+import { resultSettings, REVIEW_RELEASE } from '../services/resultSettings';
+import { attemptService, ATTEMPT_STATUS } from '../services/attemptService';
+import { quizService } from '../services/quizService';
+import { gradingService } from '../services/gradingService';
+import { reviewService, ATTEMPT_OUTCOMES } from '../services/reviewService';
+import { validateQuiz } from '../services/quizValidation';
+
+const reviewer = { id: 't1', name: 'Ms Teacher' };
+const NOW = new Date('2025-06-01T12:00:00Z').getTime();
+
+describe('Results Service', () => {
+  let quiz;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    quiz = await quizService.updateQuiz('q1', {
+      results: { passPercentage: 50, reviewRelease: REVIEW_RELEASE.AFTER_SUBMIT }
+    });
+  });
+
+  // 3 of 4 points (75%): the fill-in-the-blank answer is right, the true/false one wrong
+  const submit = async (studentId, answers = [2, 'leonardo da vinci', 'false']) => {
+    const attempt = await attemptService.startAttempt(quiz, studentId);
+    return attemptService.completeAttempt(attempt.id, { result: gradingService.gradeSubmission(quiz, answers) });
+  };
+
+  describe('resultSettings', () => {
+    it('should fall back to the defaults for missing or unusable settings', () => {
+      expect(resultSettings.resolveResultSettings({})).toEqual({ passPercentage: 70, reviewRelease: REVIEW_RELEASE.NEVER });
+      expect(resultSettings.resolveResultSettings({ results: { passPercentage: 140, reviewRelease: 'someday' } }))
+        .toEqual({ passPercentage: 70, reviewRelease: REVIEW_RELEASE.NEVER });
+    });
+
+    it('should pass results that reach the paper\'s pass mark', () => {
+      const paper = { results: { passPercentage: 40 } };
+      expect(resultSettings.isPassed({ percentage: 40 }, paper)).toBe(true);
+      expect(resultSettings.isPassed({ percentage: 39.5 }, paper)).toBe(false);
+      expect(resultSettings.isPassed({ percentage: 69 }, {})).toBe(false);
+      expect(resultSettings.isPassed(null, paper)).toBe(false);
+    });
+
+    it('should be validated with the rest of the quiz', () => {
+      const { errors } = validateQuiz({ title: 'Quiz', results: { passPercentage: '', reviewRelease: 'later' } });
+      expect(errors['results.passPercentage']).toMatch('0 to 100');
+      expect(errors['results.reviewRelease']).toMatch('review their answers');
+    });
+  });
+
+  describe('getReviewAvailability', () => {
+    const graded = { status: ATTEMPT_STATUS.SUBMITTED, result: { results: [] } };
+    const paper = (reviewRelease, changes = {}) => ({ paperCode: 'P1', questions: [{}], results: { reviewRelease }, ...changes });
+
+    it('should follow the paper\'s release policy', () => {
+      expect(resultsService.getReviewAvailability(paper(REVIEW_RELEASE.NEVER), graded, NOW).available).toBe(false);
+      expect(resultsService.getReviewAvailability(paper(REVIEW_RELEASE.AFTER_SUBMIT), graded, NOW).available).toBe(true);
+    });
+
+    it('should wait for the paper to close when released after closing', () => {
+      const open = paper(REVIEW_RELEASE.AFTER_CLOSE, { endTime: '2025-06-01T13:00:00Z' });
+      const closed = paper(REVIEW_RELEASE.AFTER_CLOSE, { endTime: '2025-06-01T11:00:00Z' });
+
+      expect(resultsService.getReviewAvailability(open, graded, NOW))
+        .toEqual({ available: false, message: 'Answers can be reviewed once the paper closes.' });
+      expect(resultsService.getReviewAvailability(closed, graded, NOW).available).toBe(true);
+    });
+
+    it('should never release withheld or invalidated attempts', () => {
+      const withheld = { ...graded, review: { outcome: ATTEMPT_OUTCOMES.SCORE_WITHHELD } };
+      expect(resultsService.getReviewAvailability(paper(REVIEW_RELEASE.AFTER_SUBMIT), withheld, NOW).available).toBe(false);
+    });
+  });
+
+  describe('getStudentResults', () => {
+    it('should list the student\'s submitted attempts with their scores', async () => {
+      const attempt = await submit('s1');
+      await attemptService.startAttempt(await quizService.getQuizById('q2'), 's1');
+      await submit('s2');
+
+      const results = await resultsService.getStudentResults('s1');
+
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({
+        attemptId: attempt.id,
+        quizTitle: 'General Knowledge Quiz',
+        earnedPoints: 3,
+        possiblePoints: 4,
+        percentage: 75,
+        passPercentage: 50,
+        passed: true,
+        scoreHidden: false,
+        reviewAvailable: true
+      });
+    });
+
+    it('should hide scores the teacher withheld', async () => {
+      const attempt = await submit('s1');
+      await reviewService.setAttemptOutcome(attempt.id, { outcome: ATTEMPT_OUTCOMES.SCORE_WITHHELD, reviewer });
+
+      const [row] = await resultsService.getStudentResults('s1');
+
+      expect(row).toMatchObject({ scoreHidden: true, percentage: null, passed: null, reviewAvailable: false });
+    });
+  });
+
+  describe('getAttemptReview', () => {
+    it('should show each question with the student\'s and the correct answer', async () => {
+      const attempt = await submit('s1', [0, 'Leonardo da Vinci']);
+
+      const { summary, items } = await resultsService.getAttemptReview(attempt.id, 's1');
+
+      expect(summary.percentage).toBe(50);
+      expect(items).toEqual([
+        expect.objectContaining({ number: 1, answer: 'Berlin', correctAnswer: 'Paris', correct: false, earnedPoints: 0, possiblePoints: 1 }),
+        expect.objectContaining({ number: 2, answer: 'Leonardo da Vinci', correctAnswer: 'Leonardo da Vinci', correct: true, earnedPoints: 2 }),
+        expect.objectContaining({ number: 3, answer: null, correctAnswer: 'True', correct: false })
+      ]);
+    });
+
+    it('should list every ticked option of multiple-response answers', () => {
+      const question = { type: 'multiple-response', choices: ['2', '4', '5'], correctAnswer: [0, 2] };
+
+      expect(resultsService.formatAnswer(question, question.correctAnswer)).toBe('2, 5');
+      expect(resultsService.formatAnswer(question, [])).toBeNull();
+    });
+
+    it('should show matching answers per term and ordering answers in order', () => {
+      const matching = { type: 'matching', prompts: ['Frog', 'Eagle'], choices: ['Amphibian', 'Bird'], correctAnswer: [0, 1] };
+      const ordering = { type: 'ordering', choices: ['First', 'Second', 'Third'] };
+
+      expect(resultsService.formatAnswer(matching, [1, null])).toBe('Frog → Bird; Eagle → —');
+      expect(resultsService.formatAnswer(ordering, [2, 0, 1])).toBe('Third → First → Second');
+    });
+
+    it('should show each blank of fill-in answers', () => {
+      const question = { type: 'fill-in-the-blank', correctAnswer: [['Paris'], ['France', 'la France']] };
+
+      expect(resultsService.formatAnswer(question, ['Paris', ''])).toBe('Paris; —');
+    });
+
+    it('should refuse unreleased reviews and other students\' attempts', async () => {
+      const attempt = await submit('s1');
+
+      await expect(resultsService.getAttemptReview(attempt.id, 's2')).rejects.toMatchObject({ status: 404 });
+
+      await quizService.updateQuiz('q1', { results: { passPercentage: 50, reviewRelease: REVIEW_RELEASE.NEVER } });
+      await expect(resultsService.getAttemptReview(attempt.id, 's1')).rejects.toMatchObject({ status: 403 });
+    });
+  });
+});
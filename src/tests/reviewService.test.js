@@ -0,0 +1,115 @@
+// src/tests/reviewService.test.js
+import { describe, it, expect, beforeEach } from 'vitest';
+import { reviewService, REVIEW_DECISIONS, ATTEMPT_OUTCOMES } from '../services/reviewService';
+import { attemptService } from '../services/attemptService';
+import { quizService } from '../services/quizService';
+
+const reviewer = { id: 't1', name: 'Ms Teacher' };
+const violation = (id, attemptId = 'att_1') => ({ id, attemptId, type: 'faceLost', violation: true });
+
+describe('Review Service', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('reviewEvent', () => {
+    it('should record the decision, note and reviewer', async () => {
+      const review = await reviewService.reviewEvent(violation('evt_1'), {
+        decision: REVIEW_DECISIONS.FALSE_POSITIVE,
+        note: '  Student looked down at notes paper allowed by the rules ',
+        reviewer
+      });
+
+      expect(review).toMatchObject({
+        eventId: 'evt_1',
+        attemptId: 'att_1',
+        decision: REVIEW_DECISIONS.FALSE_POSITIVE,
+        note: 'Student looked down at notes paper allowed by the rules',
+        reviewer,
+        history: []
+      });
+      expect(review.reviewedAt).toBeTruthy();
+    });
+
+    it('should replace the current decision and keep the earlier one in history', async () => {
+      await reviewService.reviewEvent(violation('evt_1'), { decision: REVIEW_DECISIONS.CONFIRMED, reviewer });
+      const updated = await reviewService.reviewEvent(violation('evt_1'), {
+        decision: REVIEW_DECISIONS.ESCALATED,
+        reviewer: { id: 't2', name: 'Head of Year' }
+      });
+
+      expect(updated.decision).toBe(REVIEW_DECISIONS.ESCALATED);
+      expect(updated.history).toHaveLength(1);
+      expect(updated.history[0]).toMatchObject({ decision: REVIEW_DECISIONS.CONFIRMED, reviewer });
+      expect(await reviewService.getReviews()).toHaveLength(1);
+    });
+
+    it('should reject unknown decisions and missing reviewers', async () => {
+      await expect(reviewService.reviewEvent(violation('evt_1'), { decision: 'maybe', reviewer }))
+        .rejects.toThrow('Unknown review decision');
+      await expect(reviewService.reviewEvent(violation('evt_1'), { decision: REVIEW_DECISIONS.CONFIRMED }))
+        .rejects.toThrow('A reviewer is required');
+    });
+
+    it('should filter reviews by attempt', async () => {
+      await reviewService.reviewEvent(violation('evt_1', 'att_1'), { decision: REVIEW_DECISIONS.CONFIRMED, reviewer });
+      await reviewService.reviewEvent(violation('evt_2', 'att_2'), { decision: REVIEW_DECISIONS.CONFIRMED, reviewer });
+
+      const reviews = await reviewService.getReviews({ attemptId: 'att_2' });
+      expect(reviews.map(r => r.eventId)).toEqual(['evt_2']);
+    });
+  });
+
+  describe('summarizeReviews and suggestOutcome', () => {
+    it('should count reviewed violations by decision', () => {
+      const violations = [violation('evt_1'), violation('evt_2'), violation('evt_3')];
+      const reviews = [
+        { eventId: 'evt_1', decision: REVIEW_DECISIONS.FALSE_POSITIVE },
+        { eventId: 'evt_2', decision: REVIEW_DECISIONS.FALSE_POSITIVE },
+        { eventId: 'evt_other', decision: REVIEW_DECISIONS.CONFIRMED }
+      ];
+
+      const summary = reviewService.summarizeReviews(violations, reviews);
+      expect(summary).toEqual({
+        total: 3,
+        reviewed: 2,
+        pending: 1,
+        byDecision: { [REVIEW_DECISIONS.FALSE_POSITIVE]: 2 }
+      });
+      expect(reviewService.suggestOutcome(summary)).toBe(ATTEMPT_OUTCOMES.ACCEPTED);
+    });
+
+    it('should suggest withholding the score once a violation is confirmed or escalated', () => {
+      expect(reviewService.suggestOutcome({ byDecision: { [REVIEW_DECISIONS.CONFIRMED]: 1 } }))
+        .toBe(ATTEMPT_OUTCOMES.SCORE_WITHHELD);
+      expect(reviewService.suggestOutcome({ byDecision: { [REVIEW_DECISIONS.ESCALATED]: 1 } }))
+        .toBe(ATTEMPT_OUTCOMES.SCORE_WITHHELD);
+    });
+  });
+
+  describe('setAttemptOutcome', () => {
+    it('should store the outcome on the attempt', async () => {
+      const quiz = await quizService.getQuizByPaperCode('GK2025');
+      const attempt = await attemptService.startAttempt(quiz, 's1');
+
+      await reviewService.setAttemptOutcome(attempt.id, {
+        outcome: ATTEMPT_OUTCOMES.INVALIDATED,
+        note: 'Second person visible throughout',
+        reviewer
+      });
+
+      const stored = await attemptService.getAttempt(attempt.id);
+      expect(stored.status).toBe(attempt.status);
+      expect(stored.review).toMatchObject({
+        outcome: ATTEMPT_OUTCOMES.INVALIDATED,
+        note: 'Second person visible throughout',
+        reviewer
+      });
+    });
+
+    it('should reject unknown outcomes', async () => {
+      await expect(reviewService.setAttemptOutcome('att_1', { outcome: 'pending', reviewer }))
+        .rejects.toThrow('Unknown attempt outcome');
+    });
+  });
+});
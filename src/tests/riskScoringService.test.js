@@ -0,0 +1,76 @@
+// src/tests/riskScoringService.test.js
+import { describe, it, expect } from 'vitest';
+import { riskScoringService, RISK_BUCKETS } from '../services/riskScoringService';
+import { EVENT_TYPES } from '../services/proctoringEventService';
+
+describe('Risk Scoring Service', () => {
+  const start = new Date('2025-03-01T09:00:00Z').getTime();
+  const at = (seconds) => new Date(start + seconds * 1000).toISOString();
+  const event = (type, seconds) => ({ type, timestamp: at(seconds) });
+
+  it('should weigh a long face loss more than a short blip', () => {
+    const blip = riskScoringService.scoreAttempt([
+      event(EVENT_TYPES.FACE_LOST, 10),
+      event(EVENT_TYPES.FACE_DETECTED, 11)
+    ]);
+    const long = riskScoringService.scoreAttempt([
+      event(EVENT_TYPES.FACE_LOST, 10),
+      event(EVENT_TYPES.FACE_DETECTED, 20)
+    ]);
+
+    expect(blip.score).toBe(2); // base 1 + 1 s × 1
+    expect(long.score).toBe(11); // base 1 + 10 s × 1
+    expect(long.breakdown.faceLost).toEqual({ count: 1, seconds: 10, points: 11 });
+  });
+
+  it('should time tab switches until the student returns', () => {
+    const { breakdown } = riskScoringService.scoreAttempt([
+      event(EVENT_TYPES.TAB_SWITCH, 0),
+      event(EVENT_TYPES.TAB_RETURN, 8)
+    ]);
+
+    expect(breakdown.TAB_SWITCH).toEqual({ count: 1, seconds: 8, points: 7 });
+  });
+
+  it('should close violations still open at the end of the attempt', () => {
+    const { breakdown } = riskScoringService.scoreAttempt([event(EVENT_TYPES.FACE_LOST, 0)], { endTime: at(30) });
+
+    expect(breakdown.faceLost.seconds).toBe(30);
+  });
+
+  it('should weigh repeated violations within the frequency window more', () => {
+    const repeated = riskScoringService.scoreAttempt([
+      event(EVENT_TYPES.DISPLAY_CHANGE, 0),
+      event(EVENT_TYPES.DISPLAY_CHANGE, 30)
+    ]);
+    const spread = riskScoringService.scoreAttempt([
+      event(EVENT_TYPES.DISPLAY_CHANGE, 0),
+      event(EVENT_TYPES.DISPLAY_CHANGE, 600)
+    ]);
+
+    expect(repeated.score).toBe(25);
+    expect(spread.score).toBe(20);
+  });
+
+  it('should bucket scores with configurable thresholds and weights', () => {
+    expect(riskScoringService.getBucket(0)).toBe(RISK_BUCKETS.CLEAR);
+    expect(riskScoringService.getBucket(10)).toBe(RISK_BUCKETS.REVIEW);
+    expect(riskScoringService.getBucket(30)).toBe(RISK_BUCKETS.FLAGGED);
+
+    const strict = riskScoringService.scoreAttempt([event(EVENT_TYPES.TAB_SWITCH, 0)], {
+      settings: { weights: { TAB_SWITCH: { base: 50 } }, thresholds: { flagged: 40 } }
+    });
+    expect(strict.score).toBe(50);
+    expect(strict.bucket).toBe(RISK_BUCKETS.FLAGGED);
+  });
+
+  it('should rank attempts by risk, highest first', () => {
+    const ranked = riskScoringService.rankAttempts([
+      { attempt: { id: 'calm' }, events: [] },
+      { attempt: { id: 'risky' }, events: [event(EVENT_TYPES.SCREEN_RECORDING, 5)] }
+    ]);
+
+    expect(ranked.map(r => r.attempt.id)).toEqual(['risky', 'calm']);
+    expect(ranked[0].risk.bucket).toBe(RISK_BUCKETS.REVIEW);
+  });
+});
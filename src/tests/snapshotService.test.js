@@ -0,0 +1,75 @@
+// src/tests/snapshotService.test.js
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { snapshotService } from '../services/snapshotService';
+import * as webcamService from '../services/webcamService';
+
+vi.mock('../services/webcamService', () => ({
+  captureFrame: vi.fn()
+}));
+
+describe('Snapshot Service', () => {
+  const event = { id: 'evt_1', type: 'faceLost', attemptId: 'att_1', timestamp: new Date().toISOString() };
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.clearAllMocks();
+  });
+
+  it('should store the captured frame for the event', async () => {
+    webcamService.captureFrame.mockResolvedValue(new Blob(['frame'], { type: 'image/jpeg' }));
+
+    const snapshot = await snapshotService.captureForEvent(event);
+
+    expect(snapshot).toMatchObject({ eventId: 'evt_1', attemptId: 'att_1', eventType: 'faceLost' });
+    expect(snapshot.image).toMatch(/^data:image\/jpeg/);
+    expect(await snapshotService.getSnapshots('att_1')).toEqual([snapshot]);
+  });
+
+  it('should skip events when no frame is available', async () => {
+    webcamService.captureFrame.mockResolvedValue(null);
+
+    expect(await snapshotService.captureForEvent(event)).toBeNull();
+    expect(await snapshotService.getSnapshots('att_1')).toEqual([]);
+  });
+
+  it('should keep only the latest frames of an attempt', async () => {
+    webcamService.captureFrame.mockResolvedValue(new Blob(['frame'], { type: 'image/jpeg' }));
+
+    for (let i = 0; i < 12; i++) {
+      await snapshotService.captureForEvent({ ...event, id: `evt_${i}` });
+    }
+
+    const snapshots = await snapshotService.getSnapshots('att_1');
+    expect(snapshots).toHaveLength(10);
+    expect(snapshots[0].eventId).toBe('evt_2');
+  });
+
+  it('should leave other stored data alone when there is no room for a frame', async () => {
+    webcamService.captureFrame.mockResolvedValue(new Blob(['frame'], { type: 'image/jpeg' }));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.setItem('offline_proctoring_events_att_1', '[]');
+    const setItem = localStorage.setItem;
+    vi.spyOn(localStorage, 'setItem').mockImplementation((key, value) => {
+      if (key.startsWith('offline_snapshots_')) throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+      return setItem(key, value);
+    });
+
+    expect(await snapshotService.captureForEvent(event)).toMatchObject({ eventId: 'evt_1' });
+    expect(await snapshotService.getSnapshots('att_1')).toEqual([]);
+    expect(localStorage.getItem('offline_proctoring_events_att_1')).toBe('[]');
+  });
+
+  it('should fall back to the latest frame taken shortly before an event', () => {
+    const eventTime = new Date('2025-03-01T09:10:00Z').getTime();
+    const snapshots = [
+      { eventId: 'old', capturedAt: new Date(eventTime - 5 * 60 * 1000).toISOString() },
+      { eventId: 'recent', capturedAt: new Date(eventTime - 20 * 1000).toISOString() },
+      { eventId: 'later', capturedAt: new Date(eventTime + 5000).toISOString() }
+    ];
+    const selected = { id: 'nav', timestamp: new Date(eventTime).toISOString() };
+
+    expect(snapshotService.findSnapshotForEvent(snapshots, selected)).toEqual({ snapshot: snapshots[1], exact: false });
+    expect(snapshotService.findSnapshotForEvent(snapshots, { ...selected, id: 'later' })).toEqual({ snapshot: snapshots[2], exact: true });
+    expect(snapshotService.findSnapshotForEvent(snapshots.slice(0, 1), selected)).toBeNull();
+  });
+});
@@ -0,0 +1,73 @@
+// src/tests/snapshotServiceApi.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { snapshotService } from '../services/snapshotService';
+import * as webcamService from '../services/webcamService';
+import { offlineManager } from '../services/offlineManager';
+
+// These tests cover uploading frames to a backend, which the mock data normally
+// bypasses. They run the real apiClient against a mocked fetch.
+vi.mock('../services/config', async (importOriginal) => ({
+  ...(await importOriginal()),
+  USE_MOCK_DATA: false,
+  VERBOSE_LOGGING: false
+}));
+
+vi.mock('../services/webcamService', () => ({
+  captureFrame: vi.fn()
+}));
+
+const reply = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: `Status ${status}`,
+  json: async () => body
+});
+
+const storedSnapshots = (attemptId) => JSON.parse(localStorage.getItem(`offline_snapshots_${attemptId}`)) || [];
+
+// Let the background upload finish
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Snapshot Service (API)', () => {
+  const event = { id: 'evt_1', type: 'faceLost', attemptId: 'att_api', timestamp: new Date().toISOString() };
+  let fetchMock;
+
+  beforeEach(() => {
+    localStorage.clear();
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(offlineManager, 'queueOperation').mockImplementation(() => {});
+    webcamService.captureFrame.mockResolvedValue(new Blob(['frame'], { type: 'image/jpeg' }));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should remove a frame from local storage once the server accepts it', async () => {
+    fetchMock.mockResolvedValue(reply(201));
+
+    await snapshotService.captureForEvent(event);
+    await flush();
+
+    expect(fetchMock.mock.calls[0][0]).toMatch(/\/proctoring\/snapshots$/);
+    expect(storedSnapshots('att_api')).toEqual([]);
+    expect(offlineManager.queueOperation).not.toHaveBeenCalled();
+  });
+
+  it('should keep frames the server could not receive, outside the offline queue, and send them on sync', async () => {
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+    await snapshotService.captureForEvent(event);
+    await snapshotService.captureForEvent({ ...event, id: 'evt_2' });
+    await flush();
+
+    expect(storedSnapshots('att_api')).toHaveLength(2);
+    expect(offlineManager.queueOperation).not.toHaveBeenCalled();
+
+    fetchMock.mockReset();
+    fetchMock.mockResolvedValue(reply(201));
+    expect(await snapshotService.syncSnapshots()).toBe(2);
+    expect(storedSnapshots('att_api')).toEqual([]);
+  });
+});
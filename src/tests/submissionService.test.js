@@ -0,0 +1,115 @@
+// src/tests/submissionService.test.js
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { submissionService, SUBMISSION_STATUS } from '../services/submissionService';
+import { quizService } from '../services/quizService';
+import { offlineManager } from '../services/offlineManager';
+
+vi.mock('../services/quizService', () => ({
+  quizService: {
+    submitQuizAnswers: vi.fn()
+  }
+}));
+
+describe('Submission Service', () => {
+  const attempt = {
+    quizId: 'quiz1',
+    studentId: 'student1',
+    answers: [1, 'true', 'Au'],
+    paper: { seed: 42, questionIds: ['a', 'b', 'c'], optionOrders: { a: [2, 0, 1] } },
+    proctoringLog: [{ type: 'TAB_SWITCH', timestamp: '2025-01-01T10:00:00.000Z' }],
+    timeSpent: 120
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.clearAllMocks();
+    quizService.submitQuizAnswers.mockResolvedValue({ success: true, result: { percentage: 100 } });
+  });
+
+  it('should submit with the proctoring log and an idempotency key', async () => {
+    const submission = await submissionService.submitAttempt(attempt);
+
+    expect(quizService.submitQuizAnswers).toHaveBeenCalledWith('quiz1', attempt.answers, expect.objectContaining({
+      paper: attempt.paper,
+      proctoringLog: attempt.proctoringLog,
+      idempotencyKey: submission.idempotencyKey,
+      studentId: 'student1',
+      timeSpent: 120
+    }));
+    expect(submission.status).toBe(SUBMISSION_STATUS.SUBMITTED);
+    expect(submission.result).toEqual({ percentage: 100 });
+    expect(submission.duplicate).toBe(false);
+  });
+
+  it('should not submit the same attempt twice', async () => {
+    const first = await submissionService.submitAttempt(attempt);
+    const second = await submissionService.submitAttempt(attempt);
+
+    expect(quizService.submitQuizAnswers).toHaveBeenCalledTimes(1);
+    expect(second.duplicate).toBe(true);
+    expect(second.receipt).toEqual(first.receipt);
+  });
+
+  it('should reuse the idempotency key when a submission is retried after a failure', async () => {
+    quizService.submitQuizAnswers.mockRejectedValueOnce(new Error('Network error'));
+
+    await expect(submissionService.submitAttempt(attempt)).rejects.toThrow('Network error');
+    const pending = submissionService.getSubmission('quiz1_student1');
+    expect(pending.status).toBe(SUBMISSION_STATUS.PENDING);
+
+    const retried = await submissionService.submitAttempt(attempt);
+    expect(retried.idempotencyKey).toBe(pending.idempotencyKey);
+    expect(quizService.submitQuizAnswers.mock.calls[1][2].idempotencyKey).toBe(pending.idempotencyKey);
+  });
+
+  it('should record queued offline submissions', async () => {
+    quizService.submitQuizAnswers.mockResolvedValue({ queued: true, message: 'Saved for later', result: null });
+
+    const submission = await submissionService.submitAttempt(attempt);
+
+    expect(submission.status).toBe(SUBMISSION_STATUS.QUEUED);
+    expect(submission.queued).toBe(true);
+  });
+
+  describe('receipts', () => {
+    it('should produce a verifiable SHA-256 receipt', async () => {
+      const { receipt } = await submissionService.submitAttempt(attempt);
+
+      expect(receipt.algorithm).toBe('SHA-256');
+      expect(receipt.hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(receipt.receiptId).toMatch(/^[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}$/);
+      expect(receipt.answeredCount).toBe(3);
+
+      expect(await submissionService.verifyReceipt(receipt, attempt.answers, attempt.paper)).toBe(true);
+      expect(await submissionService.verifyReceipt(receipt, [0, 'true', 'Au'], attempt.paper)).toBe(false);
+    });
+
+    it('should hash objects independently of key order', () => {
+      expect(submissionService.canonicalJson({ b: 1, a: [{ d: 2, c: 3 }] }))
+        .toBe(submissionService.canonicalJson({ a: [{ c: 3, d: 2 }], b: 1 }));
+    });
+  });
+
+  describe('offline queue', () => {
+    it('should keep a single queued copy of a submission per idempotency key', () => {
+      offlineManager.initialize();
+      window.dispatchEvent(new Event('offline'));
+      const url = 'http://localhost:5000/api/quizzes/quiz1/submit';
+      const before = offlineManager.getOperationQueue().length;
+
+      offlineManager.queueOperation('POST', url, { answers: [1], idempotencyKey: 'key-1' });
+      offlineManager.queueOperation('POST', url, { answers: [2], idempotencyKey: 'key-1' });
+      offlineManager.queueOperation('POST', url, { answers: [3], idempotencyKey: 'key-2' });
+
+      const queue = offlineManager.getOperationQueue();
+      expect(queue.length - before).toBe(2);
+      expect(queue.find(op => op.data.idempotencyKey === 'key-1').data.answers).toEqual([2]);
+
+      // Going back online flushes the queue
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve({ success: true }) }));
+      window.dispatchEvent(new Event('online'));
+      offlineManager.cleanup();
+      vi.unstubAllGlobals();
+    });
+  });
+});
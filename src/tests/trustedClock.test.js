@@ -0,0 +1,106 @@
+// src/tests/trustedClock.test.js
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { createRequire } from 'module';
+import { EventEmitter } from 'events';
+
+const require = createRequire(import.meta.url);
+const HOUR = 60 * 60 * 1000;
+
+const serverReply = (date) => ({ headers: { get: (name) => (name.toLowerCase() === 'date' ? date ?? null : null) } });
+
+describe('Trusted Clock (main process)', () => {
+  let trustedClock;
+
+  beforeAll(() => {
+    // hrtime is faked too: setSystemTime moves the wall clock only, like a student changing it
+    vi.useFakeTimers({ toFake: ['Date', 'hrtime'], now: new Date('2026-03-02T09:00:00Z') });
+
+    // config.js needs Electron; the clock only reads these settings
+    const configPath = require.resolve('../../electron/utils/config');
+    require.cache[configPath] = {
+      id: configPath,
+      filename: configPath,
+      loaded: true,
+      exports: { VERBOSE_LOGGING: false, TIME_SERVER_URL: null }
+    };
+    trustedClock = require('../../electron/utils/trusted-clock');
+  });
+
+  afterAll(() => {
+    vi.useRealTimers();
+  });
+
+  // Sleep: the wall clock moves on while the monotonic timer stands still
+  const sleep = (ms, wallChange = 0) => vi.setSystemTime(Date.now() + ms + wallChange);
+
+  describe('now', () => {
+    it('should ignore system clock changes while running', () => {
+      const start = trustedClock.now();
+
+      vi.setSystemTime(Date.now() - 2 * HOUR);
+      vi.advanceTimersByTime(1000);
+
+      expect(trustedClock.now()).toBe(start + 1000);
+    });
+  });
+
+  describe('reanchor', () => {
+    it('should keep the offset from before sleep and add only the time slept', () => {
+      vi.setSystemTime(Date.now() + 3 * HOUR); // changed while awake
+      const beforeSleep = trustedClock.now();
+
+      sleep(10 * 60 * 1000);
+      trustedClock.reanchor();
+
+      expect(trustedClock.now()).toBe(beforeSleep + 10 * 60 * 1000);
+    });
+
+    it('should never move the clock backwards when the system clock is set back during sleep', () => {
+      const beforeSleep = trustedClock.now();
+
+      sleep(5 * 60 * 1000, -24 * HOUR);
+      trustedClock.reanchor();
+
+      expect(trustedClock.now()).toBe(beforeSleep);
+    });
+  });
+
+  describe('setupTrustedClock', () => {
+    it('should answer clock:now and re-anchor on resume', async () => {
+      const handlers = {};
+      const ipcMain = { removeHandler: vi.fn(), handle: (channel, handler) => { handlers[channel] = handler; } };
+      const powerMonitor = new EventEmitter();
+      trustedClock.setupTrustedClock(ipcMain, powerMonitor);
+
+      vi.advanceTimersByTime(2000);
+      const beforeSleep = handlers['clock:now']().now;
+      vi.setSystemTime(Date.now() - 6 * HOUR);
+      powerMonitor.emit('suspend');
+      sleep(HOUR);
+      powerMonitor.emit('resume');
+
+      expect(handlers['clock:now']()).toEqual({ now: beforeSleep + HOUR, source: 'system' });
+    });
+  });
+
+  describe('syncWithServer', () => {
+    it('should anchor the clock to the server\'s Date header', async () => {
+      const serverTime = Date.parse('2026-03-02T12:00:00Z');
+      const fetchImpl = vi.fn().mockResolvedValue(serverReply(new Date(serverTime).toUTCString()));
+
+      expect(await trustedClock.syncWithServer('https://api.example.test', fetchImpl)).toBe(true);
+      expect(fetchImpl).toHaveBeenCalledWith('https://api.example.test', expect.objectContaining({ method: 'HEAD' }));
+      expect(trustedClock.now()).toBe(serverTime + 500);
+    });
+
+    it('should keep the current anchor when the server cannot be reached', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const before = trustedClock.now();
+
+      expect(await trustedClock.syncWithServer('https://api.example.test', vi.fn().mockRejectedValue(new Error('offline')))).toBe(false);
+      expect(await trustedClock.syncWithServer('https://api.example.test', vi.fn().mockResolvedValue(serverReply()))).toBe(false);
+      expect(await trustedClock.syncWithServer(null)).toBe(false);
+      expect(trustedClock.now()).toBe(before);
+    });
+  });
+});